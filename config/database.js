@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const { MongoMemoryServer, MongoMemoryReplSet } = require('mongodb-memory-server');
+
+// Memory Server standalone (MONGODB_MEMORY_REPLSET=false) não suporta transações
+let standaloneMemoryServer = false;
+
+// Transações exigem replica set; podem ser desligadas com MONGODB_TRANSACTIONS=false
+const transactionsEnabled = () => {
+  return process.env.MONGODB_TRANSACTIONS !== 'false' && !standaloneMemoryServer;
+};
+
+// Criar MongoDB Memory Server (replica set de um nó por padrão, para suportar transações)
+const createMemoryServer = async () => {
+  if (process.env.MONGODB_MEMORY_REPLSET === 'false') {
+    standaloneMemoryServer = true;
+    return MongoMemoryServer.create();
+  }
+
+  return MongoMemoryReplSet.create({
+    replSet: { count: 1, storageEngine: 'wiredTiger' }
+  });
+};
+
+// Executar operações em uma transação MongoDB.
+// O driver repete a função em erros transitórios (TransientTransactionError)
+// e repete o commit em UnknownTransactionCommitResult.
+const runInTransaction = (fn) => {
+  if (!transactionsEnabled()) {
+    return fn(null);
+  }
+
+  return mongoose.connection.transaction(session => fn(session));
+};
+
+// Executar fn(current, session) em uma transação sobre o documento recarregado na sessão.
+// Como o driver repete a função em erros transitórios, cada tentativa deve partir do estado
+// gravado, e não do documento em memória já alterado pela tentativa anterior. Após o
+// commit, o documento em memória recebe o estado gravado.
+const runOnCurrent = async (doc, fn) => {
+  let current = null;
+
+  const result = await runInTransaction(async (session) => {
+    current = await doc.constructor.findById(doc._id).session(session);
+    if (!current) {
+      throw new Error('Documento não encontrado');
+    }
+    return fn(current, session);
+  });
+
+  doc.init(current.toObject({ depopulate: true }));
+  doc.modifiedPaths().forEach(path => doc.unmarkModified(path));
+  return result;
+};
+
+module.exports = {
+  createMemoryServer,
+  runInTransaction,
+  runOnCurrent
+};
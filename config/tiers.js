@@ -0,0 +1,32 @@
+// Níveis de conta do usuário (usados pelas tarifas e limites)
+const USER_TIERS = ['basic', 'premium', 'vip'];
+
+const TIER_LABELS = {
+  basic: 'Básico',
+  premium: 'Premium',
+  vip: 'VIP'
+};
+
+// Limites padrão por nível, usados enquanto o admin não cadastrar uma política
+// (valores em centavos; null = sem limite). `nightly` vale para o período noturno
+// de 20h às 6h (horário de Brasília), conforme regulamento do PIX.
+const DEFAULT_LIMITS = {
+  basic: {
+    deposit: { perTransaction: 5000000, daily: 5000000, monthly: 20000000, nightly: 100000, dailyCount: null },
+    withdrawal: { perTransaction: 1000000, daily: 1000000, monthly: 5000000, nightly: 100000, dailyCount: 3 }
+  },
+  premium: {
+    deposit: { perTransaction: 10000000, daily: 10000000, monthly: 50000000, nightly: 500000, dailyCount: null },
+    withdrawal: { perTransaction: 2500000, daily: 5000000, monthly: 20000000, nightly: 500000, dailyCount: 5 }
+  },
+  vip: {
+    deposit: { perTransaction: 50000000, daily: 50000000, monthly: 200000000, nightly: 1000000, dailyCount: null },
+    withdrawal: { perTransaction: 10000000, daily: 20000000, monthly: 100000000, nightly: 1000000, dailyCount: 10 }
+  }
+};
+
+module.exports = {
+  USER_TIERS,
+  TIER_LABELS,
+  DEFAULT_LIMITS
+};
@@ -0,0 +1,175 @@
+const crypto = require('crypto');
+const IdempotencyKey = require('../models/IdempotencyKey');
+
+// Tempo de retenção das respostas gravadas
+const IDEMPOTENCY_TTL = 24 * 60 * 60 * 1000;
+
+// Prazo de uma requisição em processamento antes que outra possa assumir a chave
+const IDEMPOTENCY_LEASE = 60 * 1000;
+
+// Intervalo de renovação do prazo enquanto a rota ainda está processando
+const IDEMPOTENCY_HEARTBEAT = IDEMPOTENCY_LEASE / 3;
+
+// JSON com chaves ordenadas, para que a mesma requisição gere sempre o mesmo hash
+const canonicalize = (value) => {
+  if (Array.isArray(value)) {
+    return value.map(canonicalize);
+  }
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, key) => {
+      acc[key] = canonicalize(value[key]);
+      return acc;
+    }, {});
+  }
+  return value;
+};
+
+const hashRequest = (req) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify([req.method, req.baseUrl + req.path, canonicalize(req.body || {})]))
+    .digest('hex');
+};
+
+// Assumir um registro em processamento cujo prazo venceu; retorna null se ainda estiver no prazo
+const takeOver = (record) => {
+  const now = new Date();
+  return IdempotencyKey.findOneAndUpdate(
+    {
+      _id: record._id,
+      status: 'processing',
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+    },
+    {
+      lockedUntil: new Date(now.getTime() + IDEMPOTENCY_LEASE),
+      expiresAt: new Date(now.getTime() + IDEMPOTENCY_TTL)
+    },
+    { new: true }
+  );
+};
+
+// Middleware para o header Idempotency-Key (deve vir depois da autenticação).
+// A primeira resposta é gravada por usuário + chave e repetida nas requisições seguintes;
+// a mesma chave com outro corpo é recusada. Respostas 5xx não são gravadas, para permitir nova tentativa.
+// O prazo (IDEMPOTENCY_LEASE) é renovado enquanto a rota processa; só uma requisição cujo processo
+// deixou de renová-lo (encerrado no meio do processamento) perde a chave para a seguinte.
+const idempotency = () => {
+  return async (req, res, next) => {
+    const key = req.header('Idempotency-Key');
+
+    if (key === undefined || !req.userId) {
+      return next();
+    }
+
+    if (key.length < 1 || key.length > 255) {
+      return res.status(400).json({
+        success: false,
+        message: 'Idempotency-Key deve ter entre 1 e 255 caracteres',
+        code: 'INVALID_IDEMPOTENCY_KEY'
+      });
+    }
+
+    try {
+      const requestHash = hashRequest(req);
+      let record;
+
+      try {
+        record = await IdempotencyKey.create({
+          user: req.userId,
+          key,
+          method: req.method,
+          path: req.baseUrl + req.path,
+          requestHash,
+          lockedUntil: new Date(Date.now() + IDEMPOTENCY_LEASE),
+          expiresAt: new Date(Date.now() + IDEMPOTENCY_TTL)
+        });
+      } catch (error) {
+        if (error.code !== 11000) {
+          throw error;
+        }
+
+        // Chave já usada por este usuário
+        const existing = await IdempotencyKey.findOne({ user: req.userId, key });
+
+        if (!existing) {
+          return res.status(409).json({
+            success: false,
+            message: 'Requisição com esta Idempotency-Key ainda está em processamento',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          });
+        }
+
+        if (existing.requestHash !== requestHash) {
+          return res.status(422).json({
+            success: false,
+            message: 'Idempotency-Key já utilizada com outra requisição',
+            code: 'IDEMPOTENCY_KEY_REUSED'
+          });
+        }
+
+        if (existing.status === 'completed') {
+          res.set('Idempotent-Replayed', 'true');
+          return res.status(existing.responseStatus).json(existing.responseBody);
+        }
+
+        record = await takeOver(existing);
+        if (!record) {
+          return res.status(409).json({
+            success: false,
+            message: 'Requisição com esta Idempotency-Key ainda está em processamento',
+            code: 'IDEMPOTENCY_REQUEST_IN_PROGRESS'
+          });
+        }
+      }
+
+      // Renovar o prazo até a resposta; para se outra requisição tiver assumido a chave
+      let lease = { _id: record._id, lockedUntil: record.lockedUntil };
+      let renewal = Promise.resolve();
+      const heartbeat = setInterval(() => {
+        renewal = renewal
+          .then(async () => {
+            const lockedUntil = new Date(Date.now() + IDEMPOTENCY_LEASE);
+            const result = await IdempotencyKey.updateOne(lease, { lockedUntil });
+            if (result.matchedCount === 0) {
+              clearInterval(heartbeat);
+              return;
+            }
+            lease = { _id: record._id, lockedUntil };
+          })
+          .catch(error => console.error('Erro ao renovar Idempotency-Key:', error));
+      }, IDEMPOTENCY_HEARTBEAT);
+      res.on('finish', () => clearInterval(heartbeat));
+
+      // Gravar a resposta quando a rota responder (se outra requisição não tiver assumido a chave)
+      const originalJson = res.json.bind(res);
+      res.json = (body) => {
+        clearInterval(heartbeat);
+
+        const save = renewal.then(() => (res.statusCode >= 500
+          ? IdempotencyKey.deleteOne(lease)
+          : IdempotencyKey.updateOne(
+            lease,
+            { status: 'completed', responseStatus: res.statusCode, responseBody: body, lockedUntil: null }
+          )));
+
+        save.catch(error => console.error('Erro ao gravar resposta idempotente:', error));
+
+        return originalJson(body);
+      };
+
+      next();
+
+    } catch (error) {
+      console.error('Erro ao verificar Idempotency-Key:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Erro interno do servidor',
+        code: 'INTERNAL_ERROR'
+      });
+    }
+  };
+};
+
+module.exports = {
+  idempotency
+};
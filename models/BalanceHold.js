@@ -0,0 +1,70 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+// Bloqueio de saldo reservado para uma transação ainda não concluída
+const balanceHoldSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [true, 'Transação é obrigatória']
+  },
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    default: null
+  },
+  type: {
+    type: String,
+    enum: ['withdrawal', 'investment', 'refund'],
+    required: [true, 'Tipo do bloqueio é obrigatório']
+  },
+  // Valor em centavos
+  amount: {
+    type: Number,
+    required: [true, 'Valor é obrigatório'],
+    min: [1, 'Valor deve ser maior que R$ 0,01'],
+    validate: money.integerCents
+  },
+  status: {
+    type: String,
+    enum: ['active', 'captured', 'released'],
+    default: 'active'
+  },
+  // Bloqueios ativos após esta data são liberados automaticamente
+  expiresAt: {
+    type: Date,
+    default: null
+  },
+  capturedAt: {
+    type: Date,
+    default: null
+  },
+  releasedAt: {
+    type: Date,
+    default: null
+  },
+  releaseReason: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, ['amount']);
+    }
+  }
+});
+
+// Índices para performance
+balanceHoldSchema.index({ transaction: 1 }, { unique: true });
+balanceHoldSchema.index({ user: 1, status: 1 });
+balanceHoldSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('BalanceHold', balanceHoldSchema);
@@ -0,0 +1,138 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const { USER_TIERS } = require('../config/tiers');
+
+// Regra de tarifa: critérios de aplicação e forma de cálculo (valores em centavos)
+const feeRuleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nome da regra é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome da regra não pode ter mais de 100 caracteres']
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal'],
+    required: [true, 'Tipo de transação é obrigatório']
+  },
+  // null aplica a qualquer método
+  method: {
+    type: String,
+    enum: ['pix', 'bank_transfer', 'credit_card', null],
+    default: null
+  },
+  // Vazio aplica a todos os níveis
+  tiers: {
+    type: [{ type: String, enum: USER_TIERS }],
+    default: []
+  },
+  // Faixa de valor (inclusiva); null sem limite
+  minAmount: {
+    type: Number,
+    default: null,
+    validate: money.nullableCents
+  },
+  maxAmount: {
+    type: Number,
+    default: null,
+    validate: money.nullableCents
+  },
+  // Período de vigência; null sem limite
+  validFrom: {
+    type: Date,
+    default: null
+  },
+  validUntil: {
+    type: Date,
+    default: null
+  },
+  fixed: {
+    type: Number,
+    default: 0,
+    min: [0, 'Tarifa fixa não pode ser negativa'],
+    validate: money.integerCents
+  },
+  percent: {
+    type: Number,
+    default: 0,
+    min: [0, 'Percentual não pode ser negativo'],
+    max: [100, 'Percentual não pode ser maior que 100']
+  },
+  minFee: {
+    type: Number,
+    default: null,
+    validate: money.nullableCents
+  },
+  maxFee: {
+    type: Number,
+    default: null,
+    validate: money.nullableCents
+  },
+  // Entre regras aplicáveis, vence a de maior prioridade
+  priority: {
+    type: Number,
+    default: 0
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+});
+
+// Validar faixas e períodos
+feeRuleSchema.pre('validate', function(next) {
+  if (this.minAmount !== null && this.maxAmount !== null && this.maxAmount < this.minAmount) {
+    this.invalidate('maxAmount', `Regra "${this.name}": valor máximo menor que o mínimo`);
+  }
+  if (this.minFee !== null && this.maxFee !== null && this.maxFee < this.minFee) {
+    this.invalidate('maxFee', `Regra "${this.name}": tarifa máxima menor que a mínima`);
+  }
+  if (this.validFrom && this.validUntil && this.validUntil <= this.validFrom) {
+    this.invalidate('validUntil', `Regra "${this.name}": fim da vigência deve ser posterior ao início`);
+  }
+  next();
+});
+
+const feeScheduleSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nome da tabela é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome da tabela não pode ter mais de 100 caracteres']
+  },
+  description: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Descrição não pode ter mais de 500 caracteres']
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  rules: [feeRuleSchema],
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, [
+        'rules.minAmount',
+        'rules.maxAmount',
+        'rules.fixed',
+        'rules.minFee',
+        'rules.maxFee'
+      ]);
+    }
+  }
+});
+
+// Índices para performance
+feeScheduleSchema.index({ isActive: 1 });
+feeScheduleSchema.index({ 'rules._id': 1 });
+
+module.exports = mongoose.model('FeeSchedule', feeScheduleSchema);
@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+// Resposta gravada para uma requisição com Idempotency-Key (ver middleware/idempotency)
+const idempotencyKeySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  key: {
+    type: String,
+    required: [true, 'Chave de idempotência é obrigatória'],
+    maxlength: [255, 'Chave de idempotência não pode ter mais de 255 caracteres']
+  },
+  method: {
+    type: String,
+    required: true
+  },
+  path: {
+    type: String,
+    required: true
+  },
+  // Hash do corpo da requisição (o corpo não é gravado, pois pode conter senha)
+  requestHash: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'completed'],
+    default: 'processing'
+  },
+  // Prazo da requisição em processamento: vencido, outra requisição com a mesma chave
+  // assume o registro (a original pode ter caído sem gravar a resposta)
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  responseStatus: {
+    type: Number,
+    default: null
+  },
+  responseBody: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Registros são removidos pelo MongoDB após esta data (índice TTL)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+idempotencyKeySchema.index({ user: 1, key: 1 }, { unique: true });
+idempotencyKeySchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyKey', idempotencyKeySchema);
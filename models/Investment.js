@@ -1,4 +1,17 @@
 const mongoose = require('mongoose');
+const { runOnCurrent } = require('../config/database');
+const money = require('../utils/money');
+const { statusMachinePlugin } = require('../utils/statusMachine');
+
+// Campos monetários (centavos inteiros)
+const MONEY_FIELDS = [
+  'trader.minInvestment',
+  'trader.maxInvestment',
+  'amount',
+  'expectedReturn',
+  'actualReturn',
+  'dailyReturns.amount'
+];
 
 const investmentSchema = new mongoose.Schema({
   user: {
@@ -34,27 +47,32 @@ const investmentSchema = new mongoose.Schema({
     minInvestment: {
       type: Number,
       required: [true, 'Investimento mínimo é obrigatório'],
-      min: [1, 'Investimento mínimo deve ser pelo menos R$ 1']
+      min: [100, 'Investimento mínimo deve ser pelo menos R$ 1'],
+      validate: money.integerCents
     },
     maxInvestment: {
       type: Number,
       required: [true, 'Investimento máximo é obrigatório'],
-      min: [1, 'Investimento máximo deve ser pelo menos R$ 1']
+      min: [100, 'Investimento máximo deve ser pelo menos R$ 1'],
+      validate: money.integerCents
     }
   },
   amount: {
     type: Number,
     required: [true, 'Valor do investimento é obrigatório'],
-    min: [1, 'Valor do investimento deve ser pelo menos R$ 1']
+    min: [100, 'Valor do investimento deve ser pelo menos R$ 1'],
+    validate: money.integerCents
   },
   expectedReturn: {
     type: Number,
     required: [true, 'Retorno esperado é obrigatório'],
-    min: [0, 'Retorno esperado não pode ser negativo']
+    min: [0, 'Retorno esperado não pode ser negativo'],
+    validate: money.integerCents
   },
   actualReturn: {
     type: Number,
-    default: 0
+    default: 0,
+    validate: money.integerCents
   },
   status: {
     type: String,
@@ -86,13 +104,19 @@ const investmentSchema = new mongoose.Schema({
     },
     amount: {
       type: Number,
-      required: true
+      required: true,
+      validate: money.integerCents
     },
     percentage: {
       type: Number,
       required: true
     }
   }],
+  // Data do último retorno diário (filtro do compare-and-set em scripts/pixAutomation)
+  lastReturnDate: {
+    type: Date,
+    default: null
+  },
   notes: {
     type: String,
     default: null,
@@ -107,7 +131,7 @@ const investmentSchema = new mongoose.Schema({
   toJSON: {
     transform: function(doc, ret) {
       delete ret.__v;
-      return ret;
+      return money.serialize(ret, MONEY_FIELDS);
     }
   }
 });
@@ -127,14 +151,30 @@ investmentSchema.pre('save', function(next) {
   next();
 });
 
-// Middleware para calcular retorno esperado
-investmentSchema.pre('save', function(next) {
+// Middleware para calcular retorno esperado (antes da validação, pois é obrigatório)
+investmentSchema.pre('validate', function(next) {
   if (this.isModified('amount') || this.isModified('trader.successRate')) {
-    this.expectedReturn = this.amount * (this.trader.successRate / 100);
+    this.expectedReturn = money.percentage(this.amount, this.trader.successRate);
   }
   next();
 });
 
+// Transições de status permitidas (status sem destinos são finais)
+const STATUS_TRANSITIONS = {
+  pending: ['active', 'cancelled'],
+  active: ['completed', 'cancelled'],
+  completed: [],
+  cancelled: []
+};
+
+investmentSchema.plugin(statusMachinePlugin, { transitions: STATUS_TRANSITIONS });
+
+// Método para ativar investimento (datas de início e fim definidas no pre('save'))
+investmentSchema.methods.activate = function(options = {}) {
+  this.transitionTo('active', options);
+  return this.save({ session: options.session || this.$session() });
+};
+
 // Método para calcular progresso
 investmentSchema.methods.calculateProgress = function() {
   if (this.status !== 'active' || !this.startDate || !this.endDate) {
@@ -164,50 +204,93 @@ investmentSchema.methods.addDailyReturn = function(amount, percentage) {
 };
 
 // Método para completar investimento
-investmentSchema.methods.complete = async function() {
-  this.status = 'completed';
+// Sem sessão informada, executa em uma transação MongoDB própria, sobre o investimento recarregado.
+// options.transaction: transação de retorno vinculada ao crédito e às comissões
+investmentSchema.methods.complete = async function(options = {}) {
+  if (options.session === undefined) {
+    await runOnCurrent(this, (current, session) => current.complete({ ...options, session }));
+    return this;
+  }
+  
+  const { session } = options;
+  
+  this.transitionTo('completed', options);
   this.completedAt = new Date();
   this.progress = 100;
   
   // Adicionar ganhos ao usuário
   const User = mongoose.model('User');
-  const user = await User.findById(this.user);
+  const user = await User.findById(this.user).session(session);
   
   if (user) {
-    await user.addEarnings(this.actualReturn);
+    await user.addEarnings(this.actualReturn, {
+      description: `Retorno do investimento com ${this.trader.name}`,
+      transaction: options.transaction,
+      investment: this._id,
+      session
+    });
     
     // Processar comissões de indicação
     if (user.referredBy) {
-      await this.processReferralCommissions(user.referredBy, this.actualReturn);
+      await this.processReferralCommissions(user.referredBy, this.actualReturn, {
+        session,
+        sourceTransaction: options.transaction
+      });
     }
   }
   
-  return this.save();
+  return this.save({ session });
 };
 
 // Método para processar comissões de indicação
-investmentSchema.methods.processReferralCommissions = async function(referrerId, earnings) {
+investmentSchema.methods.processReferralCommissions = async function(referrerId, earnings, options = {}) {
   const User = mongoose.model('User');
+  const Transaction = mongoose.model('Transaction');
+  const session = options.session || null;
+  
+  // Registrar a transação de comissão e creditar o indicador
+  const payCommission = async (referrer, commission, level) => {
+    if (commission < 1) return;
+    
+    const commissionTransaction = new Transaction({
+      user: referrer._id,
+      type: 'referral',
+      method: 'system',
+      amount: commission,
+      netAmount: commission,
+      description: `Comissão de indicação nível ${level} - ${this.trader.name}`,
+      investment: this._id,
+      referredUser: this.user,
+      sourceTransaction: options.sourceTransaction || null,
+      status: 'completed',
+      completedAt: new Date()
+    });
+    await commissionTransaction.save({ session });
+    
+    await referrer.addReferralEarnings(commission, {
+      description: commissionTransaction.description,
+      transaction: commissionTransaction._id,
+      investment: this._id,
+      session
+    });
+  };
   
   // Nível 1: 8%
-  const level1User = await User.findById(referrerId);
+  const level1User = await User.findById(referrerId).session(session);
   if (level1User) {
-    const commission1 = earnings * 0.08;
-    await level1User.addReferralEarnings(commission1);
+    await payCommission(level1User, money.percentage(earnings, 8), 1);
     
     // Nível 2: 3%
     if (level1User.referredBy) {
-      const level2User = await User.findById(level1User.referredBy);
+      const level2User = await User.findById(level1User.referredBy).session(session);
       if (level2User) {
-        const commission2 = earnings * 0.03;
-        await level2User.addReferralEarnings(commission2);
+        await payCommission(level2User, money.percentage(earnings, 3), 2);
         
         // Nível 3: 1%
         if (level2User.referredBy) {
-          const level3User = await User.findById(level2User.referredBy);
+          const level3User = await User.findById(level2User.referredBy).session(session);
           if (level3User) {
-            const commission3 = earnings * 0.01;
-            await level3User.addReferralEarnings(commission3);
+            await payCommission(level3User, money.percentage(earnings, 1), 3);
           }
         }
       }
@@ -216,20 +299,33 @@ investmentSchema.methods.processReferralCommissions = async function(referrerId,
 };
 
 // Método para cancelar investimento
-investmentSchema.methods.cancel = async function(reason = null) {
-  this.status = 'cancelled';
+investmentSchema.methods.cancel = async function(reason = null, options = {}) {
+  if (options.session === undefined) {
+    await runOnCurrent(this, (current, session) => current.cancel(reason, { ...options, session }));
+    return this;
+  }
+  
+  const { session } = options;
+  const wasPending = this.status === 'pending';
+  
   this.notes = reason || 'Investimento cancelado';
+  this.transitionTo('cancelled', { ...options, reason: this.notes });
   
-  // Devolver valor ao usuário se ainda não foi processado
-  if (this.status === 'pending') {
-    const User = mongoose.model('User');
-    const user = await User.findById(this.user);
-    if (user) {
-      await user.addBalance(this.amount);
+  // Ainda não processado: cancelar a transação pendente, liberando o saldo bloqueado
+  if (wasPending) {
+    const Transaction = mongoose.model('Transaction');
+    const transaction = await Transaction.findOne({
+      investment: this._id,
+      type: 'investment',
+      status: 'pending'
+    }).session(session);
+    
+    if (transaction) {
+      await transaction.cancel(this.notes, { ...options, session });
     }
   }
   
-  return this.save();
+  return this.save({ session });
 };
 
 // Método estático para obter investimentos ativos que devem ser finalizados
@@ -242,7 +338,7 @@ investmentSchema.statics.getExpiredInvestments = function() {
 
 // Método estático para estatísticas de investimentos
 investmentSchema.statics.getInvestmentStats = async function(userId = null) {
-  const matchStage = userId ? { user: mongoose.Types.ObjectId(userId) } : {};
+  const matchStage = userId ? { user: new mongoose.Types.ObjectId(userId) } : {};
   
   const stats = await this.aggregate([
     { $match: matchStage },
@@ -272,7 +368,8 @@ investmentSchema.statics.getInvestmentStats = async function(userId = null) {
     result.totalReturns += stat.totalReturn;
   });
   
-  return result;
+  // Valores em reais para a API
+  return money.serialize(result, ['totalInvested', 'totalReturns']);
 };
 
 module.exports = mongoose.model('Investment', investmentSchema);
\ No newline at end of file
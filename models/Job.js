@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+
+// Job da fila persistente (ver services/jobQueue). Um job 'queued' é assumido por um
+// worker quando runAt vence; enquanto 'running', fica reservado até lockedUntil
+// (visibility timeout, renovado pelo worker) e, se o worker cair, volta a ser assumido
+// por outro. Falhas são repetidas com backoff até maxAttempts; depois o job vai para
+// a fila de mortos ('dead').
+const jobSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nome do job é obrigatório']
+  },
+  payload: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  status: {
+    type: String,
+    enum: ['queued', 'running', 'completed', 'dead'],
+    default: 'queued'
+  },
+  // Quando o job pode ser executado (jobs atrasados e novas tentativas)
+  runAt: {
+    type: Date,
+    default: Date.now
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  maxAttempts: {
+    type: Number,
+    default: 5,
+    min: [1, 'Mínimo de 1 tentativa']
+  },
+  // Chave de deduplicação: só um job ativo (na fila ou em execução) por chave.
+  // activeKey é a cópia da chave enquanto o job está ativo (índice único).
+  uniqueKey: {
+    type: String,
+    default: null
+  },
+  activeKey: {
+    type: String,
+    default: null
+  },
+  // Worker que assumiu o job e até quando a reserva vale
+  lockedBy: {
+    type: String,
+    default: null
+  },
+  lockedUntil: {
+    type: Date,
+    default: null
+  },
+  startedAt: {
+    type: Date,
+    default: null
+  },
+  completedAt: {
+    type: Date,
+    default: null
+  },
+  deadAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      delete ret.activeKey;
+      return ret;
+    }
+  }
+});
+
+// Índices
+jobSchema.index({ status: 1, name: 1, runAt: 1 });
+jobSchema.index({ status: 1, lockedUntil: 1 });
+jobSchema.index({ activeKey: 1 }, { unique: true, partialFilterExpression: { activeKey: { $type: 'string' } } });
+// Jobs concluídos são removidos após 7 dias (os mortos ficam até serem reenfileirados)
+jobSchema.index({ completedAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('Job', jobSchema);
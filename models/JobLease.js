@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Concessão (lease) com prazo sobre um recurso compartilhado entre instâncias, como o
+// agendamento das tarefas de automação (ver services/jobLeases). Quem detém a
+// concessão a renova antes de expiresAt; se a instância cair, outra a assume após o prazo.
+const jobLeaseSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nome é obrigatório'],
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: [true, 'Detentor é obrigatório']
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Prazo é obrigatório']
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('JobLease', jobLeaseSchema);
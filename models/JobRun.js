@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+
+// Limite de falhas detalhadas guardadas por execução (errorCount conta todas)
+const MAX_RUN_ERRORS = 50;
+
+// Execução de uma tarefa de automação (ver services/jobRuns): início, fim, itens
+// processados e erros. 'partial' = concluída com erros em alguns itens.
+const jobRunSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Nome do job é obrigatório']
+  },
+  // Job da fila que executou a tarefa
+  job: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Job',
+    default: null
+  },
+  trigger: {
+    type: String,
+    enum: ['schedule', 'manual'],
+    default: 'schedule'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  worker: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'succeeded', 'partial', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  durationMs: {
+    type: Number,
+    default: null
+  },
+  itemsProcessed: {
+    type: Number,
+    default: 0
+  },
+  errorCount: {
+    type: Number,
+    default: 0
+  },
+  failures: [{
+    _id: false,
+    message: String,
+    // Identificador do item que falhou (transação, usuário...)
+    item: {
+      type: String,
+      default: null
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices
+jobRunSchema.index({ name: 1, startedAt: -1 });
+jobRunSchema.index({ status: 1, startedAt: -1 });
+// Histórico mantido por 90 dias
+jobRunSchema.index({ startedAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+jobRunSchema.statics.MAX_RUN_ERRORS = MAX_RUN_ERRORS;
+
+module.exports = mongoose.model('JobRun', jobRunSchema);
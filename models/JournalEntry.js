@@ -0,0 +1,92 @@
+const mongoose = require('mongoose');
+const { v4: uuidv4 } = require('uuid');
+const money = require('../utils/money');
+
+const postingSchema = new mongoose.Schema({
+  account: {
+    type: String,
+    required: [true, 'Conta do lançamento é obrigatória']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  direction: {
+    type: String,
+    enum: ['debit', 'credit'],
+    required: [true, 'Natureza do lançamento é obrigatória']
+  },
+  amount: {
+    type: Number,
+    required: [true, 'Valor do lançamento é obrigatório'],
+    min: [1, 'Valor do lançamento deve ser maior que R$ 0,01'],
+    validate: money.integerCents
+  }
+}, { _id: false });
+
+const journalEntrySchema = new mongoose.Schema({
+  entryId: {
+    type: String,
+    unique: true,
+    default: () => uuidv4()
+  },
+  description: {
+    type: String,
+    required: [true, 'Descrição é obrigatória'],
+    trim: true,
+    maxlength: [200, 'Descrição não pode ter mais de 200 caracteres']
+  },
+  postings: {
+    type: [postingSchema],
+    validate: {
+      validator: function(postings) {
+        if (!postings || postings.length < 2) return false;
+
+        const totals = postings.reduce((acc, posting) => {
+          acc[posting.direction] += posting.amount;
+          return acc;
+        }, { debit: 0, credit: 0 });
+
+        return totals.debit === totals.credit;
+      },
+      message: 'Lançamento desbalanceado: débitos e créditos devem ser iguais'
+    }
+  },
+  // Transação que originou o lançamento (se aplicável)
+  transaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Investimento relacionado (se aplicável)
+  investment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Investment',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, ['postings.amount']);
+    }
+  }
+});
+
+// Índices para performance
+journalEntrySchema.index({ transaction: 1 });
+journalEntrySchema.index({ investment: 1 });
+journalEntrySchema.index({ 'postings.account': 1, createdAt: -1 });
+journalEntrySchema.index({ 'postings.user': 1, createdAt: -1 });
+
+// Lançamentos são imutáveis: correções devem ser feitas com novos lançamentos
+journalEntrySchema.pre('save', function(next) {
+  if (!this.isNew) {
+    return next(new Error('Lançamentos contábeis não podem ser alterados'));
+  }
+  next();
+});
+
+module.exports = mongoose.model('JournalEntry', journalEntrySchema);
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+const ledgerAccountSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Código da conta é obrigatório'],
+    unique: true,
+    trim: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Nome da conta é obrigatório'],
+    trim: true
+  },
+  type: {
+    type: String,
+    enum: ['asset', 'liability', 'equity', 'revenue', 'expense'],
+    required: [true, 'Tipo da conta é obrigatório']
+  },
+  // Conta de carteira de um usuário (null para contas do sistema)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  // Totais e saldo em centavos
+  debits: {
+    type: Number,
+    default: 0,
+    validate: money.integerCents
+  },
+  credits: {
+    type: Number,
+    default: 0,
+    validate: money.integerCents
+  },
+  // Saldo no lado natural da conta (cache dos lançamentos)
+  balance: {
+    type: Number,
+    default: 0,
+    validate: money.integerCents
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, ['debits', 'credits', 'balance']);
+    }
+  }
+});
+
+// Índices para performance
+ledgerAccountSchema.index({ user: 1 });
+ledgerAccountSchema.index({ type: 1 });
+
+// Ativos e despesas têm saldo natural devedor; as demais contas, credor
+ledgerAccountSchema.statics.isDebitNormal = function(type) {
+  return type === 'asset' || type === 'expense';
+};
+
+// Método estático para encontrar por código
+ledgerAccountSchema.statics.findByCode = function(code) {
+  return this.findOne({ code });
+};
+
+module.exports = mongoose.model('LedgerAccount', ledgerAccountSchema);
@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+const LimitPolicy = require('./LimitPolicy');
+const money = require('../utils/money');
+
+// Exceção de limites concedida por um admin a um usuário, válida até expiresAt.
+// Campos de `limits` preenchidos substituem os da política do nível; null mantém o da política.
+const limitOverrideSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  type: {
+    type: String,
+    enum: ['deposit', 'withdrawal'],
+    required: [true, 'Tipo de operação é obrigatório']
+  },
+  limits: {
+    type: LimitPolicy.limitsSchema,
+    default: () => ({})
+  },
+  reason: {
+    type: String,
+    required: [true, 'Motivo é obrigatório'],
+    trim: true,
+    maxlength: [500, 'Motivo não pode ter mais de 500 caracteres']
+  },
+  expiresAt: {
+    type: Date,
+    required: [true, 'Data de expiração é obrigatória']
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, LimitPolicy.LIMIT_MONEY_FIELDS.map(field => `limits.${field}`));
+    }
+  }
+});
+
+// Índices para performance
+limitOverrideSchema.index({ user: 1, type: 1, expiresAt: -1 });
+
+module.exports = mongoose.model('LimitOverride', limitOverrideSchema);
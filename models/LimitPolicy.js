@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const { USER_TIERS } = require('../config/tiers');
+
+// Limites de um tipo de operação (centavos; null = sem limite)
+const limitsSchema = new mongoose.Schema({
+  perTransaction: {
+    type: Number,
+    default: null,
+    min: [0, 'Limite não pode ser negativo'],
+    validate: money.nullableCents
+  },
+  daily: {
+    type: Number,
+    default: null,
+    min: [0, 'Limite não pode ser negativo'],
+    validate: money.nullableCents
+  },
+  monthly: {
+    type: Number,
+    default: null,
+    min: [0, 'Limite não pode ser negativo'],
+    validate: money.nullableCents
+  },
+  // Total no período noturno (20h às 6h)
+  nightly: {
+    type: Number,
+    default: null,
+    min: [0, 'Limite não pode ser negativo'],
+    validate: money.nullableCents
+  },
+  // Quantidade de operações por dia
+  dailyCount: {
+    type: Number,
+    default: null,
+    min: [0, 'Limite não pode ser negativo']
+  }
+}, { _id: false });
+
+// Campos monetários dos limites (dailyCount é quantidade)
+const LIMIT_MONEY_FIELDS = ['perTransaction', 'daily', 'monthly', 'nightly'];
+
+// Política de limites de um nível de conta
+const limitPolicySchema = new mongoose.Schema({
+  tier: {
+    type: String,
+    enum: USER_TIERS,
+    required: [true, 'Nível da conta é obrigatório'],
+    unique: true
+  },
+  deposit: {
+    type: limitsSchema,
+    default: () => ({})
+  },
+  withdrawal: {
+    type: limitsSchema,
+    default: () => ({})
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, [
+        ...LIMIT_MONEY_FIELDS.map(field => `deposit.${field}`),
+        ...LIMIT_MONEY_FIELDS.map(field => `withdrawal.${field}`)
+      ]);
+    }
+  }
+});
+
+limitPolicySchema.statics.limitsSchema = limitsSchema;
+limitPolicySchema.statics.LIMIT_MONEY_FIELDS = LIMIT_MONEY_FIELDS;
+
+module.exports = mongoose.model('LimitPolicy', limitPolicySchema);
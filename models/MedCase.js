@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const { statusMachinePlugin } = require('../utils/statusMachine');
+
+// Campos monetários (centavos inteiros)
+const MONEY_FIELDS = ['claimedAmount', 'blockedAmount'];
+
+// Notificação de infração do MED (Mecanismo Especial de Devolução) sobre um depósito PIX
+// recebido. Ao abrir o caso, o valor disponível (até o reclamado) fica bloqueado numa
+// devolução pendente; aceitar o caso envia a devolução, contestar libera o bloqueio
+// (ver services/medCases).
+const medCaseSchema = new mongoose.Schema({
+  deposit: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    required: [true, 'Depósito é obrigatório']
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  // endToEndId do pagamento contestado
+  endToEndId: {
+    type: String,
+    required: [true, 'endToEndId é obrigatório']
+  },
+  // Id da notificação no DICT/PSP (quando informado)
+  claimId: {
+    type: String,
+    default: null,
+    trim: true
+  },
+  reason: {
+    type: String,
+    enum: ['fraud', 'operational_failure'],
+    required: [true, 'Motivo é obrigatório']
+  },
+  details: {
+    type: String,
+    default: null,
+    trim: true,
+    maxlength: [1000, 'Detalhes não podem ter mais de 1000 caracteres']
+  },
+  claimedAmount: {
+    type: Number,
+    required: [true, 'Valor reclamado é obrigatório'],
+    min: [1, 'Valor deve ser maior que R$ 0,01'],
+    validate: money.integerCents
+  },
+  // Valor bloqueado no saldo do usuário (limitado ao disponível na abertura)
+  blockedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Valor bloqueado não pode ser negativo'],
+    validate: money.integerCents
+  },
+  // Devolução que bloqueia o valor (enviada se o caso for aceito)
+  refund: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['open', 'accepted', 'contested'],
+    default: 'open'
+  },
+  reportedAt: {
+    type: Date,
+    default: Date.now
+  },
+  // Prazo para aceitar ou contestar a notificação
+  deadline: {
+    type: Date,
+    required: [true, 'Prazo é obrigatório']
+  },
+  openedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  decision: {
+    decidedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    decidedAt: {
+      type: Date,
+      default: null
+    },
+    notes: {
+      type: String,
+      default: null,
+      maxlength: [1000, 'Justificativa não pode ter mais de 1000 caracteres']
+    }
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.overdue = doc.isOverdue;
+      return money.serialize(ret, MONEY_FIELDS);
+    }
+  }
+});
+
+// Índices
+medCaseSchema.index({ status: 1, deadline: 1 });
+medCaseSchema.index({ deposit: 1 });
+medCaseSchema.index({ user: 1, createdAt: -1 });
+medCaseSchema.index({ claimId: 1 }, { unique: true, partialFilterExpression: { claimId: { $type: 'string' } } });
+
+// Caso aberto e sem decisão após o prazo
+medCaseSchema.virtual('isOverdue').get(function() {
+  return this.status === 'open' && this.deadline < new Date();
+});
+
+// Transições de status permitidas (aceito e contestado são finais)
+const STATUS_TRANSITIONS = {
+  open: ['accepted', 'contested'],
+  accepted: [],
+  contested: []
+};
+
+medCaseSchema.plugin(statusMachinePlugin, { transitions: STATUS_TRANSITIONS });
+
+module.exports = mongoose.model('MedCase', medCaseSchema);
@@ -0,0 +1,97 @@
+const mongoose = require('mongoose');
+const { STORED_KEY_TYPES } = require('../utils/pixKey');
+
+// Destinatário PIX salvo pelo usuário (agenda de saques). A verificação consulta o
+// titular da chave (ver services/pixRecipients) e confere se é o próprio usuário (CPF).
+const VERIFICATION_STATUSES = ['unverified', 'verified', 'mismatch', 'not_found'];
+
+const pixRecipientSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  nickname: {
+    type: String,
+    required: [true, 'Apelido é obrigatório'],
+    trim: true,
+    maxlength: [50, 'Apelido deve ter no máximo 50 caracteres']
+  },
+  // Chave normalizada (utils/pixKey)
+  key: {
+    type: String,
+    required: [true, 'Chave PIX é obrigatória']
+  },
+  keyType: {
+    type: String,
+    enum: STORED_KEY_TYPES,
+    required: [true, 'Tipo de chave PIX é obrigatório']
+  },
+  // Titular informado pelo usuário
+  holderName: {
+    type: String,
+    required: [true, 'Nome do titular é obrigatório'],
+    trim: true,
+    maxlength: [100, 'Nome do titular deve ter no máximo 100 caracteres']
+  },
+  // CPF ou CNPJ do titular (só dígitos)
+  holderDocument: {
+    type: String,
+    default: null
+  },
+  verification: {
+    status: {
+      type: String,
+      enum: VERIFICATION_STATUSES,
+      default: 'unverified'
+    },
+    // Titular da chave é o dono da conta (CPF igual ao do usuário)
+    ownedByUser: {
+      type: Boolean,
+      default: false
+    },
+    // Titular retornado na consulta (documento mascarado)
+    holderName: {
+      type: String,
+      default: null
+    },
+    holderDocument: {
+      type: String,
+      default: null
+    },
+    // Provedor consultado ('local' quando resolvido pelos nossos cadastros)
+    source: {
+      type: String,
+      default: null
+    },
+    verifiedAt: {
+      type: Date,
+      default: null
+    }
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      ret.isOwnVerified = doc.isOwnVerified;
+      return ret;
+    }
+  }
+});
+
+// Índices
+pixRecipientSchema.index({ user: 1, key: 1 }, { unique: true });
+
+// Destinatário liberado para saques quando a política exige chave própria verificada
+pixRecipientSchema.virtual('isOwnVerified').get(function() {
+  return this.verification.status === 'verified' && this.verification.ownedByUser;
+});
+
+pixRecipientSchema.statics.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+
+module.exports = mongoose.model('PixRecipient', pixRecipientSchema);
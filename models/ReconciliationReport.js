@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+const discrepancySchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: [true, 'Usuário é obrigatório']
+  },
+  field: {
+    type: String,
+    enum: ['balance', 'totalInvested', 'totalEarnings', 'referralEarnings'],
+    required: [true, 'Campo é obrigatório']
+  },
+  // Valores em centavos
+  // Valor recalculado a partir das transações
+  expected: {
+    type: Number,
+    required: true
+  },
+  // Valor gravado no usuário
+  actual: {
+    type: Number,
+    required: true
+  },
+  difference: {
+    type: Number,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['open', 'repaired'],
+    default: 'open'
+  },
+  repair: {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null
+    },
+    repairedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    repairedAt: {
+      type: Date,
+      default: null
+    }
+  }
+});
+
+const reconciliationReportSchema = new mongoose.Schema({
+  trigger: {
+    type: String,
+    enum: ['scheduled', 'manual'],
+    default: 'scheduled'
+  },
+  triggeredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['running', 'completed', 'failed'],
+    default: 'running'
+  },
+  startedAt: {
+    type: Date,
+    default: Date.now
+  },
+  finishedAt: {
+    type: Date,
+    default: null
+  },
+  usersChecked: {
+    type: Number,
+    default: 0
+  },
+  discrepancyCount: {
+    type: Number,
+    default: 0
+  },
+  discrepancies: [discrepancySchema],
+  error: {
+    type: String,
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, [
+        'discrepancies.expected',
+        'discrepancies.actual',
+        'discrepancies.difference'
+      ]);
+    }
+  }
+});
+
+// Índices para performance
+reconciliationReportSchema.index({ createdAt: -1 });
+reconciliationReportSchema.index({ 'discrepancies.user': 1 });
+
+// Método para obter o resumo sem a lista de divergências
+reconciliationReportSchema.methods.toSummary = function() {
+  const { discrepancies, ...summary } = this.toJSON();
+  summary.openDiscrepancies = discrepancies.filter(d => d.status === 'open').length;
+  return summary;
+};
+
+module.exports = mongoose.model('ReconciliationReport', reconciliationReportSchema);
@@ -1,5 +1,14 @@
 const mongoose = require('mongoose');
 const { v4: uuidv4 } = require('uuid');
+const ledger = require('../services/ledger');
+const holds = require('../services/holds');
+const { runOnCurrent } = require('../config/database');
+const money = require('../utils/money');
+const { statusMachinePlugin } = require('../utils/statusMachine');
+const { STORED_KEY_TYPES } = require('../utils/pixKey');
+
+// Campos monetários (centavos inteiros)
+const MONEY_FIELDS = ['amount', 'fee', 'netAmount', 'refundedAmount', 'pix.amountMismatch.chargedAmount'];
 
 const transactionSchema = new mongoose.Schema({
   user: {
@@ -14,7 +23,7 @@ const transactionSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['deposit', 'withdrawal', 'investment', 'return', 'referral', 'bonus'],
+    enum: ['deposit', 'withdrawal', 'investment', 'return', 'referral', 'bonus', 'adjustment', 'reversal', 'refund'],
     required: [true, 'Tipo de transação é obrigatório']
   },
   method: {
@@ -25,20 +34,23 @@ const transactionSchema = new mongoose.Schema({
   amount: {
     type: Number,
     required: [true, 'Valor é obrigatório'],
-    min: [0.01, 'Valor deve ser maior que R$ 0,01']
+    min: [1, 'Valor deve ser maior que R$ 0,01'],
+    validate: money.integerCents
   },
   fee: {
     type: Number,
     default: 0,
-    min: [0, 'Taxa não pode ser negativa']
+    min: [0, 'Taxa não pode ser negativa'],
+    validate: money.integerCents
   },
   netAmount: {
     type: Number,
-    required: true
+    required: true,
+    validate: money.integerCents
   },
   status: {
     type: String,
-    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled'],
+    enum: ['pending', 'processing', 'completed', 'failed', 'cancelled', 'expired'],
     default: 'pending'
   },
   description: {
@@ -55,7 +67,7 @@ const transactionSchema = new mongoose.Schema({
     },
     keyType: {
       type: String,
-      enum: ['cpf', 'email', 'phone', 'random'],
+      enum: STORED_KEY_TYPES,
       default: null
     },
     qrCode: {
@@ -77,6 +89,36 @@ const transactionSchema = new mongoose.Schema({
     expiresAt: {
       type: Date,
       default: null
+    },
+    // Cobrança dinâmica: location consultada pelo PSP do pagador
+    locationId: {
+      type: String,
+      default: null
+    },
+    locationUrl: {
+      type: String,
+      default: null
+    },
+    // Revisão da cobrança (incrementada a cada alteração de valor ou validade)
+    revision: {
+      type: Number,
+      default: 0
+    },
+    // Saque ou devolução: envio ao PSP iniciado (uma nova tentativa consulta o PSP em vez de reenviar)
+    transferRequestedAt: {
+      type: Date,
+      default: null
+    },
+    // Depósito pago com valor diferente da cobrança: creditado o valor pago, para conferência do admin
+    amountMismatch: {
+      chargedAmount: {
+        type: Number,
+        default: null
+      },
+      flaggedAt: {
+        type: Date,
+        default: null
+      }
     }
   },
   // Dados bancários para transferência
@@ -113,6 +155,187 @@ const transactionSchema = new mongoose.Schema({
     ref: 'Investment',
     default: null
   },
+  // Dados de ajuste de conciliação (tipo 'adjustment')
+  adjustment: {
+    field: {
+      type: String,
+      enum: ['balance', 'totalInvested', 'totalEarnings', 'referralEarnings'],
+      default: null
+    },
+    direction: {
+      type: String,
+      enum: ['credit', 'debit'],
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null,
+      maxlength: [500, 'Motivo não pode ter mais de 500 caracteres']
+    },
+    adjustedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    }
+  },
+  // Dados de estorno (tipo 'reversal'): transação original desfeita por esta
+  reversal: {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    originalType: {
+      type: String,
+      enum: ['deposit', 'return', 'referral', 'bonus'],
+      default: null
+    },
+    reason: {
+      type: String,
+      default: null,
+      maxlength: [500, 'Motivo não pode ter mais de 500 caracteres']
+    },
+    reversedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Estorno aplicado mesmo deixando o saldo negativo
+    forced: {
+      type: Boolean,
+      default: false
+    }
+  },
+  // Dados de devolução PIX (tipo 'refund'): depósito devolvido ao pagador
+  refund: {
+    transaction: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'Transaction',
+      default: null
+    },
+    // endToEndId do pagamento original (o da devolução fica em pix.endToEndId)
+    endToEndId: {
+      type: String,
+      default: null
+    },
+    reason: {
+      type: String,
+      enum: ['wrong_amount', 'duplicate_payment', 'account_blocked', 'payer_request', 'fraud', 'operational_failure', null],
+      default: null
+    },
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    // Quando a devolução foi autorizada (devoluções de MED ficam bloqueadas até a decisão)
+    requestedAt: {
+      type: Date,
+      default: null
+    },
+    medCase: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'MedCase',
+      default: null
+    }
+  },
+  // Análise manual de saques que caíram em regras de risco (ver services/withdrawalReviews)
+  review: {
+    status: {
+      type: String,
+      enum: ['pending', 'info_requested', 'approved', 'rejected', null],
+      default: null
+    },
+    // Regras que enviaram o saque para análise
+    rules: [{
+      _id: false,
+      rule: String,
+      description: String
+    }],
+    flaggedAt: {
+      type: Date,
+      default: null
+    },
+    // Informações pedidas ao usuário e a resposta dele
+    infoRequest: {
+      message: {
+        type: String,
+        default: null,
+        maxlength: [500, 'Mensagem não pode ter mais de 500 caracteres']
+      },
+      requestedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    userResponse: {
+      message: {
+        type: String,
+        default: null,
+        maxlength: [1000, 'Resposta não pode ter mais de 1000 caracteres']
+      },
+      respondedAt: {
+        type: Date,
+        default: null
+      }
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    reviewedAt: {
+      type: Date,
+      default: null
+    },
+    // Observações internas do analista
+    notes: {
+      type: String,
+      default: null,
+      maxlength: [1000, 'Observações não podem ter mais de 1000 caracteres']
+    },
+    // Motivo da recusa exibido ao usuário
+    userMessage: {
+      type: String,
+      default: null,
+      maxlength: [500, 'Mensagem não pode ter mais de 500 caracteres']
+    }
+  },
+  // Valor já reservado para devoluções PIX (no depósito original; não inclui devoluções falhas)
+  refundedAmount: {
+    type: Number,
+    default: 0,
+    min: [0, 'Valor devolvido não pode ser negativo'],
+    validate: money.integerCents
+  },
+  // Estorno que desfez esta transação (na transação original)
+  reversedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Transação que gerou esta comissão (estornos são propagados às comissões)
+  sourceTransaction: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Transaction',
+    default: null
+  },
+  // Regra da tabela de tarifas aplicada no cálculo de fee
+  feeRule: {
+    schedule: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'FeeSchedule',
+      default: null
+    },
+    rule: {
+      type: mongoose.Schema.Types.ObjectId,
+      default: null
+    },
+    name: {
+      type: String,
+      default: null
+    }
+  },
   // Referência a usuário indicado (para comissões)
   referredUser: {
     type: mongoose.Schema.Types.ObjectId,
@@ -155,10 +378,20 @@ const transactionSchema = new mongoose.Schema({
 }, {
   timestamps: true,
   toJSON: {
-    transform: function(doc, ret) {
+    // reviewDetails: incluir regras e observações da análise (somente admin)
+    transform: function(doc, ret, options) {
       delete ret.__v;
       delete ret.externalData;
-      return ret;
+      if (ret.review && !options.reviewDetails) {
+        delete ret.review.rules;
+        delete ret.review.notes;
+        delete ret.review.reviewedBy;
+      }
+      const statusMessage = doc.reviewStatusMessage;
+      if (statusMessage) {
+        ret.statusMessage = statusMessage;
+      }
+      return money.serialize(ret, MONEY_FIELDS);
     }
   }
 });
@@ -169,10 +402,37 @@ transactionSchema.index({ transactionId: 1 });
 transactionSchema.index({ status: 1, type: 1 });
 transactionSchema.index({ 'pix.txId': 1 });
 transactionSchema.index({ externalId: 1 });
+transactionSchema.index({ sourceTransaction: 1 });
+transactionSchema.index({ 'refund.transaction': 1 });
+transactionSchema.index({ 'pix.endToEndId': 1 }, { unique: true, partialFilterExpression: { 'pix.endToEndId': { $type: 'string' } } });
+transactionSchema.index({ 'pix.locationId': 1 }, { unique: true, partialFilterExpression: { 'pix.locationId': { $type: 'string' } } });
 transactionSchema.index({ createdAt: -1 });
+transactionSchema.index({ 'review.status': 1, 'review.flaggedAt': 1 });
 
-// Middleware para calcular valor líquido
-transactionSchema.pre('save', function(next) {
+// Mensagens exibidas ao usuário enquanto o saque está em análise (ou após a recusa)
+const REVIEW_MESSAGES = {
+  pending: 'Saque em análise de segurança. Você será avisado assim que for liberado.',
+  info_requested: 'Saque em análise de segurança: precisamos de informações adicionais.',
+  rejected: 'Saque não aprovado na análise de segurança. O valor voltou para o seu saldo disponível.'
+};
+
+transactionSchema.virtual('reviewStatusMessage').get(function() {
+  const review = this.review || {};
+  const message = REVIEW_MESSAGES[review.status];
+  if (!message) {
+    return null;
+  }
+  if (review.status === 'info_requested' && review.infoRequest && review.infoRequest.message) {
+    return `${message} ${review.infoRequest.message}`;
+  }
+  if (review.status === 'rejected' && review.userMessage) {
+    return `${message} Motivo: ${review.userMessage}`;
+  }
+  return message;
+});
+
+// Middleware para calcular valor líquido (antes da validação, pois netAmount é obrigatório)
+transactionSchema.pre('validate', function(next) {
   if (this.isModified('amount') || this.isModified('fee')) {
     this.netAmount = this.amount - this.fee;
   }
@@ -188,68 +448,139 @@ transactionSchema.pre('save', function(next) {
   next();
 });
 
+// Transições de status permitidas (status sem destinos são finais)
+const STATUS_TRANSITIONS = {
+  pending: ['processing', 'completed', 'failed', 'cancelled', 'expired'],
+  processing: ['completed', 'failed'],
+  completed: [],
+  failed: [],
+  cancelled: [],
+  expired: []
+};
+
+transactionSchema.plugin(statusMachinePlugin, { transitions: STATUS_TRANSITIONS });
+
+// Quem provocou a mudança de status (actor, actorType) repassado ao histórico
+const actorOf = (options, reason = null) => ({
+  actor: options.actor || null,
+  actorType: options.actorType,
+  reason: reason || options.reason || null
+});
+
+// Erros de status (transição inválida ou alterada por outra requisição) não indicam falha da transação
+const STATUS_ERRORS = ['INVALID_STATUS_TRANSITION', 'STATUS_CONFLICT'];
+
 // Método para processar transação
-transactionSchema.methods.process = async function() {
-  this.status = 'processing';
-  this.processedAt = new Date();
+// Sem sessão informada, abre a própria transação MongoDB sobre o documento recarregado
+// (já concluída por outra requisição: nada a fazer) e registra a falha após o rollback.
+// Com sessão, a falha é propagada para quem controla a transação.
+transactionSchema.methods.process = async function(options = {}) {
+  if (options.session === undefined) {
+    try {
+      await runOnCurrent(this, (current, session) => {
+        return current.status === 'completed' ? null : current.process({ ...options, session });
+      });
+      return this;
+    } catch (error) {
+      if (!STATUS_ERRORS.includes(error.code)) {
+        await this.fail(error.message, { actor: options.actor, actorType: options.actorType });
+      }
+      throw error;
+    }
+  }
+  
+  const { session } = options;
+  
+  if (this.status !== 'processing') {
+    this.transitionTo('processing', actorOf(options));
+    this.processedAt = new Date();
+    // Reivindicar a transação antes dos lançamentos: se outra requisição já a processou,
+    // o save falha com STATUS_CONFLICT e nada é creditado em dobro
+    await this.save({ session });
+  }
   
   const User = mongoose.model('User');
-  const user = await User.findById(this.user);
+  const user = await User.findById(this.user).session(session);
   
   if (!user) {
     throw new Error('Usuário não encontrado');
   }
   
-  try {
-    switch (this.type) {
-      case 'deposit':
-        await user.addBalance(this.netAmount);
-        break;
-        
-      case 'withdrawal':
-        await user.subtractBalance(this.amount);
-        break;
-        
-      case 'investment':
-        await user.subtractBalance(this.amount);
-        await user.addInvestment(this.amount);
-        break;
-        
-      case 'return':
-      case 'referral':
-      case 'bonus':
-        await user.addBalance(this.netAmount);
-        break;
-    }
-    
-    await this.complete();
-  } catch (error) {
-    await this.fail(error.message);
-    throw error;
+  // Consumir o bloqueio de saldo (se houver) e lançar o débito na mesma sessão
+  await holds.captureHold(this._id, { session });
+  
+  // Efeito financeiro lançado no livro-razão (atualiza o saldo do usuário)
+  await ledger.recordTransaction(this, { session });
+  
+  if (this.type === 'investment') {
+    await user.addInvestment(this.amount, { session });
   }
   
-  return this.save();
+  return this.complete({ ...options, session });
 };
 
 // Método para completar transação
-transactionSchema.methods.complete = function() {
-  this.status = 'completed';
+transactionSchema.methods.complete = function(options = {}) {
+  this.transitionTo('completed', actorOf(options));
   this.completedAt = new Date();
-  return this.save();
+  return this.save({ session: options.session || this.$session() });
 };
 
-// Método para falhar transação
-transactionSchema.methods.fail = function(reason) {
-  this.status = 'failed';
+// Método para falhar transação (libera o bloqueio de saldo, se houver)
+transactionSchema.methods.fail = async function(reason, options = {}) {
+  if (options.session === undefined) {
+    await runOnCurrent(this, (current, session) => current.fail(reason, { ...options, session }));
+    return this;
+  }
+  
+  const { session } = options;
+  
+  this.transitionTo('failed', actorOf(options, reason));
   this.failureReason = reason;
-  return this.save();
+  await holds.releaseHold(this._id, { reason, session });
+  return this.save({ session });
 };
 
-// Método para cancelar transação
-transactionSchema.methods.cancel = function(reason = null) {
-  this.status = 'cancelled';
+// Método para cancelar transação (libera o bloqueio de saldo, se houver)
+transactionSchema.methods.cancel = async function(reason = null, options = {}) {
+  if (options.session === undefined) {
+    await runOnCurrent(this, (current, session) => current.cancel(reason, { ...options, session }));
+    return this;
+  }
+  
+  const { session } = options;
+  
   this.notes = reason || 'Transação cancelada';
-  return this.save();
+  this.transitionTo('cancelled', actorOf(options, this.notes));
+  await holds.releaseHold(this._id, { reason: this.notes, session });
+  return this.save({ session });
+};
+
+// Método para expirar transação pendente (libera o bloqueio de saldo, se houver)
+transactionSchema.methods.expire = async function(reason = null, options = {}) {
+  if (options.session === undefined) {
+    await runOnCurrent(this, (current, session) => current.expire(reason, { ...options, session }));
+    return this;
+  }
+  
+  const { session } = options;
+  const expiredReason = reason || 'Tempo limite excedido';
+  
+  this.transitionTo('expired', actorOf(options, expiredReason));
+  this.failureReason = expiredReason;
+  await holds.releaseHold(this._id, { reason: expiredReason, session });
+  return this.save({ session });
+};
+
+// Registrar o início do envio de um saque ou devolução, antes de chamar o PSP
+transactionSchema.methods.markTransferRequested = async function() {
+  this.pix.transferRequestedAt = new Date();
+  await this.constructor.updateOne(
+    { _id: this._id },
+    { 'pix.transferRequestedAt': this.pix.transferRequestedAt }
+  );
+  this.unmarkModified('pix.transferRequestedAt');
+  return this;
 };
 
 // Método para verificar se PIX expirou
@@ -268,7 +599,10 @@ transactionSchema.methods.generateDescription = function() {
     investment: 'Investimento em',
     return: 'Retorno de investimento',
     referral: 'Comissão de indicação',
-    bonus: 'Bônus do sistema'
+    bonus: 'Bônus do sistema',
+    adjustment: 'Ajuste de conciliação',
+    reversal: 'Estorno',
+    refund: 'Devolução via'
   };
   
   const methodDescriptions = {
@@ -316,7 +650,7 @@ transactionSchema.statics.getTransactionStats = async function(userId = null, pe
   };
   
   if (userId) {
-    matchStage.user = mongoose.Types.ObjectId(userId);
+    matchStage.user = new mongoose.Types.ObjectId(userId);
   }
   
   const stats = await this.aggregate([
@@ -352,7 +686,14 @@ transactionSchema.statics.getTransactionStats = async function(userId = null, pe
     }
   ]);
   
-  return stats;
+  // Valores em reais para a API
+  return stats.map(stat => money.serialize(stat, [
+    'totalAmount',
+    'totalFees',
+    'methods.totalAmount',
+    'methods.totalFees',
+    'methods.avgAmount'
+  ]));
 };
 
 // Método estático para encontrar por ID externo
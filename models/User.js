@@ -1,5 +1,19 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const ledger = require('../services/ledger');
+const money = require('../utils/money');
+const { USER_TIERS } = require('../config/tiers');
+const { STORED_KEY_TYPES, isValidCPF } = require('../utils/pixKey');
+
+// Campos monetários (centavos inteiros)
+const MONEY_FIELDS = [
+  'balance',
+  'blockedBalance',
+  'availableBalance',
+  'referralEarnings',
+  'totalInvested',
+  'totalEarnings'
+];
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -23,10 +37,49 @@ const userSchema = new mongoose.Schema({
     minlength: [6, 'Senha deve ter pelo menos 6 caracteres'],
     select: false // Não retornar senha nas consultas por padrão
   },
+  // Cache do saldo da carteira no livro-razão (alterado apenas via services/ledger).
+  // Só fica negativo por estorno forçado (ver services/reversals)
   balance: {
     type: Number,
     default: 0,
-    min: [0, 'Saldo não pode ser negativo']
+    validate: money.integerCents
+  },
+  // Parte do saldo reservada para saques e investimentos em andamento (ver services/holds)
+  blockedBalance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Saldo bloqueado não pode ser negativo'],
+    validate: money.integerCents
+  },
+  // CPF (só dígitos) e celular (E.164): dados do pagador exigidos pelo PSP nas cobranças
+  cpf: {
+    type: String,
+    default: null,
+    validate: {
+      validator: value => value === null || isValidCPF(value),
+      message: 'CPF inválido'
+    }
+  },
+  phone: {
+    type: String,
+    default: null,
+    match: [/^\+55[1-9]{2}9\d{8}$/, 'Telefone inválido']
+  },
+  // Cadastro do usuário como cliente no ASAAS (ver services/asaasCustomers)
+  asaas: {
+    customerId: {
+      type: String,
+      default: null
+    },
+    syncedAt: {
+      type: Date,
+      default: null
+    },
+    // Erro da última sincronização (null se sincronizado)
+    lastError: {
+      type: String,
+      default: null
+    }
   },
   pixKey: {
     type: String,
@@ -35,7 +88,7 @@ const userSchema = new mongoose.Schema({
   },
   pixKeyType: {
     type: String,
-    enum: ['cpf', 'email', 'phone', 'random'],
+    enum: STORED_KEY_TYPES,
     default: null
   },
   isActive: {
@@ -47,11 +100,23 @@ const userSchema = new mongoose.Schema({
     enum: ['user', 'admin'],
     default: 'user'
   },
+  // Nível da conta (define tarifas aplicáveis)
+  tier: {
+    type: String,
+    enum: USER_TIERS,
+    default: 'basic'
+  },
   referralCode: {
     type: String,
     unique: true,
     sparse: true
   },
+  // txid do QR Code estático pessoal de depósito
+  pixStaticTxId: {
+    type: String,
+    unique: true,
+    sparse: true
+  },
   referredBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -59,15 +124,18 @@ const userSchema = new mongoose.Schema({
   },
   referralEarnings: {
     type: Number,
-    default: 0
+    default: 0,
+    validate: money.integerCents
   },
   totalInvested: {
     type: Number,
-    default: 0
+    default: 0,
+    validate: money.integerCents
   },
   totalEarnings: {
     type: Number,
-    default: 0
+    default: 0,
+    validate: money.integerCents
   },
   investmentCount: {
     type: Number,
@@ -92,6 +160,16 @@ const userSchema = new mongoose.Schema({
   passwordResetExpires: {
     type: Date,
     default: null
+  },
+  // Última troca de senha (usada na análise de risco dos saques)
+  passwordChangedAt: {
+    type: Date,
+    default: null
+  },
+  // Última alteração do CPF (usada na análise de risco dos saques)
+  cpfChangedAt: {
+    type: Date,
+    default: null
   }
 }, {
   timestamps: true,
@@ -101,7 +179,11 @@ const userSchema = new mongoose.Schema({
       delete ret.emailVerificationToken;
       delete ret.passwordResetToken;
       delete ret.__v;
-      return ret;
+      if (ret.balance !== undefined) {
+        ret.blockedBalance = ret.blockedBalance || 0;
+        ret.availableBalance = doc.availableBalance;
+      }
+      return money.serialize(ret, MONEY_FIELDS);
     }
   }
 });
@@ -111,6 +193,20 @@ userSchema.index({ email: 1 });
 userSchema.index({ referralCode: 1 });
 userSchema.index({ referredBy: 1 });
 userSchema.index({ createdAt: -1 });
+userSchema.index({ cpf: 1 }, { unique: true, partialFilterExpression: { cpf: { $type: 'string' } } });
+
+// Saldo que pode ser sacado ou investido
+userSchema.virtual('availableBalance').get(function() {
+  return (this.balance || 0) - (this.blockedBalance || 0);
+});
+
+// Registrar a alteração do CPF de uma conta existente
+userSchema.pre('save', function(next) {
+  if (!this.isNew && this.isModified('cpf')) {
+    this.cpfChangedAt = new Date();
+  }
+  next();
+});
 
 // Middleware para hash da senha antes de salvar
 userSchema.pre('save', async function(next) {
@@ -120,6 +216,9 @@ userSchema.pre('save', async function(next) {
   try {
     // Hash da senha com salt de 12
     this.password = await bcrypt.hash(this.password, 12);
+    if (!this.isNew) {
+      this.passwordChangedAt = new Date();
+    }
     next();
   } catch (error) {
     next(error);
@@ -146,40 +245,88 @@ userSchema.methods.updateLastLogin = function() {
   return this.save({ validateBeforeSave: false });
 };
 
-// Método para adicionar saldo
-userSchema.methods.addBalance = function(amount) {
-  this.balance += amount;
-  return this.save();
+// Sincronizar saldo em memória com o valor gravado pelo livro-razão
+userSchema.methods.syncBalance = function(result) {
+  const balance = result.balances[this._id.toString()];
+  if (balance !== undefined) {
+    this.balance = balance;
+    this.unmarkModified('balance');
+  }
+  return this;
+};
+
+// Valores em centavos. Opções aceitas pelos métodos de saldo:
+// account (contrapartida), description, transaction, investment e session
+// (sessão da transação MongoDB em andamento)
+
+// Método para adicionar saldo (contrapartida padrão: ajustes)
+userSchema.methods.addBalance = async function(amount, options = {}) {
+  const result = await ledger.transfer({
+    from: options.account || ledger.SYSTEM_ACCOUNTS.ADJUSTMENTS,
+    to: ledger.userAccount(this._id),
+    amount,
+    description: options.description || 'Crédito em saldo',
+    transaction: options.transaction,
+    investment: options.investment,
+    session: options.session
+  });
+  return this.syncBalance(result);
 };
 
-// Método para subtrair saldo
-userSchema.methods.subtractBalance = function(amount) {
-  if (this.balance < amount) {
+// Método para subtrair saldo (contrapartida padrão: ajustes)
+userSchema.methods.subtractBalance = async function(amount, options = {}) {
+  if (this.availableBalance < amount) {
     throw new Error('Saldo insuficiente');
   }
-  this.balance -= amount;
-  return this.save();
+  const result = await ledger.transfer({
+    from: ledger.userAccount(this._id),
+    to: options.account || ledger.SYSTEM_ACCOUNTS.ADJUSTMENTS,
+    amount,
+    description: options.description || 'Débito em saldo',
+    transaction: options.transaction,
+    investment: options.investment,
+    session: options.session
+  });
+  return this.syncBalance(result);
 };
 
 // Método para adicionar investimento
-userSchema.methods.addInvestment = function(amount) {
+userSchema.methods.addInvestment = function(amount, options = {}) {
   this.totalInvested += amount;
   this.investmentCount += 1;
-  return this.save();
+  return this.save({ session: options.session || this.$session() });
 };
 
 // Método para adicionar ganhos
-userSchema.methods.addEarnings = function(amount) {
+userSchema.methods.addEarnings = async function(amount, options = {}) {
+  const result = await ledger.transfer({
+    from: ledger.SYSTEM_ACCOUNTS.RETURNS,
+    to: ledger.userAccount(this._id),
+    amount,
+    description: options.description || 'Rendimento de investimento',
+    transaction: options.transaction,
+    investment: options.investment,
+    session: options.session
+  });
+  this.syncBalance(result);
   this.totalEarnings += amount;
-  this.balance += amount;
-  return this.save();
+  return this.save({ session: options.session || this.$session() });
 };
 
 // Método para adicionar ganhos de indicação
-userSchema.methods.addReferralEarnings = function(amount) {
+userSchema.methods.addReferralEarnings = async function(amount, options = {}) {
+  const result = await ledger.transfer({
+    from: ledger.SYSTEM_ACCOUNTS.REFERRALS,
+    to: ledger.userAccount(this._id),
+    amount,
+    description: options.description || 'Comissão de indicação',
+    transaction: options.transaction,
+    investment: options.investment,
+    session: options.session
+  });
+  this.syncBalance(result);
   this.referralEarnings += amount;
-  this.balance += amount;
-  return this.save();
+  return this.save({ session: options.session || this.$session() });
 };
 
 // Método estático para encontrar por código de indicação
@@ -207,10 +354,12 @@ userSchema.statics.getUserStats = async function(userId) {
       activeInvestments,
       totalTransactions,
       referrals,
-      totalInvested: user.totalInvested,
-      totalEarnings: user.totalEarnings,
-      referralEarnings: user.referralEarnings,
-      balance: user.balance
+      totalInvested: money.fromCents(user.totalInvested),
+      totalEarnings: money.fromCents(user.totalEarnings),
+      referralEarnings: money.fromCents(user.referralEarnings),
+      balance: money.fromCents(user.balance),
+      availableBalance: money.fromCents(user.availableBalance),
+      blockedBalance: money.fromCents(user.blockedBalance)
     }
   };
 };
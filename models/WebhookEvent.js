@@ -0,0 +1,124 @@
+const mongoose = require('mongoose');
+
+// Notificação recebida de um provedor PIX, gravada antes do processamento
+// (ver services/webhookInbox). O par provedor + id do evento é único, para que
+// reenvios do provedor não sejam processados de novo.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provedor é obrigatório']
+  },
+  // Id do evento no provedor (null em notificações rejeitadas)
+  eventId: {
+    type: String,
+    default: null
+  },
+  eventType: {
+    type: String,
+    default: null
+  },
+  endpoint: {
+    type: String,
+    required: true
+  },
+  // Headers (sem credenciais) e corpo recebidos
+  headers: {
+    type: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  body: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Corpo exatamente como recebido (base da assinatura HMAC)
+  rawBody: {
+    type: String,
+    default: null
+  },
+  ip: {
+    type: String,
+    default: null
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'processed', 'failed', 'rejected'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  lockedAt: {
+    type: Date,
+    default: null
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  processedAt: {
+    type: Date,
+    default: null
+  },
+  // Resultado do processamento ({ processed, notFound })
+  result: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Reenvios do mesmo evento pelo provedor (ignorados)
+  duplicates: {
+    type: Number,
+    default: 0
+  },
+  lastDuplicateAt: {
+    type: Date,
+    default: null
+  },
+  replays: [{
+    replayedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      required: true
+    },
+    previousStatus: {
+      type: String,
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    }
+  }]
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return ret;
+    }
+  }
+});
+
+// Índices
+webhookEventSchema.index(
+  { provider: 1, eventId: 1 },
+  { unique: true, partialFilterExpression: { eventId: { $type: 'string' } } }
+);
+webhookEventSchema.index({ status: 1, nextAttemptAt: 1 });
+webhookEventSchema.index({ receivedAt: -1 });
+
+// Resumo para listagens (sem headers e corpo)
+webhookEventSchema.methods.toSummary = function() {
+  const { headers, body, rawBody, ...summary } = this.toJSON();
+  return summary;
+};
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -0,0 +1,28 @@
+const mongoose = require('mongoose');
+
+// Nonce de webhook assinado já utilizado (proteção contra reenvio da mesma requisição).
+// Mantido apenas durante a janela de tolerância do timestamp (índice TTL).
+const webhookNonceSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    required: [true, 'Provedor é obrigatório']
+  },
+  nonce: {
+    type: String,
+    required: [true, 'Nonce é obrigatório'],
+    maxlength: [128, 'Nonce não pode ter mais de 128 caracteres']
+  },
+  // Registros são removidos pelo MongoDB após esta data (índice TTL)
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Índices
+webhookNonceSchema.index({ provider: 1, nonce: 1 }, { unique: true });
+webhookNonceSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('WebhookNonce', webhookNonceSchema);
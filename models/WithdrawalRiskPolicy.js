@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+
+// Regras de risco que enviam saques para análise manual (documento único, 'default').
+// Enquanto o admin não salvar uma política, valem os padrões deste schema
+// (ver services/withdrawalReviews). verifiedRecipientsOnly não envia para análise:
+// recusa saques para chaves que não sejam do próprio usuário (ver services/pixRecipients).
+const withdrawalRiskPolicySchema = new mongoose.Schema({
+  key: {
+    type: String,
+    default: 'default',
+    unique: true
+  },
+  // Primeiro saque da conta
+  firstWithdrawal: {
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Chave PIX nunca usada em saques concluídos do usuário
+  newPixKey: {
+    enabled: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Valor acima do limite (centavos)
+  largeAmount: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    threshold: {
+      type: Number,
+      default: 500000,
+      min: [0, 'Valor não pode ser negativo'],
+      validate: money.integerCents
+    }
+  },
+  // Depósito concluído nas últimas horas (depósito seguido de saque)
+  recentDeposit: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    hours: {
+      type: Number,
+      default: 24,
+      min: [1, 'Janela mínima é de 1 hora'],
+      max: [720, 'Janela máxima é de 720 horas']
+    }
+  },
+  // Senha alterada nas últimas horas
+  recentPasswordChange: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    hours: {
+      type: Number,
+      default: 48,
+      min: [1, 'Janela mínima é de 1 hora'],
+      max: [720, 'Janela máxima é de 720 horas']
+    }
+  },
+  // CPF alterado nas últimas horas (o CPF define a titularidade das chaves verificadas)
+  recentCpfChange: {
+    enabled: {
+      type: Boolean,
+      default: true
+    },
+    hours: {
+      type: Number,
+      default: 72,
+      min: [1, 'Janela mínima é de 1 hora'],
+      max: [720, 'Janela máxima é de 720 horas']
+    }
+  },
+  // Saques apenas para destinatários salvos com a chave verificada em nome do usuário
+  verifiedRecipientsOnly: {
+    enabled: {
+      type: Boolean,
+      default: false
+    }
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true,
+  toJSON: {
+    transform: function(doc, ret) {
+      delete ret.__v;
+      return money.serialize(ret, ['largeAmount.threshold']);
+    }
+  }
+});
+
+module.exports = mongoose.model('WithdrawalRiskPolicy', withdrawalRiskPolicySchema);
@@ -1,146 +1,90 @@
 const express = require('express');
+const mongoose = require('mongoose');
 const router = express.Router();
-const axios = require('axios');
-const crypto = require('crypto');
-const QRCode = require('qrcode');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const limits = require('../services/limits');
+const pixPayments = require('../services/pixPayments');
+const withdrawalRisk = require('../services/withdrawalRisk');
+const pixRecipients = require('../services/pixRecipients');
+const webhookInbox = require('../services/webhookInbox');
+const { getProvider } = require('../services/pixProviders');
+const money = require('../utils/money');
+const pixKeys = require('../utils/pixKey');
 const { auth } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
-// Configurações ASAAS
-const ASAAS_API_KEY = process.env.ASAAS_API_KEY;
-const ASAAS_BASE_URL = process.env.ASAAS_BASE_URL || 'https://sandbox.asaas.com/api/v3';
-const COMPANY_PIX_KEY = process.env.COMPANY_PIX_KEY;
+// Rotas específicas do ASAAS sobre o adaptador do provedor (independente de PIX_PROVIDER)
+const asaas = getProvider('asaas');
 
-// Headers padrão para requisições ASAAS
-const getAsaasHeaders = () => ({
-  'Content-Type': 'application/json',
-  'access_token': ASAAS_API_KEY
-});
-
-// Função para gerar ID único
-const generateUniqueId = () => {
-  return crypto.randomBytes(16).toString('hex');
-};
-
-// Função para validar chave PIX
-const isValidPixKey = (key) => {
-  if (!key) return false;
-  
-  // CPF (11 dígitos)
-  if (/^\d{11}$/.test(key)) return true;
-  
-  // CNPJ (14 dígitos)
-  if (/^\d{14}$/.test(key)) return true;
-  
-  // Email
-  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key)) return true;
-  
-  // Telefone (+5511999999999)
-  if (/^\+55\d{10,11}$/.test(key)) return true;
-  
-  // Chave aleatória (UUID)
-  if (/^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i.test(key)) return true;
-  
-  return false;
+// Converter valor recebido (reais) para centavos; null se inválido
+const parseAmount = (value) => {
+  try {
+    return money.toCents(value);
+  } catch (error) {
+    return null;
+  }
 };
 
 // 1. CRIAR COBRANÇA PIX (Depósito)
-router.post('/deposit', auth, async (req, res) => {
+router.post('/deposit', auth, idempotency(), async (req, res) => {
   try {
-    const { amount, description } = req.body;
+    const { description } = req.body;
+    const amount = parseAmount(req.body.amount);
     const userId = req.user.id;
 
-    // Validações
+    // Validações (valores em centavos)
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Valor inválido' });
     }
 
-    if (amount < 1) {
+    if (amount < 100) {
       return res.status(400).json({ error: 'Valor mínimo é R$ 1,00' });
     }
 
-    if (amount > 50000) {
-      return res.status(400).json({ error: 'Valor máximo é R$ 50.000,00' });
-    }
-
     // Buscar usuário
     const user = await User.findById(userId);
     if (!user) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
 
-    // Criar cobrança no ASAAS
-    const pixData = {
-      customer: {
-        name: user.name,
-        email: user.email,
-        cpfCnpj: user.cpf || '12345678901', // CPF padrão para sandbox
-        phone: user.phone || '11999999999'
-      },
-      billingType: 'PIX',
-      value: amount,
-      dueDate: new Date(Date.now() + 24 * 60 * 60 * 1000).toISOString().split('T')[0], // 24h
-      description: description || `Depósito Furby Investimentos - ${user.name}`,
-      externalReference: generateUniqueId(),
-      pixAddressKey: COMPANY_PIX_KEY
-    };
-
-    const response = await axios.post(
-      `${ASAAS_BASE_URL}/payments`,
-      pixData,
-      { headers: getAsaasHeaders() }
-    );
-
-    const payment = response.data;
-
-    // Gerar QR Code PIX
-    let qrCodeData = null;
-    let pixCopyPaste = null;
-
-    if (payment.pixTransaction) {
-      pixCopyPaste = payment.pixTransaction.payload;
-      qrCodeData = await QRCode.toDataURL(pixCopyPaste);
-    }
-
-    // Salvar transação no banco
-    const transaction = new Transaction({
-      userId,
-      type: 'deposit',
-      method: 'pix',
+    // Limites, tarifa e cobrança PIX no ASAAS
+    const transaction = await pixPayments.createDeposit({
+      user,
       amount,
-      status: 'pending',
-      description: description || 'Depósito via PIX',
-      pixData: {
-        asaasPaymentId: payment.id,
-        pixKey: COMPANY_PIX_KEY,
-        qrCode: qrCodeData,
-        copyPaste: pixCopyPaste,
-        expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000)
-      },
-      metadata: {
-        provider: 'asaas',
-        externalReference: pixData.externalReference
-      }
+      description: description || undefined,
+      providerName: asaas.name
     });
 
-    await transaction.save();
-
     res.json({
       success: true,
       transaction: {
         id: transaction._id,
-        amount,
-        status: 'pending',
+        amount: money.fromCents(transaction.amount),
+        fee: money.fromCents(transaction.fee),
+        netAmount: money.fromCents(transaction.netAmount),
+        status: transaction.status,
         pixData: {
-          qrCode: qrCodeData,
-          copyPaste: pixCopyPaste,
-          expiresAt: transaction.pixData.expiresAt
+          qrCode: transaction.pix.qrCodeImage,
+          copyPaste: transaction.pix.qrCode,
+          expiresAt: transaction.pix.expiresAt
         }
       }
     });
 
   } catch (error) {
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(400).json({ error: error.message, code: error.code, ...limits.describeLimitError(error) });
+    }
+
+    if (error.message === 'Valor insuficiente para cobrir a tarifa') {
+      return res.status(400).json({ error: error.message });
+    }
+
+    if (error.code === 'CUSTOMER_DATA_REQUIRED') {
+      return res.status(400).json({ error: error.message, code: error.code });
+    }
+
     console.error('Erro ao criar depósito PIX ASAAS:', error.response?.data || error.message);
     res.status(500).json({ 
       error: 'Erro interno do servidor',
@@ -150,26 +94,40 @@ router.post('/deposit', auth, async (req, res) => {
 });
 
 // 2. SOLICITAR SAQUE PIX
-router.post('/withdraw', auth, async (req, res) => {
+router.post('/withdraw', auth, idempotency(), async (req, res) => {
   try {
-    const { amount, pixKey, password } = req.body;
+    const { recipientId, password } = req.body;
+    let { pixKey, pixKeyType } = req.body;
+    const amount = parseAmount(req.body.amount);
     const userId = req.user.id;
 
-    // Validações
+    // Validações (valores em centavos)
     if (!amount || amount <= 0) {
       return res.status(400).json({ error: 'Valor inválido' });
     }
 
-    if (!pixKey || !isValidPixKey(pixKey)) {
-      return res.status(400).json({ error: 'Chave PIX inválida' });
+    // Chave do destinatário salvo na agenda (ver /api/pix/recipients)
+    if (recipientId) {
+      if (!mongoose.isValidObjectId(recipientId)) {
+        return res.status(400).json({ error: 'Destinatário inválido' });
+      }
+      const recipient = await pixRecipients.findOwned(userId, recipientId);
+      pixKey = recipient.key;
+      pixKeyType = recipient.keyType;
+    }
+
+    // Validar e normalizar chave PIX (tipo detectado se não informado)
+    const parsedKey = pixKeys.parse(pixKey, pixKeyType);
+    if (!parsedKey.valid) {
+      return res.status(400).json({ error: `Chave PIX inválida: ${parsedKey.error}` });
     }
 
     if (!password) {
       return res.status(400).json({ error: 'Senha é obrigatória' });
     }
 
-    // Buscar usuário e verificar senha
-    const user = await User.findById(userId);
+    // Buscar usuário (com senha) e verificar senha
+    const user = await User.findById(userId).select('+password');
     if (!user) {
       return res.status(404).json({ error: 'Usuário não encontrado' });
     }
@@ -179,72 +137,62 @@ router.post('/withdraw', auth, async (req, res) => {
       return res.status(400).json({ error: 'Senha incorreta' });
     }
 
-    // Verificar saldo
-    if (user.balance < amount) {
+    // Verificar saldo disponível
+    if (user.availableBalance < amount) {
       return res.status(400).json({ error: 'Saldo insuficiente' });
     }
 
-    // Valor mínimo e máximo
-    if (amount < 10) {
+    // Valor mínimo
+    if (amount < 1000) {
       return res.status(400).json({ error: 'Valor mínimo para saque é R$ 10,00' });
     }
 
-    if (amount > 10000) {
-      return res.status(400).json({ error: 'Valor máximo para saque é R$ 10.000,00' });
-    }
-
-    // Criar transferência PIX no ASAAS
-    const transferData = {
-      value: amount,
-      pixAddressKey: pixKey,
-      description: `Saque Furby Investimentos - ${user.name}`,
-      scheduleDate: new Date().toISOString().split('T')[0]
-    };
-
-    const response = await axios.post(
-      `${ASAAS_BASE_URL}/transfers`,
-      transferData,
-      { headers: getAsaasHeaders() }
-    );
-
-    const transfer = response.data;
-
-    // Debitar do saldo do usuário
-    user.balance -= amount;
-    await user.save();
-
-    // Salvar transação
-    const transaction = new Transaction({
-      userId,
-      type: 'withdrawal',
-      method: 'pix',
+    // Registrar o saque, bloquear o valor e enfileirar a transferência no ASAAS
+    const transaction = await pixPayments.createWithdrawal({
+      user,
       amount,
-      status: 'processing',
-      description: 'Saque via PIX',
-      pixData: {
-        asaasTransferId: transfer.id,
-        pixKey,
-        transferStatus: transfer.status
-      },
-      metadata: {
-        provider: 'asaas'
-      }
+      key: parsedKey.key,
+      keyType: parsedKey.type,
+      providerName: asaas.name
     });
 
-    await transaction.save();
+    // Retido pelas regras de risco: enviado ao ASAAS só após a análise manual
+    const underReview = withdrawalRisk.isUnderReview(transaction);
 
-    res.json({
+    res.status(underReview ? 202 : 200).json({
       success: true,
       transaction: {
         id: transaction._id,
-        amount,
-        status: 'processing',
-        pixKey,
-        estimatedTime: '5-10 minutos'
+        amount: money.fromCents(transaction.amount),
+        fee: money.fromCents(transaction.fee),
+        netAmount: money.fromCents(transaction.netAmount),
+        status: transaction.status,
+        pixKey: parsedKey.key,
+        underReview,
+        statusMessage: transaction.reviewStatusMessage,
+        estimatedTime: underReview ? null : '5-10 minutos'
       }
     });
 
   } catch (error) {
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(400).json({ error: error.message, code: error.code, ...limits.describeLimitError(error) });
+    }
+
+    if (error.code === 'RECIPIENT_NOT_FOUND') {
+      return res.status(404).json({ error: error.message, code: error.code });
+    }
+
+    // Política de saques exige chave própria verificada
+    if (error.code === 'RECIPIENT_NOT_VERIFIED') {
+      return res.status(403).json({ error: error.message, code: error.code });
+    }
+
+    // Saldo reservado por outra solicitação concorrente, ou tarifa maior que o valor
+    if (error.message === 'Saldo insuficiente' || error.message === 'Valor insuficiente para cobrir a tarifa') {
+      return res.status(400).json({ error: error.message });
+    }
+
     console.error('Erro ao criar saque PIX ASAAS:', error.response?.data || error.message);
     res.status(500).json({ 
       error: 'Erro interno do servidor',
@@ -260,53 +208,15 @@ router.post('/webhook', async (req, res) => {
 
     console.log('Webhook ASAAS recebido:', { event, paymentId: payment?.id });
 
-    if (event === 'PAYMENT_RECEIVED' && payment) {
-      // Buscar transação pelo ID do pagamento ASAAS
-      const transaction = await Transaction.findOne({
-        'pixData.asaasPaymentId': payment.id,
-        status: 'pending'
-      });
-
-      if (transaction) {
-        // Atualizar status da transação
-        transaction.status = 'completed';
-        transaction.completedAt = new Date();
-        await transaction.save();
-
-        // Creditar valor na conta do usuário
-        const user = await User.findById(transaction.userId);
-        if (user) {
-          user.balance += transaction.amount;
-          await user.save();
-
-          // Processar comissão de indicação se houver
-          if (user.referredBy) {
-            const referrer = await User.findById(user.referredBy);
-            if (referrer) {
-              const commission = transaction.amount * 0.02; // 2% de comissão
-              referrer.balance += commission;
-              await referrer.save();
-
-              // Salvar transação de comissão
-              const commissionTransaction = new Transaction({
-                userId: referrer._id,
-                type: 'commission',
-                method: 'referral',
-                amount: commission,
-                status: 'completed',
-                description: `Comissão de indicação - ${user.name}`,
-                metadata: {
-                  referredUserId: user._id,
-                  originalTransactionId: transaction._id
-                }
-              });
-              await commissionTransaction.save();
-            }
-          }
-
-          console.log(`Pagamento processado: R$ ${transaction.amount} para usuário ${user.email}`);
-        }
-      }
+    // Gravar a notificação; o processamento é assíncrono (ver services/webhookInbox)
+    const { event: inboxEvent, duplicate, rejected } = await webhookInbox.receive(asaas.name, req);
+
+    if (rejected) {
+      return res.status(401).json({ error: 'Token de autenticação inválido' });
+    }
+
+    if (!duplicate) {
+      webhookInbox.processInBackground(inboxEvent);
     }
 
     res.status(200).json({ received: true });
@@ -324,7 +234,7 @@ router.get('/transactions', auth, async (req, res) => {
     const { page = 1, limit = 10, status } = req.query;
 
     const query = {
-      userId,
+      user: userId,
       method: 'pix'
     };
 
@@ -336,7 +246,7 @@ router.get('/transactions', auth, async (req, res) => {
       .sort({ createdAt: -1 })
       .limit(limit * 1)
       .skip((page - 1) * limit)
-      .select('-pixData.qrCode'); // Não retornar QR Code na listagem
+      .select('-pix.qrCodeImage'); // Não retornar QR Code na listagem
 
     const total = await Transaction.countDocuments(query);
 
@@ -364,7 +274,7 @@ router.get('/transaction/:id', auth, async (req, res) => {
 
     const transaction = await Transaction.findOne({
       _id: id,
-      userId,
+      user: userId,
       method: 'pix'
     });
 
@@ -385,19 +295,14 @@ router.get('/payment/:asaasId/status', auth, async (req, res) => {
   try {
     const { asaasId } = req.params;
 
-    const response = await axios.get(
-      `${ASAAS_BASE_URL}/payments/${asaasId}`,
-      { headers: getAsaasHeaders() }
-    );
-
-    const payment = response.data;
+    const charge = await asaas.getCharge(asaasId);
 
     res.json({
-      id: payment.id,
-      status: payment.status,
-      value: payment.value,
-      dateCreated: payment.dateCreated,
-      paymentDate: payment.paymentDate
+      id: charge.externalId,
+      status: charge.data.paymentStatus,
+      value: money.fromCents(charge.amount),
+      dateCreated: charge.data.dateCreated,
+      paymentDate: charge.data.paymentDate
     });
 
   } catch (error) {
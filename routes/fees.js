@@ -0,0 +1,305 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const FeeSchedule = require('../models/FeeSchedule');
+const fees = require('../services/fees');
+const money = require('../utils/money');
+const { USER_TIERS } = require('../config/tiers');
+const { auth, adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Aplicar autenticação a todas as rotas
+router.use(auth);
+
+// Campos monetários das regras (recebidos em reais, gravados em centavos)
+const RULE_MONEY_FIELDS = ['minAmount', 'maxAmount', 'fixed', 'minFee', 'maxFee'];
+
+const parseRules = (rules) => {
+  return rules.map(rule => {
+    const parsed = { ...rule };
+    RULE_MONEY_FIELDS.forEach(field => {
+      if (parsed[field] !== undefined && parsed[field] !== null) {
+        parsed[field] = money.toCents(parsed[field]);
+      }
+    });
+    return parsed;
+  });
+};
+
+// Validações comuns de criação e edição de tabelas
+const scheduleValidators = (optional) => {
+  const field = (name) => optional ? body(name).optional() : body(name);
+
+  return [
+    field('name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Nome deve ter entre 2 e 100 caracteres'),
+
+    body('description')
+      .optional({ nullable: true })
+      .isLength({ max: 500 })
+      .withMessage('Descrição não pode ter mais de 500 caracteres'),
+
+    body('isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive deve ser verdadeiro ou falso'),
+
+    field('rules')
+      .isArray()
+      .withMessage('Regras devem ser uma lista'),
+
+    body('rules.*.name')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Nome da regra deve ter entre 2 e 100 caracteres'),
+
+    body('rules.*.type')
+      .isIn(['deposit', 'withdrawal'])
+      .withMessage('Tipo de transação inválido'),
+
+    body('rules.*.method')
+      .optional({ nullable: true })
+      .isIn(['pix', 'bank_transfer', 'credit_card'])
+      .withMessage('Método inválido'),
+
+    body('rules.*.tiers')
+      .optional()
+      .isArray()
+      .withMessage('Níveis devem ser uma lista'),
+
+    body('rules.*.tiers.*')
+      .isIn(USER_TIERS)
+      .withMessage('Nível de conta inválido'),
+
+    body(RULE_MONEY_FIELDS.map(name => `rules.*.${name}`))
+      .optional({ nullable: true })
+      .isFloat({ min: 0 })
+      .withMessage('Valores devem ser números não negativos'),
+
+    body('rules.*.percent')
+      .optional()
+      .isFloat({ min: 0, max: 100 })
+      .withMessage('Percentual deve estar entre 0 e 100'),
+
+    body(['rules.*.validFrom', 'rules.*.validUntil'])
+      .optional({ nullable: true })
+      .isISO8601()
+      .withMessage('Data de vigência inválida'),
+
+    body('rules.*.priority')
+      .optional()
+      .isInt()
+      .withMessage('Prioridade deve ser um número inteiro'),
+
+    body('rules.*.isActive')
+      .optional()
+      .isBoolean()
+      .withMessage('isActive deve ser verdadeiro ou falso')
+  ];
+};
+
+// @route   POST /api/fees/quote
+// @desc    Cotar tarifa e valor líquido de uma operação
+// @access  Private
+router.post('/quote', [
+  body('type')
+    .isIn(['deposit', 'withdrawal'])
+    .withMessage('Tipo de transação inválido'),
+
+  body('method')
+    .optional()
+    .isIn(['pix', 'bank_transfer', 'credit_card'])
+    .withMessage('Método inválido'),
+
+  body('amount')
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor deve ser maior que zero')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { type, method = 'pix' } = req.body;
+    const amount = money.toCents(req.body.amount);
+
+    let quote;
+    try {
+      quote = await fees.quoteFee({ type, method, amount, user: req.user });
+    } catch (error) {
+      if (error.message === 'Valor insuficiente para cobrir a tarifa') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        type,
+        method,
+        amount: money.fromCents(quote.amount),
+        fee: money.fromCents(quote.fee),
+        netAmount: money.fromCents(quote.netAmount),
+        rule: quote.feeRule
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao cotar tarifa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/fees/admin/schedules
+// @desc    Listar tabelas de tarifas (Admin)
+// @access  Private/Admin
+router.get('/admin/schedules', adminAuth, async (req, res) => {
+  try {
+    const schedules = await FeeSchedule.find()
+      .populate('updatedBy', 'name email')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: {
+        schedules: schedules.map(schedule => schedule.toJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar tabelas de tarifas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/fees/admin/schedules
+// @desc    Criar tabela de tarifas (Admin)
+// @access  Private/Admin
+router.post('/admin/schedules', [
+  adminAuth,
+  ...scheduleValidators(false)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { name, description, isActive, rules } = req.body;
+
+    const schedule = await FeeSchedule.create({
+      name,
+      description,
+      isActive,
+      rules: parseRules(rules),
+      updatedBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Tabela de tarifas criada com sucesso',
+      data: {
+        schedule: schedule.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Erro ao criar tabela de tarifas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/fees/admin/schedules/:id
+// @desc    Editar tabela de tarifas (Admin)
+// @access  Private/Admin
+router.put('/admin/schedules/:id', [
+  adminAuth,
+  ...scheduleValidators(true)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const schedule = await FeeSchedule.findById(req.params.id);
+    if (!schedule) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tabela de tarifas não encontrada'
+      });
+    }
+
+    const { name, description, isActive, rules } = req.body;
+
+    if (name !== undefined) schedule.name = name;
+    if (description !== undefined) schedule.description = description;
+    if (isActive !== undefined) schedule.isActive = isActive;
+    // Regras com _id existente mantêm o id (transações antigas continuam apontando para elas)
+    if (rules !== undefined) schedule.rules = parseRules(rules);
+    schedule.updatedBy = req.userId;
+
+    await schedule.save();
+
+    res.json({
+      success: true,
+      message: 'Tabela de tarifas atualizada com sucesso',
+      data: {
+        schedule: schedule.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: Object.values(error.errors).map(err => err.message)
+      });
+    }
+
+    console.error('Erro ao atualizar tabela de tarifas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,7 +3,11 @@ const { body, validationResult } = require('express-validator');
 const Investment = require('../models/Investment');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
+const money = require('../utils/money');
+const holds = require('../services/holds');
+const { runInTransaction, runOnCurrent } = require('../config/database');
 const { auth, adminAuth, checkResourceOwnership, userRateLimit, logUserActivity } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
@@ -82,6 +86,7 @@ router.get('/traders', logUserActivity('view_traders'), async (req, res) => {
 // @desc    Criar novo investimento
 // @access  Private
 router.post('/', [
+  idempotency(),
   userRateLimit(10, 60 * 60 * 1000), // 10 investimentos por hora
   body('traderId')
     .notEmpty()
@@ -120,11 +125,12 @@ router.post('/', [
       });
     }
 
-    const { traderId, amount } = req.body;
+    const { traderId } = req.body;
+    const amount = money.toCents(req.body.amount);
     const user = req.user;
     
-    // Verificar se usuário tem saldo suficiente
-    if (user.balance < amount) {
+    // Verificar se usuário tem saldo disponível suficiente
+    if (user.availableBalance < amount) {
       return res.status(400).json({
         success: false,
         message: 'Saldo insuficiente'
@@ -134,44 +140,52 @@ router.post('/', [
     // Buscar dados do trader
     const trader = availableTraders.find(t => t.id === traderId);
     
-    // Criar investimento
-    const investment = new Investment({
-      user: req.userId,
-      trader: {
-        name: trader.name,
-        avatar: trader.avatar,
-        successRate: trader.successRate,
-        period: trader.period,
-        periodInDays: trader.periodInDays,
-        minInvestment: trader.minInvestment,
-        maxInvestment: trader.maxInvestment
-      },
-      amount,
-      status: 'pending'
-    });
-    
-    await investment.save();
-    
-    // Criar transação
-    const transaction = new Transaction({
-      user: req.userId,
-      type: 'investment',
-      method: 'system',
-      amount,
-      description: `Investimento com ${trader.name}`,
-      investment: investment._id,
-      status: 'pending'
+    // Criar investimento, debitar saldo e ativar em uma única transação MongoDB
+    const { investment, transaction } = await runInTransaction(async (session) => {
+      const investment = new Investment({
+        user: req.userId,
+        trader: {
+          name: trader.name,
+          avatar: trader.avatar,
+          successRate: trader.successRate,
+          period: trader.period,
+          periodInDays: trader.periodInDays,
+          minInvestment: money.toCents(trader.minInvestment),
+          maxInvestment: money.toCents(trader.maxInvestment)
+        },
+        amount,
+        status: 'pending'
+      });
+      
+      investment.$locals.statusActor = { actor: req.userId, actorType: 'user' };
+      await investment.save({ session });
+      
+      // Criar transação
+      const transaction = new Transaction({
+        user: req.userId,
+        type: 'investment',
+        method: 'system',
+        amount,
+        description: `Investimento com ${trader.name}`,
+        investment: investment._id,
+        status: 'pending'
+      });
+      
+      transaction.$locals.statusActor = { actor: req.userId, actorType: 'user' };
+      await transaction.save({ session });
+      
+      // Reservar o saldo (falha se outra solicitação já o bloqueou)
+      await holds.placeHold({ transaction, type: 'investment', session });
+      
+      // Processar transação (captura o bloqueio e debita o saldo)
+      await transaction.process({ session, actor: req.userId, actorType: 'user' });
+      
+      // Ativar investimento
+      await investment.activate({ session, actor: req.userId, actorType: 'user' });
+      
+      return { investment, transaction };
     });
     
-    await transaction.save();
-    
-    // Processar transação
-    await transaction.process();
-    
-    // Ativar investimento
-    investment.status = 'active';
-    await investment.save();
-    
     res.status(201).json({
       success: true,
       message: 'Investimento criado com sucesso',
@@ -182,10 +196,18 @@ router.post('/', [
     });
 
   } catch (error) {
+    // Saldo reservado por outra solicitação concorrente
+    if (error.message === 'Saldo insuficiente') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Erro ao criar investimento:', error);
     res.status(500).json({
       success: false,
-      message: error.message || 'Erro interno do servidor'
+      message: 'Erro interno do servidor'
     });
   }
 });
@@ -312,7 +334,10 @@ router.put('/:id/cancel', [
     }
     
     // Cancelar investimento
-    await investment.cancel(reason);
+    await investment.cancel(reason, {
+      actor: req.userId,
+      actorType: req.user.role === 'admin' ? 'admin' : 'user'
+    });
     
     res.json({
       success: true,
@@ -431,7 +456,7 @@ router.put('/admin/:id/complete', [
       });
     }
 
-    const { actualReturn } = req.body;
+    const actualReturn = money.toCents(req.body.actualReturn);
     
     const investment = await Investment.findById(req.params.id);
     if (!investment) {
@@ -448,25 +473,36 @@ router.put('/admin/:id/complete', [
       });
     }
     
-    // Definir retorno real
-    investment.actualReturn = actualReturn;
-    
-    // Completar investimento
-    await investment.complete();
-    
-    // Criar transação de retorno
-    const transaction = new Transaction({
-      user: investment.user,
-      type: 'return',
-      method: 'system',
-      amount: actualReturn,
-      description: `Retorno do investimento com ${investment.trader.name}`,
-      investment: investment._id,
-      status: 'completed'
+    // Investimento recarregado na sessão: a função pode ser repetida pelo driver
+    const transaction = await runOnCurrent(investment, async (current, session) => {
+      // Definir retorno real
+      current.actualReturn = actualReturn;
+      
+      // Criar transação de retorno (vinculada ao crédito e às comissões)
+      const transaction = new Transaction({
+        user: current.user,
+        type: 'return',
+        method: 'system',
+        amount: actualReturn,
+        description: `Retorno do investimento com ${current.trader.name}`,
+        investment: current._id,
+        status: 'completed',
+        completedAt: new Date()
+      });
+      
+      await transaction.save({ session });
+      
+      // Completar investimento
+      await current.complete({
+        session,
+        transaction: transaction._id,
+        actor: req.userId,
+        actorType: 'admin'
+      });
+      
+      return transaction;
     });
     
-    await transaction.save();
-    
     res.json({
       success: true,
       message: 'Investimento completado com sucesso',
@@ -508,7 +544,8 @@ router.post('/admin/:id/daily-return', [
       });
     }
 
-    const { amount, percentage } = req.body;
+    const { percentage } = req.body;
+    const amount = money.toCents(req.body.amount);
     
     const investment = await Investment.findById(req.params.id);
     if (!investment) {
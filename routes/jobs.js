@@ -0,0 +1,247 @@
+const express = require('express');
+const Job = require('../models/Job');
+const JobRun = require('../models/JobRun');
+const jobQueue = require('../services/jobQueue');
+const jobRuns = require('../services/jobRuns');
+const jobLeases = require('../services/jobLeases');
+const { AUTOMATION_JOBS, SCHEDULER_LEASE, enqueueAutomationJob } = require('../scripts/pixAutomation');
+const { adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/jobs/admin
+// @desc    Tarefas de automação com a última execução e a instância que agenda (Admin)
+// @access  Private/Admin
+router.get('/admin', adminAuth, async (req, res) => {
+  try {
+    const names = Object.keys(AUTOMATION_JOBS);
+    const [lastRuns, scheduler, active] = await Promise.all([
+      jobRuns.lastRuns(names),
+      jobLeases.holder(SCHEDULER_LEASE),
+      Job.find({ name: { $in: names }, status: { $in: ['queued', 'running'] } })
+    ]);
+
+    const jobs = names.map(name => {
+      const { schedule, label } = AUTOMATION_JOBS[name];
+      const job = active.find(activeJob => activeJob.name === name);
+      return {
+        name,
+        schedule,
+        label,
+        status: job ? job.status : 'idle',
+        lastRun: lastRuns[name] || null
+      };
+    });
+
+    res.json({
+      success: true,
+      data: {
+        jobs,
+        scheduler
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar tarefas de automação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/jobs/admin/runs
+// @desc    Histórico de execuções das tarefas de automação (Admin)
+// @access  Private/Admin
+router.get('/admin/runs', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, name, status, trigger } = req.query;
+
+    const query = {};
+    if (name) query.name = name;
+    if (status) query.status = status;
+    if (trigger) query.trigger = trigger;
+
+    const runs = await JobRun.find(query)
+      .select('-failures')
+      .populate('triggeredBy', 'name email')
+      .sort({ startedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await JobRun.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar execuções de tarefas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/jobs/admin/failures
+// @desc    Execuções com erros e jobs da fila que esgotaram as tentativas (Admin)
+// @access  Private/Admin
+router.get('/admin/failures', adminAuth, async (req, res) => {
+  try {
+    const { limit = 20, name } = req.query;
+
+    const runQuery = { status: { $in: ['failed', 'partial'] } };
+    const deadQuery = { status: 'dead' };
+    if (name) {
+      runQuery.name = name;
+      deadQuery.name = name;
+    }
+
+    const [runs, deadJobs] = await Promise.all([
+      JobRun.find(runQuery).sort({ startedAt: -1 }).limit(limit * 1),
+      Job.find(deadQuery).sort({ deadAt: -1 }).limit(limit * 1)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        runs,
+        deadJobs
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar falhas de tarefas:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/jobs/admin/runs/:id
+// @desc    Detalhes de uma execução, com os erros registrados (Admin)
+// @access  Private/Admin
+router.get('/admin/runs/:id', adminAuth, async (req, res) => {
+  try {
+    const run = await JobRun.findById(req.params.id)
+      .populate('triggeredBy', 'name email');
+
+    if (!run) {
+      return res.status(404).json({
+        success: false,
+        message: 'Execução não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        run
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter execução de tarefa:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/jobs/admin/dead/:id/requeue
+// @desc    Devolver à fila um job que esgotou as tentativas (Admin)
+// @access  Private/Admin
+router.post('/admin/dead/:id/requeue', adminAuth, async (req, res) => {
+  try {
+    const job = await jobQueue.requeue(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Job não encontrado na fila de mortos'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Job devolvido à fila',
+      data: {
+        job
+      }
+    });
+
+  } catch (error) {
+    // Outro job com a mesma chave já está ativo
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Já existe um job ativo para o mesmo item'
+      });
+    }
+
+    console.error('Erro ao devolver job à fila:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/jobs/admin/:name/run
+// @desc    Executar uma tarefa de automação agora (Admin)
+// @access  Private/Admin
+router.post('/admin/:name/run', adminAuth, async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    if (!AUTOMATION_JOBS[name]) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tarefa de automação não encontrada'
+      });
+    }
+
+    // Só um job ativo por tarefa (o agendado, se já estiver na fila, faz o trabalho)
+    const active = await Job.findOne({ activeKey: name });
+    if (active) {
+      return res.status(409).json({
+        success: false,
+        message: 'Tarefa já está na fila ou em execução',
+        data: {
+          job: active
+        }
+      });
+    }
+
+    const job = await enqueueAutomationJob(name, { trigger: 'manual', triggeredBy: req.userId });
+
+    res.status(202).json({
+      success: true,
+      message: 'Tarefa enfileirada para execução',
+      data: {
+        job
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao executar tarefa de automação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,113 +1,65 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
-const QRCode = require('qrcode');
-const crypto = require('crypto');
-const axios = require('axios');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
+const money = require('../utils/money');
+const brcode = require('../utils/brcode');
+const pixKeys = require('../utils/pixKey');
+const limits = require('../services/limits');
+const staticPix = require('../services/staticPix');
+const pixPayments = require('../services/pixPayments');
+const withdrawalRisk = require('../services/withdrawalRisk');
+const withdrawalReviews = require('../services/withdrawalReviews');
+const pixRecipients = require('../services/pixRecipients');
+const webhookInbox = require('../services/webhookInbox');
+const { DEFAULT_PROVIDER } = require('../services/pixProviders');
 const { auth, userRateLimit, logUserActivity } = require('../middleware/auth');
+const { idempotency } = require('../middleware/idempotency');
 
 const router = express.Router();
 
-// Aplicar autenticação a todas as rotas
-router.use(auth);
+// @route   POST /api/pix/webhook
+// @desc    Webhook para receber notificações do provedor PIX configurado (PIX_PROVIDER)
+// @access  Public (mas com validação de assinatura)
+router.post('/webhook', async (req, res) => {
+  try {
+    // Gravar a notificação; o processamento é assíncrono (ver services/webhookInbox)
+    const { event, duplicate, rejected } = await webhookInbox.receive(DEFAULT_PROVIDER, req);
 
-// Configurações PIX
-const PIX_CONFIG = {
-  merchantId: process.env.PIX_MERCHANT_ID,
-  merchantSecret: process.env.PIX_MERCHANT_SECRET,
-  environment: process.env.PIX_ENVIRONMENT || 'sandbox',
-  baseUrl: process.env.PIX_BASE_URL || 'https://api.sandbox.pix.com',
-  companyKey: process.env.PIX_COMPANY_KEY,
-  companyName: 'Furby Investimentos',
-  companyDocument: '12345678000199'
-};
-
-// Função para gerar chave PIX aleatória
-const generatePixKey = () => {
-  return crypto.randomUUID();
-};
-
-// Função para gerar txId único
-const generateTxId = () => {
-  return 'FURBY' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(4).toString('hex').toUpperCase();
-};
-
-// Função para gerar payload PIX
-const generatePixPayload = (amount, txId, description) => {
-  const merchantName = PIX_CONFIG.companyName.padEnd(25).substring(0, 25);
-  const merchantCity = 'SAO PAULO'.padEnd(15).substring(0, 15);
-  const pixKey = PIX_CONFIG.companyKey;
-  
-  // Formato simplificado do payload PIX (EMV)
-  const payload = [
-    '00020101', // Payload Format Indicator
-    '010212', // Point of Initiation Method
-    '26' + (pixKey.length + 22).toString().padStart(2, '0') + '0014br.gov.bcb.pix01' + pixKey.length.toString().padStart(2, '0') + pixKey,
-    '52040000', // Merchant Category Code
-    '5303986', // Transaction Currency (BRL)
-    '54' + amount.toFixed(2).length.toString().padStart(2, '0') + amount.toFixed(2),
-    '5802BR', // Country Code
-    '59' + merchantName.length.toString().padStart(2, '0') + merchantName,
-    '60' + merchantCity.length.toString().padStart(2, '0') + merchantCity,
-    '62' + (txId.length + 4).toString().padStart(2, '0') + '05' + txId.length.toString().padStart(2, '0') + txId
-  ].join('');
-  
-  // Calcular CRC16
-  const crc = calculateCRC16(payload + '6304');
-  
-  return payload + '6304' + crc;
-};
+    if (rejected) {
+      return res.status(401).json({
+        success: false,
+        message: 'Assinatura inválida'
+      });
+    }
 
-// Função para calcular CRC16
-const calculateCRC16 = (data) => {
-  let crc = 0xFFFF;
-  
-  for (let i = 0; i < data.length; i++) {
-    crc ^= data.charCodeAt(i) << 8;
-    
-    for (let j = 0; j < 8; j++) {
-      if (crc & 0x8000) {
-        crc = (crc << 1) ^ 0x1021;
-      } else {
-        crc <<= 1;
-      }
+    if (!duplicate) {
+      webhookInbox.processInBackground(event);
     }
-  }
-  
-  return (crc & 0xFFFF).toString(16).toUpperCase().padStart(4, '0');
-};
 
-// Função para gerar QR Code
-const generateQRCode = async (payload) => {
-  try {
-    const qrCodeDataURL = await QRCode.toDataURL(payload, {
-      errorCorrectionLevel: 'M',
-      type: 'image/png',
-      quality: 0.92,
-      margin: 1,
-      color: {
-        dark: '#000000',
-        light: '#FFFFFF'
-      },
-      width: 256
-    });
-    
-    return qrCodeDataURL;
+    res.json({ success: true, duplicate });
+
   } catch (error) {
-    console.error('Erro ao gerar QR Code:', error);
-    throw new Error('Erro ao gerar QR Code');
+    console.error('Erro no webhook PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
   }
-};
+});
+
+// Aplicar autenticação às demais rotas
+router.use(auth);
 
 // @route   POST /api/pix/deposit
 // @desc    Criar depósito via PIX
 // @access  Private
 router.post('/deposit', [
+  idempotency(),
   userRateLimit(5, 60 * 60 * 1000), // 5 depósitos por hora
   body('amount')
-    .isFloat({ min: 1, max: 50000 })
-    .withMessage('Valor deve estar entre R$ 1,00 e R$ 50.000,00')
+    .isFloat({ min: 1 })
+    .withMessage('Valor mínimo é R$ 1,00')
 ], logUserActivity('create_pix_deposit'), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -119,33 +71,10 @@ router.post('/deposit', [
       });
     }
 
-    const { amount } = req.body;
-    const user = req.user;
+    const amount = money.toCents(req.body.amount);
     
-    // Gerar dados do PIX
-    const txId = generateTxId();
-    const pixPayload = generatePixPayload(amount, txId, `Depósito ${user.name}`);
-    const qrCodeImage = await generateQRCode(pixPayload);
-    
-    // Criar transação
-    const transaction = new Transaction({
-      user: req.userId,
-      type: 'deposit',
-      method: 'pix',
-      amount,
-      description: 'Depósito via PIX',
-      pix: {
-        key: PIX_CONFIG.companyKey,
-        keyType: 'random',
-        qrCode: pixPayload,
-        qrCodeImage,
-        txId,
-        expiresAt: new Date(Date.now() + 30 * 60 * 1000) // 30 minutos
-      },
-      status: 'pending'
-    });
-    
-    await transaction.save();
+    // Limites, tarifa e cobrança no provedor PIX
+    const transaction = await pixPayments.createDeposit({ user: req.user, amount });
     
     res.status(201).json({
       success: true,
@@ -153,10 +82,12 @@ router.post('/deposit', [
       data: {
         transaction: transaction.toJSON(),
         pixData: {
-          qrCode: pixPayload,
-          qrCodeImage,
-          txId,
-          amount,
+          qrCode: transaction.pix.qrCode,
+          qrCodeImage: transaction.pix.qrCodeImage,
+          txId: transaction.pix.txId,
+          amount: money.fromCents(transaction.amount),
+          fee: money.fromCents(transaction.fee),
+          netAmount: money.fromCents(transaction.netAmount),
           expiresAt: transaction.pix.expiresAt,
           instructions: [
             'Abra o app do seu banco',
@@ -170,6 +101,32 @@ router.post('/deposit', [
     });
 
   } catch (error) {
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: limits.describeLimitError(error)
+      });
+    }
+    
+    // Tarifa maior ou igual ao valor
+    if (error.message === 'Valor insuficiente para cobrir a tarifa') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    // Dados do pagador exigidos pelo provedor PIX
+    if (error.code === 'CUSTOMER_DATA_REQUIRED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
     console.error('Erro ao criar depósito PIX:', error);
     res.status(500).json({
       success: false,
@@ -178,22 +135,171 @@ router.post('/deposit', [
   }
 });
 
+// @route   GET /api/pix/static-qr
+// @desc    Obter QR Code estático pessoal para depósitos (valor livre, não expira)
+// @access  Private
+router.get('/static-qr', logUserActivity('view_pix_static_qr'), async (req, res) => {
+  try {
+    let staticQr;
+    try {
+      staticQr = await staticPix.getStaticPayload(req.user);
+    } catch (error) {
+      if (error.message === 'Chave PIX da empresa não configurada') {
+        return res.status(503).json({
+          success: false,
+          message: 'QR Code pessoal indisponível no momento'
+        });
+      }
+      throw error;
+    }
+
+    const qrCodeImage = await pixPayments.generateQRCode(staticQr.payload);
+
+    res.json({
+      success: true,
+      data: {
+        qrCode: staticQr.payload,
+        qrCodeImage,
+        txId: staticQr.txId,
+        instructions: [
+          'Salve este QR Code ou o código copia e cola',
+          'Pague qualquer valor pelo app do seu banco',
+          'Cada pagamento é creditado automaticamente como um novo depósito'
+        ]
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter QR Code pessoal:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/pix/deposit/:id
+// @desc    Alterar valor ou validade de depósito PIX pendente (o QR Code continua válido)
+// @access  Private
+router.put('/deposit/:id', [
+  body('amount')
+    .optional()
+    .isFloat({ min: 1 })
+    .withMessage('Valor mínimo é R$ 1,00'),
+
+  body('expiresIn')
+    .optional()
+    .isInt({ min: 5, max: 24 * 60 })
+    .withMessage('Validade deve estar entre 5 minutos e 24 horas')
+], logUserActivity('update_pix_deposit'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      _id: req.params.id,
+      user: req.userId,
+      type: 'deposit',
+      method: 'pix'
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depósito não encontrado'
+      });
+    }
+
+    if (transaction.status !== 'pending' || !transaction.pix.locationId) {
+      return res.status(400).json({
+        success: false,
+        message: 'Apenas cobranças dinâmicas pendentes podem ser alteradas'
+      });
+    }
+
+    // Recriar a cobrança no PSP com o novo valor e/ou validade
+    await pixPayments.updateDeposit({
+      transaction,
+      user: req.user,
+      amount: req.body.amount !== undefined ? money.toCents(req.body.amount) : undefined,
+      expiresAt: req.body.expiresIn !== undefined
+        ? new Date(Date.now() + parseInt(req.body.expiresIn) * 60 * 1000)
+        : undefined
+    });
+
+    res.json({
+      success: true,
+      message: 'Cobrança PIX atualizada com sucesso',
+      data: {
+        transaction: transaction.toJSON(),
+        pixData: {
+          qrCode: transaction.pix.qrCode,
+          txId: transaction.pix.txId,
+          amount: money.fromCents(transaction.amount),
+          fee: money.fromCents(transaction.fee),
+          netAmount: money.fromCents(transaction.netAmount),
+          expiresAt: transaction.pix.expiresAt,
+          revision: transaction.pix.revision
+        }
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: limits.describeLimitError(error)
+      });
+    }
+    
+    if (error.message === 'Valor insuficiente para cobrir a tarifa') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    console.error('Erro ao alterar depósito PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   POST /api/pix/withdrawal
 // @desc    Criar saque via PIX
 // @access  Private
 router.post('/withdrawal', [
-  userRateLimit(3, 24 * 60 * 60 * 1000), // 3 saques por dia
+  idempotency(),
   body('amount')
-    .isFloat({ min: 10, max: 50000 })
-    .withMessage('Valor deve estar entre R$ 10,00 e R$ 50.000,00'),
+    .isFloat({ min: 10 })
+    .withMessage('Valor mínimo para saque é R$ 10,00'),
+  
+  // Destinatário salvo na agenda (ver /api/pix/recipients) ou chave informada
+  body('recipientId')
+    .optional()
+    .isMongoId()
+    .withMessage('Destinatário inválido'),
   
   body('pixKey')
+    .if(body('recipientId').not().exists())
     .notEmpty()
     .withMessage('Chave PIX é obrigatória')
     .trim(),
   
+  // Opcional: sem o tipo, ele é detectado a partir da chave
   body('pixKeyType')
-    .isIn(['cpf', 'email', 'phone', 'random'])
+    .optional()
+    .isIn(pixKeys.STORED_KEY_TYPES)
     .withMessage('Tipo de chave PIX inválido'),
   
   body('password')
@@ -210,7 +316,9 @@ router.post('/withdrawal', [
       });
     }
 
-    const { amount, pixKey, pixKeyType, password } = req.body;
+    const { recipientId, password } = req.body;
+    let { pixKey, pixKeyType } = req.body;
+    const amount = money.toCents(req.body.amount);
     
     // Buscar usuário com senha
     const user = await User.findById(req.userId).select('+password');
@@ -224,54 +332,51 @@ router.post('/withdrawal', [
       });
     }
     
-    // Verificar saldo
-    if (user.balance < amount) {
+    // Verificar saldo disponível (descontando bloqueios de outras solicitações)
+    if (user.availableBalance < amount) {
       return res.status(400).json({
         success: false,
         message: 'Saldo insuficiente'
       });
     }
     
-    // Validar chave PIX
-    const isValidPixKey = validatePixKey(pixKey, pixKeyType);
-    if (!isValidPixKey) {
+    // Chave do destinatário salvo
+    if (recipientId) {
+      const recipient = await pixRecipients.findOwned(req.userId, recipientId);
+      pixKey = recipient.key;
+      pixKeyType = recipient.keyType;
+    }
+    
+    // Validar e normalizar chave PIX
+    const parsedKey = pixKeys.parse(pixKey, pixKeyType);
+    if (!parsedKey.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Chave PIX inválida'
+        message: `Chave PIX inválida: ${parsedKey.error}`
       });
     }
     
-    // Calcular taxa (exemplo: 1% ou mínimo R$ 2)
-    const fee = Math.max(amount * 0.01, 2);
-    const netAmount = amount - fee;
-    
-    // Criar transação
-    const transaction = new Transaction({
-      user: req.userId,
-      type: 'withdrawal',
-      method: 'pix',
+    // Registrar o saque, bloquear o valor e enfileirar a transferência ao provedor PIX
+    const transaction = await pixPayments.createWithdrawal({
+      user,
       amount,
-      fee,
-      netAmount,
-      description: 'Saque via PIX',
-      pix: {
-        key: pixKey,
-        keyType,
-        txId: generateTxId()
-      },
-      status: 'pending'
+      key: parsedKey.key,
+      keyType: parsedKey.type
     });
     
-    await transaction.save();
-    
-    // Processar saque (em produção, isso seria feito via webhook ou job)
-    setTimeout(async () => {
-      try {
-        await processPixWithdrawal(transaction._id);
-      } catch (error) {
-        console.error('Erro ao processar saque PIX:', error);
-      }
-    }, 5000); // Simular processamento em 5 segundos
+    // Retido pelas regras de risco: aceito, mas só é enviado após a análise manual
+    if (withdrawalRisk.isUnderReview(transaction)) {
+      return res.status(202).json({
+        success: true,
+        message: transaction.reviewStatusMessage,
+        data: {
+          transaction: transaction.toJSON(),
+          underReview: true,
+          fee: money.fromCents(transaction.fee),
+          netAmount: money.fromCents(transaction.netAmount)
+        }
+      });
+    }
     
     res.status(201).json({
       success: true,
@@ -279,12 +384,46 @@ router.post('/withdrawal', [
       data: {
         transaction: transaction.toJSON(),
         estimatedTime: '5-10 minutos',
-        fee,
-        netAmount
+        fee: money.fromCents(transaction.fee),
+        netAmount: money.fromCents(transaction.netAmount)
       }
     });
 
   } catch (error) {
+    if (error.code === 'LIMIT_EXCEEDED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code,
+        data: limits.describeLimitError(error)
+      });
+    }
+    
+    if (error.code === 'RECIPIENT_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    // Política de saques exige chave própria verificada
+    if (error.code === 'RECIPIENT_NOT_VERIFIED') {
+      return res.status(403).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    // Saldo reservado por outra solicitação concorrente, ou tarifa maior que o valor
+    if (error.message === 'Saldo insuficiente' || error.message === 'Valor insuficiente para cobrir a tarifa') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
     console.error('Erro ao criar saque PIX:', error);
     res.status(500).json({
       success: false,
@@ -293,6 +432,159 @@ router.post('/withdrawal', [
   }
 });
 
+// @route   POST /api/pix/withdrawal/:id/review-response
+// @desc    Responder ao pedido de informações de um saque em análise
+// @access  Private
+router.post('/withdrawal/:id/review-response', [
+  body('message')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Resposta deve ter entre 5 e 1000 caracteres')
+], logUserActivity('respond_withdrawal_review'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+    
+    const transaction = await withdrawalReviews.respond(req.params.id, {
+      userId: req.userId,
+      message: req.body.message
+    });
+    
+    res.json({
+      success: true,
+      message: 'Resposta enviada; o saque voltou para análise',
+      data: {
+        transaction: transaction.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'WITHDRAWAL_NOT_FOUND') {
+      return res.status(404).json({
+        success: false,
+        message: error.message
+      });
+    }
+    
+    if (error.code === 'REVIEW_NOT_OPEN') {
+      return res.status(409).json({
+        success: false,
+        message: 'Não há pedido de informações pendente para este saque',
+        code: error.code
+      });
+    }
+    
+    console.error('Erro ao responder análise de saque:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/pix/decode
+// @desc    Decodificar PIX copia e cola (recebedor e valor antes do pagamento)
+// @access  Private
+router.post('/decode', [
+  body('payload')
+    .isString()
+    .trim()
+    .isLength({ min: 20, max: 512 })
+    .withMessage('Código PIX inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    let decoded;
+    try {
+      decoded = brcode.decode(req.body.payload);
+    } catch (error) {
+      if (error.code === 'INVALID_BRCODE') {
+        return res.status(400).json({
+          success: false,
+          message: error.message,
+          code: error.code
+        });
+      }
+      throw error;
+    }
+
+    res.json({
+      success: true,
+      data: {
+        type: decoded.type,
+        reusable: decoded.reusable,
+        merchantName: decoded.merchantName,
+        merchantCity: decoded.merchantCity,
+        key: decoded.key,
+        url: decoded.url,
+        description: decoded.description,
+        // Valor livre (null) ou, em QR dinâmico, definido na cobrança da URL
+        amount: decoded.amount === null ? null : money.fromCents(decoded.amount),
+        txid: decoded.txid
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao decodificar PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/pix/keys/validate
+// @desc    Validar e normalizar chave PIX (detecta o tipo se não informado)
+// @access  Private
+router.post('/keys/validate', [
+  body('key')
+    .isString()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Chave PIX é obrigatória'),
+
+  body('type')
+    .optional()
+    .isIn(pixKeys.STORED_KEY_TYPES)
+    .withMessage('Tipo de chave PIX inválido')
+], async (req, res) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({
+      success: false,
+      message: 'Dados inválidos',
+      errors: errors.array()
+    });
+  }
+
+  const result = pixKeys.parse(req.body.key, req.body.type);
+
+  res.json({
+    success: true,
+    data: {
+      valid: result.valid,
+      type: result.type,
+      typeLabel: result.type ? pixKeys.TYPE_LABELS[result.type] : null,
+      key: result.key,
+      error: result.error
+    }
+  });
+});
+
 // @route   GET /api/pix/transactions
 // @desc    Listar transações PIX do usuário
 // @access  Private
@@ -372,118 +664,4 @@ router.get('/transaction/:id', async (req, res) => {
   }
 });
 
-// @route   POST /api/pix/webhook
-// @desc    Webhook para receber notificações PIX
-// @access  Public (mas com validação de assinatura)
-router.post('/webhook', async (req, res) => {
-  try {
-    // Validar assinatura do webhook (implementar conforme provedor)
-    const signature = req.headers['x-pix-signature'];
-    if (!validateWebhookSignature(req.body, signature)) {
-      return res.status(401).json({
-        success: false,
-        message: 'Assinatura inválida'
-      });
-    }
-    
-    const { txId, status, amount, endToEndId } = req.body;
-    
-    // Buscar transação
-    const transaction = await Transaction.findByPixTxId(txId);
-    if (!transaction) {
-      console.log('Transação não encontrada para txId:', txId);
-      return res.status(404).json({
-        success: false,
-        message: 'Transação não encontrada'
-      });
-    }
-    
-    // Processar conforme status
-    switch (status) {
-      case 'PAID':
-      case 'CONFIRMED':
-        if (transaction.status === 'pending') {
-          transaction.pix.endToEndId = endToEndId;
-          await transaction.process();
-          console.log('PIX confirmado:', txId);
-        }
-        break;
-        
-      case 'FAILED':
-      case 'CANCELLED':
-        if (transaction.status === 'pending' || transaction.status === 'processing') {
-          await transaction.fail('Pagamento falhou ou foi cancelado');
-          console.log('PIX falhou:', txId);
-        }
-        break;
-    }
-    
-    res.json({ success: true });
-
-  } catch (error) {
-    console.error('Erro no webhook PIX:', error);
-    res.status(500).json({
-      success: false,
-      message: 'Erro interno do servidor'
-    });
-  }
-});
-
-// Funções auxiliares
-
-// Validar chave PIX
-const validatePixKey = (key, type) => {
-  switch (type) {
-    case 'cpf':
-      return /^\d{11}$/.test(key.replace(/\D/g, ''));
-    case 'email':
-      return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(key);
-    case 'phone':
-      return /^\d{10,11}$/.test(key.replace(/\D/g, ''));
-    case 'random':
-      return /^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i.test(key);
-    default:
-      return false;
-  }
-};
-
-// Validar assinatura do webhook
-const validateWebhookSignature = (payload, signature) => {
-  if (!signature || !PIX_CONFIG.merchantSecret) {
-    return false;
-  }
-  
-  const expectedSignature = crypto
-    .createHmac('sha256', PIX_CONFIG.merchantSecret)
-    .update(JSON.stringify(payload))
-    .digest('hex');
-  
-  return signature === expectedSignature;
-};
-
-// Processar saque PIX
-const processPixWithdrawal = async (transactionId) => {
-  try {
-    const transaction = await Transaction.findById(transactionId);
-    if (!transaction || transaction.status !== 'pending') {
-      return;
-    }
-    
-    // Simular processamento (em produção, fazer chamada para API do banco)
-    const success = Math.random() > 0.1; // 90% de sucesso
-    
-    if (success) {
-      transaction.pix.endToEndId = 'E' + Date.now() + crypto.randomBytes(8).toString('hex').toUpperCase();
-      await transaction.process();
-      console.log('Saque PIX processado com sucesso:', transaction.transactionId);
-    } else {
-      await transaction.fail('Falha no processamento do saque');
-      console.log('Saque PIX falhou:', transaction.transactionId);
-    }
-    
-  } catch (error) {
-    console.error('Erro ao processar saque PIX:', error);
-  }
-};
-
-module.exports = router;
\ No newline at end of file
+module.exports = router;
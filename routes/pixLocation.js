@@ -0,0 +1,53 @@
+const express = require('express');
+const Transaction = require('../models/Transaction');
+const pixCharges = require('../services/pixCharges');
+
+const router = express.Router();
+
+// Rotas públicas consultadas pelo PSP do pagador ao ler um QR Code dinâmico
+
+// @route   GET /api/pix/qr/jwks
+// @desc    Chaves públicas de validação das cobranças (JWK Set)
+// @access  Public
+router.get('/jwks', (req, res) => {
+  res.json(pixCharges.getJwks());
+});
+
+// @route   GET /api/pix/qr/v2/:locationId
+// @desc    Payload JWS da cobrança associada à location
+// @access  Public
+router.get('/v2/:locationId', async (req, res) => {
+  try {
+    if (!/^[0-9a-f]{32}$/.test(req.params.locationId)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cobrança não encontrada'
+      });
+    }
+
+    const transaction = await Transaction.findOne({
+      'pix.locationId': req.params.locationId
+    });
+
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cobrança não encontrada'
+      });
+    }
+
+    const payload = pixCharges.buildChargePayload(transaction);
+
+    res.set('Cache-Control', 'no-store');
+    res.type('application/jose').send(pixCharges.signChargePayload(payload));
+
+  } catch (error) {
+    console.error('Erro ao servir cobrança PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
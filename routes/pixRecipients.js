@@ -0,0 +1,224 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const User = require('../models/User');
+const pixKeys = require('../utils/pixKey');
+const pixRecipients = require('../services/pixRecipients');
+const { auth, logUserActivity } = require('../middleware/auth');
+
+const router = express.Router();
+
+router.use(auth);
+
+// Erros da agenda de destinatários -> status HTTP
+const ERROR_STATUSES = {
+  INVALID_PIX_KEY: 400,
+  INVALID_DOCUMENT: 400,
+  CPF_REQUIRED: 400,
+  RECIPIENT_NOT_FOUND: 404,
+  RECIPIENT_EXISTS: 409,
+  KEY_LOOKUP_FAILED: 502
+};
+
+// Responder erros conhecidos; retorna false para os demais
+const handleKnownError = (res, error) => {
+  const status = ERROR_STATUSES[error.code];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+  return true;
+};
+
+// Validações comuns ao cadastro e à alteração (optional na alteração)
+const recipientValidators = (optional) => {
+  const field = (name) => (optional ? body(name).optional() : body(name));
+
+  return [
+    field('nickname')
+      .trim()
+      .isLength({ min: 1, max: 50 })
+      .withMessage('Apelido deve ter entre 1 e 50 caracteres'),
+
+    field('key')
+      .isString()
+      .trim()
+      .isLength({ min: 1, max: 100 })
+      .withMessage('Chave PIX é obrigatória'),
+
+    // Opcional: sem o tipo, ele é detectado a partir da chave
+    body('keyType')
+      .optional()
+      .isIn(pixKeys.STORED_KEY_TYPES)
+      .withMessage('Tipo de chave PIX inválido'),
+
+    field('holderName')
+      .trim()
+      .isLength({ min: 2, max: 100 })
+      .withMessage('Nome do titular deve ter entre 2 e 100 caracteres'),
+
+    body('holderDocument')
+      .optional({ nullable: true })
+      .isString()
+      .withMessage('CPF/CNPJ do titular inválido')
+  ];
+};
+
+// @route   GET /api/pix/recipients
+// @desc    Listar destinatários PIX salvos
+// @access  Private
+router.get('/', logUserActivity('view_pix_recipients'), async (req, res) => {
+  try {
+    const recipients = await pixRecipients.list(req.userId);
+
+    res.json({
+      success: true,
+      data: {
+        recipients
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar destinatários PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/pix/recipients
+// @desc    Salvar destinatário PIX (apelido, chave e titular)
+// @access  Private
+router.post('/', recipientValidators(false), logUserActivity('create_pix_recipient'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { nickname, key, keyType, holderName, holderDocument } = req.body;
+    const recipient = await pixRecipients.create(req.userId, { nickname, key, keyType, holderName, holderDocument });
+
+    res.status(201).json({
+      success: true,
+      message: 'Destinatário salvo com sucesso',
+      data: {
+        recipient
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao salvar destinatário PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/pix/recipients/:id
+// @desc    Alterar destinatário PIX (nova chave ou titular exige nova verificação)
+// @access  Private
+router.put('/:id', recipientValidators(true), logUserActivity('update_pix_recipient'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { nickname, key, keyType, holderName, holderDocument } = req.body;
+    const recipient = await pixRecipients.update(req.userId, req.params.id, { nickname, key, keyType, holderName, holderDocument });
+
+    res.json({
+      success: true,
+      message: 'Destinatário atualizado com sucesso',
+      data: {
+        recipient
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao atualizar destinatário PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/pix/recipients/:id
+// @desc    Remover destinatário PIX
+// @access  Private
+router.delete('/:id', logUserActivity('delete_pix_recipient'), async (req, res) => {
+  try {
+    await pixRecipients.remove(req.userId, req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Destinatário removido com sucesso'
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao remover destinatário PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/pix/recipients/:id/verify
+// @desc    Consultar o titular da chave e conferir se é o próprio usuário (CPF)
+// @access  Private
+router.post('/:id/verify', logUserActivity('verify_pix_recipient'), async (req, res) => {
+  try {
+    const user = await User.findById(req.userId);
+    const recipient = await pixRecipients.verify(user, req.params.id);
+
+    const messages = {
+      verified: recipient.verification.ownedByUser
+        ? 'Chave verificada: titular é você'
+        : 'Chave verificada: titular é outra pessoa',
+      mismatch: 'O titular da chave não corresponde ao documento informado',
+      not_found: 'Não foi possível identificar o titular da chave'
+    };
+
+    res.json({
+      success: true,
+      message: messages[recipient.verification.status],
+      data: {
+        recipient
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao verificar destinatário PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,471 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const MedCase = require('../models/MedCase');
+const pixRefunds = require('../services/pixRefunds');
+const medCases = require('../services/medCases');
+const money = require('../utils/money');
+const { adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Motivos de devolução solicitada pela plataforma (os de MED vêm do caso)
+const ADMIN_REFUND_REASONS = ['wrong_amount', 'duplicate_payment', 'account_blocked', 'payer_request'];
+
+// Erros das devoluções e casos MED -> status HTTP
+const ERROR_STATUSES = {
+  REFUND_NOT_ALLOWED: 400,
+  REFUND_AMOUNT_EXCEEDED: 400,
+  INVALID_STATUS_TRANSITION: 400,
+  DEPOSIT_NOT_FOUND: 404,
+  MED_CASE_OPEN: 409,
+  STATUS_CONFLICT: 409,
+  REFUND_REJECTED: 502
+};
+
+// Responder erros conhecidos; retorna false para os demais
+const handleKnownError = (res, error) => {
+  if (error.message === 'Saldo insuficiente') {
+    res.status(409).json({
+      success: false,
+      message: 'Saldo disponível do usuário insuficiente para a devolução',
+      code: 'INSUFFICIENT_BALANCE'
+    });
+    return true;
+  }
+
+  const status = ERROR_STATUSES[error.code];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+  return true;
+};
+
+// @route   GET /api/refunds/admin
+// @desc    Listar devoluções PIX (Admin)
+// @access  Private/Admin
+router.get('/admin', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, reason, deposit, user } = req.query;
+
+    const query = { type: 'refund' };
+    if (status) query.status = status;
+    if (reason) query['refund.reason'] = reason;
+    if (deposit) query['refund.transaction'] = deposit;
+    if (user) query.user = user;
+
+    const refunds = await Transaction.find(query)
+      .populate('user', 'name email')
+      .populate('refund.requestedBy', 'name email')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        refunds: refunds.map(refund => refund.toJSON()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar devoluções PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/refunds/admin
+// @desc    Devolver ao pagador um depósito PIX, total ou parcialmente (Admin)
+// @access  Private/Admin
+router.post('/admin', [
+  adminAuth,
+  body('depositId')
+    .isMongoId()
+    .withMessage('Depósito inválido'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor mínimo é R$ 0,01'),
+
+  body('reason')
+    .isIn(ADMIN_REFUND_REASONS)
+    .withMessage('Motivo de devolução inválido'),
+
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Observações devem ter no máximo 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { depositId, reason, notes } = req.body;
+
+    const deposit = await Transaction.findById(depositId);
+    if (!deposit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Depósito não encontrado'
+      });
+    }
+
+    const refund = await pixRefunds.refundDeposit(deposit, {
+      amount: req.body.amount !== undefined ? money.toCents(req.body.amount) : null,
+      reason,
+      notes: notes || null,
+      adminId: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Devolução PIX enviada',
+      data: {
+        refund: refund.toJSON(),
+        refundable: money.fromCents(pixRefunds.refundableAmount(await Transaction.findById(depositId)))
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao criar devolução PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/refunds/admin/med
+// @desc    Listar casos MED (Admin)
+// @access  Private/Admin
+router.get('/admin/med', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, reason, user, overdue } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (reason) query.reason = reason;
+    if (user) query.user = user;
+    if (overdue === 'true') {
+      query.status = 'open';
+      query.deadline = { $lte: new Date() };
+    }
+
+    const cases = await MedCase.find(query)
+      .populate('user', 'name email')
+      .sort({ deadline: 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await MedCase.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        cases: cases.map(medCase => medCase.toJSON()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar casos MED:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/refunds/admin/med
+// @desc    Registrar notificação de infração MED e bloquear o valor (Admin)
+// @access  Private/Admin
+router.post('/admin/med', [
+  adminAuth,
+  body('endToEndId')
+    .trim()
+    .notEmpty()
+    .withMessage('endToEndId é obrigatório'),
+
+  body('reason')
+    .isIn(['fraud', 'operational_failure'])
+    .withMessage('Motivo deve ser fraud ou operational_failure'),
+
+  body('amount')
+    .optional()
+    .isFloat({ min: 0.01 })
+    .withMessage('Valor mínimo é R$ 0,01'),
+
+  body('claimId')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Id da notificação inválido'),
+
+  body('reportedAt')
+    .optional()
+    .isISO8601()
+    .withMessage('Data da notificação inválida'),
+
+  body('details')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Detalhes devem ter no máximo 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { endToEndId, reason, claimId, reportedAt, details } = req.body;
+
+    const medCase = await medCases.openCase({
+      endToEndId,
+      reason,
+      claimId: claimId || null,
+      amount: req.body.amount !== undefined ? money.toCents(req.body.amount) : null,
+      reportedAt: reportedAt ? new Date(reportedAt) : null,
+      details: details || null,
+      adminId: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: medCase.blockedAmount > 0
+        ? `Caso MED aberto; ${money.format(medCase.blockedAmount)} bloqueados`
+        : 'Caso MED aberto; usuário sem saldo disponível para bloqueio',
+      data: {
+        case: medCase.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(409).json({
+        success: false,
+        message: 'Notificação MED já registrada'
+      });
+    }
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao abrir caso MED:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/refunds/admin/med/:id
+// @desc    Obter caso MED com depósito e devolução (Admin)
+// @access  Private/Admin
+router.get('/admin/med/:id', adminAuth, async (req, res) => {
+  try {
+    const medCase = await MedCase.findById(req.params.id)
+      .populate('user', 'name email')
+      .populate('deposit')
+      .populate('refund')
+      .populate('decision.decidedBy', 'name email');
+
+    if (!medCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Caso MED não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        case: medCase.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter caso MED:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/refunds/admin/med/:id/accept
+// @desc    Aceitar caso MED e devolver o valor bloqueado ao pagador (Admin)
+// @access  Private/Admin
+router.post('/admin/med/:id/accept', [
+  adminAuth,
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Justificativa deve ter no máximo 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const result = await medCases.acceptCase(req.params.id, {
+      adminId: req.userId,
+      notes: req.body.notes || null
+    });
+
+    if (!result) {
+      return res.status(404).json({
+        success: false,
+        message: 'Caso MED não encontrado'
+      });
+    }
+
+    const { medCase, refund } = result;
+
+    res.json({
+      success: true,
+      message: refund
+        ? `Caso MED aceito; devolução de ${money.format(refund.amount)} ${refund.status === 'failed' ? 'recusada pelo provedor' : 'enviada'}`
+        : 'Caso MED aceito; sem saldo disponível para devolução',
+      data: {
+        case: medCase.toJSON(),
+        refund: refund ? refund.toJSON() : null
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao aceitar caso MED:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/refunds/admin/med/:id/contest
+// @desc    Contestar caso MED e liberar o valor bloqueado (Admin)
+// @access  Private/Admin
+router.post('/admin/med/:id/contest', [
+  adminAuth,
+  body('notes')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Justificativa deve ter entre 5 e 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const medCase = await medCases.contestCase(req.params.id, {
+      adminId: req.userId,
+      notes: req.body.notes
+    });
+
+    if (!medCase) {
+      return res.status(404).json({
+        success: false,
+        message: 'Caso MED não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Caso MED contestado; valor bloqueado liberado',
+      data: {
+        case: medCase.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao contestar caso MED:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/refunds/admin/:id
+// @desc    Obter devolução PIX com o depósito original (Admin)
+// @access  Private/Admin
+router.get('/admin/:id', adminAuth, async (req, res) => {
+  try {
+    const refund = await Transaction.findOne({ _id: req.params.id, type: 'refund' })
+      .populate('user', 'name email')
+      .populate('refund.transaction')
+      .populate('refund.requestedBy', 'name email');
+
+    if (!refund) {
+      return res.status(404).json({
+        success: false,
+        message: 'Devolução não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        refund: refund.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter devolução PIX:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
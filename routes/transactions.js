@@ -3,6 +3,11 @@ const { body, validationResult, query } = require('express-validator');
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const Investment = require('../models/Investment');
+const ledger = require('../services/ledger');
+const reversals = require('../services/reversals');
+const pixPayments = require('../services/pixPayments');
+const pixRefunds = require('../services/pixRefunds');
+const money = require('../utils/money');
 const { auth, adminAuth, checkResourceOwnership, userRateLimit, logUserActivity } = require('../middleware/auth');
 
 const router = express.Router();
@@ -26,7 +31,7 @@ router.get('/', [
   
   query('type')
     .optional()
-    .isIn(['deposit', 'withdrawal', 'investment', 'return', 'referral', 'bonus'])
+    .isIn(['deposit', 'withdrawal', 'investment', 'return', 'referral', 'bonus', 'adjustment', 'reversal', 'refund'])
     .withMessage('Tipo de transação inválido'),
   
   query('method')
@@ -36,7 +41,7 @@ router.get('/', [
   
   query('status')
     .optional()
-    .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled'])
+    .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled', 'expired'])
     .withMessage('Status inválido'),
   
   query('startDate')
@@ -108,7 +113,7 @@ router.get('/', [
     const totalsByType = {};
     totals.forEach(item => {
       totalsByType[item._id] = {
-        total: item.total,
+        total: money.fromCents(item.total),
         count: item.count
       };
     });
@@ -139,6 +144,61 @@ router.get('/', [
   }
 });
 
+// @route   GET /api/transactions/ledger
+// @desc    Extrato contábil da carteira do usuário
+// @access  Private
+router.get('/ledger', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Página deve ser um número positivo'),
+  
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limite deve estar entre 1 e 100')
+], logUserActivity('view_ledger'), async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Parâmetros inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    
+    const [{ entries, total }, derivedBalance] = await Promise.all([
+      ledger.getUserStatement(req.userId, { page: parseInt(page), limit: parseInt(limit) }),
+      ledger.getDerivedUserBalance(req.userId)
+    ]);
+    
+    res.json({
+      success: true,
+      data: {
+        entries,
+        balance: money.fromCents(req.user.balance),
+        derivedBalance: money.fromCents(derivedBalance),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter extrato contábil:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   GET /api/transactions/:id
 // @desc    Obter transação específica
 // @access  Private
@@ -242,15 +302,15 @@ router.get('/stats/summary', [
     res.json({
       success: true,
       data: {
-        currentBalance: user.balance,
+        currentBalance: money.fromCents(user.balance),
         periodStats: stats,
         recentTransactions,
-        monthlyEvolution,
+        monthlyEvolution: monthlyEvolution.map(item => money.serialize(item, ['total'])),
         summary: {
-          totalDeposits: user.balance + user.totalInvested,
-          totalInvested: user.totalInvested,
-          totalEarnings: user.totalEarnings,
-          referralEarnings: user.referralEarnings
+          totalDeposits: money.fromCents(user.balance + user.totalInvested),
+          totalInvested: money.fromCents(user.totalInvested),
+          totalEarnings: money.fromCents(user.totalEarnings),
+          referralEarnings: money.fromCents(user.referralEarnings)
         }
       }
     });
@@ -318,9 +378,9 @@ router.get('/export', [
         const date = t.createdAt.toISOString().split('T')[0];
         const type = t.type;
         const method = t.method;
-        const amount = t.amount.toFixed(2);
-        const fee = t.fee.toFixed(2);
-        const netAmount = t.netAmount.toFixed(2);
+        const amount = money.toDecimalString(t.amount);
+        const fee = money.toDecimalString(t.fee);
+        const netAmount = money.toDecimalString(t.netAmount);
         const status = t.status;
         const description = t.description.replace(/,/g, ';'); // Escapar vírgulas
         
@@ -394,7 +454,7 @@ router.put('/:id/cancel', [
     }
     
     // Cancelar transação
-    await transaction.cancel(reason);
+    await transaction.cancel(reason, { actor: req.userId, actorType: 'user' });
     
     res.json({
       success: true,
@@ -428,7 +488,8 @@ router.get('/admin/all', adminAuth, async (req, res) => {
       status,
       user,
       startDate,
-      endDate
+      endDate,
+      amountMismatch
     } = req.query;
     
     // Construir query
@@ -438,6 +499,9 @@ router.get('/admin/all', adminAuth, async (req, res) => {
     if (method) query.method = method;
     if (status) query.status = status;
     
+    // Depósitos pagos com valor diferente da cobrança (creditado o valor pago)
+    if (amountMismatch === 'true') query['pix.amountMismatch.flaggedAt'] = { $ne: null };
+    
     if (user) {
       const users = await User.find({
         $or: [
@@ -492,8 +556,9 @@ router.get('/admin/all', adminAuth, async (req, res) => {
 // @access  Private/Admin
 router.put('/admin/:id/status', [
   adminAuth,
+  // 'processing' é interno: só o processamento da transação entra nesse status
   body('status')
-    .isIn(['pending', 'processing', 'completed', 'failed', 'cancelled'])
+    .isIn(['completed', 'failed', 'cancelled', 'expired'])
     .withMessage('Status inválido'),
   
   body('reason')
@@ -524,26 +589,60 @@ router.put('/admin/:id/status', [
     
     const oldStatus = transaction.status;
     
-    // Atualizar status
+    // Validar a transição antes de qualquer efeito
+    if (!transaction.canTransitionTo(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Transição de status inválida: ${oldStatus} → ${status}`,
+        code: 'INVALID_STATUS_TRANSITION',
+        allowedStatuses: Transaction.STATUS_TRANSITIONS[oldStatus] || []
+      });
+    }
+    
+    const actor = { actor: req.userId, actorType: 'admin' };
+    
+    // Atualizar status (cada transição aplica seus efeitos)
     switch (status) {
       case 'completed':
-        if (oldStatus === 'pending' || oldStatus === 'processing') {
-          await transaction.process();
+        if (oldStatus === 'pending') {
+          await transaction.process(actor);
+        } else {
+          // Em processamento o efeito financeiro já foi lançado (saque enviado ao provedor)
+          await transaction.complete({ ...actor, reason });
         }
         break;
         
-      case 'failed':
-        await transaction.fail(reason || 'Falha manual pelo administrador');
+      case 'failed': {
+        const failureReason = reason || 'Falha manual pelo administrador';
+        
+        // Saque ou devolução em processamento já foi debitado: estornar o débito junto com a falha
+        const debited = {
+          withdrawal: pixPayments.applyTransferStatus,
+          refund: pixRefunds.applyRefundStatus
+        }[transaction.type];
+        
+        if (oldStatus === 'processing' && debited) {
+          const changed = await debited(transaction, { status: 'failed', failureReason }, actor);
+          if (!changed) {
+            return res.status(409).json({
+              success: false,
+              message: 'Status da transação alterado por outra operação',
+              code: 'STATUS_CONFLICT'
+            });
+          }
+        } else {
+          await transaction.fail(failureReason, actor);
+        }
         break;
+      }
         
       case 'cancelled':
-        await transaction.cancel(reason || 'Cancelado pelo administrador');
+        await transaction.cancel(reason || 'Cancelado pelo administrador', actor);
         break;
         
-      default:
-        transaction.status = status;
-        if (reason) transaction.notes = reason;
-        await transaction.save();
+      case 'expired':
+        await transaction.expire(reason || 'Expirada pelo administrador', actor);
+        break;
     }
     
     res.json({
@@ -557,6 +656,14 @@ router.put('/admin/:id/status', [
     });
 
   } catch (error) {
+    if (error.code === 'STATUS_CONFLICT' || error.code === 'INVALID_STATUS_TRANSITION') {
+      return res.status(409).json({
+        success: false,
+        message: 'Status da transação alterado por outra operação',
+        code: 'STATUS_CONFLICT'
+      });
+    }
+    
     console.error('Erro ao alterar status da transação:', error);
     res.status(500).json({
       success: false,
@@ -565,6 +672,107 @@ router.put('/admin/:id/status', [
   }
 });
 
+// @route   POST /api/transactions/admin/:id/reverse
+// @desc    Estornar transação concluída (Admin)
+// @access  Private/Admin
+router.post('/admin/:id/reverse', [
+  adminAuth,
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Motivo deve ter entre 5 e 500 caracteres'),
+  
+  body('force')
+    .optional()
+    .isBoolean()
+    .withMessage('force deve ser verdadeiro ou falso')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { reason } = req.body;
+    const force = req.body.force === true || req.body.force === 'true';
+    
+    const transaction = await Transaction.findById(req.params.id);
+    if (!transaction) {
+      return res.status(404).json({
+        success: false,
+        message: 'Transação não encontrada'
+      });
+    }
+    
+    const blocker = reversals.reversalBlocker(transaction);
+    if (blocker) {
+      return res.status(400).json({
+        success: false,
+        message: blocker
+      });
+    }
+    
+    let result;
+    try {
+      result = await reversals.reverseTransaction(transaction, {
+        reason,
+        adminId: req.userId,
+        force
+      });
+    } catch (error) {
+      if (error.message === 'Saldo insuficiente') {
+        return res.status(409).json({
+          success: false,
+          message: 'Estorno deixaria saldo negativo. Envie force: true para estornar mesmo assim.',
+          code: 'NEGATIVE_BALANCE'
+        });
+      }
+      throw error;
+    }
+    
+    res.status(201).json({
+      success: true,
+      message: 'Transação estornada com sucesso',
+      data: {
+        reversal: result.reversal.toJSON(),
+        cascadedReversals: result.cascaded.map(reversal => reversal.toJSON())
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao estornar transação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/transactions/admin/ledger
+// @desc    Balancete do livro-razão (Admin)
+// @access  Private/Admin
+router.get('/admin/ledger', adminAuth, async (req, res) => {
+  try {
+    const trialBalance = await ledger.getTrialBalance();
+    
+    res.json({
+      success: true,
+      data: money.serialize(trialBalance, ['totals.debits', 'totals.credits', 'totals.userBalances'])
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter balancete (admin):', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   GET /api/transactions/admin/stats
 // @desc    Estatísticas gerais de transações (Admin)
 // @access  Private/Admin
@@ -652,8 +860,8 @@ router.get('/admin/stats', adminAuth, async (req, res) => {
       success: true,
       data: {
         generalStats,
-        dailyStats,
-        topUsers,
+        dailyStats: dailyStats.map(item => money.serialize(item, ['total'])),
+        topUsers: topUsers.map(item => money.serialize(item, ['totalVolume'])),
         period: parseInt(period)
       }
     });
@@ -3,6 +3,17 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Transaction = require('../models/Transaction');
 const Investment = require('../models/Investment');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const LimitPolicy = require('../models/LimitPolicy');
+const LimitOverride = require('../models/LimitOverride');
+const reconciliation = require('../services/reconciliation');
+const holds = require('../services/holds');
+const limits = require('../services/limits');
+const asaasCustomers = require('../services/asaasCustomers');
+const pixRecipients = require('../services/pixRecipients');
+const money = require('../utils/money');
+const pixKeys = require('../utils/pixKey');
+const { USER_TIERS, TIER_LABELS } = require('../config/tiers');
 const { auth, adminAuth, userRateLimit, logUserActivity } = require('../middleware/auth');
 
 const router = express.Router();
@@ -49,34 +60,10 @@ router.put('/profile', [
     .custom((value, { req }) => {
       if (!value) return true;
       
-      const { pixKeyType } = req.body;
-      if (!pixKeyType) {
-        throw new Error('Tipo da chave PIX é obrigatório quando chave PIX é fornecida');
-      }
-      
-      switch (pixKeyType) {
-        case 'cpf':
-          if (!/^\d{11}$/.test(value.replace(/\D/g, ''))) {
-            throw new Error('CPF inválido');
-          }
-          break;
-        case 'email':
-          if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value)) {
-            throw new Error('Email inválido');
-          }
-          break;
-        case 'phone':
-          if (!/^\d{10,11}$/.test(value.replace(/\D/g, ''))) {
-            throw new Error('Telefone inválido');
-          }
-          break;
-        case 'random':
-          if (!/^[a-f0-9]{8}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{4}-[a-f0-9]{12}$/i.test(value)) {
-            throw new Error('Chave aleatória inválida');
-          }
-          break;
-        default:
-          throw new Error('Tipo de chave PIX inválido');
+      // Sem o tipo, ele é detectado a partir da chave
+      const parsed = pixKeys.parse(value, req.body.pixKeyType);
+      if (!parsed.valid) {
+        throw new Error(parsed.error);
       }
       
       return true;
@@ -84,8 +71,35 @@ router.put('/profile', [
   
   body('pixKeyType')
     .optional()
-    .isIn(['cpf', 'email', 'phone', 'random'])
-    .withMessage('Tipo de chave PIX inválido')
+    .isIn(pixKeys.STORED_KEY_TYPES)
+    .withMessage('Tipo de chave PIX inválido'),
+  
+  body('cpf')
+    .optional()
+    .custom(value => {
+      if (!pixKeys.isValidCPF(value)) {
+        throw new Error('CPF inválido');
+      }
+      return true;
+    }),
+  
+  // Exigida para alterar o CPF (o CPF define a titularidade das chaves PIX de saque)
+  body('password')
+    .optional()
+    .isString()
+    .withMessage('Senha inválida'),
+  
+  body('phone')
+    .optional({ values: 'null' })
+    .custom(value => {
+      if (!value) return true;
+      
+      const parsed = pixKeys.parse(value, 'phone');
+      if (!parsed.valid) {
+        throw new Error(parsed.error);
+      }
+      return true;
+    })
 ], logUserActivity('update_profile'), async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -97,18 +111,66 @@ router.put('/profile', [
       });
     }
 
-    const { name, pixKey, pixKeyType } = req.body;
+    const { name, pixKey, pixKeyType, cpf, phone, password } = req.body;
     const user = req.user;
+    let cpfChanged = false;
 
     // Atualizar campos permitidos
     if (name !== undefined) user.name = name;
     if (pixKey !== undefined) {
-      user.pixKey = pixKey || null;
-      user.pixKeyType = pixKey ? pixKeyType : null;
+      const parsed = pixKey ? pixKeys.parse(pixKey, pixKeyType) : null;
+      user.pixKey = parsed ? parsed.key : null;
+      user.pixKeyType = parsed ? parsed.type : null;
+    }
+    if (phone !== undefined) {
+      user.phone = phone ? pixKeys.normalize(phone, 'phone') : null;
+    }
+    if (cpf !== undefined && pixKeys.normalize(cpf, 'cpf') !== user.cpf) {
+      const normalizedCpf = pixKeys.normalize(cpf, 'cpf');
+      
+      if (!password) {
+        return res.status(400).json({
+          success: false,
+          message: 'Senha é obrigatória para alterar o CPF'
+        });
+      }
+      
+      const userWithPassword = await User.findById(user._id).select('+password');
+      const isPasswordValid = await userWithPassword.comparePassword(password);
+      if (!isPasswordValid) {
+        return res.status(400).json({
+          success: false,
+          message: 'Senha incorreta'
+        });
+      }
+      
+      // Um CPF por conta
+      const cpfInUse = await User.exists({ cpf: normalizedCpf, _id: { $ne: user._id } });
+      if (cpfInUse) {
+        return res.status(400).json({
+          success: false,
+          message: 'CPF já cadastrado em outra conta'
+        });
+      }
+      
+      user.cpf = normalizedCpf;
+      cpfChanged = true;
     }
 
+    // Dados enviados ao cadastro de cliente do provedor PIX
+    const customerDataChanged = asaasCustomers.customerDataChanged(user);
+
     await user.save();
 
+    // Chaves verificadas como próprias pelo CPF anterior precisam de nova verificação
+    if (cpfChanged) {
+      await pixRecipients.resetOwnership(user._id);
+    }
+
+    if (customerDataChanged) {
+      await asaasCustomers.syncAfterProfileChange(user);
+    }
+
     res.json({
       success: true,
       message: 'Perfil atualizado com sucesso',
@@ -118,6 +180,14 @@ router.put('/profile', [
     });
 
   } catch (error) {
+    // CPF gravado por outra conta entre a verificação e o salvamento
+    if (error.code === 11000 && error.keyPattern && error.keyPattern.cpf) {
+      return res.status(400).json({
+        success: false,
+        message: 'CPF já cadastrado em outra conta'
+      });
+    }
+
     console.error('Erro ao atualizar perfil:', error);
     res.status(500).json({
       success: false,
@@ -199,7 +269,7 @@ router.get('/dashboard', logUserActivity('view_dashboard'), async (req, res) =>
     const userId = req.userId;
     
     // Buscar dados em paralelo
-    const [userStats, recentTransactions, activeInvestments, investmentStats] = await Promise.all([
+    const [userStats, recentTransactions, activeInvestments, investmentStats, activeHolds] = await Promise.all([
       User.getUserStats(userId),
       Transaction.find({ user: userId })
         .sort({ createdAt: -1 })
@@ -208,7 +278,8 @@ router.get('/dashboard', logUserActivity('view_dashboard'), async (req, res) =>
       Investment.find({ user: userId, status: 'active' })
         .sort({ createdAt: -1 })
         .limit(3),
-      Investment.getInvestmentStats(userId)
+      Investment.getInvestmentStats(userId),
+      holds.getActiveHolds(userId)
     ]);
 
     // Calcular progresso dos investimentos ativos
@@ -227,7 +298,9 @@ router.get('/dashboard', logUserActivity('view_dashboard'), async (req, res) =>
         stats: userStats.stats,
         recentTransactions,
         activeInvestments: investmentsWithProgress,
-        investmentStats
+        investmentStats,
+        // Saques e investimentos que mantêm parte do saldo bloqueada
+        activeHolds
       }
     });
 
@@ -261,15 +334,15 @@ router.get('/referrals', logUserActivity('view_referrals'), async (req, res) =>
       success: true,
       data: {
         referralCode: user.referralCode,
-        referralEarnings: user.referralEarnings,
+        referralEarnings: money.fromCents(user.referralEarnings),
         totalReferrals,
-        totalReferralInvestments,
+        totalReferralInvestments: money.fromCents(totalReferralInvestments),
         referrals: referrals.map(ref => ({
           id: ref._id,
           name: ref.name,
           email: ref.email.replace(/(.{2}).*(@.*)/, '$1***$2'), // Mascarar email
           joinedAt: ref.createdAt,
-          totalInvested: ref.totalInvested
+          totalInvested: money.fromCents(ref.totalInvested)
         }))
       }
     });
@@ -283,6 +356,27 @@ router.get('/referrals', logUserActivity('view_referrals'), async (req, res) =>
   }
 });
 
+// @route   GET /api/users/limits
+// @desc    Obter limites de depósito e saque (usado e restante)
+// @access  Private
+router.get('/limits', logUserActivity('view_limits'), async (req, res) => {
+  try {
+    const summary = await limits.getLimitsSummary(req.user);
+
+    res.json({
+      success: true,
+      data: summary
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter limites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
 // @route   DELETE /api/users/account
 // @desc    Desativar conta do usuário
 // @access  Private
@@ -488,4 +582,473 @@ router.put('/:id/status', [
   }
 });
 
+// @route   PUT /api/users/:id/tier
+// @desc    Alterar nível da conta do usuário (Admin)
+// @access  Private/Admin
+router.put('/:id/tier', [
+  adminAuth,
+  body('tier')
+    .isIn(USER_TIERS)
+    .withMessage('Nível de conta inválido')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    user.tier = req.body.tier;
+    await user.save();
+
+    res.json({
+      success: true,
+      message: `Nível da conta alterado para ${TIER_LABELS[user.tier]}`,
+      data: {
+        user: user.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao alterar nível do usuário:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// Validações dos campos de limite (valores em reais; null remove o limite)
+const limitValidators = (prefix) => [
+  body(limits.LIMIT_KEYS.filter(key => key !== 'dailyCount').map(key => `${prefix}${key}`))
+    .optional({ nullable: true })
+    .isFloat({ min: 0 })
+    .withMessage('Limites devem ser valores não negativos'),
+
+  body(`${prefix}dailyCount`)
+    .optional({ nullable: true })
+    .isInt({ min: 0 })
+    .withMessage('Quantidade diária deve ser um número inteiro não negativo')
+];
+
+// Converter limites recebidos em reais para centavos (apenas os campos enviados)
+const parseLimits = (input = {}) => {
+  const parsed = {};
+  limits.LIMIT_KEYS.forEach(key => {
+    if (input[key] === undefined) return;
+    if (input[key] === null || key === 'dailyCount') {
+      parsed[key] = input[key] === null ? null : parseInt(input[key]);
+    } else {
+      parsed[key] = money.toCents(input[key]);
+    }
+  });
+  return parsed;
+};
+
+// @route   POST /api/users/:id/limits/override
+// @desc    Conceder exceção temporária de limites ao usuário (Admin)
+// @access  Private/Admin
+router.post('/:id/limits/override', [
+  adminAuth,
+  body('type')
+    .isIn(['deposit', 'withdrawal'])
+    .withMessage('Tipo de operação inválido'),
+
+  body('expiresAt')
+    .isISO8601()
+    .withMessage('Data de expiração inválida')
+    .custom(value => new Date(value) > new Date())
+    .withMessage('Data de expiração deve ser futura'),
+
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Motivo deve ter entre 5 e 500 caracteres'),
+
+  ...limitValidators('limits.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { type, expiresAt, reason } = req.body;
+
+    const user = await User.findById(req.params.id);
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Usuário não encontrado'
+      });
+    }
+
+    // A exceção mais recente substitui as anteriores do mesmo tipo
+    await LimitOverride.updateMany(
+      { user: user._id, type, revokedAt: null, expiresAt: { $gt: new Date() } },
+      { revokedAt: new Date(), revokedBy: req.userId }
+    );
+
+    const override = await LimitOverride.create({
+      user: user._id,
+      type,
+      limits: parseLimits(req.body.limits),
+      reason,
+      expiresAt: new Date(expiresAt),
+      createdBy: req.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      message: 'Exceção de limites concedida com sucesso',
+      data: {
+        override: override.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao conceder exceção de limites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   DELETE /api/users/:id/limits/override/:overrideId
+// @desc    Revogar exceção de limites do usuário (Admin)
+// @access  Private/Admin
+router.delete('/:id/limits/override/:overrideId', adminAuth, async (req, res) => {
+  try {
+    const override = await LimitOverride.findOneAndUpdate(
+      { _id: req.params.overrideId, user: req.params.id, revokedAt: null },
+      { revokedAt: new Date(), revokedBy: req.userId },
+      { new: true }
+    );
+
+    if (!override) {
+      return res.status(404).json({
+        success: false,
+        message: 'Exceção de limites não encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Exceção de limites revogada com sucesso',
+      data: {
+        override: override.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao revogar exceção de limites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/admin/limit-policies
+// @desc    Listar políticas de limites por nível (Admin)
+// @access  Private/Admin
+router.get('/admin/limit-policies', adminAuth, async (req, res) => {
+  try {
+    const policies = [];
+    for (const tier of USER_TIERS) {
+      const policy = await limits.getPolicy(tier);
+      policies.push({ ...policy.toJSON(), isDefault: policy.isNew });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        policies
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar políticas de limites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/users/admin/limit-policies/:tier
+// @desc    Definir política de limites de um nível (Admin)
+// @access  Private/Admin
+router.put('/admin/limit-policies/:tier', [
+  adminAuth,
+  ...limitValidators('deposit.'),
+  ...limitValidators('withdrawal.')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const { tier } = req.params;
+    if (!USER_TIERS.includes(tier)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Nível de conta não encontrado'
+      });
+    }
+
+    // Campos não enviados mantêm o valor atual (ou o padrão do nível)
+    const policy = await limits.getPolicy(tier);
+    ['deposit', 'withdrawal'].forEach(type => {
+      Object.assign(policy[type], parseLimits(req.body[type]));
+    });
+    policy.updatedBy = req.userId;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: `Limites do nível ${TIER_LABELS[tier]} atualizados com sucesso`,
+      data: {
+        policy: policy.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar política de limites:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/admin/reconciliation
+// @desc    Listar relatórios de conciliação de saldos (Admin)
+// @access  Private/Admin
+router.get('/admin/reconciliation', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20 } = req.query;
+    
+    const reports = await ReconciliationReport.find()
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+    
+    const total = await ReconciliationReport.countDocuments();
+    
+    res.json({
+      success: true,
+      data: {
+        reports: reports.map(report => report.toSummary()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar relatórios de conciliação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/admin/reconciliation/run
+// @desc    Executar conciliação de saldos agora (Admin)
+// @access  Private/Admin
+router.post('/admin/reconciliation/run', adminAuth, async (req, res) => {
+  try {
+    const report = await reconciliation.runReconciliation({
+      trigger: 'manual',
+      triggeredBy: req.userId
+    });
+    
+    res.status(201).json({
+      success: report.status === 'completed',
+      message: report.status === 'completed'
+        ? 'Conciliação executada com sucesso'
+        : 'Conciliação falhou',
+      data: {
+        report
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao executar conciliação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/admin/reconciliation/:reportId
+// @desc    Obter relatório de conciliação com divergências (Admin)
+// @access  Private/Admin
+router.get('/admin/reconciliation/:reportId', adminAuth, async (req, res) => {
+  try {
+    const { status, field } = req.query;
+    
+    const report = await ReconciliationReport.findById(req.params.reportId)
+      .populate('discrepancies.user', 'name email');
+    
+    if (!report) {
+      return res.status(404).json({
+        success: false,
+        message: 'Relatório não encontrado'
+      });
+    }
+    
+    const discrepancies = report.discrepancies.filter(discrepancy => {
+      if (status && discrepancy.status !== status) return false;
+      if (field && discrepancy.field !== field) return false;
+      return true;
+    });
+    
+    res.json({
+      success: true,
+      data: {
+        report: report.toSummary(),
+        discrepancies
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter relatório de conciliação:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/users/admin/reconciliation/:reportId/discrepancies/:discrepancyId
+// @desc    Detalhar divergência com as transações envolvidas (Admin)
+// @access  Private/Admin
+router.get('/admin/reconciliation/:reportId/discrepancies/:discrepancyId', adminAuth, async (req, res) => {
+  try {
+    const report = await ReconciliationReport.findById(req.params.reportId);
+    const discrepancy = report && report.discrepancies.id(req.params.discrepancyId);
+    
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Divergência não encontrada'
+      });
+    }
+    
+    const details = await reconciliation.getDiscrepancyDetails(discrepancy);
+    
+    res.json({
+      success: true,
+      data: {
+        discrepancy,
+        ...details
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao detalhar divergência:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/users/admin/reconciliation/:reportId/discrepancies/:discrepancyId/repair
+// @desc    Corrigir divergência com transação de ajuste (Admin)
+// @access  Private/Admin
+router.post('/admin/reconciliation/:reportId/discrepancies/:discrepancyId/repair', [
+  adminAuth,
+  body('reason')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Motivo deve ter entre 5 e 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const report = await ReconciliationReport.findById(req.params.reportId);
+    const discrepancy = report && report.discrepancies.id(req.params.discrepancyId);
+    
+    if (!discrepancy) {
+      return res.status(404).json({
+        success: false,
+        message: 'Divergência não encontrada'
+      });
+    }
+    
+    if (discrepancy.status !== 'open') {
+      return res.status(400).json({
+        success: false,
+        message: 'Divergência já foi corrigida',
+        code: 'DISCREPANCY_ALREADY_REPAIRED'
+      });
+    }
+    
+    const transaction = await reconciliation.repairDiscrepancy(report, discrepancy, {
+      reason: req.body.reason,
+      adminId: req.userId
+    });
+    
+    res.json({
+      success: true,
+      message: 'Divergência corrigida com sucesso',
+      data: {
+        discrepancy,
+        transaction: transaction.toJSON()
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'DISCREPANCY_ALREADY_REPAIRED') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        code: error.code
+      });
+    }
+    
+    console.error('Erro ao corrigir divergência:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Erro interno do servidor'
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const express = require('express');
+const WebhookEvent = require('../models/WebhookEvent');
+const webhookInbox = require('../services/webhookInbox');
+const { adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// @route   GET /api/webhooks/admin/events
+// @desc    Listar webhooks recebidos dos provedores PIX (Admin)
+// @access  Private/Admin
+router.get('/admin/events', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, provider, status, eventType, eventId } = req.query;
+
+    const query = {};
+    if (provider) query.provider = provider;
+    if (status) query.status = status;
+    if (eventType) query.eventType = eventType;
+    if (eventId) query.eventId = eventId;
+
+    const events = await WebhookEvent.find(query)
+      .sort({ receivedAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await WebhookEvent.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        events: events.map(event => event.toSummary()),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar webhooks:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/webhooks/admin/events/:id
+// @desc    Obter webhook recebido com headers e corpo (Admin)
+// @access  Private/Admin
+router.get('/admin/events/:id', adminAuth, async (req, res) => {
+  try {
+    const event = await WebhookEvent.findById(req.params.id)
+      .populate('replays.replayedBy', 'name email');
+
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evento não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        event
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/webhooks/admin/events/:id/replay
+// @desc    Reprocessar webhook recebido (Admin)
+// @access  Private/Admin
+router.post('/admin/events/:id/replay', adminAuth, async (req, res) => {
+  try {
+    let event;
+    try {
+      event = await webhookInbox.replay(req.params.id, { adminId: req.userId });
+    } catch (error) {
+      if (error.message === 'Evento em processamento' ||
+          error.message === 'Eventos rejeitados não podem ser reprocessados') {
+        return res.status(400).json({
+          success: false,
+          message: error.message
+        });
+      }
+      throw error;
+    }
+
+    if (event === null) {
+      return res.status(404).json({
+        success: false,
+        message: 'Evento não encontrado'
+      });
+    }
+
+    res.json({
+      success: event.status === 'processed',
+      message: event.status === 'processed'
+        ? 'Evento reprocessado com sucesso'
+        : `Falha ao reprocessar evento: ${event.lastError}`,
+      data: {
+        event: event.toSummary()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao reprocessar webhook:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,352 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Transaction = require('../models/Transaction');
+const withdrawalRisk = require('../services/withdrawalRisk');
+const withdrawalReviews = require('../services/withdrawalReviews');
+const money = require('../utils/money');
+const { adminAuth } = require('../middleware/auth');
+
+const router = express.Router();
+
+// Erros da análise de saques -> status HTTP
+const ERROR_STATUSES = {
+  INVALID_STATUS_TRANSITION: 400,
+  WITHDRAWAL_NOT_FOUND: 404,
+  REVIEW_NOT_OPEN: 409,
+  STATUS_CONFLICT: 409
+};
+
+// Responder erros conhecidos; retorna false para os demais
+const handleKnownError = (res, error) => {
+  const status = ERROR_STATUSES[error.code];
+  if (!status) {
+    return false;
+  }
+
+  res.status(status).json({
+    success: false,
+    message: error.message,
+    code: error.code
+  });
+  return true;
+};
+
+// Campos da política: a configuração de cada regra e a restrição a chaves próprias verificadas
+const POLICY_SETTINGS = [
+  ...Object.values(withdrawalRisk.RULES).map(rule => rule.setting),
+  'verifiedRecipientsOnly'
+];
+
+// Converter a política recebida (valores em reais) para o formato do modelo (apenas os campos enviados)
+const parsePolicy = (input = {}) => {
+  const parsed = {};
+  POLICY_SETTINGS.forEach(setting => {
+    const value = input[setting];
+    if (!value) return;
+
+    const settings = {};
+    if (value.enabled !== undefined) settings.enabled = value.enabled === true || value.enabled === 'true';
+    if (value.threshold !== undefined) settings.threshold = money.toCents(value.threshold);
+    if (value.hours !== undefined) settings.hours = parseInt(value.hours);
+    parsed[setting] = settings;
+  });
+  return parsed;
+};
+
+// @route   GET /api/withdrawal-reviews/admin
+// @desc    Fila de saques em análise de risco (Admin)
+// @access  Private/Admin
+router.get('/admin', adminAuth, async (req, res) => {
+  try {
+    const { page = 1, limit = 20, status, rule, user } = req.query;
+
+    // Sem status: saques aguardando decisão, mais antigos primeiro
+    const query = {
+      type: 'withdrawal',
+      'review.status': status || { $in: withdrawalRisk.OPEN_REVIEW_STATUSES }
+    };
+    if (rule) query['review.rules.rule'] = rule;
+    if (user) query.user = user;
+
+    const withdrawals = await Transaction.find(query)
+      .populate('user', 'name email tier createdAt')
+      .sort({ 'review.flaggedAt': 1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit);
+
+    const total = await Transaction.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        withdrawals: withdrawals.map(withdrawal => withdrawal.toJSON({ reviewDetails: true })),
+        pagination: {
+          page: parseInt(page),
+          limit: parseInt(limit),
+          total,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao listar saques em análise:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/withdrawal-reviews/admin/policy
+// @desc    Obter regras de risco dos saques (Admin)
+// @access  Private/Admin
+router.get('/admin/policy', adminAuth, async (req, res) => {
+  try {
+    const policy = await withdrawalRisk.getPolicy();
+
+    res.json({
+      success: true,
+      data: {
+        policy: { ...policy.toJSON(), isDefault: policy.isNew },
+        rules: Object.keys(withdrawalRisk.RULES)
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter regras de risco de saques:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   PUT /api/withdrawal-reviews/admin/policy
+// @desc    Definir regras de risco dos saques (Admin)
+// @access  Private/Admin
+router.put('/admin/policy', [
+  adminAuth,
+  body(POLICY_SETTINGS.map(setting => `${setting}.enabled`))
+    .optional()
+    .isBoolean()
+    .withMessage('enabled deve ser true ou false'),
+
+  body('largeAmount.threshold')
+    .optional()
+    .isFloat({ min: 0 })
+    .withMessage('Valor limite deve ser não negativo'),
+
+  body(['recentDeposit.hours', 'recentPasswordChange.hours', 'recentCpfChange.hours'])
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('Janela deve ser entre 1 e 720 horas')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    // Campos não enviados mantêm o valor atual (ou o padrão)
+    const policy = await withdrawalRisk.getPolicy();
+    Object.entries(parsePolicy(req.body)).forEach(([setting, settings]) => {
+      Object.assign(policy[setting], settings);
+    });
+    policy.updatedBy = req.userId;
+    await policy.save();
+
+    res.json({
+      success: true,
+      message: 'Regras de risco de saques atualizadas com sucesso',
+      data: {
+        policy: policy.toJSON()
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao atualizar regras de risco de saques:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   GET /api/withdrawal-reviews/admin/:id
+// @desc    Obter saque em análise com as regras acionadas (Admin)
+// @access  Private/Admin
+router.get('/admin/:id', adminAuth, async (req, res) => {
+  try {
+    const withdrawal = await Transaction.findOne({ _id: req.params.id, type: 'withdrawal' })
+      .populate('user', 'name email tier createdAt passwordChangedAt cpfChangedAt')
+      .populate('review.reviewedBy', 'name email');
+
+    if (!withdrawal) {
+      return res.status(404).json({
+        success: false,
+        message: 'Saque não encontrado'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        withdrawal: withdrawal.toJSON({ reviewDetails: true })
+      }
+    });
+
+  } catch (error) {
+    console.error('Erro ao obter saque em análise:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/withdrawal-reviews/admin/:id/approve
+// @desc    Aprovar saque em análise e enfileirar o envio ao provedor PIX (Admin)
+// @access  Private/Admin
+router.post('/admin/:id/approve', [
+  adminAuth,
+  body('notes')
+    .optional()
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Observações devem ter no máximo 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const withdrawal = await withdrawalReviews.approve(req.params.id, {
+      adminId: req.userId,
+      notes: req.body.notes || null
+    });
+
+    res.json({
+      success: true,
+      message: 'Saque aprovado; envio ao provedor PIX em andamento',
+      data: {
+        withdrawal: withdrawal.toJSON({ reviewDetails: true })
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao aprovar saque em análise:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/withdrawal-reviews/admin/:id/reject
+// @desc    Recusar saque em análise e liberar o valor bloqueado (Admin)
+// @access  Private/Admin
+router.post('/admin/:id/reject', [
+  adminAuth,
+  body('message')
+    .optional()
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Mensagem ao usuário deve ter no máximo 500 caracteres'),
+
+  body('notes')
+    .trim()
+    .isLength({ min: 5, max: 1000 })
+    .withMessage('Justificativa deve ter entre 5 e 1000 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const withdrawal = await withdrawalReviews.reject(req.params.id, {
+      adminId: req.userId,
+      userMessage: req.body.message || null,
+      notes: req.body.notes
+    });
+
+    res.json({
+      success: true,
+      message: 'Saque recusado; valor bloqueado liberado',
+      data: {
+        withdrawal: withdrawal.toJSON({ reviewDetails: true })
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao recusar saque em análise:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+// @route   POST /api/withdrawal-reviews/admin/:id/request-info
+// @desc    Pedir informações ao usuário sobre o saque em análise (Admin)
+// @access  Private/Admin
+router.post('/admin/:id/request-info', [
+  adminAuth,
+  body('message')
+    .trim()
+    .isLength({ min: 5, max: 500 })
+    .withMessage('Mensagem deve ter entre 5 e 500 caracteres')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dados inválidos',
+        errors: errors.array()
+      });
+    }
+
+    const withdrawal = await withdrawalReviews.requestInfo(req.params.id, {
+      adminId: req.userId,
+      message: req.body.message
+    });
+
+    res.json({
+      success: true,
+      message: 'Pedido de informações enviado ao usuário',
+      data: {
+        withdrawal: withdrawal.toJSON({ reviewDetails: true })
+      }
+    });
+
+  } catch (error) {
+    if (handleKnownError(res, error)) return;
+
+    console.error('Erro ao pedir informações do saque em análise:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Erro interno do servidor'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,562 @@
+const crypto = require('crypto');
+const express = require('express');
+const axios = require('axios');
+const QRCode = require('qrcode');
+require('dotenv').config();
+
+const brcode = require('../utils/brcode');
+const money = require('../utils/money');
+
+// Simulador local da API v3 do ASAAS (clientes, cobranças PIX e transferências),
+// com estado em memória. Para usar, apontar a aplicação para ele:
+//   ASAAS_BASE_URL=http://localhost:3100/api/v3 ASAAS_API_KEY=sandbox
+// e executar `npm run asaas:sandbox` com o mesmo ASAAS_WEBHOOK_TOKEN da aplicação
+// (enviado no header asaas-access-token dos webhooks).
+//
+// Os pagamentos e transferências mudam de status por comando (rotas /sandbox) ou,
+// com ASAAS_SANDBOX_AUTO_INTERVAL, automaticamente; cada mudança dispara o webhook
+// correspondente para ASAAS_SANDBOX_WEBHOOK_URL.
+
+const SANDBOX_CONFIG = {
+  port: parseInt(process.env.ASAAS_SANDBOX_PORT) || 3100,
+  apiKey: process.env.ASAAS_SANDBOX_API_KEY || null, // null = aceita qualquer access_token
+  webhookUrl: process.env.ASAAS_SANDBOX_WEBHOOK_URL || `http://localhost:${process.env.PORT || 3000}/api/asaas/webhook`,
+  webhookToken: process.env.ASAAS_SANDBOX_WEBHOOK_TOKEN || process.env.ASAAS_WEBHOOK_TOKEN || null,
+  autoInterval: parseInt(process.env.ASAAS_SANDBOX_AUTO_INTERVAL) || 0, // ms; 0 = apenas por comando
+  transferFailureRate: parseFloat(process.env.ASAAS_SANDBOX_TRANSFER_FAILURE_RATE) || 0.1,
+  pixKey: process.env.ASAAS_SANDBOX_PIX_KEY || crypto.randomUUID(),
+  merchantName: 'ASAAS SANDBOX',
+  merchantCity: 'JOINVILLE'
+};
+
+const API_PREFIX = '/api/v3';
+const PIX_KEY_TYPES = ['CPF', 'CNPJ', 'EMAIL', 'PHONE', 'EVP'];
+const BILLING_TYPES = ['PIX', 'BOLETO', 'CREDIT_CARD', 'UNDEFINED'];
+
+// Validade do QR Code PIX de uma cobrança
+const QR_CODE_TTL = 24 * 60 * 60 * 1000;
+
+// Erro no formato da API do ASAAS
+const asaasError = (res, status, code, description) => {
+  return res.status(status).json({ errors: [{ code, description }] });
+};
+
+const generateId = (prefix) => `${prefix}_${crypto.randomBytes(8).toString('hex')}`;
+
+// endToEndId no formato do Banco Central (ISPB fictício do sandbox; devoluções usam o prefixo D)
+const generateEndToEndId = (prefix = 'E') => {
+  const timestamp = new Date().toISOString().replace(/\D/g, '').substring(0, 12);
+  return `${prefix}19540550${timestamp}${crypto.randomBytes(6).toString('hex').substring(0, 11)}`;
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// txid do BR Code da cobrança (o mesmo do QR Code e da transação PIX que a paga)
+const paymentTxId = (payment) => payment.id.replace(/[^a-zA-Z0-9]/g, '').substring(0, 25);
+
+// Listagem paginada no formato do ASAAS
+const listResponse = (items, { offset = 0, limit = 10 }) => {
+  const start = parseInt(offset) || 0;
+  const size = Math.min(parseInt(limit) || 10, 100);
+  return {
+    object: 'list',
+    hasMore: start + size < items.length,
+    totalCount: items.length,
+    limit: size,
+    offset: start,
+    data: items.slice(start, start + size)
+  };
+};
+
+// Filtrar uma lista pelos parâmetros de consulta informados
+const filterBy = (items, query, fields) => {
+  return items.filter(item => fields.every(field => query[field] === undefined || String(item[field]) === String(query[field])));
+};
+
+const createSandbox = (options = {}) => {
+  const config = { ...SANDBOX_CONFIG, ...options };
+  const customers = new Map();
+  const payments = new Map();
+  const transfers = new Map();
+  const pixTransactions = new Map();
+  const events = [];
+
+  const app = express();
+  app.use(express.json());
+
+  // Enviar um evento ao webhook configurado (registrado em /sandbox/events)
+  const fireWebhook = async (event, resource) => {
+    const body = {
+      id: generateId('evt'),
+      event,
+      dateCreated: new Date().toISOString(),
+      [resource.object]: resource
+    };
+    const record = { ...body, deliveredAt: null, responseStatus: null, error: null };
+    events.push(record);
+
+    if (!config.webhookUrl) {
+      return record;
+    }
+
+    try {
+      const response = await axios.post(config.webhookUrl, body, {
+        headers: config.webhookToken ? { 'asaas-access-token': config.webhookToken } : {},
+        timeout: 10000,
+        validateStatus: () => true
+      });
+      record.deliveredAt = new Date().toISOString();
+      record.responseStatus = response.status;
+      console.log(`📨 ${event} (${resource.id}) -> ${response.status}`);
+    } catch (error) {
+      record.error = error.message;
+      console.error(`❌ Falha ao enviar ${event} (${resource.id}):`, error.message);
+    }
+
+    return record;
+  };
+
+  // Transições de status
+
+  const receivePayment = (payment) => {
+    payment.status = 'RECEIVED';
+    payment.paymentDate = toDateString(new Date());
+    payment.clientPaymentDate = payment.paymentDate;
+    payment.confirmedDate = payment.paymentDate;
+
+    // Como na API real, a cobrança traz apenas o id da transação PIX (consultada em /pix/transactions)
+    const pixTransaction = {
+      object: 'pixTransaction',
+      id: crypto.randomUUID(),
+      endToEndIdentifier: generateEndToEndId(),
+      conciliationIdentifier: paymentTxId(payment),
+      value: payment.value,
+      status: 'DONE',
+      type: 'CREDIT',
+      payment: payment.id,
+      dateCreated: new Date().toISOString(),
+      effectiveDate: new Date().toISOString()
+    };
+    pixTransactions.set(pixTransaction.id, pixTransaction);
+    payment.pixTransaction = pixTransaction.id;
+    return fireWebhook('PAYMENT_RECEIVED', payment);
+  };
+
+  const overduePayment = (payment) => {
+    payment.status = 'OVERDUE';
+    return fireWebhook('PAYMENT_OVERDUE', payment);
+  };
+
+  // Devolução total ou parcial (concluída na hora); registrada em payment.refunds
+  const refundPayment = (payment, value = null, description = null) => {
+    const refunded = (payment.refunds || []).reduce((sum, refund) => sum + refund.value, 0);
+    const refundValue = value !== null ? Number(value) : Math.round((payment.value - refunded) * 100) / 100;
+
+    payment.refunds = [...(payment.refunds || []), {
+      dateCreated: new Date().toISOString(),
+      status: 'DONE',
+      value: refundValue,
+      description,
+      endToEndIdentifier: generateEndToEndId('D')
+    }];
+
+    if (Math.round((refunded + refundValue) * 100) >= Math.round(payment.value * 100)) {
+      payment.status = 'REFUNDED';
+      return fireWebhook('PAYMENT_REFUNDED', payment);
+    }
+    return fireWebhook('PAYMENT_PARTIALLY_REFUNDED', payment);
+  };
+
+  const completeTransfer = (transfer) => {
+    transfer.status = 'DONE';
+    transfer.effectiveDate = new Date().toISOString();
+    transfer.endToEndIdentifier = generateEndToEndId();
+    transfer.transactionReceiptUrl = `https://sandbox.asaas.com/comprovantes/${transfer.id}`;
+    return fireWebhook('TRANSFER_DONE', transfer);
+  };
+
+  const failTransfer = (transfer, reason = 'Chave PIX não encontrada') => {
+    transfer.status = 'FAILED';
+    transfer.failReason = reason;
+    return fireWebhook('TRANSFER_FAILED', transfer);
+  };
+
+  // Autenticação por access_token (como na API real)
+  const api = express.Router();
+  api.use((req, res, next) => {
+    const token = req.headers['access_token'];
+    if (!token || (config.apiKey && token !== config.apiKey)) {
+      return asaasError(res, 401, 'invalid_access_token', 'A chave de API fornecida é inválida');
+    }
+    next();
+  });
+
+  // Clientes
+
+  const createCustomer = (data) => {
+    const customer = {
+      object: 'customer',
+      id: generateId('cus'),
+      dateCreated: toDateString(new Date()),
+      name: data.name,
+      email: data.email || null,
+      phone: data.phone || null,
+      mobilePhone: data.mobilePhone || null,
+      cpfCnpj: String(data.cpfCnpj).replace(/\D/g, ''),
+      externalReference: data.externalReference || null,
+      notificationDisabled: Boolean(data.notificationDisabled),
+      deleted: false
+    };
+    customers.set(customer.id, customer);
+    return customer;
+  };
+
+  api.post('/customers', (req, res) => {
+    if (!req.body.name) {
+      return asaasError(res, 400, 'invalid_name', 'O nome do cliente é obrigatório');
+    }
+    if (!req.body.cpfCnpj) {
+      return asaasError(res, 400, 'invalid_cpfCnpj', 'O CPF/CNPJ do cliente é obrigatório');
+    }
+    res.json(createCustomer(req.body));
+  });
+
+  api.get('/customers', (req, res) => {
+    const query = { ...req.query };
+    if (query.cpfCnpj) query.cpfCnpj = query.cpfCnpj.replace(/\D/g, '');
+    const list = filterBy([...customers.values()].filter(c => !c.deleted), query, ['cpfCnpj', 'email', 'externalReference']);
+    res.json(listResponse(list, req.query));
+  });
+
+  api.get('/customers/:id', (req, res) => {
+    const customer = customers.get(req.params.id);
+    if (!customer) {
+      return asaasError(res, 404, 'not_found', 'Cliente não encontrado');
+    }
+    res.json(customer);
+  });
+
+  api.put('/customers/:id', (req, res) => {
+    const customer = customers.get(req.params.id);
+    if (!customer || customer.deleted) {
+      return asaasError(res, 404, 'not_found', 'Cliente não encontrado');
+    }
+    ['name', 'email', 'phone', 'mobilePhone', 'externalReference', 'notificationDisabled'].forEach(field => {
+      if (req.body[field] !== undefined) customer[field] = req.body[field];
+    });
+    if (req.body.cpfCnpj !== undefined) customer.cpfCnpj = String(req.body.cpfCnpj).replace(/\D/g, '');
+    res.json(customer);
+  });
+
+  // Cobranças
+
+  api.post('/payments', (req, res) => {
+    const { billingType, value, dueDate, description, externalReference } = req.body;
+    let { customer } = req.body;
+
+    // Aceita também os dados do cliente em vez do id (a API real exige o id)
+    if (customer && typeof customer === 'object') {
+      customer = createCustomer(customer).id;
+    }
+    if (!customer || !customers.has(customer)) {
+      return asaasError(res, 400, 'invalid_customer', 'Cliente inexistente ou não informado');
+    }
+    if (!BILLING_TYPES.includes(billingType)) {
+      return asaasError(res, 400, 'invalid_billingType', 'Forma de pagamento inválida');
+    }
+    if (!(Number(value) > 0)) {
+      return asaasError(res, 400, 'invalid_value', 'O valor da cobrança deve ser maior que zero');
+    }
+    if (!dueDate || Number.isNaN(Date.parse(dueDate))) {
+      return asaasError(res, 400, 'invalid_dueDate', 'Data de vencimento inválida');
+    }
+
+    const payment = {
+      object: 'payment',
+      id: generateId('pay'),
+      dateCreated: toDateString(new Date()),
+      customer,
+      value: Number(value),
+      netValue: Number(value),
+      billingType,
+      status: 'PENDING',
+      dueDate,
+      description: description || null,
+      externalReference: externalReference || null,
+      paymentDate: null,
+      clientPaymentDate: null,
+      confirmedDate: null,
+      pixTransaction: null,
+      invoiceUrl: `https://sandbox.asaas.com/i/${crypto.randomBytes(6).toString('hex')}`,
+      deleted: false
+    };
+    payments.set(payment.id, payment);
+    res.json(payment);
+  });
+
+  api.get('/payments', (req, res) => {
+    const list = filterBy([...payments.values()].filter(p => !p.deleted), req.query, ['customer', 'status', 'billingType', 'externalReference']);
+    res.json(listResponse(list, req.query));
+  });
+
+  api.get('/payments/:id', (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment) {
+      return asaasError(res, 404, 'not_found', 'Cobrança não encontrada');
+    }
+    res.json(payment);
+  });
+
+  api.get('/payments/:id/pixQrCode', async (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.deleted) {
+      return asaasError(res, 404, 'not_found', 'Cobrança não encontrada');
+    }
+    if (payment.billingType !== 'PIX' && payment.billingType !== 'UNDEFINED') {
+      return asaasError(res, 400, 'invalid_action', 'A cobrança não aceita PIX');
+    }
+
+    // BR Code com valor fixo; o txid identifica a cobrança
+    const payload = brcode.encode({
+      key: config.pixKey,
+      amount: money.toCents(payment.value),
+      txid: paymentTxId(payment),
+      merchantName: config.merchantName,
+      merchantCity: config.merchantCity
+    });
+    const image = await QRCode.toDataURL(payload);
+
+    res.json({
+      encodedImage: image.replace(/^data:image\/png;base64,/, ''),
+      payload,
+      expirationDate: new Date(Date.now() + QR_CODE_TTL).toISOString().replace('T', ' ').substring(0, 19)
+    });
+  });
+
+  api.delete('/payments/:id', async (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.deleted) {
+      return asaasError(res, 404, 'not_found', 'Cobrança não encontrada');
+    }
+    if (payment.status !== 'PENDING' && payment.status !== 'OVERDUE') {
+      return asaasError(res, 400, 'invalid_action', 'Só é possível remover cobranças pendentes ou vencidas');
+    }
+    payment.deleted = true;
+    await fireWebhook('PAYMENT_DELETED', payment);
+    res.json({ deleted: true, id: payment.id });
+  });
+
+  api.post('/payments/:id/refund', async (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.deleted) {
+      return asaasError(res, 404, 'not_found', 'Cobrança não encontrada');
+    }
+    if (payment.status !== 'RECEIVED' && payment.status !== 'CONFIRMED') {
+      return asaasError(res, 400, 'invalid_action', 'Só é possível estornar cobranças recebidas');
+    }
+    const refunded = (payment.refunds || []).reduce((sum, refund) => sum + refund.value, 0);
+    const { value, description } = req.body || {};
+    if (value !== undefined && !(Number(value) > 0 && Math.round((refunded + Number(value)) * 100) <= Math.round(payment.value * 100))) {
+      return asaasError(res, 400, 'invalid_value', 'Valor de estorno maior que o saldo da cobrança');
+    }
+    await refundPayment(payment, value !== undefined ? value : null, description || null);
+    res.json(payment);
+  });
+
+  // Transferências
+
+  api.post('/transfers', (req, res) => {
+    const { value, pixAddressKey, pixAddressKeyType, description, scheduleDate, externalReference } = req.body;
+
+    if (!(Number(value) > 0)) {
+      return asaasError(res, 400, 'invalid_value', 'O valor da transferência deve ser maior que zero');
+    }
+    if (!pixAddressKey) {
+      return asaasError(res, 400, 'invalid_pixAddressKey', 'Informe a chave PIX de destino');
+    }
+    if (!PIX_KEY_TYPES.includes(pixAddressKeyType)) {
+      return asaasError(res, 400, 'invalid_pixAddressKeyType', 'Tipo de chave PIX inválido');
+    }
+
+    const transfer = {
+      object: 'transfer',
+      id: crypto.randomUUID(),
+      type: 'PIX',
+      dateCreated: toDateString(new Date()),
+      value: Number(value),
+      netValue: Number(value),
+      transferFee: 0,
+      status: 'PENDING',
+      effectiveDate: null,
+      scheduleDate: scheduleDate || toDateString(new Date()),
+      endToEndIdentifier: null,
+      authorized: true,
+      failReason: null,
+      transactionReceiptUrl: null,
+      operationType: 'PIX',
+      description: description || null,
+      externalReference: externalReference || null,
+      bankAccount: {
+        pixAddressKey,
+        pixAddressKeyType
+      }
+    };
+    transfers.set(transfer.id, transfer);
+    res.json(transfer);
+  });
+
+  api.get('/transfers', (req, res) => {
+    const list = filterBy([...transfers.values()], req.query, ['status', 'type', 'externalReference']);
+    res.json(listResponse(list, req.query));
+  });
+
+  api.get('/transfers/:id', (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer) {
+      return asaasError(res, 404, 'not_found', 'Transferência não encontrada');
+    }
+    res.json(transfer);
+  });
+
+  api.delete('/transfers/:id', async (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer) {
+      return asaasError(res, 404, 'not_found', 'Transferência não encontrada');
+    }
+    if (transfer.status !== 'PENDING') {
+      return asaasError(res, 400, 'invalid_action', 'Só é possível cancelar transferências pendentes');
+    }
+    transfer.status = 'CANCELLED';
+    await fireWebhook('TRANSFER_CANCELLED', transfer);
+    res.json(transfer);
+  });
+
+  // Transações PIX (recebimentos das cobranças)
+  api.get('/pix/transactions/:id', (req, res) => {
+    const pixTransaction = pixTransactions.get(req.params.id);
+    if (!pixTransaction) {
+      return asaasError(res, 404, 'not_found', 'Transação não encontrada');
+    }
+    res.json(pixTransaction);
+  });
+
+  app.use(API_PREFIX, api);
+
+  // Comandos do simulador (sem autenticação): forçar mudanças de status
+
+  const sandbox = express.Router();
+
+  const withPayment = (handler) => async (req, res) => {
+    const payment = payments.get(req.params.id);
+    if (!payment || payment.deleted) {
+      return asaasError(res, 404, 'not_found', 'Cobrança não encontrada');
+    }
+    if (payment.status !== 'PENDING' && payment.status !== 'OVERDUE') {
+      return asaasError(res, 400, 'invalid_action', `Cobrança com status ${payment.status}`);
+    }
+    const event = await handler(payment, req);
+    res.json({ payment, event });
+  };
+
+  const withTransfer = (handler) => async (req, res) => {
+    const transfer = transfers.get(req.params.id);
+    if (!transfer) {
+      return asaasError(res, 404, 'not_found', 'Transferência não encontrada');
+    }
+    if (transfer.status !== 'PENDING' && transfer.status !== 'BANK_PROCESSING') {
+      return asaasError(res, 400, 'invalid_action', `Transferência com status ${transfer.status}`);
+    }
+    const event = await handler(transfer, req);
+    res.json({ transfer, event });
+  };
+
+  sandbox.post('/payments/:id/receive', withPayment(payment => receivePayment(payment)));
+  sandbox.post('/payments/:id/overdue', withPayment(payment => overduePayment(payment)));
+  sandbox.post('/transfers/:id/done', withTransfer(transfer => completeTransfer(transfer)));
+  sandbox.post('/transfers/:id/fail', withTransfer((transfer, req) => failTransfer(transfer, req.body.reason)));
+
+  // Reenviar um evento já disparado
+  sandbox.post('/events/:id/resend', async (req, res) => {
+    const original = events.find(event => event.id === req.params.id);
+    if (!original) {
+      return asaasError(res, 404, 'not_found', 'Evento não encontrado');
+    }
+    const resource = original.payment || original.transfer;
+    res.json(await fireWebhook(original.event, resource));
+  });
+
+  sandbox.get('/events', (req, res) => {
+    res.json(listResponse([...events].reverse(), req.query));
+  });
+
+  sandbox.get('/state', (req, res) => {
+    res.json({
+      customers: [...customers.values()],
+      payments: [...payments.values()],
+      transfers: [...transfers.values()],
+      pixTransactions: [...pixTransactions.values()]
+    });
+  });
+
+  app.use('/sandbox', sandbox);
+
+  // Processamento automático: paga as cobranças PIX pendentes e conclui (ou falha)
+  // as transferências pendentes a cada intervalo
+  const tick = async () => {
+    for (const payment of payments.values()) {
+      if (!payment.deleted && payment.status === 'PENDING' && payment.billingType === 'PIX') {
+        await receivePayment(payment);
+      }
+    }
+    for (const transfer of transfers.values()) {
+      if (transfer.status === 'PENDING') {
+        if (Math.random() < config.transferFailureRate) {
+          await failTransfer(transfer);
+        } else {
+          await completeTransfer(transfer);
+        }
+      }
+    }
+  };
+
+  return { app, tick, config, state: { customers, payments, transfers, pixTransactions, events } };
+};
+
+// Iniciar o simulador
+const start = () => {
+  const sandbox = createSandbox();
+  const { config } = sandbox;
+
+  const server = sandbox.app.listen(config.port, () => {
+    console.log(`🧪 ASAAS sandbox em http://localhost:${config.port}${API_PREFIX}`);
+    console.log(`📨 Webhooks para ${config.webhookUrl}`);
+    console.log(config.autoInterval
+      ? `⏱️ Processamento automático a cada ${config.autoInterval / 1000}s`
+      : '⏱️ Processamento automático desativado (use as rotas /sandbox)');
+  });
+
+  if (config.autoInterval) {
+    let running = false;
+    setInterval(async () => {
+      if (running) return;
+      running = true;
+      try {
+        await sandbox.tick();
+      } finally {
+        running = false;
+      }
+    }, config.autoInterval);
+  }
+
+  return server;
+};
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  start();
+}
+
+module.exports = {
+  createSandbox,
+  start
+};
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const money = require('../utils/money');
+const { runInTransaction } = require('../config/database');
+
+// Migração única: converte valores monetários gravados em reais (float) para centavos inteiros.
+// Uso: node scripts/migrateMoneyToCents.js
+// Cada coleção é convertida em uma transação MongoDB junto com o registro de controle
+// na coleção `migrations`, então a migração pode ser executada novamente com segurança.
+
+const MIGRATION_ID = 'money-to-cents';
+
+// Campos monetários por coleção (caminhos com arrays são convertidos item a item)
+const MONEY_PATHS = {
+  users: ['balance', 'referralEarnings', 'totalInvested', 'totalEarnings'],
+  transactions: ['amount', 'fee', 'netAmount'],
+  investments: [
+    'amount',
+    'expectedReturn',
+    'actualReturn',
+    'trader.minInvestment',
+    'trader.maxInvestment',
+    'dailyReturns.amount'
+  ],
+  ledgeraccounts: ['debits', 'credits', 'balance'],
+  journalentries: ['postings.amount'],
+  reconciliationreports: [
+    'discrepancies.expected',
+    'discrepancies.actual',
+    'discrepancies.difference'
+  ]
+};
+
+// Converter um caminho do documento para centavos (arredondamento meio para o par)
+const convertPath = (target, parts) => {
+  if (target === null || target === undefined) return;
+
+  if (Array.isArray(target)) {
+    target.forEach(item => convertPath(item, parts));
+    return;
+  }
+
+  const [head, ...tail] = parts;
+  if (tail.length === 0) {
+    if (typeof target[head] === 'number') {
+      target[head] = money.toCents(target[head]);
+    }
+    return;
+  }
+
+  convertPath(target[head], tail);
+};
+
+// Montar o $set com os campos de primeiro nível alterados
+const buildUpdate = (doc, paths) => {
+  const update = {};
+
+  paths.forEach(path => {
+    const [field, ...rest] = path.split('.');
+    if (doc[field] === undefined || doc[field] === null) return;
+
+    if (!(field in update)) {
+      update[field] = rest.length === 0 ? doc[field] : JSON.parse(JSON.stringify(doc[field]));
+    }
+
+    if (rest.length === 0) {
+      if (typeof update[field] === 'number') {
+        update[field] = money.toCents(update[field]);
+      }
+    } else {
+      convertPath(update[field], rest);
+    }
+  });
+
+  return update;
+};
+
+const migrateCollection = async (db, name, paths) => {
+  const migrations = db.collection('migrations');
+
+  return runInTransaction(async (session) => {
+    const record = await migrations.findOne({ _id: MIGRATION_ID }, { session });
+    if (record && record.collections && record.collections.includes(name)) {
+      console.log(`⏭️ ${name}: já migrada`);
+      return 0;
+    }
+
+    const collection = db.collection(name);
+    const cursor = collection.find({}, { session });
+    let operations = [];
+    let converted = 0;
+
+    for await (const doc of cursor) {
+      const update = buildUpdate(doc, paths);
+      if (Object.keys(update).length === 0) continue;
+
+      operations.push({ updateOne: { filter: { _id: doc._id }, update: { $set: update } } });
+      converted += 1;
+
+      if (operations.length === 500) {
+        await collection.bulkWrite(operations, { session });
+        operations = [];
+      }
+    }
+
+    if (operations.length > 0) {
+      await collection.bulkWrite(operations, { session });
+    }
+
+    await migrations.updateOne(
+      { _id: MIGRATION_ID },
+      {
+        $addToSet: { collections: name },
+        $setOnInsert: { startedAt: new Date() },
+        $set: { updatedAt: new Date() }
+      },
+      { upsert: true, session }
+    );
+
+    console.log(`✅ ${name}: ${converted} documentos convertidos`);
+    return converted;
+  });
+};
+
+const runMigration = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/furby_investimentos';
+
+  try {
+    await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+    console.log('✅ Conectado ao MongoDB');
+
+    const db = mongoose.connection.db;
+
+    for (const [name, paths] of Object.entries(MONEY_PATHS)) {
+      await migrateCollection(db, name, paths);
+    }
+
+    await db.collection('migrations').updateOne(
+      { _id: MIGRATION_ID },
+      { $set: { completedAt: new Date() } }
+    );
+
+    console.log('✅ Migração para centavos concluída');
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Erro na migração para centavos:', error);
+    process.exit(1);
+  }
+};
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  runMigration();
+}
+
+module.exports = { MONEY_PATHS, buildUpdate };
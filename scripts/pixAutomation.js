@@ -1,38 +1,27 @@
-const mongoose = require('mongoose');
 const cron = require('node-cron');
-const axios = require('axios');
+const os = require('os');
 require('dotenv').config();
 
 const Transaction = require('../models/Transaction');
 const User = require('../models/User');
 const Investment = require('../models/Investment');
+const holds = require('../services/holds');
+const staticPix = require('../services/staticPix');
+const pixPayments = require('../services/pixPayments');
+const medCases = require('../services/medCases');
+const withdrawalRisk = require('../services/withdrawalRisk');
+const webhookInbox = require('../services/webhookInbox');
+const jobQueue = require('../services/jobQueue');
+const jobRuns = require('../services/jobRuns');
+const jobLeases = require('../services/jobLeases');
+const pixJobs = require('../services/pixJobs');
+const { getProvider } = require('../services/pixProviders');
+const money = require('../utils/money');
+const { runInTransaction, runOnCurrent } = require('../config/database');
+const { runReconciliation } = require('../services/reconciliation');
 
-// Configurações ASAAS
-const ASAAS_API_KEY = process.env.ASAAS_API_KEY;
-const ASAAS_BASE_URL = process.env.ASAAS_BASE_URL || 'https://sandbox.asaas.com/api/v3';
-
-// Headers para ASAAS
-const getAsaasHeaders = () => ({
-  'Content-Type': 'application/json',
-  'access_token': ASAAS_API_KEY
-});
-
-// Conectar ao MongoDB
-const connectDB = async () => {
-  try {
-    await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/furby_investimentos', {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-    });
-    console.log('✅ PIX Automation - Conectado ao MongoDB');
-  } catch (error) {
-    console.error('❌ Erro ao conectar com MongoDB:', error);
-    process.exit(1);
-  }
-};
-
-// Simular consulta de pagamentos PIX (em produção, usar API real do banco)
-const checkPixPayments = async () => {
+// Consultar no provedor PIX as cobranças de depósitos pendentes
+const checkPixPayments = async (run = jobRuns.NOOP_RECORDER) => {
   try {
     console.log('🔍 Verificando pagamentos PIX pendentes...');
     
@@ -41,153 +30,89 @@ const checkPixPayments = async () => {
       method: 'pix',
       status: 'pending',
       createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) } // Últimas 24h
-    }).populate('user');
+    });
 
     console.log(`📋 Encontradas ${pendingTransactions.length} transações PIX pendentes`);
 
     for (const transaction of pendingTransactions) {
-      // Simular verificação de pagamento (em produção, consultar API do banco)
-      const paymentReceived = await simulatePixPaymentCheck(transaction);
-      
-      if (paymentReceived) {
-        await processPixPayment(transaction);
+      try {
+        const confirmed = await pixPayments.syncDeposit(transaction);
+        run.processed();
+        
+        if (confirmed && transaction.status === 'completed') {
+          console.log(`✅ Pagamento PIX processado: ${transaction.transactionId} - ${money.format(transaction.amount)}`);
+        }
+      } catch (error) {
+        console.error(`❌ Erro ao verificar pagamento PIX ${transaction.transactionId}:`, error.response?.data || error.message);
+        run.error(error, transaction.transactionId);
       }
     }
 
+    // Creditar pagamentos recebidos nos QR Codes estáticos pessoais
+    await checkStaticPixPayments(run);
+
     // Verificar transações expiradas
-    await expireOldPixTransactions();
+    await expireOldPixTransactions(run);
 
   } catch (error) {
     console.error('❌ Erro ao verificar pagamentos PIX:', error);
+    run.fail(error);
   }
 };
 
-// Verificar status de pagamento no ASAAS
-const checkAsaasPaymentStatus = async (paymentId) => {
-  try {
-    if (!ASAAS_API_KEY) {
-      console.log('⚠️ ASAAS_API_KEY não configurada, pulando verificação');
-      return false;
-    }
+// Conferir pagamentos recebidos nos QR Codes estáticos (últimas 24h; créditos já feitos são ignorados)
+const checkStaticPixPayments = async (run = jobRuns.NOOP_RECORDER) => {
+  const provider = getProvider();
+  if (!provider.listReceivedPayments) {
+    return;
+  }
 
-    const response = await axios.get(
-      `${ASAAS_BASE_URL}/payments/${paymentId}`,
-      { headers: getAsaasHeaders() }
-    );
+  const received = await provider.listReceivedPayments({
+    since: new Date(Date.now() - 24 * 60 * 60 * 1000)
+  });
 
-    const payment = response.data;
-    return payment.status === 'RECEIVED';
-    
-  } catch (error) {
-    console.error(`❌ Erro ao verificar pagamento ASAAS ${paymentId}:`, error.response?.data || error.message);
-    return false;
-  }
-};
+  let credited = 0;
+  for (const payment of received) {
+    if (!staticPix.isStaticTxId(payment.txId)) continue;
 
-// Simular verificação de pagamento PIX
-const simulatePixPaymentCheck = async (transaction) => {
-  // Verificar se é transação ASAAS
-  if (transaction.metadata?.provider === 'asaas' && transaction.pix?.asaasPaymentId) {
-    return await checkAsaasPaymentStatus(transaction.pix.asaasPaymentId);
-  }
-  
-  // Em produção, aqui seria feita uma consulta real à API do banco
-  // Por enquanto, simular que 30% dos pagamentos são confirmados
-  const random = Math.random();
-  
-  // Simular que transações mais antigas têm maior chance de serem pagas
-  const ageInMinutes = (Date.now() - transaction.createdAt.getTime()) / (1000 * 60);
-  const paymentProbability = Math.min(0.3 + (ageInMinutes / 60) * 0.1, 0.8);
-  
-  return random < paymentProbability;
-};
+    try {
+      const existing = await Transaction.exists({ 'pix.endToEndId': payment.endToEndId });
+      if (existing) continue;
 
-// Processar pagamento PIX confirmado
-const processPixPayment = async (transaction) => {
-  try {
-    console.log(`💰 Processando pagamento PIX: ${transaction.transactionId}`);
-    
-    // Atualizar status da transação
-    transaction.status = 'completed';
-    transaction.completedAt = new Date();
-    transaction.pix.endToEndId = `E${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-    await transaction.save();
-    
-    // Adicionar saldo ao usuário
-    const user = await User.findById(transaction.user);
-    if (user) {
-      await user.addBalance(transaction.netAmount);
-      console.log(`✅ Saldo adicionado: R$ ${transaction.netAmount.toFixed(2)} para ${user.name}`);
-      
-      // Processar comissão de indicação se aplicável
-      if (user.referredBy) {
-        await processReferralCommission(user, transaction.netAmount);
+      const deposit = await staticPix.creditStaticPayment({ ...payment, actorType: 'job' });
+      if (deposit) {
+        credited += 1;
+        run.processed();
+        console.log(`✅ PIX recebido no QR Code pessoal: ${money.format(payment.amount)} (${payment.txId})`);
       }
+    } catch (error) {
+      console.error(`❌ Erro ao creditar PIX ${payment.endToEndId}:`, error.message);
+      run.error(error, payment.endToEndId);
     }
-    
-    // Log da transação processada
-    console.log(`✅ Pagamento PIX processado: ${transaction.transactionId} - R$ ${transaction.amount.toFixed(2)}`);
-    
-  } catch (error) {
-    console.error(`❌ Erro ao processar pagamento PIX ${transaction.transactionId}:`, error);
   }
-};
 
-// Processar comissão de indicação
-const processReferralCommission = async (user, depositAmount) => {
-  try {
-    const referrer = await User.findById(user.referredBy);
-    if (!referrer) return;
-    
-    // Calcular comissão (5% do depósito)
-    const commissionRate = 0.05;
-    const commissionAmount = depositAmount * commissionRate;
-    
-    // Criar transação de comissão
-    const commissionTransaction = new Transaction({
-      user: referrer._id,
-      type: 'referral',
-      method: 'system',
-      amount: commissionAmount,
-      netAmount: commissionAmount,
-      description: `Comissão de indicação - ${user.name}`,
-      referredUser: user._id,
-      status: 'completed',
-      completedAt: new Date()
-    });
-    
-    await commissionTransaction.save();
-    
-    // Adicionar saldo e atualizar ganhos de indicação
-    await referrer.addBalance(commissionAmount);
-    referrer.referralEarnings += commissionAmount;
-    await referrer.save();
-    
-    console.log(`💸 Comissão de indicação processada: R$ ${commissionAmount.toFixed(2)} para ${referrer.name}`);
-    
-  } catch (error) {
-    console.error('❌ Erro ao processar comissão de indicação:', error);
+  if (credited > 0) {
+    console.log(`📋 ${credited} pagamentos em QR Codes pessoais creditados`);
   }
 };
 
-// Expirar transações PIX antigas
-const expireOldPixTransactions = async () => {
+// Expirar transações PIX antigas (vencidas, ou sem vencimento e criadas há mais de 30 minutos)
+const expireOldPixTransactions = async (run = jobRuns.NOOP_RECORDER) => {
   try {
+    const now = new Date();
     const expiredTransactions = await Transaction.find({
       type: 'deposit',
       method: 'pix',
       status: 'pending',
-      createdAt: { $lt: new Date(Date.now() - 30 * 60 * 1000) } // Mais de 30 minutos
+      $or: [
+        { 'pix.expiresAt': { $lt: now } },
+        { 'pix.expiresAt': null, createdAt: { $lt: new Date(now.getTime() - pixPayments.DEPOSIT_TTL) } }
+      ]
     });
     
     for (const transaction of expiredTransactions) {
-      transaction.status = 'expired';
-      transaction.metadata = {
-        ...transaction.metadata,
-        expiredAt: new Date(),
-        reason: 'Tempo limite excedido'
-      };
-      await transaction.save();
+      await transaction.expire('Tempo limite excedido', { actorType: 'job' });
+      run.processed();
       
       console.log(`⏰ Transação PIX expirada: ${transaction.transactionId}`);
     }
@@ -198,50 +123,137 @@ const expireOldPixTransactions = async () => {
     
   } catch (error) {
     console.error('❌ Erro ao expirar transações PIX:', error);
+    run.error(error);
   }
 };
 
-// Processar saques PIX pendentes
-const processPixWithdrawals = async () => {
+// Enfileirar o envio dos saques PIX ainda não aceitos pelo provedor e a consulta dos que estão
+// em processamento (saques com job ativo não são duplicados)
+const processPixWithdrawals = async (run = jobRuns.NOOP_RECORDER) => {
   try {
     console.log('💸 Processando saques PIX pendentes...');
     
-    const pendingWithdrawals = await Transaction.find({
+    // O envio de saques recentes já foi enfileirado na criação (pendentes com externalId foram
+    // aceitos pelo provedor, mas o débito falhou); saques em análise só são enviados quando aprovados
+    const withdrawals = await Transaction.find({
       type: 'withdrawal',
       method: 'pix',
-      status: 'pending'
-    }).populate('user');
-    
-    console.log(`📋 Encontrados ${pendingWithdrawals.length} saques PIX pendentes`);
+      $or: [
+        {
+          status: 'pending',
+          'review.status': { $nin: withdrawalRisk.OPEN_REVIEW_STATUSES },
+          createdAt: { $lt: new Date(Date.now() - 5 * 60 * 1000) }
+        },
+        { status: 'processing' }
+      ]
+    });
     
-    for (const withdrawal of pendingWithdrawals) {
-      // Simular processamento do saque (em produção, usar API real do banco)
-      const processed = await simulatePixWithdrawalProcessing(withdrawal);
-      
-      if (processed) {
-        withdrawal.status = 'completed';
-        withdrawal.completedAt = new Date();
-        withdrawal.pix.endToEndId = `E${Date.now()}${Math.random().toString(36).substr(2, 9).toUpperCase()}`;
-        await withdrawal.save();
-        
-        console.log(`✅ Saque PIX processado: ${withdrawal.transactionId} - R$ ${withdrawal.amount.toFixed(2)}`);
+    console.log(`📋 Encontrados ${withdrawals.length} saques PIX pendentes ou em processamento`);
+    
+    for (const withdrawal of withdrawals) {
+      try {
+        if (withdrawal.status === 'pending') {
+          await pixPayments.enqueueWithdrawal(withdrawal);
+        } else {
+          await pixJobs.enqueueTransactionJob('pix.withdrawal.sync', withdrawal, { maxAttempts: 3 });
+        }
+        run.processed();
+      } catch (error) {
+        console.error(`❌ Erro ao enfileirar saque PIX ${withdrawal.transactionId}:`, error.message);
+        run.error(error, withdrawal.transactionId);
       }
     }
     
   } catch (error) {
     console.error('❌ Erro ao processar saques PIX:', error);
+    run.fail(error);
+  }
+};
+
+// Enfileirar o envio das devoluções PIX autorizadas ainda pendentes (inclusive as aceitas pelo
+// provedor cujo débito falhou) e a consulta das em processamento (devoluções de MED em análise
+// ficam pendentes, sem requestedAt, até a decisão)
+const processPixRefunds = async (run = jobRuns.NOOP_RECORDER) => {
+  try {
+    const refunds = await Transaction.find({
+      type: 'refund',
+      method: 'pix',
+      $or: [
+        { status: 'pending', 'refund.requestedAt': { $lt: new Date(Date.now() - 5 * 60 * 1000) } },
+        { status: 'processing' }
+      ]
+    });
+    
+    for (const refund of refunds) {
+      try {
+        if (refund.status === 'pending') {
+          await pixJobs.enqueueTransactionJob('pix.refund.send', refund);
+        } else {
+          await pixJobs.enqueueTransactionJob('pix.refund.sync', refund, { maxAttempts: 3 });
+        }
+        run.processed();
+      } catch (error) {
+        console.error(`❌ Erro ao enfileirar devolução PIX ${refund.transactionId}:`, error.message);
+        run.error(error, refund.transactionId);
+      }
+    }
+    
+  } catch (error) {
+    console.error('❌ Erro ao processar devoluções PIX:', error);
+    run.fail(error);
   }
 };
 
-// Simular processamento de saque PIX
-const simulatePixWithdrawalProcessing = async (withdrawal) => {
-  // Em produção, aqui seria feita a transferência real via API do banco
-  // Por enquanto, simular que 90% dos saques são processados com sucesso
-  return Math.random() < 0.9;
+// Alertar sobre casos MED com prazo de análise vencido
+const checkMedDeadlines = async (run = jobRuns.NOOP_RECORDER) => {
+  try {
+    const overdue = await medCases.findOverdue();
+    
+    for (const medCase of overdue) {
+      console.warn(`⚠️ Caso MED ${medCase._id} sem decisão após o prazo (${medCase.deadline.toISOString()}) - ${money.format(medCase.claimedAmount)}`);
+    }
+    run.processed(overdue.length);
+    
+  } catch (error) {
+    console.error('❌ Erro ao verificar prazos MED:', error);
+    run.fail(error);
+  }
+};
+
+// Enfileirar webhooks pendentes (novas tentativas e eventos que a rota não conseguiu enfileirar)
+const processWebhookEvents = async (run = jobRuns.NOOP_RECORDER) => {
+  try {
+    const enqueued = await webhookInbox.processPending();
+    run.processed(enqueued);
+    
+    if (enqueued > 0) {
+      console.log(`📨 ${enqueued} webhooks enfileirados`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Erro ao processar webhooks:', error);
+    run.fail(error);
+  }
+};
+
+// Liberar bloqueios de saldo vencidos (saques não processados no prazo)
+const releaseExpiredHolds = async (run = jobRuns.NOOP_RECORDER) => {
+  try {
+    const released = await holds.releaseExpiredHolds();
+    run.processed(released);
+    
+    if (released > 0) {
+      console.log(`🔓 ${released} bloqueios de saldo expirados liberados`);
+    }
+    
+  } catch (error) {
+    console.error('❌ Erro ao liberar bloqueios de saldo:', error);
+    run.fail(error);
+  }
 };
 
 // Atualizar progresso dos investimentos
-const updateInvestmentProgress = async () => {
+const updateInvestmentProgress = async (run = jobRuns.NOOP_RECORDER) => {
   try {
     console.log('📈 Atualizando progresso dos investimentos...');
     
@@ -268,133 +280,147 @@ const updateInvestmentProgress = async () => {
       
       if (!hasReturnToday && timeProgress > 0 && timeProgress < 100) {
         const dailyReturnPercentage = (Math.random() * 4) + 1; // 1-5% ao dia
-        const dailyReturnAmount = investment.amount * (dailyReturnPercentage / 100);
+        const dailyReturnAmount = money.percentage(investment.amount, dailyReturnPercentage);
         
-        investment.dailyReturns.push({
+        const dailyReturn = {
           date: new Date(),
           amount: dailyReturnAmount,
           percentage: dailyReturnPercentage
-        });
-        
-        investment.actualReturn += dailyReturnAmount;
-        
-        // Adicionar retorno ao saldo do usuário
-        await investment.user.addBalance(dailyReturnAmount);
+        };
         
-        // Criar transação de retorno
-        const returnTransaction = new Transaction({
-          user: investment.user._id,
-          type: 'return',
-          method: 'system',
-          amount: dailyReturnAmount,
-          netAmount: dailyReturnAmount,
-          description: `Retorno diário - ${investment.trader.name}`,
-          investment: investment._id,
-          status: 'completed',
-          completedAt: new Date()
+        const credited = await runInTransaction(async (session) => {
+          // Retorno registrado no investimento na mesma sessão; o filtro pelo último retorno
+          // impede que duas execuções simultâneas creditem o mesmo dia
+          const updated = await Investment.updateOne(
+            { _id: investment._id, lastReturnDate: investment.lastReturnDate },
+            {
+              $push: { dailyReturns: dailyReturn },
+              $inc: { actualReturn: dailyReturnAmount },
+              $set: { lastReturnDate: dailyReturn.date }
+            },
+            { session }
+          );
+          if (updated.matchedCount === 0) {
+            return false;
+          }
+          
+          // Criar transação de retorno
+          const returnTransaction = new Transaction({
+            user: investment.user._id,
+            type: 'return',
+            method: 'system',
+            amount: dailyReturnAmount,
+            netAmount: dailyReturnAmount,
+            description: `Retorno diário - ${investment.trader.name}`,
+            investment: investment._id,
+            status: 'completed',
+            completedAt: new Date()
+          });
+          
+          await returnTransaction.save({ session });
+          
+          // Adicionar retorno ao saldo e aos ganhos do usuário (recarregado na sessão)
+          const user = await User.findById(investment.user._id).session(session);
+          await user.addEarnings(dailyReturnAmount, {
+            description: returnTransaction.description,
+            transaction: returnTransaction._id,
+            investment: investment._id,
+            session
+          });
+          
+          return true;
         });
         
-        await returnTransaction.save();
-        
-        console.log(`📈 Retorno diário adicionado: R$ ${dailyReturnAmount.toFixed(2)} para ${investment.user.name}`);
+        if (credited) {
+          console.log(`📈 Retorno diário adicionado: ${money.format(dailyReturnAmount)} para ${investment.user.name}`);
+        }
       }
       
-      // Verificar se o investimento deve ser completado
+      // Verificar se o investimento deve ser completado: conclusão e comissões na mesma transação,
+      // sobre o investimento recarregado (com o actualReturn dos retornos diários já creditados)
       if (timeProgress >= 100 && investment.status === 'active') {
-        investment.status = 'completed';
-        investment.completedAt = new Date();
-        
-        // Processar comissões de indicação
-        await processInvestmentReferralCommissions(investment);
-        
-        console.log(`✅ Investimento completado: ${investment._id}`);
+        try {
+          const completed = await runOnCurrent(investment, async (current, session) => {
+            if (current.status !== 'active') {
+              return false;
+            }
+            
+            current.transitionTo('completed', { actorType: 'job', reason: 'Período do investimento encerrado' });
+            current.completedAt = new Date();
+            current.progress = 100;
+            await current.save({ session });
+            
+            // Processar comissões de indicação
+            await processInvestmentReferralCommissions(current, session);
+            return true;
+          });
+          
+          if (completed) {
+            console.log(`✅ Investimento completado: ${investment._id}`);
+          }
+        } catch (error) {
+          console.error(`❌ Erro ao completar investimento ${investment._id}:`, error);
+        }
+      } else {
+        await investment.save();
       }
-      
-      await investment.save();
+      run.processed();
     }
     
     console.log(`📈 ${activeInvestments.length} investimentos atualizados`);
     
   } catch (error) {
     console.error('❌ Erro ao atualizar investimentos:', error);
+    run.fail(error);
   }
 };
 
-// Processar comissões de indicação para investimentos
-const processInvestmentReferralCommissions = async (investment) => {
-  try {
-    const user = await User.findById(investment.user).populate('referredBy');
-    if (!user || !user.referredBy) return;
+// Processar comissões de indicação de um investimento concluído, na sessão da conclusão
+// (um erro desfaz também a conclusão)
+const processInvestmentReferralCommissions = async (investment, session) => {
+  const user = await User.findById(investment.user).session(session);
+  if (!user || !user.referredBy) return;
+  
+  const referrer = await User.findById(user.referredBy).session(session);
+  if (!referrer) return;
+  
+  // Comissão de 8% sobre os ganhos do investimento
+  const commissionRate = 8;
+  const profit = investment.actualReturn - investment.amount;
+  
+  if (profit > 0) {
+    const commissionAmount = money.percentage(profit, commissionRate);
     
-    // Comissão de 8% sobre os ganhos do investimento
-    const commissionRate = 0.08;
-    const profit = investment.actualReturn - investment.amount;
+    // Criar transação de comissão
+    const commissionTransaction = new Transaction({
+      user: referrer._id,
+      type: 'referral',
+      method: 'system',
+      amount: commissionAmount,
+      netAmount: commissionAmount,
+      description: `Comissão de investimento - ${user.name}`,
+      referredUser: user._id,
+      investment: investment._id,
+      status: 'completed',
+      completedAt: new Date()
+    });
     
-    if (profit > 0) {
-      const commissionAmount = profit * commissionRate;
-      
-      // Criar transação de comissão
-      const commissionTransaction = new Transaction({
-        user: user.referredBy._id,
-        type: 'referral',
-        method: 'system',
-        amount: commissionAmount,
-        netAmount: commissionAmount,
-        description: `Comissão de investimento - ${user.name}`,
-        referredUser: user._id,
-        investment: investment._id,
-        status: 'completed',
-        completedAt: new Date()
-      });
-      
-      await commissionTransaction.save();
-      
-      // Adicionar saldo e atualizar ganhos de indicação
-      await user.referredBy.addBalance(commissionAmount);
-      user.referredBy.referralEarnings += commissionAmount;
-      await user.referredBy.save();
-      
-      console.log(`💸 Comissão de investimento processada: R$ ${commissionAmount.toFixed(2)} para ${user.referredBy.name}`);
-    }
+    await commissionTransaction.save({ session });
     
-  } catch (error) {
-    console.error('❌ Erro ao processar comissão de investimento:', error);
+    // Adicionar saldo e atualizar ganhos de indicação
+    await referrer.addReferralEarnings(commissionAmount, {
+      description: commissionTransaction.description,
+      transaction: commissionTransaction._id,
+      investment: investment._id,
+      session
+    });
+    
+    console.log(`💸 Comissão de investimento processada: ${money.format(commissionAmount)} para ${referrer.name}`);
   }
 };
 
-// Configurar jobs automáticos
-const setupAutomationJobs = () => {
-  console.log('⚙️ Configurando jobs de automação...');
-  
-  // Verificar pagamentos PIX a cada 2 minutos
-  cron.schedule('*/2 * * * *', () => {
-    console.log('🔄 Executando verificação de pagamentos PIX...');
-    checkPixPayments();
-  });
-  
-  // Processar saques PIX a cada 5 minutos
-  cron.schedule('*/5 * * * *', () => {
-    console.log('🔄 Executando processamento de saques PIX...');
-    processPixWithdrawals();
-  });
-  
-  // Atualizar investimentos a cada hora
-  cron.schedule('0 * * * *', () => {
-    console.log('🔄 Executando atualização de investimentos...');
-    updateInvestmentProgress();
-  });
-  
-  // Limpeza de dados antigos todos os dias às 3h
-  cron.schedule('0 3 * * *', () => {
-    console.log('🔄 Executando limpeza de dados...');
-    cleanupOldData();
-  });
-  
-  console.log('✅ Jobs de automação configurados');
-};
-
 // Limpeza de dados antigos
-const cleanupOldData = async () => {
+const cleanupOldData = async (run = jobRuns.NOOP_RECORDER) => {
   try {
     console.log('🧹 Iniciando limpeza de dados antigos...');
     
@@ -404,6 +430,7 @@ const cleanupOldData = async () => {
       createdAt: { $lt: new Date(Date.now() - 7 * 24 * 60 * 60 * 1000) }
     });
     
+    run.processed(oldExpiredTransactions.deletedCount);
     console.log(`🗑️ ${oldExpiredTransactions.deletedCount} transações expiradas removidas`);
     
     // Remover logs antigos (se houver)
@@ -413,37 +440,139 @@ const cleanupOldData = async () => {
     
   } catch (error) {
     console.error('❌ Erro na limpeza de dados:', error);
+    run.fail(error);
   }
 };
 
-// Inicializar automação
-const initializeAutomation = async () => {
+// Conciliar saldos dos usuários com as transações
+const reconcileBalances = async (run = jobRuns.NOOP_RECORDER) => {
   try {
-    await connectDB();
-    setupAutomationJobs();
+    console.log('🧮 Iniciando conciliação de saldos...');
+    
+    const report = await runReconciliation({ trigger: 'scheduled' });
     
-    console.log('🚀 PIX Automation iniciado com sucesso!');
-    console.log('📋 Jobs configurados:');
-    console.log('   - Verificação de pagamentos PIX: a cada 2 minutos');
-    console.log('   - Processamento de saques PIX: a cada 5 minutos');
-    console.log('   - Atualização de investimentos: a cada hora');
-    console.log('   - Limpeza de dados: diariamente às 3h');
+    if (report.status === 'failed') {
+      console.error(`❌ Conciliação falhou: ${report.error}`);
+      run.fail(new Error(report.error));
+      return;
+    }
+    
+    run.processed(report.usersChecked);
+    
+    if (report.discrepancyCount > 0) {
+      console.log(`⚠️ ${report.discrepancyCount} divergências encontradas em ${report.usersChecked} usuários (relatório ${report._id})`);
+    } else {
+      console.log(`✅ Conciliação concluída: ${report.usersChecked} usuários sem divergências`);
+    }
     
   } catch (error) {
-    console.error('❌ Erro ao inicializar automação:', error);
-    process.exit(1);
+    console.error('❌ Erro na conciliação de saldos:', error);
+    run.fail(error);
   }
 };
 
-// Executar se chamado diretamente
-if (require.main === module) {
-  initializeAutomation();
-}
+// Tarefas agendadas: o cron apenas enfileira o job (um por tarefa na fila), que é executado
+// pelo worker (scripts/worker.js). Cada execução fica registrada num JobRun.
+const AUTOMATION_TASKS = {
+  'automation.checkPixPayments': { schedule: '*/2 * * * *', label: 'Verificação de pagamentos PIX: a cada 2 minutos', task: checkPixPayments },
+  'automation.processPixWithdrawals': { schedule: '*/5 * * * *', label: 'Processamento de saques PIX: a cada 5 minutos', task: processPixWithdrawals },
+  'automation.processPixRefunds': { schedule: '*/5 * * * *', label: 'Processamento de devoluções PIX: a cada 5 minutos', task: processPixRefunds },
+  'automation.checkMedDeadlines': { schedule: '30 * * * *', label: 'Prazos de casos MED: a cada hora', task: checkMedDeadlines },
+  'automation.processWebhookEvents': { schedule: '* * * * *', label: 'Reprocessamento de webhooks: a cada minuto', task: processWebhookEvents },
+  'automation.releaseExpiredHolds': { schedule: '*/10 * * * *', label: 'Liberação de bloqueios expirados: a cada 10 minutos', task: releaseExpiredHolds },
+  'automation.updateInvestmentProgress': { schedule: '0 * * * *', label: 'Atualização de investimentos: a cada hora', task: updateInvestmentProgress, visibilityTimeout: 30 * 60 * 1000 },
+  'automation.cleanupOldData': { schedule: '0 3 * * *', label: 'Limpeza de dados: diariamente às 3h', task: cleanupOldData },
+  'automation.reconcileBalances': { schedule: '0 4 * * *', label: 'Conciliação de saldos: diariamente às 4h', task: reconcileBalances, visibilityTimeout: 30 * 60 * 1000 }
+};
+
+const AUTOMATION_JOBS = Object.fromEntries(
+  Object.entries(AUTOMATION_TASKS).map(([name, { task, ...definition }]) => [
+    name,
+    { ...definition, handler: jobRuns.trackRun(name, task) }
+  ])
+);
+
+// Enfileirar uma execução da tarefa. Uma execução já na fila ou em andamento não é duplicada.
+const enqueueAutomationJob = (name, payload = {}) => {
+  return jobQueue.enqueue(name, payload, { uniqueKey: name, maxAttempts: 1 });
+};
+
+// Só uma instância agenda as tarefas: a que detém a concessão do agendador no MongoDB.
+// A concessão é renovada a cada terço do prazo; se a instância cair, outra assume.
+const SCHEDULER_LEASE = 'automation.scheduler';
+const SCHEDULER_LEASE_TTL = 90 * 1000;
+
+// Configurar o agendamento das tarefas. Retorna uma função que para o agendamento e
+// libera a concessão (para outra instância assumir sem esperar o prazo).
+const setupAutomationJobs = () => {
+  console.log('⚙️ Configurando jobs de automação...');
+  
+  const owner = `${os.hostname()}:${process.pid}`;
+  let isLeader = false;
+
+  const renewLease = async () => {
+    try {
+      const acquired = await jobLeases.acquire(SCHEDULER_LEASE, owner, SCHEDULER_LEASE_TTL);
+      if (acquired !== isLeader) {
+        console.log(acquired
+          ? `👑 Agendador de automação ativo nesta instância (${owner})`
+          : '⏸️ Agendador de automação ativo em outra instância');
+      }
+      isLeader = acquired;
+    } catch (error) {
+      // Sem confirmar a concessão, não agendar (outra instância pode tê-la assumido)
+      isLeader = false;
+      console.error('❌ Erro ao renovar concessão do agendador:', error.message);
+    }
+  };
+
+  renewLease();
+  const leaseTimer = setInterval(renewLease, SCHEDULER_LEASE_TTL / 3);
+  leaseTimer.unref();
+
+  const tasks = Object.entries(AUTOMATION_JOBS).map(([name, { schedule }]) => {
+    return cron.schedule(schedule, () => {
+      if (!isLeader) {
+        return;
+      }
+      enqueueAutomationJob(name).catch(error => {
+        console.error(`❌ Erro ao enfileirar ${name}:`, error.message);
+      });
+    });
+  });
+  
+  console.log('✅ Jobs de automação configurados');
+  console.log('📋 Jobs configurados:');
+  Object.values(AUTOMATION_JOBS).forEach(({ label }) => console.log(`   - ${label}`));
+
+  return async () => {
+    clearInterval(leaseTimer);
+    tasks.forEach(task => task.stop());
+    if (isLeader) {
+      isLeader = false;
+      await jobLeases.release(SCHEDULER_LEASE, owner).catch(error => {
+        console.error('❌ Erro ao liberar concessão do agendador:', error.message);
+      });
+    }
+  };
+};
 
 module.exports = {
+  AUTOMATION_JOBS,
+  SCHEDULER_LEASE,
+  enqueueAutomationJob,
   checkPixPayments,
   processPixWithdrawals,
+  processPixRefunds,
+  checkMedDeadlines,
+  processWebhookEvents,
+  releaseExpiredHolds,
   updateInvestmentProgress,
-  setupAutomationJobs,
-  initializeAutomation
-};
\ No newline at end of file
+  reconcileBalances,
+  setupAutomationJobs
+};
+
+// Executar se chamado diretamente (mesmo que scripts/worker.js)
+if (require.main === module) {
+  require('./worker').run();
+}
@@ -1,11 +1,16 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createMemoryServer } = require('../config/database');
 require('dotenv').config();
 
 const User = require('../models/User');
 const Investment = require('../models/Investment');
 const Transaction = require('../models/Transaction');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+const BalanceHold = require('../models/BalanceHold');
+const FeeSchedule = require('../models/FeeSchedule');
+const { ensureDefaultSchedule } = require('../services/fees');
 
 // Conectar ao MongoDB
 const connectDB = async () => {
@@ -23,8 +28,8 @@ const connectDB = async () => {
     } catch (localError) {
       console.log('⚠️ MongoDB local não disponível, iniciando MongoDB Memory Server...');
       
-      // Usar MongoDB Memory Server como fallback
-      const mongod = await MongoMemoryServer.create();
+      // Usar MongoDB Memory Server como fallback (replica set, para suportar transações)
+      const mongod = await createMemoryServer();
       mongoURI = mongod.getUri();
       
       await mongoose.connect(mongoURI, {
@@ -51,9 +56,17 @@ const seedData = async () => {
       await User.deleteMany({});
       await Investment.deleteMany({});
       await Transaction.deleteMany({});
+      await LedgerAccount.deleteMany({});
+      await JournalEntry.deleteMany({});
+      await BalanceHold.deleteMany({});
+      await FeeSchedule.deleteMany({});
       console.log('🗑️ Dados existentes removidos');
     }
 
+    // Tabela de tarifas padrão
+    await ensureDefaultSchedule();
+    console.log('💸 Tabela de tarifas criada');
+
     // Criar usuário administrador
     const adminPassword = await bcrypt.hash('admin123', 12);
     const admin = new User({
@@ -68,7 +81,7 @@ const seedData = async () => {
     await admin.save();
     console.log('👑 Usuário administrador criado');
 
-    // Criar usuários de exemplo
+    // Criar usuários de exemplo (valores monetários em centavos)
     const users = [];
     
     const user1Password = await bcrypt.hash('123456', 12);
@@ -76,9 +89,8 @@ const seedData = async () => {
       name: 'João Silva',
       email: 'joao@email.com',
       password: user1Password,
-      balance: 2500.00,
-      totalInvested: 5000.00,
-      totalEarnings: 750.00,
+      totalInvested: 500000,
+      totalEarnings: 75000,
       investmentCount: 3,
       pixKey: '11999887766',
       pixKeyType: 'phone',
@@ -86,6 +98,7 @@ const seedData = async () => {
       emailVerified: true
     });
     await user1.save();
+    await user1.addBalance(250000, { description: 'Saldo inicial' });
     users.push(user1);
 
     const user2Password = await bcrypt.hash('senha123', 12);
@@ -93,9 +106,8 @@ const seedData = async () => {
       name: 'Maria Santos',
       email: 'maria@email.com',
       password: user2Password,
-      balance: 1800.50,
-      totalInvested: 3000.00,
-      totalEarnings: 450.00,
+      totalInvested: 300000,
+      totalEarnings: 45000,
       investmentCount: 2,
       referredBy: user1._id,
       pixKey: 'maria@email.com',
@@ -104,6 +116,7 @@ const seedData = async () => {
       emailVerified: true
     });
     await user2.save();
+    await user2.addBalance(180050, { description: 'Saldo inicial' });
     users.push(user2);
 
     const user3Password = await bcrypt.hash('teste123', 12);
@@ -111,9 +124,8 @@ const seedData = async () => {
       name: 'Carlos Oliveira',
       email: 'carlos@email.com',
       password: user3Password,
-      balance: 500.00,
-      totalInvested: 1000.00,
-      totalEarnings: 150.00,
+      totalInvested: 100000,
+      totalEarnings: 15000,
       investmentCount: 1,
       referredBy: user2._id,
       pixKey: '12345678901',
@@ -122,6 +134,7 @@ const seedData = async () => {
       emailVerified: true
     });
     await user3.save();
+    await user3.addBalance(50000, { description: 'Saldo inicial' });
     users.push(user3);
 
     console.log('👥 Usuários de exemplo criados');
@@ -138,12 +151,12 @@ const seedData = async () => {
         successRate: 85.5,
         period: '30 dias',
         periodInDays: 30,
-        minInvestment: 100,
-        maxInvestment: 10000
+        minInvestment: 10000,
+        maxInvestment: 1000000
       },
-      amount: 2000,
-      expectedReturn: 1710, // 85.5% de 2000
-      actualReturn: 800, // Parcial
+      amount: 200000,
+      expectedReturn: 171000, // 85.5% de 2000
+      actualReturn: 80000, // Parcial
       status: 'active',
       startDate: new Date(Date.now() - 15 * 24 * 60 * 60 * 1000), // 15 dias atrás
       endDate: new Date(Date.now() + 15 * 24 * 60 * 60 * 1000), // 15 dias no futuro
@@ -151,17 +164,17 @@ const seedData = async () => {
       dailyReturns: [
         {
           date: new Date(Date.now() - 14 * 24 * 60 * 60 * 1000),
-          amount: 50,
+          amount: 5000,
           percentage: 2.5
         },
         {
           date: new Date(Date.now() - 13 * 24 * 60 * 60 * 1000),
-          amount: 75,
+          amount: 7500,
           percentage: 3.75
         },
         {
           date: new Date(Date.now() - 12 * 24 * 60 * 60 * 1000),
-          amount: 60,
+          amount: 6000,
           percentage: 3.0
         }
       ]
@@ -178,12 +191,12 @@ const seedData = async () => {
         successRate: 92.3,
         period: '45 dias',
         periodInDays: 45,
-        minInvestment: 500,
-        maxInvestment: 25000
+        minInvestment: 50000,
+        maxInvestment: 2500000
       },
-      amount: 1500,
-      expectedReturn: 1384.5, // 92.3% de 1500
-      actualReturn: 1400,
+      amount: 150000,
+      expectedReturn: 138450, // 92.3% de 1500
+      actualReturn: 140000,
       status: 'completed',
       startDate: new Date(Date.now() - 50 * 24 * 60 * 60 * 1000),
       endDate: new Date(Date.now() - 5 * 24 * 60 * 60 * 1000),
@@ -202,12 +215,12 @@ const seedData = async () => {
         successRate: 78.9,
         period: '60 dias',
         periodInDays: 60,
-        minInvestment: 200,
-        maxInvestment: 15000
+        minInvestment: 20000,
+        maxInvestment: 1500000
       },
-      amount: 800,
-      expectedReturn: 631.2, // 78.9% de 800
-      actualReturn: 200,
+      amount: 80000,
+      expectedReturn: 63120, // 78.9% de 800
+      actualReturn: 20000,
       status: 'active',
       startDate: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000),
       endDate: new Date(Date.now() + 40 * 24 * 60 * 60 * 1000),
@@ -226,8 +239,8 @@ const seedData = async () => {
       user: user1._id,
       type: 'deposit',
       method: 'pix',
-      amount: 3000,
-      netAmount: 3000,
+      amount: 300000,
+      netAmount: 300000,
       description: 'Depósito via PIX',
       status: 'completed',
       completedAt: new Date(Date.now() - 20 * 24 * 60 * 60 * 1000),
@@ -246,8 +259,8 @@ const seedData = async () => {
       user: user1._id,
       type: 'investment',
       method: 'system',
-      amount: 2000,
-      netAmount: 2000,
+      amount: 200000,
+      netAmount: 200000,
       description: 'Investimento com Carlos Silva',
       investment: investment1._id,
       status: 'completed',
@@ -261,8 +274,8 @@ const seedData = async () => {
       user: user1._id,
       type: 'return',
       method: 'system',
-      amount: 800,
-      netAmount: 800,
+      amount: 80000,
+      netAmount: 80000,
       description: 'Retorno parcial do investimento com Carlos Silva',
       investment: investment1._id,
       status: 'completed',
@@ -276,8 +289,8 @@ const seedData = async () => {
       user: user2._id,
       type: 'deposit',
       method: 'pix',
-      amount: 2000,
-      netAmount: 2000,
+      amount: 200000,
+      netAmount: 200000,
       description: 'Depósito via PIX',
       status: 'completed',
       completedAt: new Date(Date.now() - 55 * 24 * 60 * 60 * 1000),
@@ -296,8 +309,8 @@ const seedData = async () => {
       user: user2._id,
       type: 'investment',
       method: 'system',
-      amount: 1500,
-      netAmount: 1500,
+      amount: 150000,
+      netAmount: 150000,
       description: 'Investimento com Ana Costa',
       investment: investment2._id,
       status: 'completed',
@@ -311,8 +324,8 @@ const seedData = async () => {
       user: user2._id,
       type: 'return',
       method: 'system',
-      amount: 1400,
-      netAmount: 1400,
+      amount: 140000,
+      netAmount: 140000,
       description: 'Retorno do investimento com Ana Costa',
       investment: investment2._id,
       status: 'completed',
@@ -326,8 +339,8 @@ const seedData = async () => {
       user: user1._id,
       type: 'referral',
       method: 'system',
-      amount: 112, // 8% de 1400
-      netAmount: 112,
+      amount: 11200, // 8% de 1400
+      netAmount: 11200,
       description: 'Comissão de indicação - Maria Santos',
       referredUser: user2._id,
       status: 'completed',
@@ -339,7 +352,7 @@ const seedData = async () => {
     console.log('💳 Transações de exemplo criadas');
 
     // Atualizar ganhos de indicação
-    user1.referralEarnings = 112;
+    user1.referralEarnings = 11200;
     await user1.save();
 
     console.log('✅ Seed do banco de dados concluído com sucesso!');
@@ -0,0 +1,93 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const User = require('../models/User');
+const asaasCustomers = require('../services/asaasCustomers');
+const { getProvider } = require('../services/pixProviders');
+
+// Cadastro dos usuários existentes como clientes no ASAAS (ver services/asaasCustomers).
+// Uso: node scripts/syncAsaasCustomers.js [--all] [--dry-run]
+//   padrão     usuários com CPF ainda sem cliente ou com erro na última sincronização
+//   --all      atualiza também os clientes já sincronizados
+//   --dry-run  apenas lista quantos usuários seriam sincronizados
+// Pode ser executado novamente com segurança: clientes criados numa execução
+// interrompida são encontrados pela referência externa (id do usuário).
+
+// Intervalo entre chamadas à API (limite de requisições do ASAAS)
+const REQUEST_INTERVAL = 200;
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Usuários a sincronizar
+const buildFilter = ({ all }) => {
+  const filter = { cpf: { $type: 'string' } };
+  if (!all) {
+    filter.$or = [
+      { 'asaas.customerId': null },
+      { 'asaas.lastError': { $ne: null } }
+    ];
+  }
+  return filter;
+};
+
+const syncCustomers = async ({ all = false, dryRun = false } = {}) => {
+  const filter = buildFilter({ all });
+  const total = await User.countDocuments(filter);
+  const withoutCpf = await User.countDocuments({ cpf: null, 'asaas.customerId': null });
+
+  console.log(`👥 ${total} usuários para sincronizar (${withoutCpf} sem CPF ignorados)`);
+
+  if (dryRun) {
+    return { total, synced: 0, failed: 0, withoutCpf };
+  }
+
+  let synced = 0;
+  let failed = 0;
+
+  const cursor = User.find(filter).sort({ _id: 1 }).cursor();
+  for (let user = await cursor.next(); user; user = await cursor.next()) {
+    try {
+      const customerId = await asaasCustomers.syncCustomer(user);
+      synced += 1;
+      console.log(`✅ ${user.email}: ${customerId}`);
+    } catch (error) {
+      failed += 1;
+      console.error(`❌ ${user.email}: ${user.asaas.lastError || error.message}`);
+    }
+    await sleep(REQUEST_INTERVAL);
+  }
+
+  return { total, synced, failed, withoutCpf };
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/furby_investimentos';
+  const args = process.argv.slice(2);
+
+  try {
+    if (!getProvider('asaas').isConfigured()) {
+      throw new Error('ASAAS_API_KEY não configurada');
+    }
+
+    await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 5000 });
+    console.log('✅ Conectado ao MongoDB');
+
+    const result = await syncCustomers({
+      all: args.includes('--all'),
+      dryRun: args.includes('--dry-run')
+    });
+
+    console.log(`✅ Sincronização concluída: ${result.synced} sincronizados, ${result.failed} com erro`);
+    process.exit(result.failed > 0 ? 1 : 0);
+  } catch (error) {
+    console.error('❌ Erro na sincronização de clientes ASAAS:', error);
+    process.exit(1);
+  }
+};
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  run();
+}
+
+module.exports = { syncCustomers };
@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const pixJobs = require('../services/pixJobs');
+const { createWorker } = require('../services/jobWorker');
+const { AUTOMATION_JOBS, setupAutomationJobs } = require('./pixAutomation');
+
+// Worker da fila de jobs (services/jobQueue): envio e consulta de saques e devoluções PIX,
+// processamento de webhooks e as tarefas agendadas de scripts/pixAutomation.
+// Uso: node scripts/worker.js [--no-scheduler]
+//   --no-scheduler  apenas executa jobs, sem agendar as tarefas
+// Com várias instâncias agendando, só a que detém a concessão do agendador enfileira as
+// tarefas (ver setupAutomationJobs); o histórico das execuções fica em JobRun.
+// O server.js também inicia um worker no mesmo processo; com um worker separado,
+// defina JOB_WORKER=false no servidor. JOB_CONCURRENCY limita os jobs simultâneos.
+
+const startWorker = ({ scheduler = true } = {}) => {
+  const worker = createWorker({
+    jobs: { ...pixJobs.JOBS, ...AUTOMATION_JOBS },
+    concurrency: parseInt(process.env.JOB_CONCURRENCY) || 5
+  });
+
+  worker.start();
+  const stopScheduler = scheduler ? setupAutomationJobs() : null;
+
+  return {
+    ...worker,
+    stop: async (options) => {
+      if (stopScheduler) {
+        await stopScheduler();
+      }
+      return worker.stop(options);
+    }
+  };
+};
+
+const run = async () => {
+  const mongoURI = process.env.MONGODB_URI || 'mongodb://localhost:27017/furby_investimentos';
+
+  try {
+    await mongoose.connect(mongoURI, { serverSelectionTimeoutMS: 10000 });
+    console.log('✅ Worker - Conectado ao MongoDB');
+  } catch (error) {
+    console.error('❌ Erro ao conectar com MongoDB:', error);
+    process.exit(1);
+  }
+
+  const worker = startWorker({ scheduler: !process.argv.includes('--no-scheduler') });
+
+  // Parar de assumir jobs e aguardar os em execução antes de sair
+  const shutdown = async (signal) => {
+    console.log(`🔄 Recebido ${signal}. Aguardando jobs em execução...`);
+    const finished = await worker.stop();
+    if (!finished) {
+      console.warn('⚠️ Jobs ainda em execução serão assumidos por outro worker após a reserva vencer');
+    }
+    await mongoose.disconnect();
+    process.exit(0);
+  };
+
+  process.on('SIGTERM', () => shutdown('SIGTERM'));
+  process.on('SIGINT', () => shutdown('SIGINT'));
+};
+
+// Executar se chamado diretamente
+if (require.main === module) {
+  run();
+}
+
+module.exports = {
+  startWorker,
+  run
+};
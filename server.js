@@ -3,7 +3,9 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
-const { MongoMemoryServer } = require('mongodb-memory-server');
+const { createMemoryServer } = require('./config/database');
+const { ensureDefaultSchedule } = require('./services/fees');
+const { startWorker } = require('./scripts/worker');
 require('dotenv').config();
 
 const app = express();
@@ -32,48 +34,69 @@ app.use(cors({
   ],
   credentials: true,
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Idempotency-Key'],
+  exposedHeaders: ['Idempotent-Replayed']
 }));
 
-// Body Parser
-app.use(express.json({ limit: '10mb' }));
+// Atrás de proxy (ex.: Render), req.ip vem do X-Forwarded-For (número de proxies confiáveis)
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
+// Body Parser (o corpo bruto fica em req.rawBody, para a verificação de assinaturas de webhooks)
+app.use(express.json({
+  limit: '10mb',
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
-// Conectar ao MongoDB
-let isConnected = false;
+// Conectar ao MongoDB. A conexão em andamento é compartilhada: as requisições e o worker que
+// chegam antes de ela terminar aguardam a mesma promessa (em caso de erro, a próxima chamada tenta de novo)
+let connection = null;
 
-const connectDB = async () => {
-  if (isConnected) {
-    return;
-  }
+const openConnection = async () => {
+  let mongoURI = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD;
   
-  try {
-    let mongoURI = process.env.MONGODB_URI || process.env.MONGODB_URI_PROD;
+  if (!mongoURI) {
+    console.log('⚠️ MongoDB URI não configurado, usando MongoDB Memory Server...');
     
-    if (!mongoURI) {
-      console.log('⚠️ MongoDB URI não configurado, usando MongoDB Memory Server...');
-      
-      // Usar MongoDB Memory Server como fallback
-      const mongod = await MongoMemoryServer.create();
-      mongoURI = mongod.getUri();
-      
-      console.log('📝 Nota: Usando banco de dados em memória para desenvolvimento');
-    }
-    
-    await mongoose.connect(mongoURI, {
-      useNewUrlParser: true,
-      useUnifiedTopology: true,
-      serverSelectionTimeoutMS: 10000,
-      maxPoolSize: 10,
-      bufferCommands: false,
-    });
+    // Usar MongoDB Memory Server como fallback (replica set, para suportar transações)
+    const mongod = await createMemoryServer();
+    mongoURI = mongod.getUri();
     
-    isConnected = true;
-    console.log('✅ Conectado ao MongoDB');
+    console.log('📝 Nota: Usando banco de dados em memória para desenvolvimento');
+  }
+  
+  await mongoose.connect(mongoURI, {
+    useNewUrlParser: true,
+    useUnifiedTopology: true,
+    serverSelectionTimeoutMS: 10000,
+    maxPoolSize: 10,
+    bufferCommands: false,
+  });
+  
+  console.log('✅ Conectado ao MongoDB');
+  
+  // Tabela de tarifas inicial (apenas se nenhuma existir); uma falha aqui não descarta a conexão
+  try {
+    await ensureDefaultSchedule();
   } catch (error) {
-    console.error('❌ Erro ao conectar com MongoDB:', error.message);
-    throw error;
+    console.error('❌ Erro ao criar a tabela de tarifas inicial:', error.message);
+  }
+};
+
+const connectDB = () => {
+  if (!connection) {
+    connection = openConnection().catch(error => {
+      console.error('❌ Erro ao conectar com MongoDB:', error.message);
+      connection = null;
+      throw error;
+    });
   }
+  
+  return connection;
 };
 
 // Middleware para conectar ao DB antes de cada request
@@ -94,16 +117,31 @@ const authRoutes = require('./routes/auth');
 const userRoutes = require('./routes/users');
 const investmentRoutes = require('./routes/investments');
 const pixRoutes = require('./routes/pix');
+const pixLocationRoutes = require('./routes/pixLocation');
+const pixRecipientRoutes = require('./routes/pixRecipients');
 const asaasRoutes = require('./routes/asaas');
 const transactionRoutes = require('./routes/transactions');
+const feeRoutes = require('./routes/fees');
+const webhookRoutes = require('./routes/webhooks');
+const refundRoutes = require('./routes/refunds');
+const withdrawalReviewRoutes = require('./routes/withdrawalReviews');
+const jobRoutes = require('./routes/jobs');
 
 // Usar rotas
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/investments', investmentRoutes);
+// Rotas públicas das cobranças dinâmicas (antes de /api/pix, que exige autenticação)
+app.use('/api/pix/qr', pixLocationRoutes);
+app.use('/api/pix/recipients', pixRecipientRoutes);
 app.use('/api/pix', pixRoutes);
 app.use('/api/asaas', asaasRoutes);
 app.use('/api/transactions', transactionRoutes);
+app.use('/api/fees', feeRoutes);
+app.use('/api/webhooks', webhookRoutes);
+app.use('/api/refunds', refundRoutes);
+app.use('/api/withdrawal-reviews', withdrawalReviewRoutes);
+app.use('/api/jobs', jobRoutes);
 
 // Rota de health check
 app.get('/api/health', (req, res) => {
@@ -127,8 +165,14 @@ app.get('/', (req, res) => {
       users: '/api/users',
       investments: '/api/investments',
       pix: '/api/pix',
+      pixRecipients: '/api/pix/recipients',
       asaas: '/api/asaas',
-      transactions: '/api/transactions'
+      transactions: '/api/transactions',
+      fees: '/api/fees',
+      webhooks: '/api/webhooks',
+      refunds: '/api/refunds',
+      withdrawalReviews: '/api/withdrawal-reviews',
+      jobs: '/api/jobs'
     }
   });
 });
@@ -179,6 +223,9 @@ app.use('*', (req, res) => {
   });
 });
 
+// Worker da fila de jobs no mesmo processo (JOB_WORKER=false quando scripts/worker.js roda separado)
+let worker = null;
+
 // Iniciar servidor
 if (require.main === module) {
   app.listen(PORT, () => {
@@ -186,11 +233,24 @@ if (require.main === module) {
     console.log(`🔗 API: http://localhost:${PORT}/api`);
     console.log(`📊 Health Check: http://localhost:${PORT}/api/health`);
   });
+  
+  if (process.env.JOB_WORKER !== 'false') {
+    connectDB()
+      .then(() => {
+        worker = startWorker({ scheduler: process.env.JOB_SCHEDULER !== 'false' });
+      })
+      .catch(error => {
+        console.error('❌ Worker da fila de jobs não iniciado:', error.message);
+      });
+  }
 }
 
 // Graceful shutdown
-process.on('SIGTERM', () => {
+process.on('SIGTERM', async () => {
   console.log('🔄 Recebido SIGTERM. Fechando servidor graciosamente...');
+  if (worker) {
+    await worker.stop();
+  }
   mongoose.connection.close(() => {
     console.log('📦 Conexão MongoDB fechada.');
     process.exit(0);
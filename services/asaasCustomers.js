@@ -0,0 +1,108 @@
+const mongoose = require('mongoose');
+const { getProvider } = require('./pixProviders');
+
+// Cadastro dos usuários como clientes no ASAAS. O id do cliente fica em
+// User.asaas.customerId e é reutilizado em todas as cobranças; o cadastro é
+// atualizado quando os dados do perfil enviados ao ASAAS mudam.
+
+// Campos do usuário enviados no cadastro do cliente
+const CUSTOMER_FIELDS = ['name', 'email', 'cpf', 'phone'];
+
+const asaas = () => getProvider('asaas');
+
+// Motivo de erro legível (a API do ASAAS devolve { errors: [{ code, description }] })
+const errorMessage = (error) => {
+  const errors = error.response && error.response.data && error.response.data.errors;
+  return (errors && errors[0] && errors[0].description) || error.message;
+};
+
+// Gravar o resultado da sincronização no usuário (sem salvar o restante do documento)
+const recordSync = async (user, state) => {
+  const User = mongoose.model('User');
+  const current = user.asaas || {};
+  const asaasState = {
+    customerId: state.customerId !== undefined ? state.customerId : (current.customerId || null),
+    syncedAt: state.syncedAt !== undefined ? state.syncedAt : (current.syncedAt || null),
+    lastError: state.lastError
+  };
+
+  await User.updateOne({ _id: user._id }, { asaas: asaasState });
+  user.asaas = asaasState;
+};
+
+// Criar ou atualizar o cliente do usuário. Retorna o id do cliente.
+// Sem CPF o ASAAS não aceita o cadastro: erro com code CUSTOMER_DATA_REQUIRED.
+const syncCustomer = async (user) => {
+  if (!user.cpf) {
+    const error = new Error('Informe seu CPF no perfil para gerar cobranças PIX');
+    error.code = 'CUSTOMER_DATA_REQUIRED';
+    throw error;
+  }
+
+  const provider = asaas();
+
+  try {
+    let customerId = user.asaas && user.asaas.customerId;
+
+    if (customerId) {
+      await provider.updateCustomer(customerId, user);
+    } else {
+      // Cliente criado numa execução anterior que não chegou a gravar o id
+      const existing = await provider.findCustomer(user);
+      customerId = existing
+        ? (await provider.updateCustomer(existing.id, user)).id
+        : (await provider.createCustomer(user)).id;
+    }
+
+    await recordSync(user, { customerId, syncedAt: new Date(), lastError: null });
+    return customerId;
+  } catch (error) {
+    await recordSync(user, { lastError: errorMessage(error).substring(0, 500) });
+    throw error;
+  }
+};
+
+// Id do cliente do usuário, cadastrando-o no primeiro uso
+const ensureCustomer = async (user) => {
+  const { customerId, lastError } = user.asaas || {};
+  if (!customerId) {
+    return syncCustomer(user);
+  }
+  if (!lastError) {
+    return customerId;
+  }
+
+  // A última atualização falhou: tentar de novo, mantendo o cadastro anterior se falhar
+  try {
+    return await syncCustomer(user);
+  } catch (error) {
+    console.error(`Erro ao atualizar cliente ASAAS do usuário ${user._id}:`, errorMessage(error));
+    return customerId;
+  }
+};
+
+// Campos do cadastro alterados no documento (verificar antes de salvar)
+const customerDataChanged = (user) => CUSTOMER_FIELDS.some(field => user.isModified(field));
+
+// Sincronizar após alteração do perfil. Falhas não impedem a alteração: ficam em
+// asaas.lastError e são refeitas pela próxima cobrança ou por scripts/syncAsaasCustomers.
+const syncAfterProfileChange = async (user) => {
+  if (!asaas().isConfigured() || !user.cpf) {
+    return null;
+  }
+
+  try {
+    return await syncCustomer(user);
+  } catch (error) {
+    console.error(`Erro ao sincronizar cliente ASAAS do usuário ${user._id}:`, errorMessage(error));
+    return null;
+  }
+};
+
+module.exports = {
+  CUSTOMER_FIELDS,
+  syncCustomer,
+  ensureCustomer,
+  customerDataChanged,
+  syncAfterProfileChange
+};
@@ -0,0 +1,110 @@
+const FeeSchedule = require('../models/FeeSchedule');
+const money = require('../utils/money');
+
+// Tabela criada quando ainda não existe nenhuma (equivale à tarifa fixa anterior:
+// saque PIX com 1% de taxa, mínimo R$ 2,00)
+const DEFAULT_SCHEDULE = {
+  name: 'Tarifas padrão',
+  description: 'Tabela inicial de tarifas',
+  rules: [{
+    name: 'Saque PIX',
+    type: 'withdrawal',
+    method: 'pix',
+    percent: 1,
+    minFee: 200
+  }]
+};
+
+// Criar a tabela padrão se não houver nenhuma cadastrada
+const ensureDefaultSchedule = async () => {
+  const count = await FeeSchedule.countDocuments();
+  if (count > 0) {
+    return null;
+  }
+  return FeeSchedule.create(DEFAULT_SCHEDULE);
+};
+
+const inRange = (value, min, max) => {
+  return (min === null || min === undefined || value >= min) &&
+    (max === null || max === undefined || value <= max);
+};
+
+// Verificar se uma regra se aplica à operação
+const ruleMatches = (rule, { type, method, amount, tier, date }) => {
+  if (!rule.isActive || rule.type !== type) return false;
+  if (rule.method && rule.method !== method) return false;
+  if (rule.tiers && rule.tiers.length > 0 && !rule.tiers.includes(tier)) return false;
+  if (!inRange(amount, rule.minAmount, rule.maxAmount)) return false;
+  if (rule.validFrom && date < rule.validFrom) return false;
+  if (rule.validUntil && date > rule.validUntil) return false;
+  return true;
+};
+
+// Regra aplicável de maior prioridade entre as tabelas ativas (null se nenhuma)
+const findApplicableRule = async ({ type, method, amount, tier = 'basic', date = new Date() }) => {
+  const schedules = await FeeSchedule.find({ isActive: true, 'rules.type': type });
+
+  let best = null;
+  for (const schedule of schedules) {
+    for (const rule of schedule.rules) {
+      if (!ruleMatches(rule, { type, method, amount, tier, date })) continue;
+      // Empate de prioridade: vence a regra mais específica (com método definido)
+      if (!best ||
+        rule.priority > best.rule.priority ||
+        (rule.priority === best.rule.priority && rule.method && !best.rule.method)) {
+        best = { schedule, rule };
+      }
+    }
+  }
+
+  return best;
+};
+
+// Calcular a tarifa de uma regra para um valor (centavos)
+const calculateFee = (rule, amount) => {
+  let fee = (rule.fixed || 0) + money.percentage(amount, rule.percent || 0);
+
+  if (rule.minFee !== null && rule.minFee !== undefined) {
+    fee = Math.max(fee, rule.minFee);
+  }
+  if (rule.maxFee !== null && rule.maxFee !== undefined) {
+    fee = Math.min(fee, rule.maxFee);
+  }
+
+  return fee;
+};
+
+// Cotar a tarifa de uma operação. Retorna fee, netAmount e a regra aplicada
+// (no formato do campo Transaction.feeRule). Falha se a tarifa consumir todo o valor.
+const quoteFee = async ({ type, method, amount, user = null, date = new Date() }) => {
+  const match = await findApplicableRule({
+    type,
+    method,
+    amount,
+    tier: (user && user.tier) || 'basic',
+    date
+  });
+
+  const fee = match ? calculateFee(match.rule, amount) : 0;
+
+  if (fee >= amount) {
+    throw new Error('Valor insuficiente para cobrir a tarifa');
+  }
+
+  return {
+    amount,
+    fee,
+    netAmount: amount - fee,
+    feeRule: match
+      ? { schedule: match.schedule._id, rule: match.rule._id, name: match.rule.name }
+      : null
+  };
+};
+
+module.exports = {
+  DEFAULT_SCHEDULE,
+  ensureDefaultSchedule,
+  findApplicableRule,
+  calculateFee,
+  quoteFee
+};
@@ -0,0 +1,122 @@
+const mongoose = require('mongoose');
+const BalanceHold = require('../models/BalanceHold');
+const { runInTransaction } = require('../config/database');
+
+// Bloqueios de saldo: reservam parte do saldo do usuário enquanto um saque ou
+// investimento não é concluído. O saldo só é debitado (via livro-razão) na captura;
+// até lá o valor fica em User.blockedBalance e sai do saldo disponível.
+
+// Validade padrão dos bloqueios de saque PIX
+const WITHDRAWAL_HOLD_TTL = 24 * 60 * 60 * 1000;
+
+// Reservar saldo disponível para uma transação
+const placeHold = async ({ transaction, type, expiresAt = null, session = null }) => {
+  const User = mongoose.model('User');
+  const userId = transaction.user._id || transaction.user;
+  const amount = transaction.amount;
+
+  const updated = await User.findOneAndUpdate(
+    {
+      _id: userId,
+      $expr: {
+        $gte: [{ $subtract: ['$balance', { $ifNull: ['$blockedBalance', 0] }] }, amount]
+      }
+    },
+    { $inc: { blockedBalance: amount } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw new Error('Saldo insuficiente');
+  }
+
+  const [hold] = await BalanceHold.create([{
+    user: userId,
+    transaction: transaction._id,
+    investment: transaction.investment || null,
+    type,
+    amount,
+    expiresAt
+  }], { session });
+
+  return hold;
+};
+
+// Encerrar o bloqueio ativo de uma transação e devolver o valor ao saldo disponível
+const closeHold = async (transactionId, update, session) => {
+  const hold = await BalanceHold.findOneAndUpdate(
+    { transaction: transactionId, status: 'active' },
+    { $set: update },
+    { new: true, session }
+  );
+
+  if (!hold) {
+    return null;
+  }
+
+  const User = mongoose.model('User');
+  await User.updateOne(
+    { _id: hold.user },
+    { $inc: { blockedBalance: -hold.amount } },
+    { session }
+  );
+
+  return hold;
+};
+
+// Capturar o bloqueio: o débito efetivo deve ser lançado no livro-razão na mesma sessão
+const captureHold = (transactionId, { session = null } = {}) => {
+  return closeHold(transactionId, { status: 'captured', capturedAt: new Date() }, session);
+};
+
+// Liberar o bloqueio sem debitar (falha, cancelamento ou expiração)
+const releaseHold = (transactionId, { reason = null, session = null } = {}) => {
+  return closeHold(transactionId, {
+    status: 'released',
+    releasedAt: new Date(),
+    releaseReason: reason
+  }, session);
+};
+
+// Bloqueios ativos de um usuário
+const getActiveHolds = (userId) => {
+  return BalanceHold.find({ user: userId, status: 'active' })
+    .populate('transaction', 'transactionId type status description')
+    .sort({ createdAt: -1 });
+};
+
+// Expirar bloqueios vencidos junto com as transações ainda pendentes
+const releaseExpiredHolds = async () => {
+  const Transaction = mongoose.model('Transaction');
+  const expired = await BalanceHold.find({
+    status: 'active',
+    expiresAt: { $ne: null, $lte: new Date() }
+  });
+
+  let released = 0;
+
+  for (const hold of expired) {
+    await runInTransaction(async (session) => {
+      const transaction = await Transaction.findById(hold.transaction).session(session);
+
+      if (transaction && transaction.status === 'pending') {
+        // expire() libera o bloqueio na mesma sessão
+        await transaction.expire('Bloqueio de saldo expirado', { actorType: 'job', session });
+      } else {
+        await releaseHold(hold.transaction, { reason: 'Bloqueio expirado', session });
+      }
+    });
+    released += 1;
+  }
+
+  return released;
+};
+
+module.exports = {
+  WITHDRAWAL_HOLD_TTL,
+  placeHold,
+  captureHold,
+  releaseHold,
+  getActiveHolds,
+  releaseExpiredHolds
+};
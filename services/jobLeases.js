@@ -0,0 +1,51 @@
+const JobLease = require('../models/JobLease');
+
+// Concessões no MongoDB para coordenar instâncias: só quem detém a concessão de um
+// nome age sobre ele. acquire também renova a concessão do próprio detentor.
+
+// Obter (ou renovar) a concessão por ttl. Retorna true se o owner a detém.
+const acquire = async (name, owner, ttl) => {
+  const now = new Date();
+  const expiresAt = new Date(now.getTime() + ttl);
+
+  try {
+    const lease = await JobLease.findOneAndUpdate(
+      { name, $or: [{ owner }, { expiresAt: { $lte: now } }] },
+      [{
+        $set: {
+          name,
+          expiresAt,
+          // Mantém a data de aquisição nas renovações
+          acquiredAt: { $cond: [{ $eq: ['$owner', owner] }, '$acquiredAt', now] },
+          owner
+        }
+      }],
+      { upsert: true, new: true }
+    );
+    return lease.owner === owner;
+  } catch (error) {
+    // Concessão vigente de outro detentor: o upsert colide com o nome único
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Liberar a concessão (apenas pelo detentor)
+const release = async (name, owner) => {
+  const { deletedCount } = await JobLease.deleteOne({ name, owner });
+  return deletedCount > 0;
+};
+
+// Detentor atual (null se livre ou vencida)
+const holder = async (name) => {
+  const lease = await JobLease.findOne({ name, expiresAt: { $gt: new Date() } });
+  return lease ? lease.owner : null;
+};
+
+module.exports = {
+  acquire,
+  release,
+  holder
+};
@@ -0,0 +1,140 @@
+const Job = require('../models/Job');
+
+// Fila de jobs persistida no MongoDB: sobrevive a reinícios do servidor e pode ser
+// consumida por vários workers (ver services/jobWorker). Um job é assumido
+// atomicamente por um worker, que o mantém reservado renovando lockedUntil; se o
+// worker cair, a reserva vence e o job volta a ser assumido por outro.
+
+const DEFAULT_MAX_ATTEMPTS = 5;
+
+// Reserva padrão de um job em execução (renovada pelo worker enquanto executa)
+const DEFAULT_VISIBILITY_TIMEOUT = 5 * 60 * 1000;
+
+// Backoff exponencial: base, 2x base, 4x base... (até max)
+const exponentialBackoff = ({ base = 30 * 1000, max = 60 * 60 * 1000 } = {}) => {
+  return (attempts) => Math.min(base * 2 ** (attempts - 1), max);
+};
+
+const defaultBackoff = exponentialBackoff();
+
+// Enfileirar um job. delay/runAt: executar só depois. uniqueKey: se já houver um job
+// ativo com a mesma chave, nenhum novo é criado e o existente é retornado.
+// Com session, o job só existe se a transação MongoDB for confirmada (no caso de chave
+// duplicada a transação é abortada pelo servidor, então use chaves novas nesse caso).
+const enqueue = async (name, payload = {}, { delay = 0, runAt = null, maxAttempts = DEFAULT_MAX_ATTEMPTS, uniqueKey = null, session = null } = {}) => {
+  const job = new Job({
+    name,
+    payload,
+    runAt: runAt || new Date(Date.now() + delay),
+    maxAttempts,
+    uniqueKey,
+    activeKey: uniqueKey
+  });
+
+  try {
+    await job.save({ session });
+    return job;
+  } catch (error) {
+    if (error.code !== 11000 || !uniqueKey) {
+      throw error;
+    }
+    return Job.findOne({ activeKey: uniqueKey });
+  }
+};
+
+// Assumir o próximo job vencido entre os nomes informados (ou um em execução com a
+// reserva vencida). Retorna null se não houver.
+const claim = (names, { workerId, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT }) => {
+  const now = new Date();
+
+  return Job.findOneAndUpdate(
+    {
+      name: { $in: names },
+      $or: [
+        { status: 'queued', runAt: { $lte: now } },
+        { status: 'running', lockedUntil: { $lt: now } }
+      ]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: workerId,
+        lockedUntil: new Date(now.getTime() + visibilityTimeout),
+        startedAt: now
+      },
+      $inc: { attempts: 1 }
+    },
+    { new: true, sort: { runAt: 1 } }
+  );
+};
+
+// Filtro do job ainda reservado por quem o assumiu (se a reserva venceu e outro worker
+// assumiu o job, as atualizações do worker anterior são ignoradas)
+const owned = (job) => ({ _id: job._id, status: 'running', lockedBy: job.lockedBy, attempts: job.attempts });
+
+// Renovar a reserva de um job em execução. Retorna false se o job não é mais do worker.
+const extend = async (job, visibilityTimeout = DEFAULT_VISIBILITY_TIMEOUT) => {
+  const { matchedCount } = await Job.updateOne(owned(job), {
+    lockedUntil: new Date(Date.now() + visibilityTimeout)
+  });
+  return matchedCount > 0;
+};
+
+const complete = (job, result = null) => {
+  return Job.updateOne(owned(job), {
+    status: 'completed',
+    completedAt: new Date(),
+    lockedBy: null,
+    lockedUntil: null,
+    activeKey: null,
+    lastError: null,
+    result
+  });
+};
+
+// Registrar a falha de uma tentativa: nova tentativa após o backoff ou, esgotadas as
+// tentativas, fila de mortos. Retorna 'retry' ou 'dead'.
+const fail = async (job, error, { backoff = defaultBackoff } = {}) => {
+  const now = new Date();
+  const dead = job.attempts >= job.maxAttempts;
+
+  await Job.updateOne(owned(job), {
+    lockedBy: null,
+    lockedUntil: null,
+    lastError: error.message,
+    ...(dead
+      ? { status: 'dead', deadAt: now, activeKey: null }
+      : { status: 'queued', runAt: new Date(now.getTime() + backoff(job.attempts)) })
+  });
+
+  return dead ? 'dead' : 'retry';
+};
+
+// Devolver à fila um job morto (tentativas zeradas). Retorna null se não encontrado.
+const requeue = (jobId) => {
+  return Job.findOneAndUpdate(
+    { _id: jobId, status: 'dead' },
+    [{
+      $set: {
+        status: 'queued',
+        attempts: 0,
+        runAt: '$$NOW',
+        deadAt: null,
+        activeKey: '$uniqueKey'
+      }
+    }],
+    { new: true }
+  );
+};
+
+module.exports = {
+  DEFAULT_MAX_ATTEMPTS,
+  DEFAULT_VISIBILITY_TIMEOUT,
+  exponentialBackoff,
+  enqueue,
+  claim,
+  extend,
+  complete,
+  fail,
+  requeue
+};
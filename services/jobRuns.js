@@ -0,0 +1,103 @@
+const JobRun = require('../models/JobRun');
+
+// Histórico de execução das tarefas de automação. trackRun envolve a tarefa num handler
+// de job que grava um JobRun por execução; a tarefa recebe um registrador para contar
+// itens processados e erros:
+//   run.processed(count)   itens processados com sucesso
+//   run.error(error, item) erro num item (a execução continua; status 'partial')
+//   run.fail(error)        erro que interrompeu a tarefa (status 'failed')
+
+// Registrador sem histórico (tarefa chamada fora da fila)
+const NOOP_RECORDER = {
+  processed: () => {},
+  error: () => {},
+  fail: () => {}
+};
+
+const createRecorder = (run) => {
+  const recorder = {
+    processed: (count = 1) => {
+      run.itemsProcessed += count;
+    },
+    error: (error, item = null) => {
+      run.errorCount += 1;
+      if (run.failures.length < JobRun.MAX_RUN_ERRORS) {
+        run.failures.push({ message: error.message || String(error), item: item === null ? null : String(item) });
+      }
+    },
+    fail: (error) => {
+      run.status = 'failed';
+      recorder.error(error);
+    }
+  };
+  return recorder;
+};
+
+// Marcar como falhas as execuções que ficaram 'running' (worker interrompido). Só há um
+// job ativo por tarefa, então uma execução anterior ainda 'running' não vai terminar.
+const abandonStaleRuns = (name) => {
+  return JobRun.updateMany(
+    { name, status: 'running' },
+    {
+      status: 'failed',
+      finishedAt: new Date(),
+      $inc: { errorCount: 1 },
+      $push: { failures: { message: 'Execução interrompida antes de terminar', at: new Date() } }
+    }
+  );
+};
+
+// Handler de job que executa fn(run) registrando a execução. Erros não tratados pela
+// tarefa também ficam no histórico (o job não é repetido: a próxima execução agendada
+// faz o trabalho).
+const trackRun = (name, fn) => {
+  return async (payload = {}, job = null) => {
+    await abandonStaleRuns(name);
+
+    const run = await JobRun.create({
+      name,
+      job: job ? job._id : null,
+      trigger: payload.trigger || 'schedule',
+      triggeredBy: payload.triggeredBy || null,
+      worker: job ? job.lockedBy : null,
+      startedAt: new Date()
+    });
+    const recorder = createRecorder(run);
+
+    try {
+      await fn(recorder);
+    } catch (error) {
+      console.error(`❌ Erro na tarefa ${name}:`, error);
+      recorder.fail(error);
+    }
+
+    if (run.status === 'running') {
+      run.status = run.errorCount > 0 ? 'partial' : 'succeeded';
+    }
+    run.finishedAt = new Date();
+    run.durationMs = run.finishedAt - run.startedAt;
+    await run.save();
+
+    return { run: run._id, status: run.status, itemsProcessed: run.itemsProcessed, errorCount: run.errorCount };
+  };
+};
+
+// Última execução de cada tarefa
+const lastRuns = async (names) => {
+  const runs = await JobRun.aggregate([
+    { $match: { name: { $in: names } } },
+    { $sort: { startedAt: -1 } },
+    { $group: { _id: '$name', run: { $first: '$$ROOT' } } }
+  ]);
+
+  return runs.reduce((acc, { _id, run }) => {
+    acc[_id] = run;
+    return acc;
+  }, {});
+};
+
+module.exports = {
+  NOOP_RECORDER,
+  trackRun,
+  lastRuns
+};
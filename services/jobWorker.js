@@ -0,0 +1,131 @@
+const os = require('os');
+const jobQueue = require('./jobQueue');
+
+// Worker da fila de jobs. Cada definição de job informa:
+//   handler(payload, job)  função assíncrona; erro lançado = tentativa falha
+//   concurrency            jobs desse nome executando ao mesmo tempo neste worker (padrão 1)
+//   visibilityTimeout      reserva do job, renovada enquanto o handler executa
+//   backoff(attempts)      intervalo até a próxima tentativa (padrão exponencial)
+// concurrency do worker limita o total de jobs em execução.
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const createWorker = ({ jobs, concurrency = 5, pollInterval = 1000, workerId = `${os.hostname()}:${process.pid}` }) => {
+  const running = {};
+  let total = 0;
+  let timer = null;
+  let polling = false;
+
+  Object.keys(jobs).forEach(name => { running[name] = 0; });
+
+  // Nomes com vaga para mais um job
+  const availableNames = () => {
+    return Object.keys(jobs).filter(name => running[name] < (jobs[name].concurrency || 1));
+  };
+
+  const execute = async (job) => {
+    const definition = jobs[job.name];
+    const visibilityTimeout = definition.visibilityTimeout || jobQueue.DEFAULT_VISIBILITY_TIMEOUT;
+
+    // Renovar a reserva enquanto o handler executa
+    const heartbeat = setInterval(() => {
+      jobQueue.extend(job, visibilityTimeout).catch(error => {
+        console.error(`❌ Erro ao renovar reserva do job ${job.name} ${job._id}:`, error.message);
+      });
+    }, visibilityTimeout / 2);
+
+    try {
+      if (visibilityTimeout !== jobQueue.DEFAULT_VISIBILITY_TIMEOUT) {
+        await jobQueue.extend(job, visibilityTimeout);
+      }
+
+      // Assumido de novo após vencer a reserva na última tentativa: não executar outra vez
+      if (job.attempts > job.maxAttempts) {
+        throw new Error('Reserva do job venceu sem conclusão');
+      }
+
+      const result = await definition.handler(job.payload || {}, job);
+      await jobQueue.complete(job, result === undefined ? null : result);
+    } catch (error) {
+      const outcome = await jobQueue.fail(job, error, { backoff: definition.backoff });
+      if (outcome === 'dead') {
+        console.error(`💀 Job ${job.name} ${job._id} movido para a fila de mortos após ${job.attempts} tentativas:`, error.message);
+      } else {
+        console.error(`❌ Job ${job.name} ${job._id} falhou (tentativa ${job.attempts}/${job.maxAttempts}):`, error.message);
+      }
+    } finally {
+      clearInterval(heartbeat);
+    }
+  };
+
+  const run = (job) => {
+    running[job.name] += 1;
+    total += 1;
+
+    execute(job)
+      .catch(error => console.error(`❌ Erro no job ${job.name} ${job._id}:`, error))
+      .finally(() => {
+        running[job.name] -= 1;
+        total -= 1;
+        poll();
+      });
+  };
+
+  // Assumir jobs enquanto houver vagas
+  const poll = async () => {
+    if (polling || !timer) {
+      return;
+    }
+    polling = true;
+
+    try {
+      while (total < concurrency) {
+        const names = availableNames();
+        if (names.length === 0) {
+          break;
+        }
+
+        const job = await jobQueue.claim(names, { workerId });
+        if (!job) {
+          break;
+        }
+        run(job);
+      }
+    } catch (error) {
+      console.error('❌ Erro ao buscar jobs:', error.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  const start = () => {
+    if (timer) {
+      return;
+    }
+    timer = setInterval(poll, pollInterval);
+    console.log(`👷 Worker ${workerId} iniciado (${Object.keys(jobs).length} tipos de job, até ${concurrency} simultâneos)`);
+    poll();
+  };
+
+  // Parar de assumir jobs e aguardar os em execução (até timeout)
+  const stop = async ({ timeout = 30 * 1000 } = {}) => {
+    clearInterval(timer);
+    timer = null;
+
+    const deadline = Date.now() + timeout;
+    while ((total > 0 || polling) && Date.now() < deadline) {
+      await sleep(100);
+    }
+    return total === 0;
+  };
+
+  return {
+    workerId,
+    start,
+    stop
+  };
+};
+
+module.exports = {
+  createWorker
+};
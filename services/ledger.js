@@ -0,0 +1,298 @@
+const mongoose = require('mongoose');
+const LedgerAccount = require('../models/LedgerAccount');
+const JournalEntry = require('../models/JournalEntry');
+
+// Contas do sistema (contrapartidas das carteiras dos usuários)
+const SYSTEM_ACCOUNTS = {
+  PIX_CLEARING: { code: 'system:pix_clearing', name: 'Recebimentos e pagamentos PIX', type: 'asset' },
+  INVESTMENTS: { code: 'system:investments', name: 'Valores alocados em investimentos', type: 'liability' },
+  RETURNS: { code: 'system:investment_returns', name: 'Rendimentos de investimentos', type: 'expense' },
+  REFERRALS: { code: 'system:referral_commissions', name: 'Comissões de indicação', type: 'expense' },
+  BONUS: { code: 'system:bonus', name: 'Bônus concedidos', type: 'expense' },
+  FEES: { code: 'system:fees', name: 'Receita de taxas', type: 'revenue' },
+  ADJUSTMENTS: { code: 'system:adjustments', name: 'Ajustes e saldos iniciais', type: 'equity' }
+};
+
+// Contrapartida de cada tipo de transação
+const TRANSACTION_COUNTER_ACCOUNTS = {
+  deposit: SYSTEM_ACCOUNTS.PIX_CLEARING,
+  withdrawal: SYSTEM_ACCOUNTS.PIX_CLEARING,
+  refund: SYSTEM_ACCOUNTS.PIX_CLEARING,
+  investment: SYSTEM_ACCOUNTS.INVESTMENTS,
+  return: SYSTEM_ACCOUNTS.RETURNS,
+  referral: SYSTEM_ACCOUNTS.REFERRALS,
+  bonus: SYSTEM_ACCOUNTS.BONUS,
+  adjustment: SYSTEM_ACCOUNTS.ADJUSTMENTS
+};
+
+// Tipos de transação que retiram dinheiro da carteira do usuário
+const OUTFLOW_TYPES = ['withdrawal', 'investment', 'refund'];
+
+// Transação retira dinheiro da carteira? (ajustes dependem da direção)
+const isOutflow = (transaction) => {
+  if (transaction.type === 'adjustment') {
+    return transaction.adjustment && transaction.adjustment.direction === 'debit';
+  }
+  return OUTFLOW_TYPES.includes(transaction.type);
+};
+
+// Conta de carteira de um usuário
+const userAccount = (userId) => ({
+  code: `user:${userId}`,
+  name: 'Carteira do usuário',
+  type: 'liability',
+  user: userId
+});
+
+// Variação de saldo no lado natural da conta
+const balanceDelta = (account, posting) => {
+  const debitNormal = LedgerAccount.isDebitNormal(account.type);
+  const signed = posting.direction === 'debit' ? posting.amount : -posting.amount;
+  return debitNormal ? signed : -signed;
+};
+
+// Registrar um lançamento balanceado e atualizar os saldos das contas.
+// Deve receber a sessão da transação MongoDB em andamento (ver config/database).
+// allowNegative dispensa a verificação de saldo dos débitos (estornos forçados).
+const postEntry = async ({ description, postings, transaction = null, investment = null, session = null, allowNegative = false }) => {
+  if (!postings || postings.length < 2) {
+    throw new Error('Lançamento deve ter pelo menos duas partidas');
+  }
+
+  postings.forEach(posting => {
+    if (!(posting.amount > 0)) {
+      throw new Error('Valor do lançamento deve ser positivo');
+    }
+  });
+
+  const entry = new JournalEntry({
+    description,
+    transaction,
+    investment,
+    postings: postings.map(posting => ({
+      account: posting.account.code,
+      user: posting.account.user || null,
+      direction: posting.direction,
+      amount: posting.amount
+    }))
+  });
+
+  // Validar balanceamento antes de tocar em qualquer saldo
+  await entry.validate();
+
+  // Atualizar carteiras dos usuários (débitos não podem consumir saldo bloqueado)
+  const User = mongoose.model('User');
+  const userDeltas = new Map();
+
+  postings.forEach(posting => {
+    if (!posting.account.user) return;
+    const key = posting.account.user.toString();
+    userDeltas.set(key, (userDeltas.get(key) || 0) + balanceDelta(posting.account, posting));
+  });
+
+  const balances = {};
+
+  for (const [userId, delta] of userDeltas) {
+    const filter = { _id: userId };
+    if (delta < 0 && !allowNegative) {
+      filter.$expr = {
+        $gte: [{ $subtract: ['$balance', { $ifNull: ['$blockedBalance', 0] }] }, -delta]
+      };
+    }
+
+    const updated = await User.findOneAndUpdate(filter, { $inc: { balance: delta } }, { new: true, session });
+    if (!updated) {
+      throw new Error(delta < 0 ? 'Saldo insuficiente' : 'Usuário não encontrado');
+    }
+
+    balances[userId] = updated.balance;
+  }
+
+  // Atualizar saldos em cache das contas
+  for (const posting of postings) {
+    const { account } = posting;
+    await LedgerAccount.updateOne(
+      { code: account.code },
+      {
+        $inc: {
+          debits: posting.direction === 'debit' ? posting.amount : 0,
+          credits: posting.direction === 'credit' ? posting.amount : 0,
+          balance: balanceDelta(account, posting)
+        },
+        $setOnInsert: {
+          name: account.name,
+          type: account.type,
+          user: account.user || null
+        }
+      },
+      { upsert: true, session }
+    );
+  }
+
+  await entry.save({ session });
+
+  return { entry, balances };
+};
+
+// Transferência simples entre duas contas
+const transfer = async ({ from, to, amount, description, transaction = null, investment = null, session = null }) => {
+  // Valor zero não gera lançamento
+  if (!amount) {
+    return { entry: null, balances: {} };
+  }
+
+  return postEntry({
+    description,
+    transaction,
+    investment,
+    session,
+    postings: [
+      { account: from, direction: 'debit', amount },
+      { account: to, direction: 'credit', amount }
+    ]
+  });
+};
+
+// Inverter a natureza das partidas (estornos)
+const invertPostings = (postings) => postings.map(posting => ({
+  ...posting,
+  direction: posting.direction === 'debit' ? 'credit' : 'debit'
+}));
+
+// Montar as partidas de uma transação conforme seu tipo
+const postingsForTransaction = (transaction) => {
+  // Estorno: partidas da transação original, invertidas
+  if (transaction.type === 'reversal') {
+    return invertPostings(postingsForTransaction({
+      user: transaction.user,
+      type: transaction.reversal.originalType,
+      amount: transaction.amount,
+      fee: transaction.fee
+    }));
+  }
+
+  const wallet = userAccount(transaction.user._id || transaction.user);
+  const counter = TRANSACTION_COUNTER_ACCOUNTS[transaction.type];
+
+  if (!counter) {
+    throw new Error(`Tipo de transação sem contrapartida contábil: ${transaction.type}`);
+  }
+
+  const fee = transaction.fee || 0;
+  const netAmount = transaction.amount - fee;
+  const postings = [];
+
+  if (isOutflow(transaction)) {
+    postings.push({ account: wallet, direction: 'debit', amount: transaction.amount });
+    postings.push({ account: counter, direction: 'credit', amount: netAmount });
+  } else {
+    postings.push({ account: counter, direction: 'debit', amount: transaction.amount });
+    postings.push({ account: wallet, direction: 'credit', amount: netAmount });
+  }
+
+  if (fee > 0) {
+    postings.push({ account: SYSTEM_ACCOUNTS.FEES, direction: 'credit', amount: fee });
+  }
+
+  return postings;
+};
+
+// Lançar no livro-razão o efeito financeiro de uma transação
+const recordTransaction = (transaction, { session = null, allowNegative = false } = {}) => {
+  return postEntry({
+    description: transaction.description,
+    transaction: transaction._id,
+    investment: transaction.investment || null,
+    postings: postingsForTransaction(transaction),
+    session,
+    allowNegative
+  });
+};
+
+// Desfazer o efeito financeiro de uma transação com partidas invertidas
+const reverseTransaction = (transaction, { description, session = null } = {}) => {
+  const postings = invertPostings(postingsForTransaction(transaction));
+
+  return postEntry({
+    description: description || `Estorno - ${transaction.description}`,
+    transaction: transaction._id,
+    investment: transaction.investment || null,
+    postings,
+    session
+  });
+};
+
+// Saldo de uma carteira recalculado a partir dos lançamentos
+const getDerivedUserBalance = async (userId) => {
+  const [result] = await JournalEntry.aggregate([
+    { $unwind: '$postings' },
+    { $match: { 'postings.account': userAccount(userId).code } },
+    {
+      $group: {
+        _id: null,
+        credits: { $sum: { $cond: [{ $eq: ['$postings.direction', 'credit'] }, '$postings.amount', 0] } },
+        debits: { $sum: { $cond: [{ $eq: ['$postings.direction', 'debit'] }, '$postings.amount', 0] } }
+      }
+    }
+  ]);
+
+  return result ? result.credits - result.debits : 0;
+};
+
+// Extrato contábil de uma carteira
+const getUserStatement = async (userId, { page = 1, limit = 20 } = {}) => {
+  const query = { 'postings.account': userAccount(userId).code };
+
+  const [entries, total] = await Promise.all([
+    JournalEntry.find(query)
+      .populate('transaction', 'transactionId type status')
+      .sort({ createdAt: -1 })
+      .limit(limit * 1)
+      .skip((page - 1) * limit),
+    JournalEntry.countDocuments(query)
+  ]);
+
+  return { entries, total };
+};
+
+// Balancete: soma de débitos e créditos de todas as contas
+const getTrialBalance = async () => {
+  const accounts = await LedgerAccount.find({ user: null }).sort({ code: 1 });
+
+  const [totals] = await LedgerAccount.aggregate([
+    {
+      $group: {
+        _id: null,
+        debits: { $sum: '$debits' },
+        credits: { $sum: '$credits' },
+        userBalances: { $sum: { $cond: [{ $ne: ['$user', null] }, '$balance', 0] } }
+      }
+    }
+  ]);
+
+  const debits = totals ? totals.debits : 0;
+  const credits = totals ? totals.credits : 0;
+
+  return {
+    accounts,
+    totals: {
+      debits,
+      credits,
+      userBalances: totals ? totals.userBalances : 0,
+      balanced: debits === credits
+    }
+  };
+};
+
+module.exports = {
+  SYSTEM_ACCOUNTS,
+  userAccount,
+  postEntry,
+  transfer,
+  postingsForTransaction,
+  recordTransaction,
+  reverseTransaction,
+  getDerivedUserBalance,
+  getUserStatement,
+  getTrialBalance
+};
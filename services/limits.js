@@ -0,0 +1,239 @@
+const mongoose = require('mongoose');
+const LimitPolicy = require('../models/LimitPolicy');
+const LimitOverride = require('../models/LimitOverride');
+const money = require('../utils/money');
+const { DEFAULT_LIMITS } = require('../config/tiers');
+
+// Limites de depósito e saque por nível de conta (política persistida ou padrão do
+// config/tiers), com exceções temporárias concedidas por admins.
+
+const LIMIT_KEYS = ['perTransaction', 'daily', 'monthly', 'nightly', 'dailyCount'];
+
+// Transações que consomem limite (depósitos pendentes expiram em 30 minutos)
+const COUNTED_STATUSES = ['pending', 'processing', 'completed'];
+
+// Horário de Brasília (UTC-3, sem horário de verão)
+const BRT_OFFSET = -3 * 60 * 60 * 1000;
+const NIGHT_START_HOUR = 20;
+const NIGHT_END_HOUR = 6;
+
+const LIMIT_LABELS = {
+  perTransaction: 'por transação',
+  daily: 'diário',
+  monthly: 'mensal',
+  nightly: 'noturno (20h às 6h)',
+  dailyCount: 'de operações por dia'
+};
+
+const TYPE_LABELS = {
+  deposit: 'depósito',
+  withdrawal: 'saque'
+};
+
+// Datas "locais" representadas em UTC, para usar os getters/setters UTC
+const toLocal = (date) => new Date(date.getTime() + BRT_OFFSET);
+const fromLocal = (local) => new Date(local.getTime() - BRT_OFFSET);
+
+const startOfDay = (now) => {
+  const local = toLocal(now);
+  local.setUTCHours(0, 0, 0, 0);
+  return fromLocal(local);
+};
+
+const startOfMonth = (now) => {
+  const local = toLocal(now);
+  local.setUTCDate(1);
+  local.setUTCHours(0, 0, 0, 0);
+  return fromLocal(local);
+};
+
+// Período noturno em curso ({ start, end }), ou null durante o dia
+const nightWindow = (now) => {
+  const local = toLocal(now);
+  const hour = local.getUTCHours();
+
+  if (hour >= NIGHT_END_HOUR && hour < NIGHT_START_HOUR) {
+    return null;
+  }
+
+  const start = new Date(local);
+  if (hour < NIGHT_END_HOUR) {
+    start.setUTCDate(start.getUTCDate() - 1);
+  }
+  start.setUTCHours(NIGHT_START_HOUR, 0, 0, 0);
+
+  const end = new Date(start);
+  end.setUTCDate(end.getUTCDate() + 1);
+  end.setUTCHours(NIGHT_END_HOUR, 0, 0, 0);
+
+  return { start: fromLocal(start), end: fromLocal(end) };
+};
+
+// Erro de limite excedido (code permite às rotas responder 400)
+const limitExceeded = (type, limit, limitValue, remaining) => {
+  const error = new Error(`Limite ${LIMIT_LABELS[limit]} de ${TYPE_LABELS[type]} excedido`);
+  error.code = 'LIMIT_EXCEEDED';
+  error.limit = limit;
+  error.limitValue = limitValue;
+  error.remaining = remaining;
+  return error;
+};
+
+// Política do nível (persistida ou padrão)
+const getPolicy = async (tier, { session = null } = {}) => {
+  const policy = await LimitPolicy.findOne({ tier }).session(session);
+  if (policy) {
+    return policy;
+  }
+  return new LimitPolicy({ tier, ...DEFAULT_LIMITS[tier] });
+};
+
+// Exceção vigente do usuário para o tipo de operação
+const getActiveOverride = (userId, type, { now = new Date(), session = null } = {}) => {
+  return LimitOverride.findOne({
+    user: userId,
+    type,
+    revokedAt: null,
+    expiresAt: { $gt: now }
+  })
+    .sort({ createdAt: -1 })
+    .session(session);
+};
+
+// Limites efetivos: política do nível com os campos da exceção vigente sobrepostos
+const getEffectiveLimits = async (user, type, { now = new Date(), session = null } = {}) => {
+  const policy = await getPolicy(user.tier || 'basic', { session });
+  const override = await getActiveOverride(user._id, type, { now, session });
+
+  const limits = {};
+  LIMIT_KEYS.forEach(key => {
+    const overridden = override && override.limits ? override.limits[key] : null;
+    limits[key] = overridden !== null && overridden !== undefined
+      ? overridden
+      : policy[type][key];
+  });
+
+  return { limits, override };
+};
+
+// Valores já utilizados no dia, no mês e no período noturno atual
+// (`exclude`: transação a desconsiderar, ao reavaliar uma operação existente)
+const getUsage = async (userId, type, { now = new Date(), exclude = null, session = null } = {}) => {
+  const Transaction = mongoose.model('Transaction');
+  const dayStart = startOfDay(now);
+  const monthStart = startOfMonth(now);
+  const night = nightWindow(now);
+
+  // O período noturno pode ter começado no mês anterior
+  const since = night && night.start < monthStart ? night.start : monthStart;
+  const inRange = (start) => ({ $gte: ['$createdAt', start] });
+  const sumIf = (condition) => ({ $sum: { $cond: [condition, '$amount', 0] } });
+
+  const [usage] = await Transaction.aggregate([
+    {
+      $match: {
+        user: new mongoose.Types.ObjectId(String(userId)),
+        type,
+        status: { $in: COUNTED_STATUSES },
+        createdAt: { $gte: since },
+        ...(exclude && { _id: { $ne: new mongoose.Types.ObjectId(String(exclude)) } })
+      }
+    },
+    {
+      $group: {
+        _id: null,
+        monthly: sumIf(inRange(monthStart)),
+        daily: sumIf(inRange(dayStart)),
+        nightly: sumIf(night ? inRange(night.start) : false),
+        dailyCount: { $sum: { $cond: [inRange(dayStart), 1, 0] } }
+      }
+    }
+  ]).session(session);
+
+  return {
+    daily: usage ? usage.daily : 0,
+    monthly: usage ? usage.monthly : 0,
+    nightly: usage ? usage.nightly : 0,
+    dailyCount: usage ? usage.dailyCount : 0,
+    nightWindow: night
+  };
+};
+
+// Verificar se uma nova operação cabe nos limites do usuário.
+// Lança erro com code LIMIT_EXCEEDED indicando o limite violado.
+const checkLimit = async ({ user, type, amount, now = new Date(), exclude = null, session = null }) => {
+  const { limits } = await getEffectiveLimits(user, type, { now, session });
+  const usage = await getUsage(user._id, type, { now, exclude, session });
+
+  if (limits.perTransaction !== null && amount > limits.perTransaction) {
+    throw limitExceeded(type, 'perTransaction', limits.perTransaction, limits.perTransaction);
+  }
+
+  if (limits.dailyCount !== null && usage.dailyCount + 1 > limits.dailyCount) {
+    throw limitExceeded(type, 'dailyCount', limits.dailyCount, Math.max(limits.dailyCount - usage.dailyCount, 0));
+  }
+
+  for (const key of ['daily', 'monthly', 'nightly']) {
+    if (key === 'nightly' && !usage.nightWindow) continue;
+    if (limits[key] !== null && usage[key] + amount > limits[key]) {
+      throw limitExceeded(type, key, limits[key], Math.max(limits[key] - usage[key], 0));
+    }
+  }
+};
+
+// Detalhes de um erro LIMIT_EXCEEDED para a resposta da API (valores em reais)
+const describeLimitError = (error) => {
+  const convert = (value) => (error.limit === 'dailyCount' ? value : money.fromCents(value));
+  return {
+    limit: error.limit,
+    limitValue: convert(error.limitValue),
+    remaining: convert(error.remaining)
+  };
+};
+
+// Limites, uso e saldo restante de depósito e saque (valores em reais)
+const getLimitsSummary = async (user, { now = new Date() } = {}) => {
+  const summary = {};
+
+  for (const type of ['deposit', 'withdrawal']) {
+    const { limits, override } = await getEffectiveLimits(user, type, { now });
+    const usage = await getUsage(user._id, type, { now });
+
+    const describe = (key, used, isMoney = true) => {
+      const limit = limits[key];
+      const remaining = limit === null ? null : Math.max(limit - used, 0);
+      const convert = (value) => (isMoney && value !== null ? money.fromCents(value) : value);
+      return { limit: convert(limit), used: convert(used), remaining: convert(remaining) };
+    };
+
+    summary[type] = {
+      perTransaction: limits.perTransaction === null ? null : money.fromCents(limits.perTransaction),
+      daily: describe('daily', usage.daily),
+      monthly: describe('monthly', usage.monthly),
+      nightly: {
+        ...describe('nightly', usage.nightWindow ? usage.nightly : 0),
+        active: Boolean(usage.nightWindow)
+      },
+      dailyCount: describe('dailyCount', usage.dailyCount, false),
+      override: override ? { id: override._id, expiresAt: override.expiresAt } : null
+    };
+  }
+
+  return {
+    tier: user.tier || 'basic',
+    nightWindow: `${NIGHT_START_HOUR}h às ${NIGHT_END_HOUR}h`,
+    ...summary
+  };
+};
+
+module.exports = {
+  LIMIT_KEYS,
+  nightWindow,
+  getPolicy,
+  getActiveOverride,
+  getEffectiveLimits,
+  getUsage,
+  checkLimit,
+  describeLimitError,
+  getLimitsSummary
+};
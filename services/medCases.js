@@ -0,0 +1,182 @@
+const mongoose = require('mongoose');
+const MedCase = require('../models/MedCase');
+const pixRefunds = require('./pixRefunds');
+const { runInTransaction } = require('../config/database');
+
+// MED (Mecanismo Especial de Devolução): notificações de infração sobre depósitos PIX
+// recebidos. Ao receber a notificação, o valor disponível do usuário (até o reclamado)
+// é bloqueado cautelarmente numa devolução pendente; dentro do prazo de análise o caso
+// é aceito (a devolução é enviada ao PSP) ou contestado (o bloqueio é liberado).
+
+// Prazo de análise a partir da notificação
+const ANALYSIS_PERIOD = 7 * 24 * 60 * 60 * 1000;
+
+const medError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Valor que pode ser bloqueado agora: limitado ao reclamado, ao ainda não devolvido
+// do depósito e ao saldo disponível do usuário
+const blockableAmount = async (medCase, deposit, session) => {
+  const User = mongoose.model('User');
+  const user = await User.findById(deposit.user).session(session);
+  const available = user ? user.availableBalance : 0;
+
+  return Math.max(0, Math.min(medCase.claimedAmount, pixRefunds.refundableAmount(deposit), available));
+};
+
+// Bloquear o valor numa devolução pendente (authorized: enviada em seguida)
+const blockFunds = async (medCase, deposit, { adminId, authorized, session }) => {
+  const amount = await blockableAmount(medCase, deposit, session);
+  if (amount <= 0) {
+    return null;
+  }
+
+  const refund = await pixRefunds.createRefund({
+    deposit,
+    amount,
+    reason: medCase.reason,
+    notes: `MED ${medCase.claimId || medCase._id}`,
+    requestedBy: adminId,
+    medCase: medCase._id,
+    authorized,
+    session
+  });
+
+  medCase.refund = refund._id;
+  medCase.blockedAmount = amount;
+  return refund;
+};
+
+// Abrir um caso para o depósito com o endToEndId informado (sem amount: valor do pagamento)
+const openCase = async ({ endToEndId, claimId = null, reason, amount = null, details = null, reportedAt = null, adminId = null }) => {
+  const Transaction = mongoose.model('Transaction');
+
+  return runInTransaction(async (session) => {
+    const deposit = await Transaction.findOne({ 'pix.endToEndId': endToEndId, type: 'deposit' }).session(session);
+    if (!deposit) {
+      throw medError('Depósito não encontrado para o endToEndId informado', 'DEPOSIT_NOT_FOUND');
+    }
+
+    const blocker = pixRefunds.refundBlocker(deposit);
+    if (blocker) {
+      throw medError(blocker, 'REFUND_NOT_ALLOWED');
+    }
+
+    const existing = await MedCase.exists({ deposit: deposit._id, status: 'open' }).session(session);
+    if (existing) {
+      throw medError('Já existe um caso MED aberto para este depósito', 'MED_CASE_OPEN');
+    }
+
+    const reported = reportedAt || new Date();
+    const medCase = new MedCase({
+      deposit: deposit._id,
+      user: deposit.user,
+      endToEndId,
+      claimId,
+      reason,
+      details,
+      claimedAmount: amount || deposit.amount,
+      reportedAt: reported,
+      deadline: new Date(reported.getTime() + ANALYSIS_PERIOD),
+      openedBy: adminId
+    });
+    medCase.$locals.statusActor = {
+      actor: adminId,
+      actorType: adminId ? 'admin' : 'system',
+      reason: 'Notificação de infração recebida'
+    };
+
+    await blockFunds(medCase, deposit, { adminId, authorized: false, session });
+    await medCase.save({ session });
+
+    return medCase;
+  });
+};
+
+// Aceitar o caso: a devolução bloqueada é enviada ao PSP. Sem valor bloqueado na abertura,
+// bloqueia o que estiver disponível agora. Retorna { medCase, refund } (null se não encontrado).
+const acceptCase = async (caseId, { adminId, notes = null }) => {
+  const Transaction = mongoose.model('Transaction');
+
+  // Caso carregado na sessão: a função pode ser repetida pelo driver
+  const decided = await runInTransaction(async (session) => {
+    const medCase = await MedCase.findById(caseId).session(session);
+    if (!medCase) {
+      return null;
+    }
+
+    medCase.transitionTo('accepted', { actor: adminId, actorType: 'admin', reason: notes });
+    medCase.decision = { decidedBy: adminId, decidedAt: new Date(), notes };
+
+    let refund = medCase.refund ? await Transaction.findById(medCase.refund).session(session) : null;
+
+    if (refund && refund.status === 'pending') {
+      refund.refund.requestedAt = new Date();
+      await refund.save({ session });
+    } else {
+      const deposit = await Transaction.findById(medCase.deposit).session(session);
+      refund = pixRefunds.refundBlocker(deposit)
+        ? null
+        : await blockFunds(medCase, deposit, { adminId, authorized: true, session });
+    }
+
+    await medCase.save({ session });
+    return { medCase, refund };
+  });
+
+  if (!decided) {
+    return null;
+  }
+
+  const { medCase, refund } = decided;
+  if (refund) {
+    try {
+      await pixRefunds.sendRefund(refund);
+    } catch (error) {
+      // Recusada: a devolução fica como falha; demais erros são refeitos pelo job
+      console.error(`Erro ao enviar devolução do caso MED ${medCase._id}:`, error.message);
+    }
+  }
+
+  return { medCase, refund };
+};
+
+// Contestar o caso: a devolução bloqueada é cancelada e o saldo liberado
+const contestCase = async (caseId, { adminId, notes }) => {
+  const Transaction = mongoose.model('Transaction');
+
+  // Caso carregado na sessão: a função pode ser repetida pelo driver
+  return runInTransaction(async (session) => {
+    const medCase = await MedCase.findById(caseId).session(session);
+    if (!medCase) {
+      return null;
+    }
+
+    medCase.transitionTo('contested', { actor: adminId, actorType: 'admin', reason: notes });
+    medCase.decision = { decidedBy: adminId, decidedAt: new Date(), notes };
+
+    const refund = medCase.refund ? await Transaction.findById(medCase.refund).session(session) : null;
+    if (refund && refund.status === 'pending') {
+      await pixRefunds.cancelRefund(refund, 'Caso MED contestado', { actor: adminId, actorType: 'admin', session });
+    }
+
+    await medCase.save({ session });
+    return medCase;
+  });
+};
+
+// Casos abertos com o prazo de análise vencido
+const findOverdue = () => {
+  return MedCase.find({ status: 'open', deadline: { $lte: new Date() } }).sort({ deadline: 1 });
+};
+
+module.exports = {
+  ANALYSIS_PERIOD,
+  openCase,
+  acceptCase,
+  contestCase,
+  findOverdue
+};
@@ -0,0 +1,111 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const money = require('../utils/money');
+
+// Cobranças PIX dinâmicas (padrão "Pix Cobrança" do Banco Central).
+// O BR Code carrega apenas a URL da location; o PSP do pagador consulta essa URL e
+// recebe o payload da cobrança assinado (JWS). Assim valor e validade podem mudar
+// sem gerar um novo QR Code (cada alteração incrementa a revisão).
+
+const LOCATION_BASE_URL = process.env.PIX_LOCATION_BASE_URL || `http://localhost:${process.env.PORT || 3000}`;
+const LOCATION_PATH = '/api/pix/qr';
+const JWS_ALGORITHM = 'PS256';
+
+// Status da cobrança no padrão do Banco Central
+const CHARGE_STATUS = {
+  pending: 'ATIVA',
+  processing: 'CONCLUIDA',
+  completed: 'CONCLUIDA'
+};
+
+// Chave de assinatura: PIX_JWS_PRIVATE_KEY (PEM) em produção; sem ela, um par
+// temporário é gerado a cada inicialização (QR Codes antigos deixam de validar)
+let signingKey = null;
+
+const getSigningKey = () => {
+  if (signingKey) {
+    return signingKey;
+  }
+
+  let privateKey;
+  if (process.env.PIX_JWS_PRIVATE_KEY) {
+    privateKey = crypto.createPrivateKey(process.env.PIX_JWS_PRIVATE_KEY.replace(/\\n/g, '\n'));
+  } else {
+    console.warn('⚠️ PIX_JWS_PRIVATE_KEY não configurada, usando chave temporária para assinar cobranças');
+    privateKey = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 }).privateKey;
+  }
+
+  const publicJwk = crypto.createPublicKey(privateKey).export({ format: 'jwk' });
+  const kid = process.env.PIX_JWS_KEY_ID ||
+    crypto.createHash('sha256').update(publicJwk.n).digest('hex').substring(0, 16);
+
+  signingKey = {
+    privateKey,
+    kid,
+    jwk: { ...publicJwk, kid, alg: JWS_ALGORITHM, use: 'sig' }
+  };
+
+  return signingKey;
+};
+
+// Nova location (id aleatório de 32 caracteres hexadecimais)
+const createLocation = () => {
+  const id = crypto.randomBytes(16).toString('hex');
+  return {
+    id,
+    url: `${LOCATION_BASE_URL}${LOCATION_PATH}/v2/${id}`
+  };
+};
+
+// Payload da cobrança imediata (cob) de um depósito
+const buildChargePayload = (transaction, { chave = process.env.PIX_COMPANY_KEY } = {}) => {
+  const createdAt = transaction.createdAt || new Date();
+  const expiration = Math.max(
+    Math.round((transaction.pix.expiresAt - createdAt) / 1000),
+    0
+  );
+
+  return {
+    revisao: transaction.pix.revision || 0,
+    calendario: {
+      criacao: createdAt.toISOString(),
+      apresentacao: new Date().toISOString(),
+      expiracao: expiration
+    },
+    txid: transaction.pix.txId,
+    valor: {
+      original: money.toDecimalString(transaction.amount)
+    },
+    chave,
+    solicitacaoPagador: transaction.description,
+    status: CHARGE_STATUS[transaction.status] || 'REMOVIDA_PELO_PSP'
+  };
+};
+
+// Assinar o payload da cobrança (JWS compacto)
+const signChargePayload = (payload) => {
+  const { privateKey, kid } = getSigningKey();
+
+  return jwt.sign(payload, privateKey, {
+    algorithm: JWS_ALGORITHM,
+    noTimestamp: true,
+    header: {
+      alg: JWS_ALGORITHM,
+      kid,
+      jku: `${LOCATION_BASE_URL}${LOCATION_PATH}/jwks`
+    }
+  });
+};
+
+// Chaves públicas para validação das assinaturas (JWK Set)
+const getJwks = () => {
+  return { keys: [getSigningKey().jwk] };
+};
+
+module.exports = {
+  CHARGE_STATUS,
+  createLocation,
+  buildChargePayload,
+  signChargePayload,
+  getJwks
+};
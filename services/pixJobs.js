@@ -0,0 +1,130 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const jobQueue = require('./jobQueue');
+const pixPayments = require('./pixPayments');
+const pixRefunds = require('./pixRefunds');
+const webhookInbox = require('./webhookInbox');
+const withdrawalRisk = require('./withdrawalRisk');
+
+// Jobs das transações PIX executados pelo worker (ver services/jobWorker).
+// Cada job recebe o id da transação e confere o status antes de agir, então
+// execuções repetidas (nova tentativa, job duplicado pela varredura) não têm efeito.
+
+const findTransaction = (transactionId, type) => {
+  return mongoose.model('Transaction').findOne({ _id: transactionId, type });
+};
+
+// Enfileirar um job de transação (um job ativo por nome e transação)
+const enqueueTransactionJob = (name, transaction, options = {}) => {
+  return jobQueue.enqueue(name, { transactionId: transaction._id }, {
+    uniqueKey: `${name}:${transaction._id}`,
+    ...options
+  });
+};
+
+// Enviar ao PSP um saque pendente (saques em análise aguardam a aprovação)
+const sendWithdrawal = async ({ transactionId }) => {
+  const withdrawal = await findTransaction(transactionId, 'withdrawal');
+  // Com externalId, o PSP aceitou a transferência mas o débito falhou: sendWithdrawal retoma o débito
+  if (!withdrawal || withdrawal.status !== 'pending' || withdrawalRisk.isUnderReview(withdrawal)) {
+    return { skipped: true };
+  }
+
+  try {
+    await pixPayments.sendWithdrawal(withdrawal);
+  } catch (error) {
+    // Recusado pelo provedor: o saque já foi marcado como falho, nada a repetir
+    if (error.code !== 'TRANSFER_REJECTED') {
+      throw error;
+    }
+  }
+
+  if (withdrawal.status === 'completed') {
+    console.log(`✅ Saque PIX processado: ${withdrawal.transactionId} - ${money.format(withdrawal.amount)}`);
+  } else if (withdrawal.status === 'failed') {
+    console.log(`❌ Saque PIX falhou: ${withdrawal.transactionId}`);
+  }
+  return { status: withdrawal.status };
+};
+
+// Consultar no PSP um saque em processamento
+const syncWithdrawal = async ({ transactionId }) => {
+  const withdrawal = await findTransaction(transactionId, 'withdrawal');
+  if (!withdrawal || withdrawal.status !== 'processing') {
+    return { skipped: true };
+  }
+
+  const changed = await pixPayments.syncWithdrawal(withdrawal);
+  if (changed && withdrawal.status === 'completed') {
+    console.log(`✅ Saque PIX processado: ${withdrawal.transactionId} - ${money.format(withdrawal.amount)}`);
+  } else if (changed && withdrawal.status === 'failed') {
+    console.log(`❌ Saque PIX falhou e foi estornado: ${withdrawal.transactionId}`);
+  }
+  return { changed, status: withdrawal.status };
+};
+
+// Enviar ao PSP uma devolução autorizada (devoluções de MED em análise aguardam a decisão)
+const sendRefund = async ({ transactionId }) => {
+  const refund = await findTransaction(transactionId, 'refund');
+  // Com externalId, o PSP aceitou a devolução mas o débito falhou: sendRefund retoma o débito
+  if (!refund || refund.status !== 'pending' || !refund.refund.requestedAt) {
+    return { skipped: true };
+  }
+
+  try {
+    await pixRefunds.sendRefund(refund);
+  } catch (error) {
+    // Recusada pelo provedor: a devolução já foi marcada como falha
+    if (error.code !== 'REFUND_REJECTED') {
+      throw error;
+    }
+  }
+
+  if (refund.status === 'completed') {
+    console.log(`✅ Devolução PIX concluída: ${refund.transactionId} - ${money.format(refund.amount)}`);
+  }
+  return { status: refund.status };
+};
+
+// Consultar no PSP uma devolução em processamento
+const syncRefund = async ({ transactionId }) => {
+  const refund = await findTransaction(transactionId, 'refund');
+  if (!refund || refund.status !== 'processing') {
+    return { skipped: true };
+  }
+
+  const changed = await pixRefunds.syncRefund(refund);
+  if (changed && refund.status === 'completed') {
+    console.log(`✅ Devolução PIX concluída: ${refund.transactionId} - ${money.format(refund.amount)}`);
+  } else if (changed && refund.status === 'failed') {
+    console.log(`❌ Devolução PIX falhou e foi estornada: ${refund.transactionId}`);
+  }
+  return { changed, status: refund.status };
+};
+
+// Processar um webhook da caixa de entrada. Falhas com nova tentativa prevista são
+// lançadas para o job ser repetido com o mesmo intervalo da caixa de entrada.
+const processWebhook = async ({ eventId }) => {
+  const event = await webhookInbox.processEvent(eventId);
+  if (!event) {
+    return { skipped: true };
+  }
+
+  if (event.status === 'pending') {
+    throw new Error(event.lastError || 'Webhook não processado');
+  }
+  return { status: event.status, result: event.result };
+};
+
+const JOBS = {
+  'pix.withdrawal.send': { handler: sendWithdrawal, concurrency: 2, visibilityTimeout: 2 * 60 * 1000 },
+  'pix.withdrawal.sync': { handler: syncWithdrawal, concurrency: 2, visibilityTimeout: 2 * 60 * 1000 },
+  'pix.refund.send': { handler: sendRefund, concurrency: 1, visibilityTimeout: 2 * 60 * 1000 },
+  'pix.refund.sync': { handler: syncRefund, concurrency: 1, visibilityTimeout: 2 * 60 * 1000 },
+  'webhook.process': { handler: processWebhook, concurrency: 5, backoff: webhookInbox.retryDelay }
+};
+
+module.exports = {
+  JOBS,
+  enqueueTransactionJob
+};
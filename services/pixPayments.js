@@ -0,0 +1,587 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const QRCode = require('qrcode');
+const money = require('../utils/money');
+const pixKeys = require('../utils/pixKey');
+const ledger = require('./ledger');
+const holds = require('./holds');
+const fees = require('./fees');
+const limits = require('./limits');
+const reversals = require('./reversals');
+const pixRefunds = require('./pixRefunds');
+const asaasCustomers = require('./asaasCustomers');
+const withdrawalRisk = require('./withdrawalRisk');
+const pixRecipients = require('./pixRecipients');
+const jobQueue = require('./jobQueue');
+const staticPix = require('./staticPix');
+const { getProvider, getProviderFor } = require('./pixProviders');
+const { runInTransaction, runOnCurrent } = require('../config/database');
+
+// Depósitos e saques PIX sobre o provedor configurado (PIX_PROVIDER).
+// O saque é debitado quando o PSP aceita a transferência (status 'processing') e
+// concluído ou estornado conforme o resultado informado por webhook ou consulta.
+
+// Validade padrão das cobranças de depósito
+const DEPOSIT_TTL = 30 * 60 * 1000;
+
+// Comissão de indicação sobre o valor líquido dos depósitos (%)
+const DEPOSIT_COMMISSION_RATE = 5;
+
+// txId único (cobranças dinâmicas exigem de 26 a 35 caracteres)
+const generateTxId = () => {
+  return ('FURBY' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(12).toString('hex').toUpperCase())
+    .substring(0, 35);
+};
+
+// Imagem (data URL) do QR Code de um BR Code
+const generateQRCode = async (payload) => {
+  try {
+    return await QRCode.toDataURL(payload, {
+      errorCorrectionLevel: 'M',
+      type: 'image/png',
+      quality: 0.92,
+      margin: 1,
+      color: {
+        dark: '#000000',
+        light: '#FFFFFF'
+      },
+      width: 256
+    });
+  } catch (error) {
+    console.error('Erro ao gerar QR Code:', error);
+    throw new Error('Erro ao gerar QR Code');
+  }
+};
+
+// Criar depósito: transação pendente e cobrança no PSP
+const createDeposit = async ({ user, amount, description = 'Depósito via PIX', providerName }) => {
+  const Transaction = mongoose.model('Transaction');
+  const provider = getProvider(providerName);
+
+  // Limites do nível da conta (por transação, diário, mensal e noturno)
+  await limits.checkLimit({ user, type: 'deposit', amount });
+
+  // Tarifa conforme a tabela vigente (descontada do valor creditado)
+  const quote = await fees.quoteFee({ type: 'deposit', method: 'pix', amount, user });
+
+  const transaction = new Transaction({
+    user: user._id,
+    type: 'deposit',
+    method: 'pix',
+    amount,
+    fee: quote.fee,
+    netAmount: quote.netAmount,
+    feeRule: quote.feeRule || undefined,
+    description,
+    pix: {
+      txId: generateTxId(),
+      expiresAt: new Date(Date.now() + DEPOSIT_TTL)
+    },
+    status: 'pending',
+    externalData: { provider: provider.name }
+  });
+
+  // O ASAAS exige o pagador cadastrado como cliente (criado no primeiro depósito)
+  if (provider.name === 'asaas') {
+    await asaasCustomers.ensureCustomer(user);
+  }
+
+  const charge = await provider.createCharge({ transaction, user, description });
+  await applyCharge(transaction, provider, charge);
+
+  transaction.$locals.statusActor = { actor: user._id, actorType: 'user' };
+  await transaction.save();
+
+  return transaction;
+};
+
+// Alterar valor e/ou validade de um depósito pendente com cobrança dinâmica. A cobrança
+// é recriada no PSP com os novos dados, na mesma location (o QR Code continua válido).
+const updateDeposit = async ({ transaction, user, amount, expiresAt }) => {
+  const provider = getProviderFor(transaction);
+
+  if (amount !== undefined) {
+    // Reavaliar limites e tarifa desconsiderando o valor anterior
+    await limits.checkLimit({ user, type: 'deposit', amount, exclude: transaction._id });
+    const quote = await fees.quoteFee({ type: 'deposit', method: 'pix', amount, user });
+
+    transaction.amount = amount;
+    transaction.fee = quote.fee;
+    transaction.feeRule = quote.feeRule || { schedule: null, rule: null, name: null };
+  }
+
+  if (expiresAt !== undefined) {
+    transaction.pix.expiresAt = expiresAt;
+  }
+
+  const charge = await provider.createCharge({
+    transaction,
+    user,
+    description: transaction.description,
+    location: { id: transaction.pix.locationId, url: transaction.pix.locationUrl }
+  });
+  await applyCharge(transaction, provider, charge);
+
+  transaction.pix.revision += 1;
+  return transaction.save();
+};
+
+// Copiar para o depósito os dados da cobrança criada no PSP
+const applyCharge = async (transaction, provider, charge) => {
+  transaction.externalId = charge.externalId;
+  transaction.pix.key = charge.key || null;
+  transaction.pix.keyType = charge.key ? pixKeys.detectType(charge.key) : null;
+  transaction.pix.qrCode = charge.payload;
+  transaction.pix.qrCodeImage = charge.payload ? await generateQRCode(charge.payload) : null;
+  if (charge.expiresAt) {
+    transaction.pix.expiresAt = charge.expiresAt;
+  }
+  if (charge.location) {
+    transaction.pix.locationId = charge.location.id;
+    transaction.pix.locationUrl = charge.location.url;
+  }
+  transaction.externalData = { provider: provider.name, ...(charge.data || {}) };
+};
+
+// Enfileirar o envio de um saque ao PSP (job 'pix.withdrawal.send', ver services/pixJobs)
+const enqueueWithdrawal = (transaction, { session = null } = {}) => {
+  return jobQueue.enqueue('pix.withdrawal.send', { transactionId: transaction._id }, {
+    uniqueKey: `pix.withdrawal.send:${transaction._id}`,
+    session
+  });
+};
+
+// Criar saque: registra a transação, bloqueia o valor e enfileira o envio ao PSP na
+// mesma transação MongoDB (o envio não se perde se o servidor reiniciar).
+// Saques que batem em regras de risco ficam pendentes, com o valor bloqueado, até a
+// decisão da análise manual (review.status 'pending').
+const createWithdrawal = async ({ user, amount, key, keyType, description = 'Saque via PIX', providerName }) => {
+  const Transaction = mongoose.model('Transaction');
+  const provider = getProvider(providerName);
+
+  // Tarifa conforme a tabela vigente (transferido apenas o valor líquido)
+  const quote = await fees.quoteFee({ type: 'withdrawal', method: 'pix', amount, user });
+
+  const transaction = await runInTransaction(async (session) => {
+    const transaction = new Transaction({
+      user: user._id,
+      type: 'withdrawal',
+      method: 'pix',
+      amount,
+      fee: quote.fee,
+      netAmount: quote.netAmount,
+      feeRule: quote.feeRule || undefined,
+      description,
+      pix: {
+        key,
+        keyType,
+        txId: generateTxId()
+      },
+      status: 'pending',
+      externalData: { provider: provider.name }
+    });
+
+    // Política de saques: com verifiedRecipientsOnly, só chaves próprias verificadas
+    await pixRecipients.checkWithdrawalKey({ user, key, session });
+
+    // Limites do nível da conta (inclui a quantidade de saques por dia)
+    await limits.checkLimit({ user, type: 'withdrawal', amount, session });
+
+    const rules = await withdrawalRisk.evaluate({ user, amount, key, session });
+    if (rules.length > 0) {
+      withdrawalRisk.flag(transaction, rules);
+    }
+
+    transaction.$locals.statusActor = { actor: user._id, actorType: 'user' };
+    await transaction.save({ session });
+    await pixRecipients.markUsed({ user, key, session });
+
+    // Falha com 'Saldo insuficiente' se outra solicitação já reservou o saldo.
+    // Em análise, o bloqueio não expira: termina com a aprovação ou a recusa.
+    await holds.placeHold({
+      transaction,
+      type: 'withdrawal',
+      expiresAt: rules.length > 0 ? null : new Date(Date.now() + holds.WITHDRAWAL_HOLD_TTL),
+      session
+    });
+
+    if (rules.length === 0) {
+      await enqueueWithdrawal(transaction, { session });
+    }
+
+    return transaction;
+  });
+
+  if (withdrawalRisk.isUnderReview(transaction)) {
+    console.log(`🔎 Saque ${transaction.transactionId} em análise: ${transaction.review.rules.map(r => r.rule).join(', ')}`);
+  }
+
+  return transaction;
+};
+
+// Enviar um saque pendente ao PSP. Recusado: falha, libera o bloqueio e lança erro
+// com code TRANSFER_REJECTED. Aceito: captura o bloqueio e debita o saldo (status 'processing').
+const sendWithdrawal = async (transaction, { user = null } = {}) => {
+  const provider = getProviderFor(transaction);
+
+  // Já aceita numa tentativa anterior: pelo id externo (o débito falhou depois do aceite) ou,
+  // com o envio iniciado (o processo pode ter caído depois da chamada ao PSP), pelo id da transação
+  let transfer = null;
+  if (transaction.externalId) {
+    transfer = await provider.getTransfer(transaction.externalId);
+  } else if (transaction.pix.transferRequestedAt) {
+    transfer = await provider.findTransfer({ transaction });
+  }
+  if (transfer) {
+    console.log(`🔁 Saque ${transaction.transactionId} já enviado ao provedor (${transfer.externalId})`);
+  }
+
+  try {
+    if (!transfer) {
+      await transaction.markTransferRequested();
+      transfer = await provider.createTransfer({
+        transaction,
+        user,
+        key: transaction.pix.key,
+        keyType: pixKeys.parse(transaction.pix.key, transaction.pix.keyType).type,
+        description: transaction.description
+      });
+    }
+  } catch (error) {
+    // Sem resposta do PSP (ou erro do PSP) a transferência pode ter sido aceita:
+    // a nova tentativa do job a consulta antes de reenviar
+    if (!error.response || error.response.status >= 500) {
+      throw error;
+    }
+
+    console.error(`Transferência recusada (${provider.name}):`, error.response?.data || error.message);
+    await transaction.fail('Transferência recusada pelo provedor PIX', { actorType: 'system' });
+
+    const rejected = new Error('Transferência recusada pelo provedor PIX');
+    rejected.code = 'TRANSFER_REJECTED';
+    rejected.details = error.response?.data?.errors || error.message;
+    throw rejected;
+  }
+
+  try {
+    // Saque recarregado na sessão: a função pode ser repetida pelo driver
+    await runOnCurrent(transaction, async (current, session) => {
+      current.transitionTo('processing', { actorType: 'system', reason: 'Transferência enviada ao provedor PIX' });
+      current.processedAt = new Date();
+
+      await holds.captureHold(current._id, { session });
+      await ledger.recordTransaction(current, { session });
+
+      current.externalId = transfer.externalId;
+      current.externalData = { provider: provider.name, ...(transfer.data || {}) };
+      await current.save({ session });
+    });
+  } catch (error) {
+    // A transferência já foi aceita: gravar o id externo para que o saque não seja reenviado
+    console.error(`❌ Saque ${transaction.transactionId} aceito pelo provedor, mas o débito falhou:`, error.message);
+    await mongoose.model('Transaction').updateOne(
+      { _id: transaction._id },
+      { externalId: transfer.externalId, externalData: { provider: provider.name, ...(transfer.data || {}) } }
+    );
+    throw error;
+  }
+
+  return applyTransferStatus(transaction, transfer, { actorType: 'system' });
+};
+
+// Comissão de indicação para quem indicou o autor do depósito
+const payDepositCommission = async (deposit) => {
+  const User = mongoose.model('User');
+  const Transaction = mongoose.model('Transaction');
+
+  const user = await User.findById(deposit.user);
+  if (!user || !user.referredBy) return null;
+
+  const referrer = await User.findById(user.referredBy);
+  if (!referrer) return null;
+
+  const commission = money.percentage(deposit.netAmount, DEPOSIT_COMMISSION_RATE);
+  if (commission <= 0) return null;
+
+  return runInTransaction(async (session) => {
+    // Comissão já paga (depósito confirmado por webhook e consulta simultâneos)
+    const paid = await Transaction.exists({ sourceTransaction: deposit._id, type: 'referral' }).session(session);
+    if (paid) {
+      return null;
+    }
+
+    const commissionTransaction = new Transaction({
+      user: referrer._id,
+      type: 'referral',
+      method: 'system',
+      amount: commission,
+      netAmount: commission,
+      status: 'completed',
+      completedAt: new Date(),
+      description: `Comissão de indicação - ${user.name}`,
+      referredUser: user._id,
+      sourceTransaction: deposit._id
+    });
+    await commissionTransaction.save({ session });
+
+    // Indicador recarregado na sessão (addReferralEarnings soma sobre o valor em memória)
+    const currentReferrer = await User.findById(referrer._id).session(session);
+    await currentReferrer.addReferralEarnings(commission, {
+      description: commissionTransaction.description,
+      transaction: commissionTransaction._id,
+      session
+    });
+
+    return commissionTransaction;
+  });
+};
+
+// Pagamento devolvido ao pagador pelo PSP depois de creditado: estornar o depósito
+// (e as comissões pagas a partir dele). O dinheiro já saiu da conta da empresa, então
+// o estorno é aplicado mesmo que o saldo do usuário fique negativo.
+const reverseRefundedDeposit = async (transaction, { actorType }) => {
+  // Devoluções solicitadas pela plataforma são tratadas pelos eventos de devolução (ver services/pixRefunds)
+  if (transaction.reversedBy || transaction.refundedAmount > 0) {
+    return false;
+  }
+
+  await reversals.reverseTransaction(transaction, {
+    reason: 'Pagamento devolvido ao pagador pelo provedor PIX',
+    actorType,
+    force: true
+  });
+  return true;
+};
+
+// Ajustar o depósito ao valor efetivamente pago (tarifa recalculada; os limites não se
+// aplicam a um pagamento já recebido) e guardar o valor cobrado para conferência
+const applyPaidAmount = async (transaction, amount) => {
+  const user = await mongoose.model('User').findById(transaction.user);
+
+  let quote;
+  try {
+    quote = await fees.quoteFee({ type: 'deposit', method: 'pix', amount, user });
+  } catch (error) {
+    if (error.message !== 'Valor insuficiente para cobrir a tarifa') {
+      throw error;
+    }
+    // Valor pago não cobre a tarifa: credita o valor integral
+    quote = { fee: 0, feeRule: null };
+  }
+
+  transaction.pix.amountMismatch = { chargedAmount: transaction.amount, flaggedAt: new Date() };
+  transaction.amount = amount;
+  transaction.fee = quote.fee;
+  transaction.feeRule = quote.feeRule || { schedule: null, rule: null, name: null };
+};
+
+// Aplicar o status da cobrança a um depósito. Retorna true se o status mudou.
+const applyChargeStatus = async (transaction, charge, { actorType }) => {
+  if (transaction.status === 'completed' && charge.status === 'refunded') {
+    return reverseRefundedDeposit(transaction, { actorType });
+  }
+
+  if (transaction.status !== 'pending') {
+    return false;
+  }
+
+  switch (charge.status) {
+    case 'paid':
+      // Valor pago diferente do valor atual da cobrança (ex.: pago pela revisão anterior):
+      // o dinheiro já foi recebido, então credita o valor pago e sinaliza para o admin
+      if (charge.amount != null && charge.amount !== transaction.amount) {
+        console.warn(`⚠️ Depósito ${transaction.transactionId}: valor pago ${money.format(charge.amount)} difere da cobrança ${money.format(transaction.amount)}`);
+        await applyPaidAmount(transaction, charge.amount);
+      }
+
+      // Gravado antes do crédito: process() recarrega a transação na sessão
+      if (charge.endToEndId) {
+        transaction.pix.endToEndId = charge.endToEndId;
+      }
+      if (transaction.isModified()) {
+        await transaction.save();
+      }
+      // Creditar saldo (via livro-razão) e completar transação
+      await transaction.process({ actorType });
+      try {
+        await payDepositCommission(transaction);
+      } catch (error) {
+        console.error('Erro ao processar comissão de indicação:', error);
+      }
+      return true;
+
+    case 'cancelled':
+    case 'refunded':
+      await transaction.fail('Pagamento falhou ou foi cancelado', { actorType });
+      return true;
+
+    case 'expired':
+      await transaction.expire('Cobrança vencida no provedor PIX', { actorType });
+      return true;
+
+    default:
+      return false;
+  }
+};
+
+// Aplicar o status da transferência a um saque enviado. Retorna true se o status mudou.
+const applyTransferStatus = async (transaction, transfer, { actor = null, actorType }) => {
+  if (transaction.status !== 'processing') {
+    return false;
+  }
+
+  switch (transfer.status) {
+    case 'done':
+      if (transfer.endToEndId) {
+        transaction.pix.endToEndId = transfer.endToEndId;
+      }
+      await transaction.complete({ actor, actorType });
+      return true;
+
+    case 'failed':
+    case 'cancelled': {
+      // O saque já foi debitado: estornar o débito e marcar como falho na mesma transação
+      const reason = transfer.failureReason || 'Transferência não realizada pelo provedor PIX';
+      return runOnCurrent(transaction, async (current, session) => {
+        // Já tratado por outra requisição (webhook e consulta simultâneos)
+        if (current.status !== 'processing') {
+          return false;
+        }
+        await ledger.reverseTransaction(current, {
+          description: `Estorno - ${current.description}`,
+          session
+        });
+        await current.fail(reason, { actor, actorType, session });
+        return true;
+      });
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Tipo de transação de cada tipo de evento
+const EVENT_TRANSACTION_TYPES = {
+  charge: 'deposit',
+  transfer: 'withdrawal',
+  refund: 'refund'
+};
+
+// Transação de um evento de webhook (cobranças antigas do PSP simulado não têm externalId)
+const findEventTransaction = async (provider, event) => {
+  const Transaction = mongoose.model('Transaction');
+  const type = EVENT_TRANSACTION_TYPES[event.kind];
+
+  const transaction = await Transaction.findOne({
+    externalId: event.externalId,
+    type,
+    method: 'pix'
+  });
+
+  if (transaction || !event.txId) {
+    return transaction;
+  }
+
+  return Transaction.findOne({
+    'pix.txId': event.txId,
+    externalId: null,
+    type
+  });
+};
+
+// Devolução sem transação correspondente: só é esperada (e aguardada com novas tentativas)
+// se a plataforma tiver solicitado devoluções do depósito; as demais foram feitas
+// diretamente no PSP e são tratadas pelo evento da cobrança
+const isExpectedRefund = async (event) => {
+  if (!event.chargeExternalId) {
+    return true;
+  }
+
+  const deposit = await mongoose.model('Transaction').findOne({
+    externalId: event.chargeExternalId,
+    type: 'deposit'
+  });
+  return Boolean(deposit && deposit.refundedAmount > 0);
+};
+
+// Tratar os eventos de um webhook já verificado.
+// Retorna { processed, notFound } com a quantidade de eventos em cada situação.
+const handleWebhook = async (provider, req) => {
+  const events = await provider.parseWebhook(req);
+  const result = { processed: 0, notFound: 0 };
+
+  for (const event of events) {
+    // Pagamento no QR Code estático pessoal: cria um novo depósito a cada pagamento
+    if (event.kind === 'charge' && staticPix.isStaticTxId(event.txId)) {
+      if (event.status === 'paid') {
+        const deposit = await staticPix.creditStaticPayment({
+          txId: event.txId,
+          amount: event.amount,
+          endToEndId: event.endToEndId,
+          actorType: 'webhook'
+        });
+        result[deposit ? 'processed' : 'notFound'] += 1;
+      }
+      continue;
+    }
+
+    const transaction = await findEventTransaction(provider, event);
+    if (!transaction) {
+      if (event.kind === 'refund' && !(await isExpectedRefund(event))) {
+        result.processed += 1;
+        continue;
+      }
+
+      console.log(`Transação não encontrada para o evento PIX (${provider.name}):`, event.externalId);
+      result.notFound += 1;
+      continue;
+    }
+
+    let changed;
+    if (event.kind === 'transfer') {
+      changed = await applyTransferStatus(transaction, event, { actorType: 'webhook' });
+    } else if (event.kind === 'refund') {
+      changed = await pixRefunds.applyRefundStatus(transaction, event, { actorType: 'webhook' });
+    } else {
+      changed = await applyChargeStatus(transaction, event, { actorType: 'webhook' });
+    }
+
+    if (changed) {
+      console.log(`PIX ${transaction.transactionId}: ${event.status}`);
+    }
+    result.processed += 1;
+  }
+
+  return result;
+};
+
+// Consultar no PSP a cobrança de um depósito pendente
+const syncDeposit = async (transaction, { actorType = 'job' } = {}) => {
+  const provider = getProviderFor(transaction);
+  const charge = await provider.getCharge(transaction.externalId || transaction.pix.txId);
+  return applyChargeStatus(transaction, charge, { actorType });
+};
+
+// Consultar no PSP a transferência de um saque em processamento
+const syncWithdrawal = async (transaction, { actorType = 'job' } = {}) => {
+  const provider = getProviderFor(transaction);
+  const transfer = await provider.getTransfer(transaction.externalId);
+  return applyTransferStatus(transaction, transfer, { actorType });
+};
+
+module.exports = {
+  DEPOSIT_TTL,
+  generateTxId,
+  generateQRCode,
+  createDeposit,
+  updateDeposit,
+  createWithdrawal,
+  enqueueWithdrawal,
+  sendWithdrawal,
+  applyTransferStatus,
+  payDepositCommission,
+  handleWebhook,
+  syncDeposit,
+  syncWithdrawal
+};
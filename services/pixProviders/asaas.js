@@ -0,0 +1,437 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const brcode = require('../../utils/brcode');
+const money = require('../../utils/money');
+
+// ASAAS: clientes (/customers), cobranças PIX (/payments) e transferências para chaves PIX (/transfers)
+
+const name = 'asaas';
+
+const ASAAS_CONFIG = {
+  apiKey: process.env.ASAAS_API_KEY,
+  baseUrl: process.env.ASAAS_BASE_URL || 'https://sandbox.asaas.com/api/v3',
+  webhookToken: process.env.ASAAS_WEBHOOK_TOKEN,
+  companyKey: process.env.PIX_COMPANY_KEY,
+  // Limite de cada chamada (bem abaixo do prazo das requisições idempotentes em middleware/idempotency)
+  timeout: parseInt(process.env.ASAAS_TIMEOUT) || 15000
+};
+
+// Tipos de chave PIX no formato do ASAAS
+const ASAAS_KEY_TYPES = {
+  cpf: 'CPF',
+  cnpj: 'CNPJ',
+  email: 'EMAIL',
+  phone: 'PHONE',
+  evp: 'EVP'
+};
+
+// Status de cobrança do ASAAS -> status normalizado
+const PAYMENT_STATUSES = {
+  PENDING: 'pending',
+  AWAITING_RISK_ANALYSIS: 'pending',
+  RECEIVED: 'paid',
+  CONFIRMED: 'paid',
+  RECEIVED_IN_CASH: 'paid',
+  OVERDUE: 'expired',
+  REFUNDED: 'refunded',
+  REFUND_REQUESTED: 'refunded'
+};
+
+// Status de transferência do ASAAS -> status normalizado
+const TRANSFER_STATUSES = {
+  PENDING: 'processing',
+  BANK_PROCESSING: 'processing',
+  DONE: 'done',
+  FAILED: 'failed',
+  CANCELLED: 'cancelled'
+};
+
+// Status de devolução (itens de payment.refunds) -> status normalizado
+const REFUND_STATUSES = {
+  PENDING: 'processing',
+  AWAITING_CRITICAL_ACTION_AUTHORIZATION: 'processing',
+  AWAITING_CUSTOMER_EXTERNAL_AUTHORIZATION: 'processing',
+  DONE: 'done',
+  CANCELLED: 'cancelled'
+};
+
+// Eventos de cobrança com a lista de devoluções atualizada
+const REFUND_EVENTS = [
+  'PAYMENT_REFUNDED',
+  'PAYMENT_PARTIALLY_REFUNDED',
+  'PAYMENT_REFUND_IN_PROGRESS',
+  'PAYMENT_REFUND_DENIED'
+];
+
+// Eventos de cobrança tratados no webhook -> status normalizado
+const PAYMENT_EVENTS = {
+  PAYMENT_RECEIVED: 'paid',
+  PAYMENT_CONFIRMED: 'paid',
+  PAYMENT_OVERDUE: 'expired',
+  PAYMENT_DELETED: 'cancelled',
+  PAYMENT_REFUNDED: 'refunded'
+};
+
+// Eventos de transferência tratados no webhook -> status normalizado
+// (criação, análise e processamento bancário não mudam o saque, que segue em processamento)
+const TRANSFER_EVENTS = {
+  TRANSFER_CREATED: 'processing',
+  TRANSFER_PENDING: 'processing',
+  TRANSFER_IN_BANK_PROCESSING: 'processing',
+  TRANSFER_BLOCKED: 'processing',
+  TRANSFER_DONE: 'done',
+  TRANSFER_FAILED: 'failed',
+  TRANSFER_CANCELLED: 'cancelled'
+};
+
+const client = () => {
+  if (!ASAAS_CONFIG.apiKey) {
+    throw new Error('ASAAS_API_KEY não configurada');
+  }
+
+  return axios.create({
+    baseURL: ASAAS_CONFIG.baseUrl,
+    timeout: ASAAS_CONFIG.timeout,
+    headers: {
+      'Content-Type': 'application/json',
+      'access_token': ASAAS_CONFIG.apiKey
+    }
+  });
+};
+
+const toDateString = (date) => date.toISOString().split('T')[0];
+
+// Chave de API configurada (sem ela nenhuma chamada ao ASAAS é feita)
+const isConfigured = () => Boolean(ASAAS_CONFIG.apiKey);
+
+// Dados do cliente a partir do usuário (celular sem o DDI, como o ASAAS espera)
+const customerData = (user) => ({
+  name: user.name,
+  email: user.email,
+  cpfCnpj: user.cpf,
+  mobilePhone: user.phone ? user.phone.replace(/^\+55/, '') : undefined,
+  externalReference: String(user._id),
+  notificationDisabled: true
+});
+
+const createCustomer = async (user) => {
+  const { data: customer } = await client().post('/customers', customerData(user));
+  return customer;
+};
+
+const updateCustomer = async (customerId, user) => {
+  const { data: customer } = await client().put(`/customers/${customerId}`, customerData(user));
+  return customer;
+};
+
+// Cliente já cadastrado para o usuário (pela referência externa), ou null
+const findCustomer = async (user) => {
+  const { data } = await client().get('/customers', {
+    params: { externalReference: String(user._id), limit: 1 }
+  });
+  return (data.data && data.data[0]) || null;
+};
+
+// Cobrança PIX com vencimento na data de expiração do depósito.
+// O usuário já deve estar cadastrado como cliente (ver services/asaasCustomers).
+const createCharge = async ({ transaction, user, description }) => {
+  const customerId = user.asaas && user.asaas.customerId;
+  if (!customerId) {
+    throw new Error('Usuário sem cliente ASAAS cadastrado');
+  }
+
+  const api = client();
+
+  const { data: payment } = await api.post('/payments', {
+    customer: customerId,
+    billingType: 'PIX',
+    value: money.fromCents(transaction.amount),
+    dueDate: toDateString(transaction.pix.expiresAt || new Date(Date.now() + 24 * 60 * 60 * 1000)),
+    description,
+    externalReference: String(transaction._id)
+  });
+
+  let payload = null;
+  let expiresAt = null;
+  try {
+    const { data: qrCode } = await api.get(`/payments/${payment.id}/pixQrCode`);
+    payload = qrCode.payload;
+    expiresAt = qrCode.expirationDate ? new Date(qrCode.expirationDate) : null;
+  } catch (error) {
+    console.error('Erro ao obter QR Code do ASAAS:', error.response?.data || error.message);
+  }
+
+  if (!brcode.isValid(payload)) {
+    // Sem o QR Code da cobrança o pagamento não seria vinculado ao depósito: remover a
+    // cobrança e falhar (um BR Code estático da empresa não identificaria o pagador)
+    await api.delete(`/payments/${payment.id}`).catch(error => {
+      console.error('Erro ao remover cobrança do ASAAS:', error.response?.data || error.message);
+    });
+    throw new Error('QR Code PIX da cobrança não retornado pelo ASAAS');
+  }
+
+  return {
+    externalId: payment.id,
+    status: PAYMENT_STATUSES[payment.status] || 'pending',
+    payload,
+    key: ASAAS_CONFIG.companyKey,
+    expiresAt,
+    location: null,
+    data: { paymentStatus: payment.status }
+  };
+};
+
+// Transação PIX que pagou a cobrança: o ASAAS envia em payment.pixTransaction apenas o id,
+// e o endToEndId (e o txid, em conciliationIdentifier) vêm da consulta em /pix/transactions
+const getPixTransaction = async (payment) => {
+  if (!payment.pixTransaction) {
+    return null;
+  }
+
+  const { data: pixTransaction } = await client().get(`/pix/transactions/${payment.pixTransaction}`);
+  return pixTransaction;
+};
+
+const getCharge = async (externalId) => {
+  const { data: payment } = await client().get(`/payments/${externalId}`);
+  const pixTransaction = await getPixTransaction(payment);
+
+  return {
+    externalId: payment.id,
+    status: payment.deleted ? 'cancelled' : (PAYMENT_STATUSES[payment.status] || 'pending'),
+    amount: money.toCents(payment.value),
+    endToEndId: pixTransaction?.endToEndIdentifier || null,
+    data: {
+      paymentStatus: payment.status,
+      dateCreated: payment.dateCreated,
+      paymentDate: payment.paymentDate
+    }
+  };
+};
+
+// Transferência do valor líquido (já descontada a tarifa) para a chave informada
+const createTransfer = async ({ transaction, key, keyType, description }) => {
+  const { data: transfer } = await client().post('/transfers', {
+    value: money.fromCents(transaction.netAmount),
+    pixAddressKey: key,
+    pixAddressKeyType: ASAAS_KEY_TYPES[keyType],
+    description,
+    scheduleDate: toDateString(new Date()),
+    externalReference: String(transaction._id)
+  });
+
+  return {
+    externalId: transfer.id,
+    status: TRANSFER_STATUSES[transfer.status] || 'processing',
+    data: { transferStatus: transfer.status }
+  };
+};
+
+// Transferência criada para o saque (externalReference = id da transação)
+const findTransfer = async ({ transaction }) => {
+  const externalReference = String(transaction._id);
+  const { data } = await client().get('/transfers', { params: { externalReference } });
+  const transfer = (data.data || []).find(item => item.externalReference === externalReference);
+
+  if (!transfer) {
+    return null;
+  }
+
+  return {
+    externalId: transfer.id,
+    status: TRANSFER_STATUSES[transfer.status] || 'processing',
+    data: { transferStatus: transfer.status }
+  };
+};
+
+const getTransfer = async (externalId) => {
+  const { data: transfer } = await client().get(`/transfers/${externalId}`);
+
+  return {
+    externalId: transfer.id,
+    status: TRANSFER_STATUSES[transfer.status] || 'processing',
+    endToEndId: transfer.endToEndIdentifier || null,
+    failureReason: transfer.failReason || null,
+    data: { transferStatus: transfer.status }
+  };
+};
+
+// As devoluções não têm id próprio no ASAAS: são identificadas pela cobrança e
+// pela posição em payment.refunds ("<id da cobrança>:<índice>")
+const refundExternalId = (paymentId, index) => `${paymentId}:${index}`;
+
+const parseRefund = (payment, index) => {
+  const refund = payment.refunds[index];
+  return {
+    externalId: refundExternalId(payment.id, index),
+    status: REFUND_STATUSES[refund.status] || 'processing',
+    endToEndId: refund.endToEndIdentifier || null,
+    failureReason: refund.status === 'CANCELLED' ? 'Devolução cancelada pelo ASAAS' : null,
+    data: { refundStatus: refund.status }
+  };
+};
+
+// A descrição leva o id da devolução, usado por findRefund para localizá-la numa nova tentativa
+const refundDescription = (transaction, description) => `${description} [${transaction.transactionId}]`;
+
+// Devolução (total ou parcial) da cobrança do depósito original
+const createRefund = async ({ transaction, deposit, description }) => {
+  const { data: payment } = await client().post(`/payments/${deposit.externalId}/refund`, {
+    value: money.fromCents(transaction.amount),
+    description: refundDescription(transaction, description)
+  });
+
+  if (!payment.refunds || payment.refunds.length === 0) {
+    return {
+      externalId: refundExternalId(payment.id, 0),
+      status: payment.status === 'REFUNDED' ? 'done' : 'processing',
+      endToEndId: null,
+      failureReason: null,
+      data: { paymentStatus: payment.status }
+    };
+  }
+
+  // A devolução criada é a última da lista
+  return parseRefund(payment, payment.refunds.length - 1);
+};
+
+// Devolução criada para a transação, entre as da cobrança (pela descrição)
+const findRefund = async ({ transaction, deposit }) => {
+  const { data: payment } = await client().get(`/payments/${deposit.externalId}`);
+  const index = (payment.refunds || []).findIndex(refund => {
+    return typeof refund.description === 'string' && refund.description.includes(`[${transaction.transactionId}]`);
+  });
+
+  return index === -1 ? null : parseRefund(payment, index);
+};
+
+const getRefund = async (externalId) => {
+  const [paymentId, index] = externalId.split(':');
+  const { data: payment } = await client().get(`/payments/${paymentId}`);
+
+  if (!payment.refunds || !payment.refunds[index]) {
+    return {
+      externalId,
+      status: payment.status === 'REFUNDED' ? 'done' : 'processing',
+      endToEndId: null,
+      failureReason: null,
+      data: { paymentStatus: payment.status }
+    };
+  }
+
+  return parseRefund(payment, Number(index));
+};
+
+// Token de autenticação configurado no painel do ASAAS (header asaas-access-token).
+// Sem ASAAS_WEBHOOK_TOKEN configurado, todas as notificações são recusadas.
+const verifyWebhook = (req) => {
+  if (!ASAAS_CONFIG.webhookToken) {
+    return { valid: false, reason: 'ASAAS_WEBHOOK_TOKEN não configurado' };
+  }
+
+  const token = req.headers['asaas-access-token'];
+  if (!token) {
+    return { valid: false, reason: 'Token de autenticação ausente' };
+  }
+
+  // Hashes de mesmo tamanho: a comparação não revela o tamanho do token
+  const expected = crypto.createHash('sha256').update(ASAAS_CONFIG.webhookToken).digest();
+  const received = crypto.createHash('sha256').update(String(token)).digest();
+
+  if (!crypto.timingSafeEqual(expected, received)) {
+    return { valid: false, reason: 'Token de autenticação inválido' };
+  }
+
+  return { valid: true };
+};
+
+// Id do evento enviado pelo ASAAS (versões antigas do webhook não enviam: evento + recurso).
+// Eventos de cobrança são identificados pela cobrança e pelo status normalizado:
+// PAYMENT_RECEIVED e PAYMENT_CONFIRMED do mesmo pagamento são o mesmo evento ('paid').
+const identifyWebhook = (req) => {
+  const { id, event, payment, transfer } = req.body || {};
+
+  if (PAYMENT_EVENTS[event] && !REFUND_EVENTS.includes(event) && payment && payment.id) {
+    return { eventId: `${payment.id}:${PAYMENT_EVENTS[event]}`, eventType: event };
+  }
+
+  const resource = payment || transfer;
+  return {
+    eventId: id || (event && resource && resource.id ? `${event}:${resource.id}` : null),
+    eventType: event || null
+  };
+};
+
+// txid da cobrança: o externalReference das cobranças criadas pela plataforma ou, nas demais
+// (pagamentos em QR Codes estáticos, como o pessoal de services/staticPix), o txid da transação PIX
+const paymentTxId = (payment, pixTransaction) => {
+  return payment.externalReference || pixTransaction?.conciliationIdentifier || null;
+};
+
+// Corpo: { event, payment } para eventos de cobrança, { event, transfer } para transferências.
+// Eventos de devolução geram um evento por item de payment.refunds (chargeExternalId: a cobrança).
+// Assíncrono: a transação PIX das cobranças pagas é consultada na API
+const parseWebhook = async (req) => {
+  const { event, payment, transfer } = req.body;
+  const events = [];
+
+  if (REFUND_EVENTS.includes(event) && payment && payment.id && Array.isArray(payment.refunds)) {
+    payment.refunds.forEach((refund, index) => {
+      events.push({
+        kind: 'refund',
+        txId: null,
+        chargeExternalId: payment.id,
+        amount: refund.value !== undefined ? money.toCents(refund.value) : null,
+        ...parseRefund(payment, index)
+      });
+    });
+  }
+
+  if (PAYMENT_EVENTS[event] && payment && payment.id) {
+    const pixTransaction = await getPixTransaction(payment);
+
+    return [...events, {
+      kind: 'charge',
+      externalId: payment.id,
+      txId: paymentTxId(payment, pixTransaction),
+      status: PAYMENT_EVENTS[event],
+      amount: payment.value !== undefined ? money.toCents(payment.value) : null,
+      endToEndId: pixTransaction?.endToEndIdentifier || null,
+      failureReason: null
+    }];
+  }
+
+  if (TRANSFER_EVENTS[event] && transfer && transfer.id) {
+    return [{
+      kind: 'transfer',
+      externalId: transfer.id,
+      txId: null,
+      status: TRANSFER_EVENTS[event],
+      amount: transfer.netValue !== undefined ? money.toCents(transfer.netValue) : null,
+      endToEndId: transfer.endToEndIdentifier || null,
+      failureReason: transfer.failReason || null
+    }];
+  }
+
+  return events;
+};
+
+module.exports = {
+  name,
+  ASAAS_KEY_TYPES,
+  isConfigured,
+  createCustomer,
+  updateCustomer,
+  findCustomer,
+  createCharge,
+  getCharge,
+  createTransfer,
+  findTransfer,
+  getTransfer,
+  createRefund,
+  findRefund,
+  getRefund,
+  verifyWebhook,
+  identifyWebhook,
+  parseWebhook
+};
@@ -0,0 +1,59 @@
+const mock = require('./mock');
+const asaas = require('./asaas');
+
+// Provedores PIX (PSP). Cada adaptador expõe a mesma interface, com valores em
+// centavos e status normalizados, para que trocar de PSP seja apenas configuração:
+//
+//   name
+//   createCharge({ transaction, user, description, location? }) -> { externalId, status, payload, key, expiresAt, location, data }
+//                                                       (location: a da cobrança anterior, ao recriá-la)
+//   getCharge(externalId)                            -> { externalId, status, amount, endToEndId, data }
+//   createTransfer({ transaction, user, key, keyType, description }) -> { externalId, status, data }
+//   getTransfer(externalId)                          -> { externalId, status, endToEndId, failureReason, data }
+//   findTransfer({ transaction })                    -> transferência já criada para o saque (mesmo formato
+//                                                       de createTransfer) ou null
+//   createRefund({ transaction, deposit, description }) -> { externalId, status, endToEndId, failureReason, data }
+//   getRefund(externalId)                            -> { externalId, status, endToEndId, failureReason, data }
+//   findRefund({ transaction, deposit })             -> devolução já criada (mesmo formato de createRefund) ou null
+//   verifyWebhook(req)                               -> { valid, reason, timestamp?, nonce? } (timestamp em ms)
+//   identifyWebhook(req)                             -> { eventId, eventType } (eventId único por evento, para deduplicação)
+//   parseWebhook(req)                                -> [{ kind: 'charge' | 'transfer' | 'refund', externalId, txId, status, amount, endToEndId, failureReason }]
+//                                                       (ou uma Promise com a lista)
+//   listReceivedPayments({ since })                  -> opcional (QR Codes estáticos)
+//   resolveKey({ key, keyType })                     -> opcional { holderName, holderDocument } ou null
+//                                                       (consulta ao DICT; sem ela, services/pixRecipients
+//                                                       resolve apenas chaves CPF/CNPJ)
+
+// Status normalizados de cobranças (depósitos) e transferências (saques e devoluções)
+const CHARGE_STATUSES = ['pending', 'paid', 'expired', 'cancelled', 'refunded'];
+const TRANSFER_STATUSES = ['pending', 'processing', 'done', 'failed', 'cancelled'];
+
+const PROVIDERS = {
+  [mock.name]: mock,
+  [asaas.name]: asaas
+};
+
+const DEFAULT_PROVIDER = process.env.PIX_PROVIDER || 'mock';
+
+// Obter um provedor pelo nome (padrão: PIX_PROVIDER)
+const getProvider = (name = DEFAULT_PROVIDER) => {
+  const provider = PROVIDERS[name];
+  if (!provider) {
+    throw new Error(`Provedor PIX desconhecido: ${name}`);
+  }
+  return provider;
+};
+
+// Provedor responsável por uma transação já criada (transações antigas sem provedor: mock)
+const getProviderFor = (transaction) => {
+  const name = transaction.externalData && transaction.externalData.provider;
+  return getProvider(name || mock.name);
+};
+
+module.exports = {
+  CHARGE_STATUSES,
+  TRANSFER_STATUSES,
+  DEFAULT_PROVIDER,
+  getProvider,
+  getProviderFor
+};
@@ -0,0 +1,230 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const brcode = require('../../utils/brcode');
+const money = require('../../utils/money');
+const pixCharges = require('../pixCharges');
+
+// PSP simulado (sandbox próprio): cobranças dinâmicas servidas pela nossa location,
+// pagamentos e transferências confirmados por sorteio nas consultas e webhooks
+// assinados (HMAC) com PIX_MERCHANT_SECRET.
+
+const name = 'mock';
+
+const PIX_CONFIG = {
+  key: process.env.PIX_COMPANY_KEY,
+  merchantName: 'Furby Investimentos',
+  merchantCity: 'SAO PAULO',
+  baseUrl: process.env.PIX_BASE_URL || 'https://api.sandbox.pix.com',
+  merchantId: process.env.PIX_MERCHANT_ID,
+  merchantSecret: process.env.PIX_MERCHANT_SECRET
+};
+
+// Probabilidades da simulação
+const CHARGE_PAID_RATE = 0.3;
+const TRANSFER_SUCCESS_RATE = 0.9;
+
+// Status enviados no webhook
+const WEBHOOK_STATUSES = {
+  charge: { PAID: 'paid', CONFIRMED: 'paid', FAILED: 'cancelled', CANCELLED: 'cancelled' },
+  transfer: { PAID: 'done', CONFIRMED: 'done', FAILED: 'failed', CANCELLED: 'cancelled' },
+  refund: { PAID: 'done', CONFIRMED: 'done', FAILED: 'failed', CANCELLED: 'cancelled' }
+};
+
+// Tipo informado no webhook -> tipo de evento
+const WEBHOOK_KINDS = {
+  withdrawal: 'transfer',
+  refund: 'refund'
+};
+
+// endToEndId no formato do Banco Central: E + ISPB + data/hora (UTC) + sufixo aleatório
+// (devoluções usam o prefixo D)
+const generateEndToEndId = (prefix = 'E') => {
+  const timestamp = new Date().toISOString().replace(/\D/g, '').substring(0, 12);
+  return `${prefix}00000000${timestamp}${crypto.randomBytes(6).toString('hex').toUpperCase().substring(0, 11)}`;
+};
+
+// Cobrança dinâmica: o BR Code aponta para a location, que serve o valor atual
+// (ao recriar a cobrança de um depósito alterado, a location existente é mantida)
+const createCharge = async ({ transaction, location = pixCharges.createLocation() }) => {
+
+  return {
+    externalId: transaction.pix.txId,
+    status: 'pending',
+    payload: brcode.encode({
+      url: location.url,
+      merchantName: PIX_CONFIG.merchantName,
+      merchantCity: PIX_CONFIG.merchantCity
+    }),
+    key: PIX_CONFIG.key,
+    expiresAt: null,
+    location,
+    data: null
+  };
+};
+
+const getCharge = async (externalId) => {
+  if (Math.random() < CHARGE_PAID_RATE) {
+    return { externalId, status: 'paid', amount: null, endToEndId: generateEndToEndId(), data: null };
+  }
+  return { externalId, status: 'pending', amount: null, endToEndId: null, data: null };
+};
+
+// A transferência fica em processamento até a próxima consulta
+const createTransfer = async ({ transaction }) => {
+  return {
+    externalId: transaction.pix.txId,
+    status: 'processing',
+    data: null
+  };
+};
+
+// O sandbox identifica a transferência pelo txId do saque: a enviada antes continua em processamento
+const findTransfer = async ({ transaction }) => {
+  return {
+    externalId: transaction.pix.txId,
+    status: 'processing',
+    data: null
+  };
+};
+
+const getTransfer = async (externalId) => {
+  if (Math.random() < TRANSFER_SUCCESS_RATE) {
+    return { externalId, status: 'done', endToEndId: generateEndToEndId(), failureReason: null, data: null };
+  }
+  return { externalId, status: 'failed', endToEndId: null, failureReason: 'Falha no processamento do saque', data: null };
+};
+
+// Devolução do pagamento original (endToEndId em transaction.refund), em processamento até a próxima consulta
+const createRefund = async ({ transaction }) => {
+  return {
+    externalId: transaction.pix.txId,
+    status: 'processing',
+    endToEndId: null,
+    failureReason: null,
+    data: null
+  };
+};
+
+// O sandbox identifica a devolução pelo txId: a enviada antes continua em processamento
+const findRefund = async ({ transaction }) => {
+  return {
+    externalId: transaction.pix.txId,
+    status: 'processing',
+    endToEndId: null,
+    failureReason: null,
+    data: null
+  };
+};
+
+const getRefund = async (externalId) => {
+  if (Math.random() < TRANSFER_SUCCESS_RATE) {
+    return { externalId, status: 'done', endToEndId: generateEndToEndId('D'), failureReason: null, data: null };
+  }
+  return { externalId, status: 'failed', endToEndId: null, failureReason: 'Falha no processamento da devolução', data: null };
+};
+
+// Assinatura HMAC-SHA256 (hex, em x-pix-signature) de "<timestamp>.<nonce>.<corpo bruto>",
+// com o timestamp em segundos (x-pix-timestamp) e um nonce único por envio (x-pix-nonce).
+// A janela do timestamp e o reuso do nonce são verificados em services/webhookSecurity.
+const verifyWebhook = (req) => {
+  const signature = String(req.headers['x-pix-signature'] || '').replace(/^sha256=/, '');
+  const timestamp = req.headers['x-pix-timestamp'];
+  const nonce = req.headers['x-pix-nonce'];
+
+  if (!PIX_CONFIG.merchantSecret) {
+    return { valid: false, reason: 'PIX_MERCHANT_SECRET não configurado' };
+  }
+  if (!signature || !timestamp || !nonce) {
+    return { valid: false, reason: 'Assinatura, timestamp ou nonce ausente' };
+  }
+  if (!req.rawBody) {
+    return { valid: false, reason: 'Corpo da requisição indisponível' };
+  }
+
+  const expected = crypto
+    .createHmac('sha256', PIX_CONFIG.merchantSecret)
+    .update(`${timestamp}.${nonce}.`)
+    .update(req.rawBody)
+    .digest('hex');
+
+  const valid = signature.length === expected.length &&
+    crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected));
+
+  if (!valid) {
+    return { valid: false, reason: 'Assinatura inválida' };
+  }
+
+  return { valid: true, timestamp: Number(timestamp) * 1000, nonce: String(nonce) };
+};
+
+// Sem id de evento no corpo, a notificação é identificada pelo txId e status
+const identifyWebhook = (req) => {
+  const { eventId, txId, status } = req.body || {};
+  return {
+    eventId: eventId || (txId && status ? `${txId}:${status}` : null),
+    eventType: status || null
+  };
+};
+
+// Corpo: { txId, status, amount, endToEndId, type } (type 'withdrawal' para saques, 'refund' para devoluções)
+const parseWebhook = (req) => {
+  const { txId, status, amount, endToEndId, type } = req.body;
+  const kind = WEBHOOK_KINDS[type] || 'charge';
+  const normalized = WEBHOOK_STATUSES[kind][status];
+
+  if (!txId || !normalized) {
+    return [];
+  }
+
+  return [{
+    kind,
+    externalId: txId,
+    txId,
+    status: normalized,
+    amount: amount !== undefined && amount !== null ? money.toCents(amount) : null,
+    endToEndId: endToEndId || null,
+    failureReason: null
+  }];
+};
+
+// Pagamentos PIX recebidos desde `since` (API Pix do PSP: GET /pix).
+// Sem credenciais configuradas não há consulta.
+const listReceivedPayments = async ({ since }) => {
+  if (!PIX_CONFIG.merchantId || !PIX_CONFIG.merchantSecret) {
+    return [];
+  }
+
+  const response = await axios.get(`${PIX_CONFIG.baseUrl}/pix`, {
+    params: {
+      inicio: since.toISOString(),
+      fim: new Date().toISOString()
+    },
+    headers: {
+      Authorization: `Bearer ${PIX_CONFIG.merchantSecret}`,
+      'X-Merchant-Id': PIX_CONFIG.merchantId
+    }
+  });
+
+  return (response.data.pix || []).map(pix => ({
+    txId: pix.txid,
+    endToEndId: pix.endToEndId,
+    amount: money.toCents(pix.valor),
+    paidAt: pix.horario ? new Date(pix.horario) : null
+  }));
+};
+
+module.exports = {
+  name,
+  createCharge,
+  getCharge,
+  createTransfer,
+  findTransfer,
+  getTransfer,
+  createRefund,
+  findRefund,
+  getRefund,
+  verifyWebhook,
+  identifyWebhook,
+  parseWebhook,
+  listReceivedPayments
+};
@@ -0,0 +1,203 @@
+const mongoose = require('mongoose');
+const PixRecipient = require('../models/PixRecipient');
+const pixKeys = require('../utils/pixKey');
+const withdrawalRisk = require('./withdrawalRisk');
+const { getProvider } = require('./pixProviders');
+
+// Agenda de destinatários PIX do usuário. A verificação consulta o titular da chave no
+// provedor (resolveKey, quando o adaptador oferece a consulta ao DICT) ou, sem ela, pelo
+// documento das chaves CPF/CNPJ, e compara o documento do titular com o CPF do usuário. Com a opção
+// verifiedRecipientsOnly da política de saques, só chaves próprias verificadas recebem saques.
+
+const UNVERIFIED = {
+  status: 'unverified',
+  ownedByUser: false,
+  holderName: null,
+  holderDocument: null,
+  source: null,
+  verifiedAt: null
+};
+
+const recipientError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Validar chave e documento informados; retorna os campos normalizados
+const parseFields = ({ key, keyType, holderDocument }) => {
+  const fields = {};
+
+  if (key !== undefined) {
+    const parsedKey = pixKeys.parse(key, keyType);
+    if (!parsedKey.valid) {
+      throw recipientError(`Chave PIX inválida: ${parsedKey.error}`, 'INVALID_PIX_KEY');
+    }
+    fields.key = parsedKey.key;
+    fields.keyType = parsedKey.type;
+  }
+
+  if (holderDocument !== undefined) {
+    const document = holderDocument ? String(holderDocument).replace(/\D/g, '') : null;
+    if (document && !pixKeys.isValidCPF(document) && !pixKeys.isValidCNPJ(document)) {
+      throw recipientError('CPF/CNPJ do titular inválido', 'INVALID_DOCUMENT');
+    }
+    fields.holderDocument = document;
+  }
+
+  return fields;
+};
+
+const list = (userId) => {
+  return PixRecipient.find({ user: userId }).sort({ lastUsedAt: -1, createdAt: -1 });
+};
+
+const findOwned = async (userId, recipientId) => {
+  const recipient = await PixRecipient.findOne({ _id: recipientId, user: userId });
+  if (!recipient) {
+    throw recipientError('Destinatário não encontrado', 'RECIPIENT_NOT_FOUND');
+  }
+  return recipient;
+};
+
+const saveRecipient = async (recipient) => {
+  try {
+    return await recipient.save();
+  } catch (error) {
+    if (error.code === 11000) {
+      throw recipientError('Chave PIX já cadastrada na sua agenda', 'RECIPIENT_EXISTS');
+    }
+    throw error;
+  }
+};
+
+const create = (userId, { nickname, key, keyType, holderName, holderDocument = null }) => {
+  return saveRecipient(new PixRecipient({
+    user: userId,
+    nickname,
+    holderName,
+    ...parseFields({ key, keyType, holderDocument })
+  }));
+};
+
+// Alterar a chave ou o titular informado descarta a verificação anterior
+const update = async (userId, recipientId, { nickname, key, keyType, holderName, holderDocument }) => {
+  const recipient = await findOwned(userId, recipientId);
+  const fields = parseFields({ key, keyType, holderDocument });
+
+  if (nickname !== undefined) recipient.nickname = nickname;
+  if (holderName !== undefined) recipient.holderName = holderName;
+  recipient.set(fields);
+
+  if (recipient.isModified('key') || recipient.isModified('holderDocument')) {
+    recipient.verification = UNVERIFIED;
+  }
+
+  return saveRecipient(recipient);
+};
+
+const remove = async (userId, recipientId) => {
+  const recipient = await findOwned(userId, recipientId);
+  await recipient.deleteOne();
+  return recipient;
+};
+
+// Titular pelos nossos cadastros: só chaves CPF/CNPJ, que identificam o titular pelo
+// próprio documento. E-mail, telefone e chave aleatória exigem a consulta ao DICT no
+// provedor (User.pixKey é informado pelo próprio usuário e não prova a titularidade).
+const resolveLocally = async ({ key, keyType }) => {
+  if (keyType !== 'cpf' && keyType !== 'cnpj') {
+    return null;
+  }
+
+  const owner = await mongoose.model('User').findOne({ cpf: key }).select('name');
+  return { holderName: owner ? owner.name : null, holderDocument: key };
+};
+
+// Consultar o titular de uma chave. Retorna { holder ({ holderName, holderDocument } ou null), source }.
+const resolveHolder = async ({ key, keyType, providerName }) => {
+  const provider = getProvider(providerName);
+
+  if (!provider.resolveKey) {
+    return { holder: await resolveLocally({ key, keyType }), source: 'local' };
+  }
+
+  try {
+    return { holder: await provider.resolveKey({ key, keyType }), source: provider.name };
+  } catch (error) {
+    console.error(`Erro ao consultar titular da chave PIX (${provider.name}):`, error.response?.data || error.message);
+    throw recipientError('Não foi possível consultar o titular da chave PIX', 'KEY_LOOKUP_FAILED');
+  }
+};
+
+// Verificar o titular da chave: 'verified' (encontrado e, se informado, com o documento
+// do cadastro), 'mismatch' (documento diferente do informado) ou 'not_found'.
+// ownedByUser indica se o titular é o próprio usuário (mesmo CPF).
+const verify = async (user, recipientId) => {
+  if (!user.cpf) {
+    throw recipientError('Cadastre seu CPF para verificar destinatários', 'CPF_REQUIRED');
+  }
+
+  const recipient = await findOwned(user._id, recipientId);
+  const { holder, source } = await resolveHolder({ key: recipient.key, keyType: recipient.keyType });
+
+  const document = holder && holder.holderDocument ? String(holder.holderDocument).replace(/\D/g, '') : null;
+  let status = 'not_found';
+  if (document) {
+    status = !recipient.holderDocument || recipient.holderDocument === document ? 'verified' : 'mismatch';
+  }
+
+  recipient.verification = {
+    status,
+    ownedByUser: document === user.cpf,
+    holderName: holder ? holder.holderName : null,
+    holderDocument: pixKeys.maskDocument(document),
+    source,
+    verifiedAt: new Date()
+  };
+  return recipient.save();
+};
+
+// Descartar as verificações dos destinatários do usuário (CPF alterado: a titularidade
+// foi conferida com o CPF anterior)
+const resetOwnership = (userId) => {
+  return PixRecipient.updateMany(
+    { user: userId, 'verification.status': { $ne: 'unverified' } },
+    { verification: UNVERIFIED }
+  );
+};
+
+// Conferir a chave de um novo saque contra a política: com verifiedRecipientsOnly, a
+// chave precisa estar na agenda do usuário, verificada e em nome dele.
+const checkWithdrawalKey = async ({ user, key, session = null }) => {
+  const policy = await withdrawalRisk.getPolicy({ session });
+  if (!policy.verifiedRecipientsOnly || !policy.verifiedRecipientsOnly.enabled) {
+    return;
+  }
+
+  const recipient = await PixRecipient.findOne({ user: user._id, key }).session(session);
+  if (!recipient || !recipient.isOwnVerified) {
+    throw recipientError(
+      'Saques são permitidos apenas para chaves PIX verificadas em seu nome. Cadastre e verifique a chave na sua agenda de destinatários',
+      'RECIPIENT_NOT_VERIFIED'
+    );
+  }
+};
+
+// Registrar o uso da chave (a agenda lista primeiro os usados mais recentemente)
+const markUsed = ({ user, key, session = null }) => {
+  return PixRecipient.updateOne({ user: user._id, key }, { lastUsedAt: new Date() }, { session });
+};
+
+module.exports = {
+  list,
+  findOwned,
+  create,
+  update,
+  remove,
+  resolveHolder,
+  verify,
+  resetOwnership,
+  checkWithdrawalKey,
+  markUsed
+};
@@ -0,0 +1,292 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const ledger = require('./ledger');
+const holds = require('./holds');
+const { getProviderFor } = require('./pixProviders');
+const { runInTransaction, runOnCurrent } = require('../config/database');
+
+// Devoluções PIX: devolução ao pagador, total ou parcial, de um depósito recebido.
+// Cada devolução é uma transação 'refund' ligada ao depósito (refund.transaction e o
+// endToEndId do pagamento original). O valor fica reservado no depósito
+// (refundedAmount) e bloqueado no saldo do usuário até o PSP aceitar a devolução,
+// quando é debitado; se a devolução falhar, o débito é estornado e a reserva liberada.
+
+// Motivos de devolução (fraud e operational_failure: devoluções de MED)
+const REFUND_REASONS = ['wrong_amount', 'duplicate_payment', 'account_blocked', 'payer_request', 'fraud', 'operational_failure'];
+
+const REASON_LABELS = {
+  wrong_amount: 'Valor incorreto',
+  duplicate_payment: 'Pagamento duplicado',
+  account_blocked: 'Conta bloqueada',
+  payer_request: 'Solicitação do pagador',
+  fraud: 'MED - Fraude',
+  operational_failure: 'MED - Falha operacional'
+};
+
+const refundError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Identificador da devolução (mesmo formato dos txIds de depósito e saque)
+const generateRefundId = () => {
+  return ('FURBYRF' + Date.now().toString(36).toUpperCase() + crypto.randomBytes(12).toString('hex').toUpperCase())
+    .substring(0, 35);
+};
+
+// Valor ainda disponível para devolução: o crédito recebido (sem a tarifa) menos o já reservado
+const refundableAmount = (deposit) => deposit.netAmount - (deposit.refundedAmount || 0);
+
+// Motivo pelo qual o depósito não pode ser devolvido (null se pode)
+const refundBlocker = (deposit) => {
+  if (deposit.type !== 'deposit' || deposit.method !== 'pix') {
+    return 'Apenas depósitos PIX podem ser devolvidos';
+  }
+  if (deposit.status !== 'completed') {
+    return 'Apenas depósitos concluídos podem ser devolvidos';
+  }
+  if (!deposit.pix.endToEndId) {
+    return 'Depósito sem endToEndId do pagamento';
+  }
+  if (deposit.reversedBy) {
+    return 'Depósito já foi estornado';
+  }
+  if (refundableAmount(deposit) <= 0) {
+    return 'Depósito já foi totalmente devolvido';
+  }
+  return null;
+};
+
+// Reservar o valor no depósito (atômico: duas devoluções simultâneas não ultrapassam o crédito)
+const reserve = async (deposit, amount, session) => {
+  const Transaction = mongoose.model('Transaction');
+  const updated = await Transaction.findOneAndUpdate(
+    {
+      _id: deposit._id,
+      $expr: { $lte: [{ $add: [{ $ifNull: ['$refundedAmount', 0] }, amount] }, '$netAmount'] }
+    },
+    { $inc: { refundedAmount: amount } },
+    { new: true, session }
+  );
+
+  if (!updated) {
+    throw refundError('Valor maior que o disponível para devolução', 'REFUND_AMOUNT_EXCEEDED');
+  }
+  deposit.refundedAmount = updated.refundedAmount;
+};
+
+const releaseReservation = (refund, session) => {
+  return mongoose.model('Transaction').updateOne(
+    { _id: refund.refund.transaction },
+    { $inc: { refundedAmount: -refund.amount } },
+    { session }
+  );
+};
+
+// Criar a devolução pendente na sessão informada: reserva no depósito e bloqueio no saldo
+// (erro 'Saldo insuficiente' se o usuário não tiver o valor disponível).
+// authorized: false deixa a devolução aguardando decisão (MED em análise).
+const createRefund = async ({ deposit, amount, reason, notes = null, requestedBy = null, medCase = null, authorized = true, session }) => {
+  const Transaction = mongoose.model('Transaction');
+
+  const blocker = refundBlocker(deposit);
+  if (blocker) {
+    throw refundError(blocker, 'REFUND_NOT_ALLOWED');
+  }
+
+  await reserve(deposit, amount, session);
+
+  const refund = new Transaction({
+    user: deposit.user,
+    type: 'refund',
+    method: 'pix',
+    amount,
+    fee: 0,
+    description: `Devolução PIX - ${REASON_LABELS[reason]}`,
+    pix: {
+      txId: generateRefundId()
+    },
+    refund: {
+      transaction: deposit._id,
+      endToEndId: deposit.pix.endToEndId,
+      reason,
+      requestedBy,
+      requestedAt: authorized ? new Date() : null,
+      medCase
+    },
+    notes,
+    status: 'pending',
+    externalData: { provider: getProviderFor(deposit).name }
+  });
+  refund.$locals.statusActor = { actor: requestedBy, actorType: requestedBy ? 'admin' : 'system', reason: notes };
+  await refund.save({ session });
+
+  // Sem validade: o bloqueio só termina com a devolução enviada, cancelada ou falha
+  await holds.placeHold({ transaction: refund, type: 'refund', session });
+
+  return refund;
+};
+
+// Falhar a devolução e liberar a reserva no depósito (o bloqueio é liberado por fail)
+const failRefund = async (refund, reason, { actor = null, actorType, session }) => {
+  await releaseReservation(refund, session);
+  return refund.fail(reason, { actor, actorType, session });
+};
+
+// Cancelar uma devolução ainda não enviada (MED contestado)
+const cancelRefund = async (refund, reason, { actor = null, actorType, session }) => {
+  await releaseReservation(refund, session);
+  return refund.cancel(reason, { actor, actorType, session });
+};
+
+// Devolução já aceita pelo PSP numa tentativa anterior: pelo id externo (o débito falhou
+// depois do aceite) ou, com o envio iniciado, consultada pelo id da devolução
+const findSentRefund = async (provider, refund, deposit) => {
+  if (refund.externalId) {
+    return provider.getRefund(refund.externalId);
+  }
+  if (refund.pix.transferRequestedAt) {
+    return provider.findRefund({ transaction: refund, deposit });
+  }
+  return null;
+};
+
+// Enviar uma devolução autorizada ao PSP. Recusada: falha e lança erro com code
+// REFUND_REJECTED. Aceita: captura o bloqueio e debita o saldo (status 'processing').
+// Sem resposta do PSP, o erro é lançado e a nova tentativa consulta a devolução antes de reenviá-la.
+const sendRefund = async (refund) => {
+  const Transaction = mongoose.model('Transaction');
+  const provider = getProviderFor(refund);
+  const deposit = await Transaction.findById(refund.refund.transaction);
+
+  let result = await findSentRefund(provider, refund, deposit);
+  if (result) {
+    console.log(`🔁 Devolução ${refund.transactionId} já enviada ao provedor (${result.externalId})`);
+  }
+
+  try {
+    if (!result) {
+      await refund.markTransferRequested();
+      result = await provider.createRefund({ transaction: refund, deposit, description: refund.description });
+    }
+  } catch (error) {
+    // Sem resposta do PSP (ou erro do PSP) a devolução pode ter sido aceita
+    if (!error.response || error.response.status >= 500) {
+      throw error;
+    }
+
+    console.error(`Devolução recusada (${provider.name}):`, error.response?.data || error.message);
+    await runOnCurrent(refund, (current, session) => failRefund(current, 'Devolução recusada pelo provedor PIX', { actorType: 'system', session }));
+
+    const rejected = new Error('Devolução recusada pelo provedor PIX');
+    rejected.code = 'REFUND_REJECTED';
+    rejected.details = error.response?.data?.errors || error.message;
+    throw rejected;
+  }
+
+  try {
+    // Devolução recarregada na sessão: a função pode ser repetida pelo driver
+    await runOnCurrent(refund, async (current, session) => {
+      current.transitionTo('processing', { actorType: 'system', reason: 'Devolução enviada ao provedor PIX' });
+      current.processedAt = new Date();
+
+      await holds.captureHold(current._id, { session });
+      await ledger.recordTransaction(current, { session });
+
+      current.externalId = result.externalId;
+      current.externalData = { provider: provider.name, ...(result.data || {}) };
+      await current.save({ session });
+    });
+  } catch (error) {
+    // A devolução já foi aceita: gravar o id externo para que não seja reenviada
+    console.error(`❌ Devolução ${refund.transactionId} aceita pelo provedor, mas o débito falhou:`, error.message);
+    await Transaction.updateOne(
+      { _id: refund._id },
+      { externalId: result.externalId, externalData: { provider: provider.name, ...(result.data || {}) } }
+    );
+    throw error;
+  }
+
+  await applyRefundStatus(refund, result, { actorType: 'system' });
+  return refund;
+};
+
+// Aplicar o status informado pelo PSP a uma devolução enviada. Retorna true se o status mudou.
+const applyRefundStatus = async (refund, result, { actor = null, actorType }) => {
+  if (refund.status !== 'processing') {
+    return false;
+  }
+
+  switch (result.status) {
+    case 'done':
+      if (result.endToEndId) {
+        refund.pix.endToEndId = result.endToEndId;
+      }
+      await refund.complete({ actor, actorType });
+      return true;
+
+    case 'failed':
+    case 'cancelled': {
+      // A devolução já foi debitada: estornar o débito, liberar a reserva e marcar como falha
+      const reason = result.failureReason || 'Devolução não realizada pelo provedor PIX';
+      return runOnCurrent(refund, async (current, session) => {
+        // Já tratada por outra requisição (webhook e consulta simultâneos)
+        if (current.status !== 'processing') {
+          return false;
+        }
+        await ledger.reverseTransaction(current, {
+          description: `Estorno - ${current.description}`,
+          session
+        });
+        await failRefund(current, reason, { actor, actorType, session });
+        return true;
+      });
+    }
+
+    default:
+      return false;
+  }
+};
+
+// Devolver um depósito (admin). Sem amount, devolve todo o valor ainda disponível.
+const refundDeposit = async (deposit, { amount = null, reason, notes = null, adminId }) => {
+  const refund = await runInTransaction(session => createRefund({
+    deposit,
+    amount: amount || refundableAmount(deposit),
+    reason,
+    notes,
+    requestedBy: adminId,
+    session
+  }));
+
+  return sendRefund(refund);
+};
+
+// Consultar no PSP uma devolução em processamento
+const syncRefund = async (refund, { actorType = 'job' } = {}) => {
+  const provider = getProviderFor(refund);
+  const result = await provider.getRefund(refund.externalId);
+  return applyRefundStatus(refund, result, { actorType });
+};
+
+// Devoluções de um depósito
+const listDepositRefunds = (depositId) => {
+  return mongoose.model('Transaction')
+    .find({ type: 'refund', 'refund.transaction': depositId })
+    .sort({ createdAt: -1 });
+};
+
+module.exports = {
+  REFUND_REASONS,
+  REASON_LABELS,
+  refundableAmount,
+  refundBlocker,
+  createRefund,
+  cancelRefund,
+  sendRefund,
+  applyRefundStatus,
+  refundDeposit,
+  syncRefund,
+  listDepositRefunds
+};
@@ -0,0 +1,264 @@
+const mongoose = require('mongoose');
+const User = require('../models/User');
+const Transaction = require('../models/Transaction');
+const JournalEntry = require('../models/JournalEntry');
+const ReconciliationReport = require('../models/ReconciliationReport');
+const ledger = require('./ledger');
+const { runInTransaction } = require('../config/database');
+
+// Campos do usuário conferidos contra as transações
+const RECONCILED_FIELDS = ['balance', 'totalInvested', 'totalEarnings', 'referralEarnings'];
+
+const FIELD_LABELS = {
+  balance: 'saldo',
+  totalInvested: 'total investido',
+  totalEarnings: 'total de ganhos',
+  referralEarnings: 'ganhos de indicação'
+};
+
+// Tipos de transação que compõem cada campo
+const FIELD_TYPES = {
+  balance: ['deposit', 'withdrawal', 'investment', 'return', 'referral', 'bonus', 'adjustment', 'reversal', 'refund'],
+  totalInvested: ['investment'],
+  totalEarnings: ['return', 'reversal'],
+  referralEarnings: ['referral', 'reversal']
+};
+
+const INFLOW_TYPES = ['deposit', 'return', 'referral', 'bonus'];
+const OUTFLOW_TYPES = ['withdrawal', 'investment', 'refund'];
+
+// Transações que já afetaram o saldo: concluídas e saques/devoluções em processamento
+// (PIX de saída é debitado ao ser aceito pelo provedor)
+const EFFECTIVE_MATCH = {
+  type: { $ne: 'adjustment' },
+  $or: [
+    { status: 'completed' },
+    { status: 'processing', type: { $in: ['withdrawal', 'refund'] } }
+  ]
+};
+
+// Recalcular os valores esperados a partir das transações
+const computeExpectedTotals = async (userIds = null) => {
+  const match = { ...EFFECTIVE_MATCH };
+  if (userIds) {
+    match.user = { $in: userIds.map(id => new mongoose.Types.ObjectId(id)) };
+  }
+
+  const completedOf = (type, field) => ({
+    $cond: [
+      { $and: [{ $eq: ['$type', type] }, { $eq: ['$status', 'completed'] }] },
+      field,
+      0
+    ]
+  });
+
+  // Créditos de um tipo menos os estornos desses créditos
+  const netOf = (type) => ({
+    $add: [
+      completedOf(type, '$netAmount'),
+      {
+        $cond: [
+          { $and: [{ $eq: ['$type', 'reversal'] }, { $eq: ['$reversal.originalType', type] }] },
+          { $multiply: ['$netAmount', -1] },
+          0
+        ]
+      }
+    ]
+  });
+
+  const totals = await Transaction.aggregate([
+    { $match: match },
+    {
+      $group: {
+        _id: '$user',
+        balance: {
+          $sum: {
+            $switch: {
+              branches: [
+                { case: { $in: ['$type', INFLOW_TYPES] }, then: '$netAmount' },
+                { case: { $in: ['$type', OUTFLOW_TYPES] }, then: { $multiply: ['$amount', -1] } },
+                { case: { $eq: ['$type', 'reversal'] }, then: { $multiply: ['$netAmount', -1] } }
+              ],
+              default: 0
+            }
+          }
+        },
+        totalInvested: { $sum: completedOf('investment', '$amount') },
+        totalEarnings: { $sum: netOf('return') },
+        referralEarnings: { $sum: netOf('referral') }
+      }
+    }
+  ]);
+
+  return new Map(totals.map(total => [total._id.toString(), total]));
+};
+
+// Comparar os campos de um usuário com os valores esperados
+const findUserDiscrepancies = (user, expectedTotals) => {
+  const expected = expectedTotals.get(user._id.toString()) || {};
+
+  return RECONCILED_FIELDS
+    .map(field => ({
+      user: user._id,
+      field,
+      expected: expected[field] || 0,
+      actual: user[field] || 0
+    }))
+    .filter(item => item.expected !== item.actual)
+    .map(item => ({ ...item, difference: item.actual - item.expected }));
+};
+
+// Executar conciliação de todos os usuários e gravar o relatório
+const runReconciliation = async ({ trigger = 'scheduled', triggeredBy = null } = {}) => {
+  const report = await ReconciliationReport.create({ trigger, triggeredBy });
+
+  try {
+    const expectedTotals = await computeExpectedTotals();
+    const cursor = User.find({}).select(RECONCILED_FIELDS.join(' ')).cursor();
+
+    for await (const user of cursor) {
+      report.usersChecked += 1;
+      report.discrepancies.push(...findUserDiscrepancies(user, expectedTotals));
+    }
+
+    report.discrepancyCount = report.discrepancies.length;
+    report.status = 'completed';
+  } catch (error) {
+    report.status = 'failed';
+    report.error = error.message;
+  }
+
+  report.finishedAt = new Date();
+  await report.save();
+
+  return report;
+};
+
+// Transações e lançamentos que explicam uma divergência
+const getDiscrepancyDetails = async (discrepancy) => {
+  const transactions = await Transaction.find({
+    user: discrepancy.user,
+    type: { $in: FIELD_TYPES[discrepancy.field] },
+    status: { $in: ['completed', 'processing'] }
+  })
+    .sort({ createdAt: -1 })
+    .limit(500);
+
+  const ledgerBacked = await JournalEntry.distinct('transaction', {
+    transaction: { $in: transactions.map(t => t._id) }
+  });
+  const backedIds = new Set(ledgerBacked.map(id => id.toString()));
+
+  const details = {
+    transactions: transactions.map(transaction => ({
+      ...transaction.toJSON(),
+      hasLedgerEntry: backedIds.has(transaction._id.toString())
+    }))
+  };
+
+  // Movimentações de saldo sem transação associada
+  if (discrepancy.field === 'balance') {
+    details.unlinkedLedgerEntries = await JournalEntry.find({
+      'postings.user': discrepancy.user,
+      transaction: null
+    })
+      .sort({ createdAt: -1 })
+      .limit(500);
+  }
+
+  return details;
+};
+
+// Divergência corrigida por outra requisição
+const alreadyRepaired = () => {
+  const error = new Error('Divergência já foi corrigida');
+  error.code = 'DISCREPANCY_ALREADY_REPAIRED';
+  return error;
+};
+
+// Corrigir o campo do usuário com uma transação de ajuste
+const repairDiscrepancy = async (report, discrepancy, { reason, adminId }) => {
+  if (discrepancy.status !== 'open') {
+    throw alreadyRepaired();
+  }
+
+  // Recalcular no momento da correção (o usuário pode ter movimentado desde o relatório)
+  const user = await User.findById(discrepancy.user);
+  if (!user) {
+    throw new Error('Usuário não encontrado');
+  }
+
+  const expectedTotals = await computeExpectedTotals([user._id]);
+  const current = findUserDiscrepancies(user, expectedTotals)
+    .find(item => item.field === discrepancy.field);
+
+  if (!current) {
+    throw new Error('Divergência não existe mais');
+  }
+
+  const { field, difference } = current;
+  const direction = difference < 0 ? 'credit' : 'debit';
+  const amount = Math.abs(difference);
+
+  const repair = { reason, repairedBy: adminId };
+
+  const transaction = await runInTransaction(async (session) => {
+    const transaction = new Transaction({
+      user: user._id,
+      type: 'adjustment',
+      method: 'system',
+      amount,
+      description: `Ajuste de conciliação (${FIELD_LABELS[field]})`,
+      status: 'completed',
+      completedAt: new Date(),
+      notes: reason,
+      adjustment: {
+        field,
+        direction,
+        reason,
+        adjustedBy: adminId
+      }
+    });
+
+    // Marcar a divergência como corrigida só se ainda estiver aberta no banco (duas correções
+    // simultâneas não geram dois ajustes); a transação é desfeita se outra já a corrigiu
+    repair.transaction = transaction._id;
+    repair.repairedAt = new Date();
+    const marked = await ReconciliationReport.updateOne(
+      { _id: report._id, discrepancies: { $elemMatch: { _id: discrepancy._id, status: 'open' } } },
+      { $set: { 'discrepancies.$.status': 'repaired', 'discrepancies.$.repair': repair } },
+      { session }
+    );
+    if (marked.matchedCount === 0) {
+      throw alreadyRepaired();
+    }
+
+    await transaction.save({ session });
+
+    if (field === 'balance') {
+      // Saldo só muda via livro-razão
+      await ledger.recordTransaction(transaction, { session });
+    } else {
+      await User.updateOne(
+        { _id: user._id },
+        { $inc: { [field]: direction === 'credit' ? amount : -amount } },
+        { session }
+      );
+    }
+
+    return transaction;
+  });
+
+  // Refletir a correção gravada no documento carregado
+  discrepancy.status = 'repaired';
+  discrepancy.repair = repair;
+  return transaction;
+};
+
+module.exports = {
+  RECONCILED_FIELDS,
+  computeExpectedTotals,
+  runReconciliation,
+  getDiscrepancyDetails,
+  repairDiscrepancy
+};
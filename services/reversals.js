@@ -0,0 +1,121 @@
+const mongoose = require('mongoose');
+const Transaction = require('../models/Transaction');
+const ledger = require('./ledger');
+const { runInTransaction } = require('../config/database');
+
+// Tipos de transação (créditos ao usuário) que podem ser estornados
+const REVERSIBLE_TYPES = ['deposit', 'return', 'referral', 'bonus'];
+
+// Contador do usuário alimentado por cada tipo (desfeito junto com o saldo)
+const COUNTER_FIELDS = {
+  return: 'totalEarnings',
+  referral: 'referralEarnings'
+};
+
+// Motivo pelo qual a transação não pode ser estornada (null se pode)
+const reversalBlocker = (transaction) => {
+  if (!REVERSIBLE_TYPES.includes(transaction.type)) {
+    return 'Tipo de transação não pode ser estornado';
+  }
+  if (transaction.status !== 'completed') {
+    return 'Apenas transações concluídas podem ser estornadas';
+  }
+  if (transaction.reversedBy) {
+    return 'Transação já foi estornada';
+  }
+  // Parte do depósito já devolvida ao pagador (ver services/pixRefunds)
+  if (transaction.refundedAmount > 0) {
+    return 'Depósito com devolução PIX não pode ser estornado';
+  }
+  return null;
+};
+
+// Estornar uma transação dentro da sessão informada (e, em cascata, as comissões pagas a partir dela)
+const reverseWithinSession = async (original, { reason, adminId, actorType = 'admin', force, session }) => {
+  const blocker = reversalBlocker(original);
+  if (blocker) {
+    throw new Error(blocker);
+  }
+
+  const reversal = new Transaction({
+    user: original.user,
+    type: 'reversal',
+    method: 'system',
+    amount: original.amount,
+    fee: original.fee,
+    description: `Estorno - ${original.description}`.substring(0, 200),
+    investment: original.investment || null,
+    status: 'completed',
+    completedAt: new Date(),
+    notes: reason,
+    reversal: {
+      transaction: original._id,
+      originalType: original.type,
+      reason,
+      reversedBy: adminId,
+      forced: Boolean(force)
+    }
+  });
+  reversal.$locals.statusActor = { actor: adminId, actorType, reason };
+
+  await reversal.save({ session });
+
+  // Débito na carteira; sem force, falha com 'Saldo insuficiente'
+  await ledger.recordTransaction(reversal, { session, allowNegative: Boolean(force) });
+
+  const counter = COUNTER_FIELDS[original.type];
+  if (counter) {
+    const User = mongoose.model('User');
+    await User.updateOne(
+      { _id: original.user },
+      { $inc: { [counter]: -original.netAmount } },
+      { session }
+    );
+  }
+
+  original.reversedBy = reversal._id;
+  await original.save({ session });
+
+  // Comissões de indicação pagas a partir da transação original
+  const commissions = await Transaction.find({
+    sourceTransaction: original._id,
+    type: 'referral',
+    status: 'completed',
+    reversedBy: null
+  }).session(session);
+
+  const cascaded = [];
+  for (const commission of commissions) {
+    const result = await reverseWithinSession(commission, {
+      reason: `Estorno em cascata: ${reason}`.substring(0, 500),
+      adminId,
+      actorType,
+      force,
+      session
+    });
+    cascaded.push(result.reversal, ...result.cascaded);
+  }
+
+  return { reversal, cascaded };
+};
+
+// Estornar uma transação concluída com uma transação compensatória vinculada.
+// Recusa (erro 'Saldo insuficiente') se algum saldo ficaria negativo, exceto com force.
+// Estornos automáticos (ex.: devolução do pagamento pelo PSP) usam adminId null e actorType próprio.
+const reverseTransaction = (original, { reason, adminId = null, actorType = 'admin', force = false }) => {
+  return runInTransaction(async (session) => {
+    // Recarregar na sessão para não estornar duas vezes em requisições concorrentes
+    const current = await Transaction.findById(original._id).session(session);
+    if (!current) {
+      throw new Error('Transação não encontrada');
+    }
+
+    return reverseWithinSession(current, { reason, adminId, actorType, force, session });
+  });
+};
+
+module.exports = {
+  REVERSIBLE_TYPES,
+  reversalBlocker,
+  reverseTransaction
+};
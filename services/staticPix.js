@@ -0,0 +1,137 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const brcode = require('../utils/brcode');
+const pixKeys = require('../utils/pixKey');
+const fees = require('./fees');
+const { runInTransaction } = require('../config/database');
+
+// QR Code estático pessoal: BR Code permanente, sem valor definido, com um txid
+// exclusivo do usuário. Cada pagamento recebido com esse txid vira um novo depósito.
+
+// Prefixo que distingue os txids pessoais dos txids de cobranças
+const STATIC_TXID_PREFIX = 'FURBYU';
+
+const PIX_CONFIG = {
+  key: process.env.PIX_COMPANY_KEY,
+  merchantName: 'Furby Investimentos',
+  merchantCity: 'SAO PAULO'
+};
+
+// txid pessoal (25 caracteres, limite do QR estático)
+const generateStaticTxId = () => {
+  return STATIC_TXID_PREFIX + crypto.randomBytes(10).toString('hex').toUpperCase().substring(0, 19);
+};
+
+const isStaticTxId = (txId) => {
+  return typeof txId === 'string' && txId.startsWith(STATIC_TXID_PREFIX);
+};
+
+// Obter (ou atribuir na primeira vez) o txid pessoal do usuário
+const ensureStaticTxId = async (user) => {
+  if (user.pixStaticTxId) {
+    return user.pixStaticTxId;
+  }
+
+  const User = mongoose.model('User');
+  const txId = generateStaticTxId();
+
+  // Condicional: em requisições simultâneas, prevalece o primeiro txid gravado
+  const updated = await User.findOneAndUpdate(
+    { _id: user._id, pixStaticTxId: null },
+    { pixStaticTxId: txId },
+    { new: true }
+  );
+
+  user.pixStaticTxId = updated ? updated.pixStaticTxId : (await User.findById(user._id)).pixStaticTxId;
+  return user.pixStaticTxId;
+};
+
+// BR Code estático do usuário (valor livre)
+const getStaticPayload = async (user) => {
+  if (!PIX_CONFIG.key) {
+    throw new Error('Chave PIX da empresa não configurada');
+  }
+
+  const txId = await ensureStaticTxId(user);
+
+  return {
+    txId,
+    payload: brcode.encode({
+      key: PIX_CONFIG.key,
+      txid: txId,
+      description: 'Deposito Furby',
+      merchantName: PIX_CONFIG.merchantName,
+      merchantCity: PIX_CONFIG.merchantCity
+    })
+  };
+};
+
+// Creditar um pagamento recebido no QR estático de um usuário.
+// Idempotente pelo endToEndId: pagamentos já creditados retornam a transação existente.
+// Retorna null se o txid não pertencer a nenhum usuário.
+const creditStaticPayment = async ({ txId, amount, endToEndId, actorType = 'system' }) => {
+  const User = mongoose.model('User');
+  const Transaction = mongoose.model('Transaction');
+
+  if (!isStaticTxId(txId)) {
+    return null;
+  }
+
+  const user = await User.findOne({ pixStaticTxId: txId });
+  if (!user) {
+    return null;
+  }
+
+  if (!endToEndId) {
+    throw new Error('endToEndId é obrigatório para creditar pagamento em QR estático');
+  }
+
+  const existing = await Transaction.findOne({ 'pix.endToEndId': endToEndId });
+  if (existing) {
+    return existing;
+  }
+
+  // O pagamento já foi recebido: a tarifa é descontada, os limites não se aplicam
+  const quote = await fees.quoteFee({ type: 'deposit', method: 'pix', amount, user });
+
+  try {
+    return await runInTransaction(async (session) => {
+      const transaction = new Transaction({
+        user: user._id,
+        type: 'deposit',
+        method: 'pix',
+        amount,
+        fee: quote.fee,
+        netAmount: quote.netAmount,
+        feeRule: quote.feeRule || undefined,
+        description: 'Depósito via PIX (QR Code pessoal)',
+        pix: {
+          key: PIX_CONFIG.key,
+          keyType: pixKeys.detectType(PIX_CONFIG.key),
+          txId,
+          endToEndId
+        },
+        status: 'pending'
+      });
+
+      transaction.$locals.statusActor = { actorType, reason: 'Pagamento recebido no QR Code pessoal' };
+      await transaction.save({ session });
+      await transaction.process({ session, actorType });
+
+      return transaction;
+    });
+  } catch (error) {
+    // Crédito concorrente do mesmo pagamento (índice único em pix.endToEndId)
+    if (error.code === 11000) {
+      return Transaction.findOne({ 'pix.endToEndId': endToEndId });
+    }
+    throw error;
+  }
+};
+
+module.exports = {
+  STATIC_TXID_PREFIX,
+  isStaticTxId,
+  getStaticPayload,
+  creditStaticPayment
+};
@@ -0,0 +1,196 @@
+const WebhookEvent = require('../models/WebhookEvent');
+const pixPayments = require('./pixPayments');
+const webhookSecurity = require('./webhookSecurity');
+const jobQueue = require('./jobQueue');
+const { getProvider } = require('./pixProviders');
+
+// Caixa de entrada dos webhooks dos provedores PIX: toda notificação é gravada como
+// recebida, deduplicada pelo id do evento no provedor e processada pela fila de jobs
+// ('webhook.process', ver services/pixJobs), com novas tentativas (backoff exponencial)
+// até MAX_ATTEMPTS.
+
+const MAX_ATTEMPTS = 8;
+
+// Intervalo antes da próxima tentativa: 1, 2, 4... minutos (até 1 hora)
+const retryDelay = (attempts) => Math.min(2 ** (attempts - 1), 60) * 60 * 1000;
+
+// Eventos em processamento há mais que isso são considerados abandonados
+const PROCESSING_TIMEOUT = 10 * 60 * 1000;
+
+// Headers com credenciais não são gravados
+const REDACTED_HEADERS = ['authorization', 'cookie', 'asaas-access-token', 'access_token'];
+
+const sanitizeHeaders = (headers) => {
+  return Object.keys(headers || {}).reduce((acc, name) => {
+    acc[name] = REDACTED_HEADERS.includes(name.toLowerCase()) ? '[removido]' : headers[name];
+    return acc;
+  }, {});
+};
+
+// Gravar uma notificação recebida.
+// Retorna { event, duplicate, rejected }: reenvios de um evento já gravado apenas
+// incrementam o contador de duplicatas; notificações que não passam na verificação
+// (ver services/webhookSecurity) ficam gravadas como 'rejected', com o motivo.
+const receive = async (providerName, req) => {
+  const provider = getProvider(providerName);
+  const { valid: verified, reason } = await webhookSecurity.verify(provider, req);
+  const { eventId, eventType } = provider.identifyWebhook(req);
+
+  if (!verified) {
+    console.warn(`⚠️ Webhook ${provider.name} rejeitado (${reason}) - IP ${webhookSecurity.normalizeIp(req.ip)}, evento ${eventType || '-'}`);
+  }
+
+  const data = {
+    provider: provider.name,
+    eventId: verified ? eventId : null,
+    eventType,
+    endpoint: req.originalUrl,
+    headers: sanitizeHeaders(req.headers),
+    body: req.body,
+    rawBody: req.rawBody ? req.rawBody.toString('utf8') : null,
+    ip: webhookSecurity.normalizeIp(req.ip),
+    status: verified ? 'pending' : 'rejected',
+    lastError: verified ? null : reason
+  };
+
+  try {
+    const event = await WebhookEvent.create(data);
+    return { event, duplicate: false, rejected: !verified };
+  } catch (error) {
+    if (error.code !== 11000) {
+      throw error;
+    }
+
+    const event = await WebhookEvent.findOneAndUpdate(
+      { provider: provider.name, eventId },
+      { $inc: { duplicates: 1 }, lastDuplicateAt: new Date() },
+      { new: true }
+    );
+    return { event, duplicate: true, rejected: false };
+  }
+};
+
+// Processar um evento pendente (uma tentativa). Retorna o evento atualizado,
+// ou null se outro processo já o tiver assumido.
+const processEvent = async (eventId) => {
+  const now = new Date();
+
+  // Assumir o evento atomicamente (evita processamento simultâneo pela rota e pelo job)
+  const event = await WebhookEvent.findOneAndUpdate(
+    {
+      _id: eventId,
+      $or: [
+        { status: 'pending' },
+        { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT) } }
+      ]
+    },
+    { status: 'processing', lockedAt: now, $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!event) {
+    return null;
+  }
+
+  try {
+    const provider = getProvider(event.provider);
+    const result = await pixPayments.handleWebhook(provider, { headers: event.headers, body: event.body });
+
+    // A transação pode ainda não ter sido gravada (webhook antes da resposta do PSP)
+    if (result.notFound > 0) {
+      throw new Error('Transação não encontrada');
+    }
+
+    event.status = 'processed';
+    event.processedAt = new Date();
+    event.result = result;
+    event.lastError = null;
+  } catch (error) {
+    console.error(`❌ Erro ao processar webhook ${event.provider}/${event.eventId}:`, error.message);
+
+    event.lastError = error.message;
+    if (event.attempts >= MAX_ATTEMPTS) {
+      event.status = 'failed';
+    } else {
+      event.status = 'pending';
+      event.nextAttemptAt = new Date(Date.now() + retryDelay(event.attempts));
+    }
+  }
+
+  event.lockedAt = null;
+  return event.save();
+};
+
+// Enfileirar o processamento de um evento (um job ativo por evento)
+const enqueueEvent = (event) => {
+  return jobQueue.enqueue('webhook.process', { eventId: event._id }, {
+    uniqueKey: `webhook.process:${event._id}`,
+    maxAttempts: MAX_ATTEMPTS
+  });
+};
+
+// Processar em segundo plano, sem bloquear a resposta ao provedor. Se o job não puder
+// ser gravado, o evento continua pendente e é enfileirado pela varredura (processPending).
+const processInBackground = (event) => {
+  enqueueEvent(event).catch(error => {
+    console.error('❌ Erro ao enfileirar webhook:', error);
+  });
+};
+
+// Enfileirar os eventos com tentativa vencida ou abandonados em processamento (job).
+// Eventos que já têm job ativo não são duplicados. Retorna a quantidade enfileirada.
+const processPending = async ({ limit = 100 } = {}) => {
+  const now = new Date();
+  const events = await WebhookEvent.find({
+    $or: [
+      { status: 'pending', nextAttemptAt: { $lte: now } },
+      { status: 'processing', lockedAt: { $lt: new Date(now.getTime() - PROCESSING_TIMEOUT) } }
+    ]
+  })
+    .sort({ receivedAt: 1 })
+    .limit(limit)
+    .select('_id');
+
+  for (const event of events) {
+    await enqueueEvent(event);
+  }
+
+  return events.length;
+};
+
+// Reprocessar um evento (admin). O tratamento é idempotente: transações que já
+// mudaram de status não são alteradas de novo.
+const replay = async (eventId, { adminId }) => {
+  const event = await WebhookEvent.findById(eventId);
+  if (!event) {
+    return null;
+  }
+
+  if (event.status === 'processing') {
+    throw new Error('Evento em processamento');
+  }
+
+  // Notificações rejeitadas não têm origem confirmada
+  if (event.status === 'rejected') {
+    throw new Error('Eventos rejeitados não podem ser reprocessados');
+  }
+
+  event.replays.push({ replayedBy: adminId, previousStatus: event.status });
+  event.status = 'pending';
+  event.attempts = 0;
+  event.nextAttemptAt = new Date();
+  await event.save();
+
+  // null: o job assumiu o evento antes; devolver o estado atual
+  return (await processEvent(event._id)) || WebhookEvent.findById(event._id);
+};
+
+module.exports = {
+  MAX_ATTEMPTS,
+  retryDelay,
+  receive,
+  processEvent,
+  processInBackground,
+  processPending,
+  replay
+};
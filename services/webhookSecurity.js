@@ -0,0 +1,117 @@
+const net = require('net');
+const WebhookNonce = require('../models/WebhookNonce');
+
+// Verificação das notificações recebidas dos provedores PIX: origem (lista de IPs
+// opcional), assinatura ou token do provedor e, quando o provedor os envia,
+// timestamp dentro da janela de tolerância e nonce ainda não utilizado.
+
+const TIMESTAMP_TOLERANCE = 5 * 60 * 1000;
+
+// Variável de ambiente com os IPs/faixas CIDR permitidos de cada provedor (separados por vírgula)
+const ALLOWED_IPS_ENV = {
+  mock: 'PIX_WEBHOOK_ALLOWED_IPS',
+  asaas: 'ASAAS_WEBHOOK_ALLOWED_IPS'
+};
+
+const allowLists = new Map();
+
+const ipType = (address) => {
+  if (net.isIPv4(address)) return 'ipv4';
+  if (net.isIPv6(address)) return 'ipv6';
+  return null;
+};
+
+// IPv4 mapeado em IPv6 (::ffff:1.2.3.4) para IPv4
+const normalizeIp = (ip) => String(ip || '').replace(/^::ffff:(?=\d+\.\d+\.\d+\.\d+$)/, '');
+
+// Lista de IPs permitidos do provedor (null = sem restrição)
+const getAllowList = (providerName) => {
+  if (allowLists.has(providerName)) {
+    return allowLists.get(providerName);
+  }
+
+  const value = process.env[ALLOWED_IPS_ENV[providerName]];
+  let list = null;
+
+  if (value) {
+    list = new net.BlockList();
+    value.split(',').map(entry => entry.trim()).filter(Boolean).forEach(entry => {
+      const [address, prefix] = entry.split('/');
+      const type = ipType(address);
+      if (!type) {
+        throw new Error(`IP inválido em ${ALLOWED_IPS_ENV[providerName]}: ${entry}`);
+      }
+      if (prefix !== undefined) {
+        list.addSubnet(address, Number(prefix), type);
+      } else {
+        list.addAddress(address, type);
+      }
+    });
+  }
+
+  allowLists.set(providerName, list);
+  return list;
+};
+
+const isAllowedIp = (providerName, ip) => {
+  const list = getAllowList(providerName);
+  if (!list) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  const type = ipType(address);
+  return Boolean(type) && list.check(address, type);
+};
+
+// Registrar o nonce; false se já tiver sido utilizado
+const claimNonce = async (providerName, nonce) => {
+  try {
+    await WebhookNonce.create({
+      provider: providerName,
+      nonce,
+      expiresAt: new Date(Date.now() + 2 * TIMESTAMP_TOLERANCE)
+    });
+    return true;
+  } catch (error) {
+    if (error.code === 11000) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+const rejection = (reason) => ({ valid: false, reason });
+
+// Verificar uma notificação. Retorna { valid, reason } (reason: motivo da rejeição).
+const verify = async (provider, req) => {
+  if (!isAllowedIp(provider.name, req.ip)) {
+    return rejection(`IP não autorizado: ${normalizeIp(req.ip)}`);
+  }
+
+  const result = provider.verifyWebhook(req);
+  if (!result.valid) {
+    return rejection(result.reason || 'Assinatura inválida');
+  }
+
+  if (result.timestamp !== undefined) {
+    if (!Number.isFinite(result.timestamp) || Math.abs(Date.now() - result.timestamp) > TIMESTAMP_TOLERANCE) {
+      return rejection('Timestamp fora da janela de tolerância');
+    }
+  }
+
+  if (result.nonce !== undefined) {
+    if (!(await claimNonce(provider.name, result.nonce))) {
+      return rejection('Nonce já utilizado');
+    }
+  }
+
+  return { valid: true, reason: null };
+};
+
+module.exports = {
+  TIMESTAMP_TOLERANCE,
+  normalizeIp,
+  isAllowedIp,
+  verify
+};
@@ -0,0 +1,102 @@
+const mongoose = require('mongoose');
+const pixPayments = require('./pixPayments');
+const { OPEN_REVIEW_STATUSES } = require('./withdrawalRisk');
+const { runInTransaction } = require('../config/database');
+
+// Fila de análise dos saques retidos pelas regras de risco (services/withdrawalRisk).
+// O analista aprova (o saque é enviado ao PSP), recusa (o saque é cancelado e o
+// bloqueio liberado) ou pede informações ao usuário, que responde pelo app.
+
+const reviewError = (message, code) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Atualizar a análise de um saque ainda sem decisão (atômico: duas decisões simultâneas
+// não são aplicadas ao mesmo saque). Retorna o saque atualizado.
+const updateOpenReview = async (transactionId, fromStatuses, update, { session = null } = {}) => {
+  const Transaction = mongoose.model('Transaction');
+
+  const transaction = await Transaction.findOneAndUpdate(
+    { _id: transactionId, type: 'withdrawal', status: 'pending', 'review.status': { $in: fromStatuses } },
+    { $set: update },
+    { new: true, session }
+  );
+
+  if (!transaction) {
+    const exists = await Transaction.exists({ _id: transactionId, type: 'withdrawal' }).session(session);
+    if (!exists) {
+      throw reviewError('Saque não encontrado', 'WITHDRAWAL_NOT_FOUND');
+    }
+    throw reviewError('Saque não está aguardando análise', 'REVIEW_NOT_OPEN');
+  }
+
+  return transaction;
+};
+
+// Aprovar: o envio do saque ao PSP é enfileirado junto com a decisão
+const approve = async (transactionId, { adminId, notes = null }) => {
+  return runInTransaction(async (session) => {
+    const transaction = await updateOpenReview(transactionId, OPEN_REVIEW_STATUSES, {
+      'review.status': 'approved',
+      'review.reviewedBy': adminId,
+      'review.reviewedAt': new Date(),
+      'review.notes': notes
+    }, { session });
+
+    await pixPayments.enqueueWithdrawal(transaction, { session });
+    return transaction;
+  });
+};
+
+// Recusar: o saque é cancelado e o valor bloqueado volta ao saldo disponível
+const reject = async (transactionId, { adminId, userMessage = null, notes = null }) => {
+  return runInTransaction(async (session) => {
+    const transaction = await updateOpenReview(transactionId, OPEN_REVIEW_STATUSES, {
+      'review.status': 'rejected',
+      'review.reviewedBy': adminId,
+      'review.reviewedAt': new Date(),
+      'review.notes': notes,
+      'review.userMessage': userMessage
+    }, { session });
+
+    await transaction.cancel('Saque não aprovado na análise de segurança', {
+      actor: adminId,
+      actorType: 'admin',
+      session
+    });
+    return transaction;
+  });
+};
+
+// Pedir informações ao usuário (o saque continua bloqueado até a resposta e a decisão)
+const requestInfo = (transactionId, { adminId, message }) => {
+  return updateOpenReview(transactionId, OPEN_REVIEW_STATUSES, {
+    'review.status': 'info_requested',
+    'review.reviewedBy': adminId,
+    'review.infoRequest': { message, requestedAt: new Date() }
+  });
+};
+
+// Resposta do usuário ao pedido de informações: o saque volta para a fila
+const respond = async (transactionId, { userId, message }) => {
+  const Transaction = mongoose.model('Transaction');
+
+  const owned = await Transaction.exists({ _id: transactionId, user: userId, type: 'withdrawal' });
+  if (!owned) {
+    throw reviewError('Saque não encontrado', 'WITHDRAWAL_NOT_FOUND');
+  }
+
+  return updateOpenReview(transactionId, ['info_requested'], {
+    'review.status': 'pending',
+    'review.userResponse': { message, respondedAt: new Date() }
+  });
+};
+
+module.exports = {
+  approve,
+  reject,
+  requestInfo,
+  respond
+};
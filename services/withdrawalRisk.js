@@ -0,0 +1,119 @@
+const mongoose = require('mongoose');
+const money = require('../utils/money');
+const WithdrawalRiskPolicy = require('../models/WithdrawalRiskPolicy');
+
+// Regras de risco dos saques PIX. Ao criar o saque, as regras habilitadas na política
+// são avaliadas; se alguma bater, o saque fica pendente (com o valor bloqueado) na fila
+// de análise em vez de ser enviado ao PSP (ver services/withdrawalReviews).
+
+// Status de análise ainda sem decisão
+const OPEN_REVIEW_STATUSES = ['pending', 'info_requested'];
+
+// Política vigente (a salva pelo admin ou os padrões, sem gravar)
+const getPolicy = async ({ session = null } = {}) => {
+  const policy = await WithdrawalRiskPolicy.findOne({ key: 'default' }).session(session);
+  return policy || new WithdrawalRiskPolicy();
+};
+
+const hoursAgo = (hours, now) => new Date(now.getTime() - hours * 60 * 60 * 1000);
+
+// Regras de risco: cada uma recebe o contexto do saque e retorna a descrição se bater
+const RULES = {
+  first_withdrawal: {
+    setting: 'firstWithdrawal',
+    check: async ({ user, session }) => {
+      const previous = await mongoose.model('Transaction')
+        .exists({ user: user._id, type: 'withdrawal', status: 'completed' })
+        .session(session);
+      return previous ? null : 'Primeiro saque da conta';
+    }
+  },
+  new_pix_key: {
+    setting: 'newPixKey',
+    check: async ({ user, key, session }) => {
+      const used = await mongoose.model('Transaction')
+        .exists({ user: user._id, type: 'withdrawal', status: 'completed', 'pix.key': key })
+        .session(session);
+      return used ? null : 'Chave PIX nunca usada em saques anteriores';
+    }
+  },
+  large_amount: {
+    setting: 'largeAmount',
+    check: async ({ amount, settings }) => {
+      return amount > settings.threshold
+        ? `Valor acima de ${money.format(settings.threshold)}`
+        : null;
+    }
+  },
+  recent_deposit: {
+    setting: 'recentDeposit',
+    check: async ({ user, now, settings, session }) => {
+      const deposit = await mongoose.model('Transaction')
+        .exists({
+          user: user._id,
+          type: 'deposit',
+          status: 'completed',
+          completedAt: { $gte: hoursAgo(settings.hours, now) }
+        })
+        .session(session);
+      return deposit ? `Depósito recebido nas últimas ${settings.hours} horas` : null;
+    }
+  },
+  recent_password_change: {
+    setting: 'recentPasswordChange',
+    check: async ({ user, now, settings }) => {
+      return user.passwordChangedAt && user.passwordChangedAt >= hoursAgo(settings.hours, now)
+        ? `Senha alterada nas últimas ${settings.hours} horas`
+        : null;
+    }
+  },
+  recent_cpf_change: {
+    setting: 'recentCpfChange',
+    check: async ({ user, now, settings }) => {
+      return user.cpfChangedAt && user.cpfChangedAt >= hoursAgo(settings.hours, now)
+        ? `CPF alterado nas últimas ${settings.hours} horas`
+        : null;
+    }
+  }
+};
+
+// Avaliar as regras habilitadas para um novo saque. Retorna as regras que bateram
+// ([{ rule, description }]; vazio = saque liberado para envio).
+const evaluate = async ({ user, amount, key, now = new Date(), session = null }) => {
+  const policy = await getPolicy({ session });
+  const matched = [];
+
+  for (const [rule, { setting, check }] of Object.entries(RULES)) {
+    const settings = policy[setting];
+    if (!settings || !settings.enabled) {
+      continue;
+    }
+
+    const description = await check({ user, amount, key, now, settings, session });
+    if (description) {
+      matched.push({ rule, description });
+    }
+  }
+
+  return matched;
+};
+
+// Colocar o saque (ainda não salvo) em análise
+const flag = (transaction, rules) => {
+  transaction.review = {
+    status: 'pending',
+    rules,
+    flaggedAt: new Date()
+  };
+};
+
+const isUnderReview = (transaction) => OPEN_REVIEW_STATUSES.includes(transaction.review && transaction.review.status);
+
+module.exports = {
+  OPEN_REVIEW_STATUSES,
+  RULES,
+  getPolicy,
+  evaluate,
+  flag,
+  isUnderReview
+};
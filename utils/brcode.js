@@ -0,0 +1,285 @@
+const money = require('./money');
+
+// BR Code (padrão EMV® QRCPS-MPM adotado pelo Banco Central para o PIX).
+// O payload é uma sequência de campos TLV: ID (2 dígitos) + tamanho (2 dígitos) + valor,
+// terminada pelo campo 63 com o CRC16-CCITT de todo o conteúdo anterior.
+
+const PIX_GUI = 'br.gov.bcb.pix';
+
+// IDs dos campos de nível superior
+const FIELDS = {
+  PAYLOAD_FORMAT: '00',
+  INITIATION_METHOD: '01',
+  MERCHANT_ACCOUNT: '26',
+  MERCHANT_CATEGORY: '52',
+  CURRENCY: '53',
+  AMOUNT: '54',
+  COUNTRY: '58',
+  MERCHANT_NAME: '59',
+  MERCHANT_CITY: '60',
+  POSTAL_CODE: '61',
+  ADDITIONAL_DATA: '62',
+  CRC: '63'
+};
+
+// Subcampos da conta do recebedor (26) e dos dados adicionais (62)
+const ACCOUNT_FIELDS = {
+  GUI: '00',
+  KEY: '01',
+  DESCRIPTION: '02',
+  URL: '25'
+};
+
+const ADDITIONAL_FIELDS = {
+  TXID: '05'
+};
+
+// Método de iniciação: 11 = QR reutilizável, 12 = uso único
+const INITIATION = {
+  REUSABLE: '11',
+  UNIQUE: '12'
+};
+
+const CURRENCY_BRL = '986';
+const MAX_NAME_LENGTH = 25;
+const MAX_CITY_LENGTH = 15;
+const MAX_TXID_LENGTH = 25;
+
+// Erro de BR Code inválido (code permite às rotas responder 400)
+const invalidBRCode = (message) => {
+  const error = new Error(message);
+  error.code = 'INVALID_BRCODE';
+  return error;
+};
+
+// CRC16-CCITT (polinômio 0x1021, valor inicial 0xFFFF) em hexadecimal maiúsculo
+const crc16 = (data) => {
+  let crc = 0xFFFF;
+
+  for (const byte of Buffer.from(data, 'utf8')) {
+    crc ^= byte << 8;
+    for (let i = 0; i < 8; i++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+    }
+  }
+
+  return (crc & 0xFFFF).toString(16).toUpperCase().padStart(4, '0');
+};
+
+// Remover acentos e caracteres fora do conjunto aceito pelos leitores de QR
+const sanitize = (text) => {
+  return String(text)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^\x20-\x7E]/g, '')
+    .trim();
+};
+
+// Codificar um campo TLV; `value` pode ser uma lista de [id, valor] (campo composto)
+const encodeField = (id, value) => {
+  const content = Array.isArray(value) ? encodeFields(value) : String(value);
+
+  if (content.length > 99) {
+    throw invalidBRCode(`Campo ${id} excede 99 caracteres`);
+  }
+
+  return id + String(content.length).padStart(2, '0') + content;
+};
+
+// Codificar uma lista de [id, valor], ignorando valores vazios
+const encodeFields = (fields) => {
+  return fields
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([id, value]) => encodeField(id, value))
+    .join('');
+};
+
+// Decodificar uma sequência TLV em lista de { id, value }
+const parseFields = (data) => {
+  const fields = [];
+  let position = 0;
+
+  while (position < data.length) {
+    const id = data.substr(position, 2);
+    const length = data.substr(position + 2, 2);
+
+    if (!/^\d{2}$/.test(id) || !/^\d{2}$/.test(length)) {
+      throw invalidBRCode(`Campo malformado na posição ${position}`);
+    }
+
+    const value = data.substr(position + 4, Number(length));
+    if (value.length !== Number(length)) {
+      throw invalidBRCode(`Campo ${id} com tamanho incorreto`);
+    }
+
+    fields.push({ id, value });
+    position += 4 + Number(length);
+  }
+
+  return fields;
+};
+
+// Lista de { id, value } para objeto indexado por id
+const toMap = (fields) => {
+  return fields.reduce((acc, { id, value }) => {
+    acc[id] = value;
+    return acc;
+  }, {});
+};
+
+// Gerar BR Code.
+// Estático: informar `key` (chave PIX) e, opcionalmente, `description`.
+// Dinâmico: informar `url` (location do PSP, sem "https://"); o valor e os dados
+// da cobrança são obtidos pelo pagador nessa URL.
+// `amount` em centavos (omitido = valor livre); `txid` até 25 caracteres alfanuméricos.
+const encode = ({
+  key = null,
+  url = null,
+  description = null,
+  amount = null,
+  merchantName,
+  merchantCity,
+  postalCode = null,
+  merchantCategoryCode = '0000',
+  txid = null,
+  unique
+}) => {
+  if (!key === !url) {
+    throw invalidBRCode('Informe a chave PIX (estático) ou a URL (dinâmico)');
+  }
+
+  if (txid !== null && !/^[a-zA-Z0-9]{1,25}$/.test(txid)) {
+    throw invalidBRCode(`txid deve ter de 1 a ${MAX_TXID_LENGTH} caracteres alfanuméricos`);
+  }
+
+  const account = [[ACCOUNT_FIELDS.GUI, PIX_GUI]];
+  if (url) {
+    account.push([ACCOUNT_FIELDS.URL, url.replace(/^https?:\/\//, '')]);
+  } else {
+    account.push([ACCOUNT_FIELDS.KEY, key]);
+
+    // A descrição é informativa: truncada para caber no campo 26
+    if (description) {
+      const available = 99 - encodeFields(account).length - 4;
+      const text = sanitize(description).substring(0, available);
+      account.push([ACCOUNT_FIELDS.DESCRIPTION, text]);
+    }
+  }
+
+  // QR dinâmico é, por padrão, de uso único
+  const isUnique = unique !== undefined ? unique : Boolean(url);
+
+  const payload = encodeFields([
+    [FIELDS.PAYLOAD_FORMAT, '01'],
+    [FIELDS.INITIATION_METHOD, isUnique ? INITIATION.UNIQUE : null],
+    [FIELDS.MERCHANT_ACCOUNT, account],
+    [FIELDS.MERCHANT_CATEGORY, merchantCategoryCode],
+    [FIELDS.CURRENCY, CURRENCY_BRL],
+    [FIELDS.AMOUNT, amount ? money.toDecimalString(amount) : null],
+    [FIELDS.COUNTRY, 'BR'],
+    [FIELDS.MERCHANT_NAME, sanitize(merchantName).substring(0, MAX_NAME_LENGTH).trim()],
+    [FIELDS.MERCHANT_CITY, sanitize(merchantCity).substring(0, MAX_CITY_LENGTH).trim()],
+    [FIELDS.POSTAL_CODE, postalCode ? postalCode.replace(/\D/g, '') : null],
+    // Sem txid, o padrão para QR estático é "***"
+    [FIELDS.ADDITIONAL_DATA, [[ADDITIONAL_FIELDS.TXID, txid || '***']]]
+  ]) + FIELDS.CRC + '04';
+
+  return payload + crc16(payload);
+};
+
+// Verificar o CRC do payload
+const hasValidCRC = (payload) => {
+  if (typeof payload !== 'string' || payload.length < 8) {
+    return false;
+  }
+  const body = payload.slice(0, -4);
+  return body.endsWith(FIELDS.CRC + '04') && crc16(body) === payload.slice(-4).toUpperCase();
+};
+
+// Decodificar um BR Code ("copia e cola"). Lança erro com code INVALID_BRCODE
+// se o payload estiver malformado, com CRC incorreto ou sem conta PIX.
+const decode = (input) => {
+  const payload = String(input || '').trim();
+
+  if (!hasValidCRC(payload)) {
+    throw invalidBRCode('BR Code inválido: CRC incorreto');
+  }
+
+  const fields = parseFields(payload);
+  const top = toMap(fields);
+
+  if (top[FIELDS.PAYLOAD_FORMAT] !== '01') {
+    throw invalidBRCode('BR Code inválido: formato de payload não suportado');
+  }
+
+  // Conta PIX pode estar em qualquer campo de 26 a 51
+  const accountField = fields.find(({ id, value }) => {
+    if (Number(id) < 26 || Number(id) > 51) return false;
+    try {
+      const gui = toMap(parseFields(value))[ACCOUNT_FIELDS.GUI];
+      return gui && gui.toLowerCase() === PIX_GUI;
+    } catch (error) {
+      return false;
+    }
+  });
+
+  if (!accountField) {
+    throw invalidBRCode('BR Code inválido: conta PIX não encontrada');
+  }
+
+  const account = toMap(parseFields(accountField.value));
+  const additional = top[FIELDS.ADDITIONAL_DATA]
+    ? toMap(parseFields(top[FIELDS.ADDITIONAL_DATA]))
+    : {};
+
+  let amount = null;
+  if (top[FIELDS.AMOUNT]) {
+    if (!/^\d+(\.\d{1,2})?$/.test(top[FIELDS.AMOUNT])) {
+      throw invalidBRCode('BR Code inválido: valor malformado');
+    }
+    amount = money.toCents(top[FIELDS.AMOUNT]);
+  }
+
+  const txid = additional[ADDITIONAL_FIELDS.TXID] || null;
+  const url = account[ACCOUNT_FIELDS.URL] || null;
+
+  return {
+    type: url ? 'dynamic' : 'static',
+    reusable: top[FIELDS.INITIATION_METHOD] !== INITIATION.UNIQUE,
+    key: account[ACCOUNT_FIELDS.KEY] || null,
+    url,
+    description: account[ACCOUNT_FIELDS.DESCRIPTION] || null,
+    merchantCategoryCode: top[FIELDS.MERCHANT_CATEGORY] || null,
+    currency: top[FIELDS.CURRENCY] || null,
+    amount,
+    countryCode: top[FIELDS.COUNTRY] || null,
+    merchantName: top[FIELDS.MERCHANT_NAME] || null,
+    merchantCity: top[FIELDS.MERCHANT_CITY] || null,
+    postalCode: top[FIELDS.POSTAL_CODE] || null,
+    txid: txid === '***' ? null : txid,
+    additionalData: additional,
+    crc: payload.slice(-4).toUpperCase()
+  };
+};
+
+// Verificar se o payload é um BR Code PIX válido
+const isValid = (payload) => {
+  try {
+    decode(payload);
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+module.exports = {
+  PIX_GUI,
+  FIELDS,
+  crc16,
+  encodeField,
+  parseFields,
+  encode,
+  decode,
+  hasValidCRC,
+  isValid
+};
@@ -0,0 +1,177 @@
+// Valores monetários são armazenados em centavos inteiros (BRL).
+// A API continua recebendo e devolvendo reais decimais: converter na entrada
+// com toCents e na saída com fromCents/serialize.
+
+const brlFormatter = new Intl.NumberFormat('pt-BR', {
+  style: 'currency',
+  currency: 'BRL'
+});
+
+// Arredondamento bancário (meio para o par) para inteiro
+const roundHalfEven = (value) => {
+  const floor = Math.floor(value);
+  const diff = value - floor;
+
+  // Tolerância para ruído de ponto flutuante (ex.: 100.50000000000001)
+  if (Math.abs(diff - 0.5) < 1e-9) {
+    return floor % 2 === 0 ? floor : floor + 1;
+  }
+
+  return Math.round(value);
+};
+
+// Converter reais (número ou texto, ex.: 10.5, "10,50", "R$ 1.234,56") para centavos
+const toCents = (value) => {
+  let text;
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) {
+      throw new Error('Valor monetário inválido');
+    }
+    // Representação mais curta do número (ex.: 10.005), exceto notação científica
+    text = String(value);
+    if (/e/i.test(text)) {
+      text = value.toFixed(10);
+    }
+  } else if (typeof value === 'string') {
+    text = value.replace(/R\$/i, '').replace(/\s/g, '');
+    // Formato brasileiro: ponto como milhar e vírgula como decimal
+    if (text.includes(',')) {
+      text = text.replace(/\./g, '').replace(',', '.');
+    }
+  } else {
+    throw new Error('Valor monetário inválido');
+  }
+
+  if (!/^-?\d+(\.\d+)?$/.test(text)) {
+    throw new Error('Valor monetário inválido');
+  }
+
+  const negative = text.startsWith('-');
+  const [integerPart, fractionPart = ''] = text.replace('-', '').split('.');
+  const centsPart = (fractionPart + '00').substring(0, 2);
+  const rest = fractionPart.substring(2);
+
+  let cents = parseInt(integerPart, 10) * 100 + parseInt(centsPart, 10);
+
+  // Arredondar o que passa de duas casas (meio para o par)
+  if (rest.length > 0) {
+    const half = '5'.padEnd(rest.length, '0');
+    if (rest > half || (rest === half && cents % 2 === 1)) {
+      cents += 1;
+    }
+  }
+
+  return negative ? -cents : cents;
+};
+
+// Converter centavos para reais
+const fromCents = (cents) => {
+  return cents / 100;
+};
+
+// Representação decimal com duas casas (ex.: 1050 -> "10.50")
+const toDecimalString = (cents) => {
+  const sign = cents < 0 ? '-' : '';
+  const abs = Math.abs(cents);
+  return `${sign}${Math.floor(abs / 100)}.${String(abs % 100).padStart(2, '0')}`;
+};
+
+// Formatar centavos como moeda brasileira (ex.: 123456 -> "R$ 1.234,56")
+const format = (cents) => {
+  return brlFormatter.format(fromCents(cents));
+};
+
+// Multiplicar centavos por um fator, arredondando para centavos inteiros
+const multiply = (cents, factor) => {
+  return roundHalfEven(cents * factor);
+};
+
+// Percentual de um valor em centavos (ex.: percentage(1000, 8) -> 80)
+const percentage = (cents, percent) => {
+  return multiply(cents, percent / 100);
+};
+
+// Dividir um valor proporcionalmente sem perder centavos (maiores restos recebem a sobra)
+const allocate = (cents, ratios) => {
+  const total = ratios.reduce((sum, ratio) => sum + ratio, 0);
+  if (total <= 0) {
+    throw new Error('Proporções de divisão inválidas');
+  }
+
+  const sign = cents < 0 ? -1 : 1;
+  const abs = Math.abs(cents);
+
+  const exact = ratios.map(ratio => (abs * ratio) / total);
+  const shares = exact.map(Math.floor);
+  let remainder = abs - shares.reduce((sum, share) => sum + share, 0);
+
+  exact
+    .map((value, index) => ({ index, fraction: value - shares[index] }))
+    .sort((a, b) => b.fraction - a.fraction)
+    .forEach(({ index }) => {
+      if (remainder > 0) {
+        shares[index] += 1;
+        remainder -= 1;
+      }
+    });
+
+  return shares.map(share => share * sign);
+};
+
+// Dividir um valor em partes iguais
+const split = (cents, parts) => {
+  return allocate(cents, new Array(parts).fill(1));
+};
+
+// Validador de schema para campos em centavos
+const integerCents = {
+  validator: Number.isInteger,
+  message: 'Valor monetário deve estar em centavos inteiros'
+};
+
+// Idem, para campos opcionais (null permitido)
+const nullableCents = {
+  validator: (value) => value === null || Number.isInteger(value),
+  message: integerCents.message
+};
+
+// Converter caminhos monetários de um objeto serializado (ex.: 'dailyReturns.amount') para reais
+const serialize = (obj, paths) => {
+  const convert = (target, parts) => {
+    if (target === null || target === undefined) return;
+
+    if (Array.isArray(target)) {
+      target.forEach(item => convert(item, parts));
+      return;
+    }
+
+    const [head, ...tail] = parts;
+    if (tail.length === 0) {
+      if (typeof target[head] === 'number') {
+        target[head] = fromCents(target[head]);
+      }
+      return;
+    }
+
+    convert(target[head], tail);
+  };
+
+  paths.forEach(path => convert(obj, path.split('.')));
+  return obj;
+};
+
+module.exports = {
+  roundHalfEven,
+  toCents,
+  fromCents,
+  toDecimalString,
+  format,
+  multiply,
+  percentage,
+  allocate,
+  split,
+  integerCents,
+  nullableCents,
+  serialize
+};
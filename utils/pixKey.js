@@ -0,0 +1,182 @@
+// Chaves PIX (tipos do DICT): validação, normalização e detecção do tipo.
+// Formato normalizado: cpf/cnpj só dígitos, email em minúsculas, telefone em E.164
+// (+55DDNNNNNNNNN) e chave aleatória (EVP) como UUID em minúsculas.
+
+const KEY_TYPES = ['cpf', 'cnpj', 'email', 'phone', 'evp'];
+
+// Nomes antigos aceitos na entrada (e ainda presentes em registros gravados)
+const TYPE_ALIASES = {
+  random: 'evp'
+};
+
+// Tipos aceitos nos schemas (inclui os nomes antigos)
+const STORED_KEY_TYPES = [...KEY_TYPES, ...Object.keys(TYPE_ALIASES)];
+
+const TYPE_LABELS = {
+  cpf: 'CPF',
+  cnpj: 'CNPJ',
+  email: 'Email',
+  phone: 'Telefone',
+  evp: 'Chave aleatória'
+};
+
+const EMAIL_REGEX = /^[a-z0-9.!#$%&'*+/=?^_`{|}~-]+@[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?(?:\.[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?)+$/;
+const EVP_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+// Celular brasileiro: DDD (sem zero) + 9 + 8 dígitos
+const PHONE_REGEX = /^\+55[1-9]{2}9\d{8}$/;
+const MAX_EMAIL_LENGTH = 77;
+
+const onlyDigits = (value) => String(value).replace(/\D/g, '');
+
+// Dígito verificador (módulo 11) para os pesos informados
+const checkDigit = (digits, weights) => {
+  const sum = weights.reduce((acc, weight, i) => acc + Number(digits[i]) * weight, 0);
+  const rest = sum % 11;
+  return rest < 2 ? 0 : 11 - rest;
+};
+
+const isValidCPF = (value) => {
+  const cpf = onlyDigits(value);
+  if (cpf.length !== 11 || /^(\d)\1{10}$/.test(cpf)) {
+    return false;
+  }
+
+  const first = checkDigit(cpf, [10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(cpf, [11, 10, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return first === Number(cpf[9]) && second === Number(cpf[10]);
+};
+
+const isValidCNPJ = (value) => {
+  const cnpj = onlyDigits(value);
+  if (cnpj.length !== 14 || /^(\d)\1{13}$/.test(cnpj)) {
+    return false;
+  }
+
+  const first = checkDigit(cnpj, [5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  const second = checkDigit(cnpj, [6, 5, 4, 3, 2, 9, 8, 7, 6, 5, 4, 3, 2]);
+  return first === Number(cnpj[12]) && second === Number(cnpj[13]);
+};
+
+// Telefone em E.164; números nacionais sem DDI recebem +55
+const normalizePhone = (value) => {
+  const raw = String(value).trim();
+  const digits = onlyDigits(raw);
+
+  if (raw.startsWith('+')) {
+    return '+' + digits;
+  }
+  if (digits.length === 10 || digits.length === 11) {
+    return '+55' + digits;
+  }
+  if ((digits.length === 12 || digits.length === 13) && digits.startsWith('55')) {
+    return '+' + digits;
+  }
+  return '+' + digits;
+};
+
+// Normalizar uma chave conforme o tipo
+const normalize = (key, type) => {
+  const value = String(key || '').trim();
+
+  switch (TYPE_ALIASES[type] || type) {
+    case 'cpf':
+    case 'cnpj':
+      return onlyDigits(value);
+    case 'email':
+      return value.toLowerCase();
+    case 'phone':
+      return normalizePhone(value);
+    case 'evp':
+      return value.toLowerCase();
+    default:
+      return value;
+  }
+};
+
+// Verificar uma chave já normalizada; retorna a mensagem de erro ou null
+const validationError = (key, type) => {
+  switch (type) {
+    case 'cpf':
+      return isValidCPF(key) ? null : 'CPF inválido';
+    case 'cnpj':
+      return isValidCNPJ(key) ? null : 'CNPJ inválido';
+    case 'email':
+      return key.length <= MAX_EMAIL_LENGTH && EMAIL_REGEX.test(key) ? null : 'Email inválido';
+    case 'phone':
+      return PHONE_REGEX.test(key) ? null : 'Telefone inválido (use DDD + celular, ex.: +5511999999999)';
+    case 'evp':
+      return EVP_REGEX.test(key) ? null : 'Chave aleatória inválida';
+    default:
+      return 'Tipo de chave PIX inválido';
+  }
+};
+
+// Detectar o tipo de uma chave (null se não reconhecida).
+// 11 dígitos podem ser CPF ou celular sem DDI: vale o CPF se os dígitos verificadores conferirem.
+const detectType = (key) => {
+  const value = String(key || '').trim();
+  if (!value) return null;
+
+  if (EVP_REGEX.test(value.toLowerCase())) return 'evp';
+  if (value.includes('@')) return 'email';
+  if (value.startsWith('+')) return 'phone';
+  if (/[^\d\s.\-/()]/.test(value)) return null;
+
+  const digits = onlyDigits(value);
+  if (digits.length === 14) return 'cnpj';
+  if (digits.length === 11 && isValidCPF(digits)) return 'cpf';
+  if (!validationError(normalizePhone(value), 'phone')) return 'phone';
+  if (digits.length === 11) return 'cpf';
+
+  return null;
+};
+
+// Validar uma chave PIX, detectando o tipo se não informado.
+// Retorna { valid, type, key (normalizada), error }.
+const parse = (key, type = null) => {
+  const resolvedType = type ? (TYPE_ALIASES[type] || type) : detectType(key);
+
+  if (!resolvedType || !KEY_TYPES.includes(resolvedType)) {
+    return {
+      valid: false,
+      type: null,
+      key: null,
+      error: type ? 'Tipo de chave PIX inválido' : 'Chave PIX não reconhecida'
+    };
+  }
+
+  const normalized = normalize(key, resolvedType);
+  const error = validationError(normalized, resolvedType);
+
+  return {
+    valid: !error,
+    type: resolvedType,
+    key: error ? null : normalized,
+    error
+  };
+};
+
+const isValid = (key, type = null) => parse(key, type).valid;
+
+// Documento do titular para exibição: CPF mascarado como nas consultas ao DICT
+// (***.456.789-**); CNPJ, de pessoa jurídica, por inteiro
+const maskDocument = (value) => {
+  const digits = onlyDigits(value || '');
+  if (digits.length === 11) {
+    return `***.${digits.substring(3, 6)}.${digits.substring(6, 9)}-**`;
+  }
+  return digits || null;
+};
+
+module.exports = {
+  KEY_TYPES,
+  STORED_KEY_TYPES,
+  TYPE_LABELS,
+  isValidCPF,
+  isValidCNPJ,
+  normalize,
+  detectType,
+  parse,
+  isValid,
+  maskDocument
+};
@@ -0,0 +1,157 @@
+const mongoose = require('mongoose');
+
+// Máquina de estados para o campo `status` de um schema Mongoose.
+// `transitions` lista, para cada status, os status de destino permitidos
+// (status sem destinos são finais). Toda mudança passa por transitionTo,
+// que valida a transição e registra o histórico (quem, por quê e quando).
+// O autor do status inicial pode ser informado em doc.$locals.statusActor antes do save.
+// O save de uma transição só grava se o status no banco ainda for o de origem
+// (compare-and-set); se outra requisição alterou o status antes, falha com STATUS_CONFLICT.
+
+const ACTOR_TYPES = ['user', 'admin', 'system', 'webhook', 'job'];
+
+const statusHistorySchema = new mongoose.Schema({
+  from: {
+    type: String,
+    default: null
+  },
+  to: {
+    type: String,
+    required: true
+  },
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  actorType: {
+    type: String,
+    enum: ACTOR_TYPES,
+    default: 'system'
+  },
+  reason: {
+    type: String,
+    default: null,
+    maxlength: [500, 'Motivo não pode ter mais de 500 caracteres']
+  },
+  at: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Erro de transição inválida (code permite às rotas responder 400)
+const invalidTransition = (modelName, from, to) => {
+  const error = new Error(`Transição de status inválida: ${from} → ${to}`);
+  error.code = 'INVALID_STATUS_TRANSITION';
+  error.model = modelName;
+  error.from = from;
+  error.to = to;
+  return error;
+};
+
+// Status alterado por outra requisição entre a leitura e o save (code permite às rotas responder 409)
+const statusConflict = (modelName, from, to) => {
+  const error = new Error(`Status alterado por outra operação: esperado ${from}, transição para ${to} não aplicada`);
+  error.code = 'STATUS_CONFLICT';
+  error.model = modelName;
+  error.from = from;
+  error.to = to;
+  return error;
+};
+
+const statusMachinePlugin = (schema, { transitions }) => {
+  schema.add({
+    statusHistory: {
+      type: [statusHistorySchema],
+      default: []
+    }
+  });
+
+  schema.pre('validate', function(next) {
+    // Status inicial também fica no histórico
+    if (this.isNew) {
+      if (this.statusHistory.length === 0) {
+        const { actor = null, actorType = 'system', reason = null } = this.$locals.statusActor || {};
+        this.statusHistory.push({ from: null, to: this.status, actor, actorType, reason });
+      }
+      return next();
+    }
+
+    // Atribuições diretas a `status` não passam pela validação de transição
+    const last = this.statusHistory[this.statusHistory.length - 1];
+    if (this.isModified('status') && (!last || last.to !== this.status)) {
+      return next(new Error('Status deve ser alterado via transitionTo'));
+    }
+    next();
+  });
+
+  // Compare-and-set: o update do save exige o status gravado antes da primeira transição
+  schema.pre('save', function(next) {
+    const { statusFrom } = this.$locals;
+    if (!this.isNew && statusFrom !== undefined && this.isModified('status')) {
+      this.$where = { ...(this.$where || {}), status: statusFrom };
+    }
+    next();
+  });
+
+  const clearStatusFrom = function() {
+    delete this.$locals.statusFrom;
+    if (this.$where) {
+      delete this.$where.status;
+    }
+  };
+
+  schema.post('save', clearStatusFrom);
+  schema.post('init', clearStatusFrom);
+
+  // Nenhum documento com o status esperado: outra requisição mudou o status antes
+  schema.post('save', function(error, doc, next) {
+    const notMatched = error.name === 'DocumentNotFoundError' || error.name === 'VersionError';
+    if (notMatched && this.$locals.statusFrom !== undefined) {
+      return next(statusConflict(this.constructor.modelName, this.$locals.statusFrom, this.status));
+    }
+    next(error);
+  });
+
+  schema.statics.STATUS_TRANSITIONS = transitions;
+
+  schema.statics.canTransition = function(from, to) {
+    return (transitions[from] || []).includes(to);
+  };
+
+  schema.methods.canTransitionTo = function(to) {
+    return this.constructor.canTransition(this.status, to);
+  };
+
+  // Alterar o status (sem salvar); options: actor, actorType, reason
+  schema.methods.transitionTo = function(to, options = {}) {
+    const from = this.status;
+
+    if (!this.constructor.canTransition(from, to)) {
+      throw invalidTransition(this.constructor.modelName, from, to);
+    }
+
+    // Status gravado no banco, conferido no save (transições encadeadas mantêm o primeiro)
+    if (!this.isNew && this.$locals.statusFrom === undefined) {
+      this.$locals.statusFrom = from;
+    }
+
+    this.status = to;
+    this.statusHistory.push({
+      from,
+      to,
+      actor: options.actor || null,
+      actorType: options.actorType || (options.actor ? 'user' : 'system'),
+      reason: options.reason || null,
+      at: new Date()
+    });
+
+    return this;
+  };
+};
+
+module.exports = {
+  ACTOR_TYPES,
+  statusMachinePlugin
+};